@@ -0,0 +1,70 @@
+/* eslint-disable no-restricted-globals */
+// --- Service worker: serves the app shell offline ---
+// Firestore keeps its own persistent cache, so only the shell and static assets are handled here.
+
+const CACHE_NAME = 'strain-tracker-shell-v2';
+const SHELL_URLS = ['./', './index.html', './manifest.json', './icon.svg'];
+
+// The hashed bundles listed in CRA's asset manifest. The page fetched them before this worker
+// registered, so they must be precached or the first offline reload has a shell without its code.
+const buildAssetUrls = () => fetch('./asset-manifest.json', { cache: 'no-store' })
+  .then(response => (response.ok ? response.json() : { files: {} }))
+  .then(manifest => Object.values(manifest.files || {}).filter(path => path.includes('/static/') && !path.endsWith('.map')))
+  .catch(() => []); // No manifest outside production builds
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([caches.open(CACHE_NAME), buildAssetUrls()])
+      .then(([cache, assetUrls]) => cache.addAll([...SHELL_URLS, ...assetUrls]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // Navigations: network first so deploys show up, falling back to the cached shell (client-side routes included)
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          // Error pages must not replace the cached shell
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put('./index.html', copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match('./index.html'))
+    );
+    return;
+  }
+
+  // Hashed build assets and shell files: stale-while-revalidate
+  if (url.pathname.includes('/static/') || SHELL_URLS.some(path => url.pathname.endsWith(path.slice(1)))) {
+    event.respondWith(
+      caches.open(CACHE_NAME).then(cache =>
+        cache.match(request).then(cached => {
+          const network = fetch(request)
+            .then(response => {
+              if (response.ok) cache.put(request, response.clone());
+              return response;
+            })
+            .catch(() => cached);
+          return cached || network;
+        })
+      )
+    );
+  }
+});
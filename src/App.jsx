@@ -1,1475 +1,3853 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import {
-  initializeApp
-} from 'firebase/app';
-import {
-  getAuth,
-  signInAnonymously,
-  signInWithCustomToken,
-  onAuthStateChanged,
-  createUserWithEmailAndPassword,
-  signInWithEmailAndPassword,
-  signOut
-} from 'firebase/auth';
-import {
-  getFirestore,
-  collection,
-  query,
-  onSnapshot,
-  addDoc,
-  deleteDoc,
-  doc,
-  Timestamp,
-  setDoc,
-  getDoc,
-  setLogLevel
-} from 'firebase/firestore';
-import { Star, Trash2, Search, Share2, Home, Hash, Zap, Send, User, Calendar, MapPin, Coffee, Brain, Sun, Sparkles } from 'lucide-react';
-
-// --- Global Variables (Mandatory for Canvas Environment) ---
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-const apiKey = ""; // API Key for Gemini
-// --- End Global Variables ---
-
-// Set the log level for detailed Firestore debugging
-setLogLevel('debug');
-
-// Hardcoded Data
-const US_CANNABIS_LEGALITY = {
-  'Alabama': { status: 'Illegal', color: 'bg-red-900', text: 'text-red-300' },
-  'Alaska': { status: 'Recreational', color: 'bg-teal-700', text: 'text-teal-200' },
-  'Arizona': { status: 'Recreational', color: 'bg-teal-700', text: 'text-teal-200' },
-  'California': { status: 'Recreational', color: 'bg-teal-700', text: 'text-teal-200' },
-  'Colorado': { status: 'Recreational', color: 'bg-teal-700', text: 'text-teal-200' },
-  'Delaware': { status: 'Recreational', color: 'bg-teal-700', text: 'text-teal-200' },
-  'Florida': { status: 'Medicinal', color: 'bg-orange-700', text: 'text-orange-200' },
-  'Georgia': { status: 'Medicinal', color: 'bg-orange-700', text: 'text-orange-200' },
-  'Illinois': { status: 'Recreational', color: 'bg-teal-700', text: 'text-teal-200' },
-  'Maryland': { status: 'Recreational', color: 'bg-teal-700', text: 'text-teal-200' },
-  'Michigan': { status: 'Recreational', color: 'bg-teal-700', text: 'text-teal-200' },
-  'New York': { status: 'Recreational', color: 'bg-teal-700', text: 'text-teal-200' },
-  'North Carolina': { status: 'Medicinal (Low THC)', color: 'bg-orange-700', text: 'text-orange-200' },
-  'Texas': { status: 'Medicinal (Low THC)', color: 'bg-orange-700', text: 'text-orange-200' },
-  'Virginia': { status: 'Recreational', color: 'bg-teal-700', text: 'text-teal-200' },
-  'Washington': { status: 'Recreational', color: 'bg-teal-700', text: 'text-teal-200' },
-  'Wisconsin': { status: 'Illegal', color: 'bg-red-900', text: 'text-red-300' },
-};
-const US_STATES = Object.keys(US_CANNABIS_LEGALITY).sort();
-
-const TOP_TERPENES = [
-  'Beta-Caryophyllene', 'Caryophyllene Oxide', 'Eucalyptol', 'Fenchol', 'Humulene',
-  'Limonene', 'Linalool', 'Myrcene', 'Ocimene', 'Pinene', 'Terpineol', 'Terpinolene'
-].sort();
-
-const strainTypes = ['Hybrid', 'Indica', 'Sativa'];
-const productTypes = ['Flower', 'Edible', 'Concentrate', 'Vape', 'Tincture', 'Topical'];
-
-
-// --- Utility Functions ---
-
-/**
- * Executes a fetch request with exponential backoff for resilience.
- */
-const fetchWithBackoff = async (url, options, maxRetries = 5) => {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const response = await fetch(url, options);
-      if (response.ok) {
-        return response;
-      }
-      // If response is not OK, throw error to trigger retry
-      throw new Error(`HTTP error! status: ${response.status}`);
-    } catch (error) {
-      if (attempt < maxRetries - 1) {
-        const delay = Math.pow(2, attempt) * 1000 + Math.random() * 1000;
-        await new Promise(resolve => setTimeout(resolve, delay));
-      } else {
-        throw error;
-      }
-    }
-  }
-};
-
-/**
- * Call the Gemini API to analyze user effects notes.
- */
-const analyzeEffects = async (effectsText) => {
-  if (!effectsText) return "No notes to analyze.";
-
-  const systemPrompt = "Act as an expert cannabis analyst. Review the user's observed effects and provide a concise, one-sentence summary of the general sentiment (e.g., highly positive, negative, mixed) and the key physical or mental outcomes (e.g., body relaxation, creativity boost, anxiety). Do not use disclaimers.";
-  const userQuery = `Analyze the following effects notes: "${effectsText}"`;
-
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`;
-
-  const payload = {
-    contents: [{ parts: [{ text: userQuery }] }],
-    systemInstruction: { parts: [{ text: systemPrompt }] },
-    tools: [{ "google_search": {} }],
-  };
-
-  try {
-    const response = await fetchWithBackoff(apiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-
-    const result = await response.json();
-    const text = result.candidates?.[0]?.content?.parts?.[0]?.text || "Analysis failed.";
-    return text.trim();
-
-  } catch (error) {
-    console.error('Gemini API Effects Analysis Failed:', error);
-    return "AI analysis unavailable due to an API error.";
-  }
-};
-
-/**
- * Call the Gemini API to suggest a strain name.
- */
-const generateStrainName = async (effects, flavor) => {
-  if (!effects && !flavor) return "Please provide effects or flavor notes first.";
-
-  const systemPrompt = "Act as a creative cannabis breeder and naming expert. Based on the provided flavor and effects, suggest 3 highly unique, evocative, and culturally relevant strain names. Format the response as a simple comma-separated list.";
-  const userQuery = `Flavor profile: ${flavor || 'N/A'}. Observed effects: ${effects || 'N/A'}. Generate 3 names.`;
-
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`;
-
-  const payload = {
-    contents: [{ parts: [{ text: userQuery }] }],
-    systemInstruction: { parts: [{ text: systemPrompt }] },
-  };
-
-  try {
-    const response = await fetchWithBackoff(apiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-
-    const result = await response.json();
-    const text = result.candidates?.[0]?.content?.parts?.[0]?.text || "Name generation failed.";
-    return text.trim();
-
-  } catch (error) {
-    console.error('Gemini API Name Generation Failed:', error);
-    return "AI naming service unavailable.";
-  }
-};
-
-
-// --- Components ---
-
-/**
- * Renders a clickable 1-5 star rating selector.
- */
-const StarRating = ({ rating, onRate, size = 'h-6 w-6', readOnly = false }) => {
-  return (
-    <div className="flex items-center space-x-1">
-      {[1, 2, 3, 4, 5].map((starValue) => (
-        <Star
-          key={starValue}
-          className={`transition-colors duration-200 ${size} ${readOnly ? '' : 'cursor-pointer'} ${
-            starValue <= rating
-              ? 'text-orange-400 fill-orange-400'
-              : 'text-gray-500 ' + (readOnly ? '' : 'hover:text-orange-300')
-          }`}
-          onClick={() => !readOnly && onRate(starValue)}
-          aria-label={`${starValue} star rating`}
-        />
-      ))}
-    </div>
-  );
-};
-
-/**
- * Renders a simple horizontal bar chart.
- */
-const BarChart = ({ data, title, colorClass }) => {
-  const total = data.reduce((sum, item) => sum + item.count, 0);
-
-  if (total === 0) {
-    return (
-      <div className="text-center text-gray-500 italic p-4 border border-gray-700 rounded-lg">
-        No data logged to display chart.
-      </div>
-    );
-  }
-
-  return (
-    <div className="space-y-2 p-2">
-      <h4 className="text-lg font-semibold text-gray-300 mb-3">{title}</h4>
-      {data.sort((a, b) => b.count - a.count).map((item) => (
-        <div key={item.label} className="flex items-center space-x-2">
-          <span className="w-1/4 text-sm text-gray-400 truncate">{item.label}</span>
-          <div className="flex-grow bg-gray-700 rounded-full h-4">
-            <div
-              className={`h-full rounded-full ${colorClass}`}
-              style={{ width: `${(item.count / total) * 100}%` }}
-            />
-          </div>
-          <span className="text-sm text-gray-300 font-medium">{item.count}</span>
-        </div>
-      ))}
-    </div>
-  );
-};
-
-
-// --- Main Application Component ---
-
-const App = () => {
-  const [db, setDb] = useState(null);
-  const [auth, setAuth] = useState(null);
-  const [userId, setUserId] = useState(null);
-  const [userProfile, setUserProfile] = useState(null);
-  const [isAuthReady, setIsAuthReady] = useState(false);
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
-  
-  // Strain Data States
-  const [reviews, setReviews] = useState([]); // User's private reviews
-  const [popularStrains, setPopularStrains] = useState([]); // Public popular strains
-  
-  // UI States
-  const [isLoading, setIsLoading] = useState(true);
-  const [isSaving, setIsSaving] = useState(false);
-  const [error, setError] = useState(null);
-  const [currentPage, setCurrentPage] = useState('login'); // 'login', 'signup', 'home', 'log'
-
-  // Form State
-  const [form, setForm] = useState({
-    strain: '',
-    location: '',
-    cost: '',
-    effects: '',
-    rating: 0,
-    potency: '', 
-    flavor: '',
-    brand: '',
-    type: 'Hybrid',
-    productType: 'Flower',
-    terpenes: [], // Array for multi-select
-  });
-  
-  // Auth Form State
-  const [authForm, setAuthForm] = useState({
-    email: '',
-    password: '',
-    name: '',
-    dob: '', // Date of Birth YYYY-MM-DD
-    state: US_STATES[0] || 'Florida',
-  });
-  
-  // LLM States
-  const [aiNameLoading, setAiNameLoading] = useState(false);
-  const [aiNameSuggestions, setAiNameSuggestions] = useState(null);
-
-  // Filter/Search States
-  const [searchTerm, setSearchTerm] = useState('');
-  const [filterType, setFilterType] = useState('');
-  const [filterRating, setFilterRating] = useState(0);
-  const [filterLocation, setFilterLocation] = useState('');
-  const [filterBrand, setFilterBrand] = useState('');
-  const [dashboardSearchTerm, setDashboardSearchTerm] = useState('');
-  const [selectedState, setSelectedState] = useState('Florida');
-
-  // Firestore Paths
-  const privateCollectionPath = useMemo(() => {
-    if (userId) return `artifacts/${appId}/users/${userId}/strain_reviews`;
-    return null;
-  }, [userId]);
-  
-  const publicCollectionPath = useMemo(() => {
-      return `artifacts/${appId}/public/data/popular_strains`;
-  }, []);
-
-  const userProfilePath = useMemo(() => {
-      if (userId) return `artifacts/${appId}/users/${userId}/profile/data`;
-      return null;
-  }, [userId]);
-
-
-  // --- 1. Firebase Initialization and Authentication ---
-  useEffect(() => {
-    if (!firebaseConfig) {
-      setError('Firebase configuration is missing.');
-      setIsLoading(false);
-      return;
-    }
-
-    try {
-      const app = initializeApp(firebaseConfig);
-      const newAuth = getAuth(app);
-      const newDb = getFirestore(app);
-
-      setAuth(newAuth);
-      setDb(newDb);
-
-      const unsubscribe = onAuthStateChanged(newAuth, async (user) => {
-        if (user) {
-          setUserId(user.uid);
-          setIsAuthenticated(true);
-          // If we are on login/signup, switch to home
-          if (currentPage === 'login' || currentPage === 'signup') {
-             setCurrentPage('home');
-          }
-        } else {
-          setUserId(null);
-          setIsAuthenticated(false);
-          setUserProfile(null);
-          // Only show login screen if not authenticated
-          if (currentPage !== 'login' && currentPage !== 'signup') {
-             setCurrentPage('login');
-          }
-        }
-        setIsAuthReady(true);
-        setIsLoading(false);
-      });
-
-      return () => unsubscribe();
-    } catch (e) {
-      console.error('Firebase initialization error:', e);
-      setError('Failed to initialize the app.');
-      setIsLoading(false);
-    }
-  }, []);
-  
-  // --- 2. User Profile Listener ---
-  useEffect(() => {
-    if (!db || !userProfilePath || !isAuthenticated) return;
-
-    const profileDocRef = doc(db, userProfilePath);
-
-    const unsubscribe = onSnapshot(profileDocRef, (docSnapshot) => {
-        if (docSnapshot.exists()) {
-            setUserProfile(docSnapshot.data());
-        } else {
-            // User authenticated but no profile yet (shouldn't happen after signup, but safety check)
-            setUserProfile({ name: 'User', state: 'N/A' });
-        }
-    }, (e) => {
-        console.error('Firestore profile snapshot error:', e);
-    });
-
-    return () => unsubscribe();
-  }, [db, userProfilePath, isAuthenticated]);
-
-  // --- 3. Data Listeners (Reviews & Popular) ---
-  useEffect(() => {
-    if (!isAuthenticated || !db || !privateCollectionPath) return;
-
-    const reviewsCollectionRef = collection(db, privateCollectionPath);
-    const q = query(reviewsCollectionRef);
-
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const fetchedReviews = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        timestamp: doc.data().timestamp ? doc.data().timestamp.toDate() : new Date(),
-      })).sort((a, b) => b.timestamp - a.timestamp); 
-
-      setReviews(fetchedReviews);
-    }, (e) => {
-      console.error('Firestore private snapshot error:', e);
-    });
-
-    return () => unsubscribe();
-  }, [isAuthenticated, db, privateCollectionPath]);
-
-  useEffect(() => {
-      if (!isAuthenticated || !db || !publicCollectionPath) return;
-
-      const popularRef = collection(db, publicCollectionPath);
-      const qPopular = query(popularRef);
-
-      const unsubscribe = onSnapshot(qPopular, (snapshot) => {
-          const fetchedStrains = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
-              .sort((a, b) => b.timestamp.toDate() - a.timestamp.toDate())
-              .reduce((acc, current) => {
-                  const x = acc.find(item => item.strain === current.strain);
-                  if (!x && acc.length < 5) {
-                      return acc.concat([current]);
-                  }
-                  return acc;
-              }, []);
-          setPopularStrains(fetchedStrains);
-      }, (e) => {
-          console.error('Firestore public snapshot error:', e);
-      });
-
-      return () => unsubscribe();
-  }, [isAuthenticated, db, publicCollectionPath]); 
-
-
-  // --- Filtering and Searching Logic ---
-  const filteredReviews = useMemo(() => {
-    let currentReviews = reviews;
-
-    // Apply Search Filter
-    const currentSearchTerm = currentPage === 'home' ? dashboardSearchTerm : searchTerm;
-
-    if (currentSearchTerm.trim()) {
-      const lowerSearchTerm = currentSearchTerm.toLowerCase();
-      currentReviews = currentReviews.filter(review =>
-        review.strain.toLowerCase().includes(lowerSearchTerm) ||
-        (review.effects && review.effects.toLowerCase().includes(lowerSearchTerm)) ||
-        (review.terpenes && review.terpenes.some(t => t.toLowerCase().includes(lowerSearchTerm))) || // Search terpenes array
-        (review.brand && review.brand.toLowerCase().includes(lowerSearchTerm)) ||
-        (review.location && review.location.toLowerCase().includes(lowerSearchTerm))
-      );
-    }
-
-    // Apply Log Page Filters
-    if (currentPage === 'log') {
-        if (filterType) {
-          currentReviews = currentReviews.filter(review => review.type === filterType);
-        }
-        if (filterRating > 0) {
-          currentReviews = currentReviews.filter(review => review.rating >= filterRating);
-        }
-        if (filterBrand.trim()) {
-          const lowerBrand = filterBrand.toLowerCase();
-          currentReviews = currentReviews.filter(review =>
-            review.brand && review.brand.toLowerCase() === lowerBrand
-          );
-        }
-        if (filterLocation.trim()) {
-          const lowerLocation = filterLocation.toLowerCase();
-          currentReviews = currentReviews.filter(review =>
-            review.location && review.location.toLowerCase() === lowerLocation
-          );
-        }
-    }
-    
-    // Sort for Home Page Top Strains (Higher rated first)
-    if (currentPage === 'home') {
-        return currentReviews
-            .filter(r => r.rating >= 4) // Only high-rated
-            .sort((a, b) => b.rating - a.rating || b.timestamp - a.timestamp)
-            .slice(0, 5); // Limit to top 5
-    }
-
-    return currentReviews;
-  }, [reviews, searchTerm, dashboardSearchTerm, filterType, filterRating, filterLocation, filterBrand, currentPage]);
-
-  const getProductTypeData = useCallback((reviewList) => {
-      const counts = reviewList.reduce((acc, review) => {
-          const type = review.productType || 'Unknown';
-          acc[type] = (acc[type] || 0) + 1;
-          return acc;
-      }, {});
-      return Object.entries(counts).map(([label, count]) => ({ label, count }));
-  }, []);
-
-  const topRatedProductTypeData = useMemo(() => {
-    return getProductTypeData(reviews.filter(r => r.rating >= 4));
-  }, [reviews, getProductTypeData]);
-
-  const popularProductTypeData = useMemo(() => {
-      return getProductTypeData(popularStrains);
-  }, [popularStrains, getProductTypeData]);
-
-  // --- Handlers ---
-
-  const handleFormChange = (e) => {
-    const { name, value } = e.target;
-    setForm((prev) => ({ ...prev, [name]: value }));
-    setAiNameSuggestions(null); // Clear AI suggestions on manual input
-  };
-  
-  const handleTerpeneChange = (e) => {
-    const { options } = e.target;
-    const selectedTerpenes = [];
-    for (let i = 0; i < options.length; i++) {
-      if (options[i].selected) {
-        selectedTerpenes.push(options[i].value);
-      }
-    }
-
-    if (selectedTerpenes.length > 3) {
-      setError('You can select a maximum of 3 terpenes.');
-      // Keep previous state if validation fails
-      return; 
-    }
-    setError(null);
-    setForm((prev) => ({ ...prev, terpenes: selectedTerpenes }));
-  };
-
-  const handleRatingChange = (newRating) => {
-    setForm((prev) => ({ ...prev, rating: newRating }));
-  };
-  
-  const handleAuthChange = (e) => {
-      const { name, value } = e.target;
-      setAuthForm(prev => ({ ...prev, [name]: value }));
-  }
-  
-  const handleSignOut = async () => {
-    if (auth) {
-        try {
-            await signOut(auth);
-            setReviews([]);
-            setUserProfile(null);
-            setCurrentPage('login');
-        } catch (e) {
-            console.error('Sign out error:', e);
-            setError('Failed to sign out.');
-        }
-    }
-  };
-  
-  const handleSignUp = async (e) => {
-    e.preventDefault();
-    setError(null);
-    setIsSaving(true);
-    
-    const { email, password, name, dob, state } = authForm;
-
-    // Age Verification (21+)
-    const dobDate = new Date(dob);
-    const minAgeDate = new Date();
-    minAgeDate.setFullYear(minAgeDate.getFullYear() - 21);
-
-    if (dobDate > minAgeDate) {
-        setError("You must be 21 years or older to use this application.");
-        setIsSaving(false);
-        return;
-    }
-
-    try {
-        // 1. Create User
-        const userCredential = await createUserWithEmailAndPassword(auth, email, password);
-        const uid = userCredential.user.uid;
-        
-        // 2. Create User Profile
-        if (db) {
-            const profileRef = doc(db, `artifacts/${appId}/users/${uid}/profile/data`);
-            await setDoc(profileRef, {
-                name: name,
-                state: state,
-                dob: dob,
-                email: email,
-                createdAt: Timestamp.now()
-            });
-        }
-        
-        setAuthForm({ email: '', password: '', name: '', dob: '', state: US_STATES[0] || 'Florida' });
-        setCurrentPage('home'); // Go to dashboard after successful signup
-
-    } catch (e) {
-        console.error('Sign up error:', e);
-        if (e.code === 'auth/weak-password') {
-            setError('Password is too weak. Must be at least 6 characters.');
-        } else if (e.code === 'auth/email-already-in-use') {
-            setError('This email is already registered. Try logging in.');
-        } else {
-            setError('Sign up failed. Please check your email and password.');
-        }
-    } finally {
-        setIsSaving(false);
-    }
-  };
-
-  const handleSignIn = async (e) => {
-    e.preventDefault();
-    setError(null);
-    setIsSaving(true);
-    
-    const { email, password } = authForm;
-    
-    try {
-        await signInWithEmailAndPassword(auth, email, password);
-        setAuthForm({ ...authForm, password: '' }); // Clear password
-        setCurrentPage('home'); // Go to dashboard after successful login
-    } catch (e) {
-        console.error('Sign in error:', e);
-        setError('Login failed. Check your email and password.');
-    } finally {
-        setIsSaving(false);
-    }
-  };
-
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setError(null);
-    setIsSaving(true);
-
-    if (!db || !privateCollectionPath) {
-      setError('Database is not ready. Please try again.');
-      setIsSaving(false);
-      return;
-    }
-
-    try {
-      const newReview = {
-        strain: form.strain.trim(),
-        location: form.location.trim(),
-        cost: parseFloat(form.cost) || 0, 
-        effects: form.effects.trim(),
-        rating: form.rating,
-        potency: form.potency.trim(),
-        flavor: form.flavor.trim(),
-        brand: form.brand.trim(),
-        type: form.type,
-        productType: form.productType,
-        terpenes: form.terpenes, // Array of selected terpenes
-        timestamp: Timestamp.now(),
-        userId: userId, // Link review to user
-      };
-
-      if (!newReview.strain || newReview.rating === 0) {
-        setError('Strain Name and Rating are required.');
-        setIsSaving(false);
-        return;
-      }
-      
-      if (newReview.terpenes.length > 3) {
-           setError('Cannot log more than 3 terpenes.');
-           setIsSaving(false);
-           return;
-      }
-
-      // 1. Save to Private Log
-      await addDoc(collection(db, privateCollectionPath), newReview);
-      
-      // 2. If high rating, also submit to Public Popular Strains log
-      if (newReview.rating >= 4) {
-          await addDoc(collection(db, publicCollectionPath), {
-              strain: newReview.strain,
-              rating: newReview.rating,
-              type: newReview.type,
-              productType: newReview.productType,
-              potency: newReview.potency,
-              brand: newReview.brand,
-              terpenes: newReview.terpenes,
-              addedBy: userId,
-              timestamp: Timestamp.now(),
-          });
-      }
-
-      // Reset form
-      setForm({ strain: '', location: '', cost: '', effects: '', rating: 0, potency: '', flavor: '', brand: '', type: 'Hybrid', productType: 'Flower', terpenes: [] });
-      setAiNameSuggestions(null);
-      setCurrentPage('log'); // Switch to log/history screen after successful submit
-
-    } catch (e) {
-      console.error('Error adding document: ', e);
-      setError('Failed to save your review.');
-    } finally {
-      setIsSaving(false);
-    }
-  };
-
-  const handleDelete = async (reviewId) => {
-    if (!db || !privateCollectionPath) {
-      setError('Database is not ready.');
-      return;
-    }
-
-    try {
-      await deleteDoc(doc(db, privateCollectionPath, reviewId));
-    } catch (e) {
-      console.error('Error deleting document: ', e);
-      setError('Failed to delete review.');
-    }
-  };
-
-  const handleShare = (review) => {
-    const terpeneString = review.terpenes && review.terpenes.length > 0 ? review.terpenes.join(', ') : 'N/A';
-    const textToCopy = `
-*** Black Cannabis Lounge Strain Tracker ***
-Strain: ${review.strain} (${review.type || 'N/A'} | ${review.productType || 'N/A'})
-Rating: ${'⭐'.repeat(review.rating) || 'N/A'}
-Potency: ${review.potency || 'N/A'}
-Flavor: ${review.flavor || 'N/A'}
-Terpenes: ${terpeneString}
-Brand: ${review.brand || 'N/A'}
-Purchased: ${review.location || 'N/A'} for $${review.cost ? review.cost.toFixed(2) : 'N/A'}
-Effects/Notes: ${review.effects || 'None'}
-Logged on: ${new Date(review.timestamp).toLocaleDateString()}
-    `.trim();
-
-    const textarea = document.createElement('textarea');
-    textarea.value = textToCopy;
-    textarea.style.position = 'fixed';
-    textarea.style.left = '-9999px';
-    document.body.appendChild(textarea);
-    textarea.select();
-    try {
-      document.execCommand('copy');
-      setError('Review details copied to clipboard! Ready to share.');
-      setTimeout(() => setError(null), 3000);
-    } catch (err) {
-      console.error('Could not copy text: ', err);
-      setError('Could not copy text. Please copy manually.');
-      setTimeout(() => setError(null), 3000);
-    }
-    document.body.removeChild(textarea);
-  };
-  
-  const handleAiNameSuggest = async () => {
-    setAiNameLoading(true);
-    setError(null);
-    try {
-        const names = await generateStrainName(form.effects, form.flavor);
-        const nameArray = names.split(',').map(n => n.trim()).filter(n => n.length > 0);
-        setAiNameSuggestions(nameArray);
-    } catch (e) {
-        setError("Failed to generate strain names. Try again later.");
-    } finally {
-        setAiNameLoading(false);
-    }
-  };
-
-  const handleAnalyzeEffects = async (reviewId) => {
-      const reviewIndex = reviews.findIndex(r => r.id === reviewId);
-      if (reviewIndex === -1) return;
-
-      const reviewToUpdate = reviews[reviewIndex];
-      if (reviewToUpdate.analysisLoading) return;
-
-      // Optimistically update state to show loading
-      setReviews(prevReviews => prevReviews.map(r => 
-          r.id === reviewId ? { ...r, analysisLoading: true } : r
-      ));
-
-      try {
-          const analysis = await analyzeEffects(reviewToUpdate.effects);
-          
-          // Update the review in Firestore with the new analysis result
-          if (db) {
-              const reviewRef = doc(db, privateCollectionPath, reviewId);
-              await setDoc(reviewRef, { analysis }, { merge: true });
-          }
-
-      } catch (e) {
-          console.error('Failed to run AI analysis:', e);
-          // Revert loading state on error
-          setReviews(prevReviews => prevReviews.map(r => 
-              r.id === reviewId ? { ...r, analysisLoading: false } : r
-          ));
-      }
-  };
-
-
-  // --- Render Functions (Screens) ---
-
-  const renderLoginScreen = () => (
-      <div className="flex items-center justify-center min-h-screen p-4">
-          <div className="w-full max-w-md p-8 bg-gray-800 rounded-xl shadow-2xl border border-fuchsia-900/50">
-              <h2 className="text-3xl font-extrabold text-teal-400 text-center mb-6">Welcome to the Lounge</h2>
-              <p className="text-gray-400 text-center mb-8">Sign in to access your private strain log.</p>
-              
-              <form onSubmit={handleSignIn} className="space-y-4">
-                  <div>
-                      <label className="block text-sm font-medium text-gray-300">Email</label>
-                      <input
-                          type="email"
-                          name="email"
-                          value={authForm.email}
-                          onChange={handleAuthChange}
-                          className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
-                          placeholder="your@email.com"
-                          required
-                      />
-                  </div>
-                  <div>
-                      <label className="block text-sm font-medium text-gray-300">Password</label>
-                      <input
-                          type="password"
-                          name="password"
-                          value={authForm.password}
-                          onChange={handleAuthChange}
-                          className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
-                          placeholder="********"
-                          required
-                      />
-                  </div>
-                  
-                  {error && (
-                      <p className="text-red-400 bg-red-900/50 p-2 rounded-lg text-sm text-center">{error}</p>
-                  )}
-
-                  <button
-                      type="submit"
-                      disabled={isSaving}
-                      className="w-full py-3 mt-4 rounded-lg shadow-md text-lg font-medium text-gray-900 bg-teal-500 hover:bg-teal-600 transition disabled:opacity-50"
-                  >
-                      {isSaving ? 'Logging In...' : 'Log In'}
-                  </button>
-              </form>
-              
-              <p className="mt-6 text-center text-sm text-gray-400">
-                  New to the Tracker? 
-                  <button 
-                      onClick={() => setCurrentPage('signup')}
-                      className="text-orange-400 hover:text-orange-300 font-semibold ml-1 transition"
-                  >
-                      Create an Account
-                  </button>
-              </p>
-          </div>
-      </div>
-  );
-
-  const renderSignUpScreen = () => (
-      <div className="flex items-center justify-center min-h-screen p-4">
-          <div className="w-full max-w-lg p-8 bg-gray-800 rounded-xl shadow-2xl border border-fuchsia-900/50">
-              <h2 className="text-3xl font-extrabold text-teal-400 text-center mb-6">Create Your Tracker Account</h2>
-              
-              <form onSubmit={handleSignUp} className="space-y-4">
-                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                      <div>
-                          <label className="block text-sm font-medium text-gray-300 flex items-center"><User className="h-4 w-4 mr-1"/> Full Name</label>
-                          <input type="text" name="name" value={authForm.name} onChange={handleAuthChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3" required />
-                      </div>
-                      <div>
-                          <label className="block text-sm font-medium text-gray-300 flex items-center"><Calendar className="h-4 w-4 mr-1"/> Date of Birth (21+)</label>
-                          <input type="date" name="dob" value={authForm.dob} onChange={handleAuthChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3" required />
-                      </div>
-                  </div>
-                  
-                  <div>
-                      <label className="block text-sm font-medium text-gray-300 flex items-center"><MapPin className="h-4 w-4 mr-1"/> State</label>
-                      <select name="state" value={authForm.state} onChange={handleAuthChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 appearance-none" required>
-                          {US_STATES.map(state => <option key={state} value={state}>{state}</option>)}
-                      </select>
-                  </div>
-
-                  <div>
-                      <label className="block text-sm font-medium text-gray-300">Email</label>
-                      <input type="email" name="email" value={authForm.email} onChange={handleAuthChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3" placeholder="your@email.com" required />
-                  </div>
-                  
-                  <div>
-                      <label className="block text-sm font-medium text-gray-300">Password</label>
-                      <input type="password" name="password" value={authForm.password} onChange={handleAuthChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3" placeholder="Min 6 characters" required />
-                  </div>
-                  
-                  {error && (
-                      <p className="text-red-400 bg-red-900/50 p-2 rounded-lg text-sm text-center">{error}</p>
-                  )}
-
-                  <button
-                      type="submit"
-                      disabled={isSaving}
-                      className="w-full py-3 mt-4 rounded-lg shadow-md text-lg font-medium text-gray-900 bg-orange-500 hover:bg-orange-600 transition disabled:opacity-50"
-                  >
-                      {isSaving ? 'Signing Up...' : 'Create Account'}
-                  </button>
-              </form>
-              
-              <p className="mt-6 text-center text-sm text-gray-400">
-                  Already have an account? 
-                  <button 
-                      onClick={() => setCurrentPage('login')}
-                      className="text-teal-400 hover:text-teal-300 font-semibold ml-1 transition"
-                  >
-                      Log In
-                  </button>
-              </p>
-          </div>
-      </div>
-  );
-
-  const renderHomeDashboard = () => {
-    const legalityInfo = US_CANNABIS_LEGALITY[selectedState] || { status: 'Unknown', color: 'bg-gray-700', text: 'text-gray-400' };
-
-    return (
-      <div className="space-y-8">
-        {/* Welcome and Actions */}
-        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
-          <h2 className="text-3xl font-bold text-teal-400 mb-2">
-            Welcome back, {userProfile?.name || 'User'}!
-          </h2>
-          <p className="text-gray-400 text-lg mb-6">
-            Time to log a new experience or check your favorites.
-          </p>
-          <button
-            onClick={() => setCurrentPage('log')}
-            className="w-full sm:w-auto py-3 px-6 border-2 border-orange-500 rounded-lg shadow-lg text-lg font-medium text-gray-900 bg-orange-500 hover:bg-orange-600 transition duration-150 ease-in-out flex items-center justify-center"
-          >
-            <Hash className="h-6 w-6 mr-2" /> Log New Strain
-          </button>
-        </section>
-
-        {/* State Legality Lookup */}
-        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
-          <h3 className="text-xl font-semibold text-teal-400 mb-4 flex items-center">
-            <MapPin className="h-5 w-5 mr-2" /> US Cannabis Legality Lookup
-          </h3>
-          <div className="flex flex-col sm:flex-row space-y-4 sm:space-y-0 sm:space-x-4 items-end">
-            <div className="flex-grow w-full sm:w-1/2">
-              <label htmlFor="stateSelect" className="block text-sm font-medium text-gray-300">Select State</label>
-              <select
-                id="stateSelect"
-                value={selectedState}
-                onChange={(e) => setSelectedState(e.target.value)}
-                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500 appearance-none"
-              >
-                {US_STATES.map(state => <option key={state} value={state}>{state}</option>)}
-              </select>
-            </div>
-            <div className={`w-full sm:w-1/2 p-3 rounded-lg text-center font-bold ${legalityInfo.color} ${legalityInfo.text}`}>
-              {selectedState}: {legalityInfo.status}
-            </div>
-          </div>
-        </section>
-
-        {/* Dashboard Search */}
-        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
-            <h3 className="text-xl font-semibold text-teal-400 mb-4 flex items-center">
-                <Search className="h-5 w-5 mr-2" /> Quick Search Your Log
-            </h3>
-            <div className="relative mb-6">
-                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
-                <input
-                    type="text"
-                    placeholder="Search your strains (Name, Effects, Brand)..."
-                    value={dashboardSearchTerm}
-                    onChange={(e) => setDashboardSearchTerm(e.target.value)}
-                    className="w-full pl-12 pr-4 py-3 rounded-lg bg-gray-700 border border-fuchsia-700 text-white focus:ring-orange-500 focus:border-orange-500"
-                />
-            </div>
-
-            {/* Display Search Results on Home Screen if search is active */}
-            {dashboardSearchTerm.trim() && (
-                <div className="mt-4 border-t border-gray-700 pt-4">
-                    <h4 className="text-lg font-semibold text-gray-300 mb-3">Search Results ({filteredReviews.length})</h4>
-                    {filteredReviews.length > 0 ? (
-                        filteredReviews.map(r => (
-                            <div key={r.id} className="p-3 mb-2 bg-gray-700 rounded-lg flex justify-between items-center">
-                                <span className="font-semibold text-teal-300">{r.strain}</span>
-                                <StarRating rating={r.rating} readOnly={true} size='h-5 w-5' />
-                            </div>
-                        ))
-                    ) : (
-                        <p className="text-gray-500">No matching strains found in your log.</p>
-                    )}
-                </div>
-            )}
-        </section>
-
-        {/* Top Rated Strains (from user's private log) */}
-        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
-            <h3 className="text-xl font-semibold text-teal-400 mb-4">
-                Your Top Rated Strains ({reviews.filter(r => r.rating >= 4).length})
-            </h3>
-            <BarChart 
-                data={topRatedProductTypeData} 
-                title="Product Type Breakdown (Your Top Strains)" 
-                colorClass="bg-orange-500"
-            />
-            <div className="space-y-3 mt-4">
-                {reviews.filter(r => r.rating >= 4).length === 0 ? (
-                    <p className="text-gray-500">Log a few 4 or 5-star strains to see your favorites here!</p>
-                ) : (
-                    filteredReviews.map(r => (
-                        <div key={r.id} className="p-3 bg-gray-700 rounded-lg flex justify-between items-center">
-                            <div className="flex flex-col">
-                                <span className="font-semibold text-gray-200">{r.strain} <span className="text-sm text-gray-400">({r.productType})</span></span>
-                                <span className="text-xs text-gray-500">{r.brand || 'No Brand'}</span>
-                            </div>
-                            <StarRating rating={r.rating} readOnly={true} size='h-5 w-5' />
-                        </div>
-                    ))
-                )}
-            </div>
-        </section>
-
-        {/* Popular Strains (from public log) */}
-        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
-            <h3 className="text-xl font-semibold text-teal-400 mb-4">
-                Community Popular Strains
-            </h3>
-            <BarChart 
-                data={popularProductTypeData} 
-                title="Product Type Breakdown (Community Faves)" 
-                colorClass="bg-teal-500"
-            />
-            <div className="space-y-3 mt-4">
-                {popularStrains.length === 0 ? (
-                    <p className="text-gray-500">No popular strains shared by the community yet.</p>
-                ) : (
-                    popularStrains.map(s => (
-                        <div key={s.id} className="p-3 bg-gray-700 rounded-lg flex justify-between items-center">
-                            <div className="flex flex-col">
-                                <span className="font-semibold text-gray-200">{s.strain} <span className="text-sm text-gray-400">({s.type})</span></span>
-                                <span className="text-xs text-gray-500">{s.brand || 'N/A'}</span>
-                            </div>
-                            <StarRating rating={s.rating} readOnly={true} size='h-5 w-5' />
-                        </div>
-                    ))
-                )}
-            </div>
-        </section>
-      </div>
-    );
-  };
-
-  const renderReviewLogScreen = () => (
-    <div className="space-y-8">
-      {/* New Review Form */}
-      <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
-        <h2 className="text-2xl font-semibold mb-6 text-teal-400 border-b border-gray-700 pb-3">
-          Log New Strain
-        </h2>
-        <form onSubmit={handleSubmit} className="space-y-4">
-          {/* Row 1: Strain and Product Type */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            <div className="md:col-span-2">
-              <label htmlFor="strain" className="block text-sm font-medium text-gray-300 flex items-center">Strain Name *</label>
-              <div className="flex mt-1">
-                <input
-                  type="text"
-                  name="strain"
-                  id="strain"
-                  value={form.strain}
-                  onChange={handleFormChange}
-                  className="block w-full rounded-l-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
-                  placeholder="e.g., OG Kush, Blue Dream"
-                  required
-                />
-                 <button
-                    type="button"
-                    onClick={handleAiNameSuggest}
-                    disabled={aiNameLoading || (!form.effects && !form.flavor)}
-                    className="flex-shrink-0 p-3 bg-fuchsia-700 text-white rounded-r-lg hover:bg-fuchsia-600 transition disabled:opacity-50"
-                    title="Suggest Strain Name based on notes"
-                 >
-                     <Sparkles className="h-5 w-5" />
-                 </button>
-              </div>
-              {aiNameLoading && <p className="text-xs text-fuchsia-300 mt-1">AI brainstorming names...</p>}
-              {aiNameSuggestions && (
-                  <div className="mt-2 p-2 bg-gray-700 rounded-lg text-sm">
-                      <p className="font-semibold text-teal-300 mb-1">Suggestions:</p>
-                      <div className="flex flex-wrap gap-2">
-                        {aiNameSuggestions.map((name, index) => (
-                          <button
-                            key={index}
-                            type="button"
-                            onClick={() => setForm(p => ({ ...p, strain: name }))}
-                            className="bg-gray-600 text-gray-200 hover:bg-gray-500 px-2 py-1 rounded-full text-xs transition"
-                          >
-                            {name}
-                          </button>
-                        ))}
-                      </div>
-                  </div>
-              )}
-            </div>
-            <div>
-              <label htmlFor="productType" className="block text-sm font-medium text-gray-300">Product Type *</label>
-              <select
-                name="productType"
-                id="productType"
-                value={form.productType}
-                onChange={handleFormChange}
-                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500 appearance-none"
-              >
-                {productTypes.map(t => <option key={t} value={t}>{t}</option>)}
-              </select>
-            </div>
-          </div>
-          
-          {/* Row 2: Brand, Type, Potency */}
-          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
-            <div>
-              <label htmlFor="brand" className="block text-sm font-medium text-gray-300">Brand / Cultivator</label>
-              <input
-                type="text"
-                name="brand"
-                id="brand"
-                value={form.brand}
-                onChange={handleFormChange}
-                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
-                placeholder="e.g., Rythm, Cookies"
-              />
-            </div>
-            <div>
-              <label htmlFor="type" className="block text-sm font-medium text-gray-300">Strain Type</label>
-              <select
-                name="type"
-                id="type"
-                value={form.type}
-                onChange={handleFormChange}
-                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500 appearance-none"
-              >
-                {strainTypes.map(t => <option key={t} value={t}>{t}</option>)}
-              </select>
-            </div>
-            <div>
-              <label htmlFor="potency" className="block text-sm font-medium text-gray-300">Potency (THC/CBD %)</label>
-              <input
-                type="text"
-                name="potency"
-                id="potency"
-                value={form.potency}
-                onChange={handleFormChange}
-                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
-                placeholder="e.g., 28% THC"
-              />
-            </div>
-          </div>
-
-          {/* Row 3: Flavor, Terpenes, Rating */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            <div>
-              <label htmlFor="flavor" className="block text-sm font-medium text-gray-300">Flavor Profile</label>
-              <input
-                type="text"
-                name="flavor"
-                id="flavor"
-                value={form.flavor}
-                onChange={handleFormChange}
-                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
-                placeholder="e.g., Citrus, Pine, Skunk"
-              />
-            </div>
-            <div>
-              <label htmlFor="terpenes" className="block text-sm font-medium text-gray-300">Key Terpenes (Select Top 3)</label>
-              <select
-                  multiple
-                  name="terpenes"
-                  id="terpenes"
-                  value={form.terpenes}
-                  onChange={handleTerpeneChange}
-                  className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500 h-28"
-                  size="5"
-              >
-                  {TOP_TERPENES.map(t => <option key={t} value={t}>{t}</option>)}
-              </select>
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-300 mb-1">Your Rating *</label>
-              <StarRating rating={form.rating} onRate={handleRatingChange} />
-            </div>
-          </div>
-          
-          {/* Row 4: Location and Cost */}
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div>
-              <label htmlFor="location" className="block text-sm font-medium text-gray-300">Purchased From (Location)</label>
-              <input
-                type="text"
-                name="location"
-                id="location"
-                value={form.location}
-                onChange={handleFormChange}
-                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
-                placeholder="e.g., Local Dispensary Name"
-              />
-            </div>
-            <div>
-              <label htmlFor="cost" className="block text-sm font-medium text-gray-300">Cost (USD)</label>
-              <input
-                type="number"
-                name="cost"
-                id="cost"
-                value={form.cost}
-                onChange={handleFormChange}
-                min="0"
-                step="0.01"
-                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
-                placeholder="e.g., 55.00"
-              />
-            </div>
-          </div>
-
-
-          {/* Row 5: Effects Description */}
-          <div>
-            <label htmlFor="effects" className="block text-sm font-medium text-gray-300">Observed Effects / Notes</label>
-            <textarea
-              name="effects"
-              id="effects"
-              rows="3"
-              value={form.effects}
-              onChange={handleFormChange}
-              className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
-              placeholder="e.g., Very relaxing, helped with sleep, slightly dry mouth..."
-            ></textarea>
-          </div>
-
-          {error && (
-            <p className="text-red-400 bg-red-900/50 p-2 rounded-lg text-sm text-center">
-              {error}
-            </p>
-          )}
-
-          <button
-            type="submit"
-            disabled={isSaving || form.rating === 0 || form.strain.trim() === ''}
-            className="w-full py-3 px-4 border-2 border-orange-500 rounded-lg shadow-sm text-lg font-medium text-gray-900 bg-orange-500 hover:bg-orange-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500 transition duration-150 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            {isSaving ? 'Saving...' : 'Add Review'}
-          </button>
-        </form>
-      </section>
-      
-      {/* --- Search and Filter Section --- */}
-      <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
-        <h2 className="text-2xl font-semibold mb-6 text-teal-400 border-b border-gray-700 pb-3">
-          Filter Your History
-        </h2>
-        
-        {/* Search Bar */}
-        <div className="relative mb-6">
-          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
-          <input
-            type="text"
-            placeholder="Search by Strain, Effects, Terpenes, Brand, or Location..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className="w-full pl-12 pr-4 py-3 rounded-lg bg-gray-700 border border-fuchsia-700 text-white focus:ring-orange-500 focus:border-orange-500"
-          />
-        </div>
-
-        {/* Filter Options */}
-        <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
-          
-          {/* Filter by Type */}
-          <div>
-            <label htmlFor="filterType" className="block text-sm font-medium text-gray-300">Strain Type</label>
-            <select
-              id="filterType"
-              value={filterType}
-              onChange={(e) => setFilterType(e.target.value)}
-              className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500 appearance-none"
-            >
-              <option value="">All Types</option>
-              {strainTypes.map(t => <option key={t} value={t}>{t}</option>)}
-            </select>
-          </div>
-          
-          {/* Filter by Min Rating */}
-          <div>
-            <label htmlFor="filterRating" className="block text-sm font-medium text-gray-300">Min. Rating</label>
-            <select
-              id="filterRating"
-              value={filterRating}
-              onChange={(e) => setFilterRating(parseInt(e.target.value))}
-              className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500 appearance-none"
-            >
-              <option value={0}>All Ratings</option>
-              {[1, 2, 3, 4, 5].map(r => <option key={r} value={r}>{r} Stars +</option>)}
-            </select>
-          </div>
-          
-           {/* Filter by Brand (Text input for easier use) */}
-          <div className="col-span-2 sm:col-span-1">
-            <label htmlFor="filterBrand" className="block text-sm font-medium text-gray-300">Brand</label>
-            <input
-                type="text"
-                id="filterBrand"
-                value={filterBrand}
-                onChange={(e) => setFilterBrand(e.target.value)}
-                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500"
-                placeholder="Exact Brand Name"
-            />
-          </div>
-
-          {/* Filter by Location (Text input) */}
-          <div className="col-span-2 sm:col-span-1">
-            <label htmlFor="filterLocation" className="block text-sm font-medium text-gray-300">Location</label>
-            <input
-                type="text"
-                id="filterLocation"
-                value={filterLocation}
-                onChange={(e) => setFilterLocation(e.target.value)}
-                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500"
-                placeholder="Exact Location Name"
-            />
-          </div>
-          
-        </div>
-      </section>
-
-
-      {/* --- Review List --- */}
-      <section>
-        <h2 className="text-2xl font-semibold mb-6 text-teal-400 border-b border-gray-700 pb-3">
-          Review History ({filteredReviews.length} / {reviews.length})
-        </h2>
-
-        <div className="space-y-4">
-          {filteredReviews.length === 0 ? (
-            <div className="text-center py-10 text-gray-500 bg-gray-900/70 rounded-xl border border-fuchsia-900/50">
-              {reviews.length === 0 
-                ? 'No reviews logged yet. Get tracking!'
-                : 'No results found matching your search and filter criteria.'
-              }
-            </div>
-          ) : (
-            filteredReviews.map((review) => (
-              <div key={review.id} className="bg-gray-900/70 p-5 rounded-xl shadow-lg border border-fuchsia-900/50 flex flex-col justify-between">
-                {/* Review Header and Rating */}
-                <div className="flex justify-between items-start mb-3 border-b border-gray-700 pb-3">
-                  <div className="flex-grow">
-                      <h3 className="text-2xl font-bold text-teal-400">
-                        {review.strain} 
-                        <span className="text-base font-medium ml-2 text-gray-400">({review.type})</span>
-                      </h3>
-                      <p className="text-sm text-gray-500 mt-1">{review.brand || 'No Brand Listed'}</p>
-                  </div>
-                  <div className="flex-shrink-0">
-                     <StarRating rating={review.rating} readOnly={true} size='h-6 w-6'/>
-                  </div>
-                </div>
-
-                {/* Key Details Grid */}
-                <div className="grid grid-cols-2 md:grid-cols-4 gap-y-3 gap-x-6 text-sm mb-4">
-                   <p className="text-gray-400"><span className="font-semibold text-gray-300">Product:</span> {review.productType || 'N/A'}</p>
-                   <p className="text-gray-400"><span className="font-semibold text-gray-300">Potency:</span> {review.potency || 'N/A'}</p>
-                   <p className="text-gray-400"><span className="font-semibold text-gray-300">Flavor:</span> {review.flavor || 'N/A'}</p>
-                   <p className="text-gray-400"><span className="font-semibold text-gray-300">Terpenes:</span> {review.terpenes && review.terpenes.length > 0 ? review.terpenes.join(', ') : 'N/A'}</p>
-                   <p className="text-gray-400 col-span-2"><span className="font-semibold text-gray-300">Purchased:</span> {review.location || 'N/A'}</p>
-                   <p className="text-gray-400 col-span-2"><span className="font-semibold text-gray-300">Cost:</span> {review.cost > 0 ? `$${review.cost.toFixed(2)}` : 'N/A'}</p>
-                </div>
-
-                {/* Effects/Notes */}
-                <div className="bg-gray-800 p-3 rounded-lg">
-                  <p className="text-gray-300 whitespace-pre-wrap">
-                    <span className="font-semibold text-gray-300 block mb-1 text-sm">Effects/Notes:</span>
-                    {review.effects || <span className="text-gray-500 italic">No detailed notes recorded.</span>}
-                  </p>
-                </div>
-                
-                {/* AI Analysis Section */}
-                <div className="mt-3">
-                    {review.analysis ? (
-                        <div className="bg-fuchsia-900/30 text-fuchsia-300 p-3 rounded-lg text-sm italic border border-fuchsia-700/50">
-                            <Sparkles className="h-4 w-4 inline mr-2"/> **AI Summary:** {review.analysis}
-                        </div>
-                    ) : (
-                        <button
-                            onClick={() => handleAnalyzeEffects(review.id)}
-                            disabled={review.analysisLoading || !review.effects}
-                            className="text-fuchsia-400 hover:text-fuchsia-300 transition-colors duration-150 p-1 rounded-full hover:bg-gray-800 flex items-center text-sm disabled:opacity-50"
-                            title="Generate AI Summary of Effects"
-                        >
-                            {review.analysisLoading ? (
-                                <>
-                                    <Sparkles className="h-4 w-4 mr-1 animate-spin" /> Analyzing...
-                                </>
-                            ) : (
-                                <>
-                                    <Sparkles className="h-4 w-4 mr-1" /> AI Analyze Effects
-                                </>
-                            )}
-                        </button>
-                    )}
-                </div>
-
-                {/* Actions & Timestamp */}
-                <div className="mt-4 flex justify-between items-center border-t border-gray-700 pt-3">
-                  <p className="text-xs text-gray-500">
-                    Logged: {new Date(review.timestamp).toLocaleDateString()}
-                  </p>
-                  <div className="flex space-x-2">
-                       <button
-                         onClick={() => handleShare(review)}
-                         className="text-teal-400 hover:text-teal-500 transition-colors duration-150 p-1 rounded-full hover:bg-gray-800 flex items-center"
-                         aria-label="Share Review"
-                         title="Copy review to clipboard"
-                       >
-                         <Share2 className="h-5 w-5 mr-1" /> Share
-                       </button>
-                       <button
-                         onClick={() => handleDelete(review.id)}
-                         className="text-red-400 hover:text-red-500 transition-colors duration-150 p-1 rounded-full hover:bg-gray-800"
-                         aria-label="Delete Review"
-                         title="Delete Review"
-                       >
-                         <Trash2 className="h-5 w-5" />
-                       </button>
-                  </div>
-                </div>
-              </div>
-            ))
-          )}
-        </div>
-      </section>
-    </div>
-  );
-  
-  // --- Main Render ---
-  if (isLoading) {
-    return (
-      <div className="flex items-center justify-center min-h-screen bg-gray-900 text-teal-400">
-        <div className="text-xl">Firing up the Tracker...</div>
-      </div>
-    );
-  }
-  
-  // Render Auth Screens if not authenticated
-  if (!isAuthenticated) {
-      if (currentPage === 'signup') return renderSignUpScreen();
-      return renderLoginScreen(); // Default to login if not authenticated
-  }
-
-  // Render App if authenticated
-  return (
-    <div className="min-h-screen p-4 sm:p-8 font-sans bg-gradient-to-br from-gray-900 via-gray-900 to-fuchsia-900/30">
-      <div className="max-w-4xl mx-auto">
-        
-        {/* Global Header */}
-        <header className="text-center mb-6">
-          <div className="flex justify-between items-center mb-2">
-            <h1 className="text-xl font-extrabold text-teal-400 tracking-tight sm:text-2xl">
-              Black Cannabis Lounge
-            </h1>
-            <button
-               onClick={handleSignOut}
-               className="text-sm font-semibold text-orange-400 hover:text-orange-300 transition-colors duration-150 flex items-center bg-gray-800 p-2 rounded-lg"
-            >
-               <Send className="h-4 w-4 mr-1 rotate-180"/> Log Out
-            </button>
-          </div>
-          <p className="mt-1 text-gray-400 text-lg">
-            Strain Tracker for the Community
-          </p>
-        </header>
-        
-        {/* Navigation Bar */}
-        <nav className="grid grid-cols-3 gap-3 mb-8 border-b-2 border-fuchsia-700/50 pb-4">
-            <button
-                onClick={() => { setCurrentPage('home'); setSearchTerm(''); setDashboardSearchTerm(''); }}
-                className={`py-2 px-1 sm:px-4 rounded-lg font-semibold transition-colors duration-150 flex items-center justify-center text-sm sm:text-base ${
-                    currentPage === 'home' ? 'bg-fuchsia-700 text-white shadow-lg' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
-                }`}
-            >
-                <Home className="h-5 w-5 mr-0 sm:mr-2" /> <span className="hidden sm:inline">Dashboard</span>
-            </button>
-            <button
-                onClick={() => { setCurrentPage('log'); setSearchTerm(''); setDashboardSearchTerm(''); }}
-                className={`py-2 px-1 sm:px-4 rounded-lg font-semibold transition-colors duration-150 flex items-center justify-center text-sm sm:text-base ${
-                    currentPage === 'log' ? 'bg-fuchsia-700 text-white shadow-lg' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
-                }`}
-            >
-                <Hash className="h-5 w-5 mr-0 sm:mr-2" /> <span className="hidden sm:inline">Log & History</span>
-            </button>
-            <a
-                href="https://www.facebook.com/groups/652135626538111"
-                target="_blank"
-                rel="noopener noreferrer"
-                className="py-2 px-1 sm:px-4 rounded-lg font-semibold transition-colors duration-150 flex items-center justify-center text-sm sm:text-base bg-orange-500 text-gray-900 hover:bg-orange-600 shadow-lg"
-            >
-                <Zap className="h-5 w-5 mr-0 sm:mr-2" /> <span className="hidden sm:inline">Enter the Lounge</span>
-            </a>
-        </nav>
-        
-        {/* Page Content */}
-        {currentPage === 'home' && renderHomeDashboard()}
-        {currentPage === 'log' && renderReviewLogScreen()}
-        
-      </div>
-    </div>
-  );
-};
-
-export default App;
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import {
+  initializeApp
+} from 'firebase/app';
+import {
+  getAuth,
+  signInAnonymously,
+  signInWithCustomToken,
+  onAuthStateChanged,
+  createUserWithEmailAndPassword,
+  signInWithEmailAndPassword,
+  signOut,
+  EmailAuthProvider,
+  reauthenticateWithCredential,
+  verifyBeforeUpdateEmail,
+  updatePassword,
+  deleteUser,
+  sendPasswordResetEmail,
+  sendEmailVerification,
+  GoogleAuthProvider,
+  signInWithPopup,
+  reauthenticateWithPopup,
+  linkWithCredential,
+  linkWithPopup
+} from 'firebase/auth';
+import { Star, Trash2, Search, Share2, Home, Hash, Zap, Send, User, Calendar, MapPin, Coffee, Brain, Sun, Sparkles, Pencil, History, RotateCcw, X, Download, Upload, Users, TrendingUp, Lightbulb, Settings, Cloud, CloudOff } from 'lucide-react';
+import { TOP_TERPENES, MAX_TERPENES, strainTypes, productTypes, EMPTY_FORM, revisionToReviewFields, buildReviewFields, validateReview } from './reviewModel';
+import { shouldShareReview, aggregatePopularStrains, summarizeCommunityStrain } from './community';
+import { findStrain, canonicalStrainId, splitStrainName, strainSuggestions, strainHistory } from './strainCatalog';
+import { EMPTY_DISPENSARY_FORM, dispensaryToForm, buildDispensaryFields, validateDispensary, dispensaryLabel, newDispensaryId, dispensaryStats, comparePrices } from './dispensaries';
+import { useRoute, PUBLIC_PAGES, readLogFilters, buildLogPath, buildPath, reviewPath, strainPath, dispensaryPath, safeRedirectPath } from './router';
+import { describeLlmError, isRetryableLlmError } from './llm';
+import { analyzeEffects, generateStrainName } from './aiTasks';
+import { LOG_SORTS, filterReviews, hasActiveFilters, distinctValues, topRatedReviews } from './reviewFilters';
+import { buildSearchIndex, searchReviews, highlightSegments, matchRanges } from './search';
+import { MIN_REVIEWS_FOR_RECOMMENDATIONS, recommendCommunityStrains, recommendRevisits } from './recommendations';
+import { DATE_RANGE_PRESETS, resolveDateRange, filterByDateRange, monthlySpend, ratingTrend, costPerStar, mixOverTime, terpeneCounts } from './analytics';
+import { PRIMARY_CANNABINOIDS, CANNABINOIDS, potencyFormUnit, buildPotency, potencyToForm, formatPotency, hasPotency } from './potency';
+import { LEGALITY_DATA_VERSION, LEGALITY_LAST_REVIEWED, LEGALITY_SOURCES, LEGAL_STATUSES, RECIPROCITY_LABELS, JURISDICTIONS, getJurisdiction, jurisdictionGroups, formatEffectiveDate, assessLegality, jurisdictionFromLocation, purchaseCountsByJurisdiction } from './legality';
+import { MIN_AGE, EMPTY_PROFILE_FORM, isOfLegalAge, profileToForm, validateProfile, validateNewPassword, validateFilterPreset, upsertFilterPreset } from './profile';
+import { describeAuthError, isAuthCancellation } from './authErrors';
+import { useOnlineStatus, settleWrite } from './offline';
+import { reviewsToCsv, reviewsToJson, downloadFile, parseImportFile, prepareImport } from './reviewTransfer';
+import { openFirestore, createFirestoreRepositories } from './data/firestoreRepositories';
+import { createMemoryRepositories } from './data/memoryRepositories';
+import { useReviews, usePagedReviews, useRevisions, useProfile, useDispensaries, useCommunityEntries, useStrainCatalog } from './data/hooks';
+import { needsQueryKeys } from './data/models';
+import { useWindowedList, useInfiniteScroll } from './windowing';
+
+// --- Global Variables (Mandatory for Canvas Environment) ---
+const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
+const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// --- End Global Variables ---
+
+// REACT_APP_DATA_BACKEND=memory runs the whole UI on in-memory data, without Firebase
+const USE_MEMORY_BACKEND = process.env.REACT_APP_DATA_BACKEND === 'memory';
+const LOCAL_USER_ID = 'local-user'; // The single user of an in-memory session
+
+const DASHBOARD_SEARCH_LIMIT = 10; // Quick search shows the best matches; the Log screen lists them all
+const ADD_DISPENSARY_OPTION = '__add'; // The log form's dispensary choice that opens the dispensary editor
+
+// Legality status badge colors
+const LEGALITY_STATUS_STYLES = {
+  'Recreational': { color: 'bg-teal-700', text: 'text-teal-200', fill: 'fill-teal-600' },
+  'Medicinal': { color: 'bg-orange-700', text: 'text-orange-200', fill: 'fill-orange-600' },
+  'Medicinal (Low THC)': { color: 'bg-yellow-800', text: 'text-yellow-200', fill: 'fill-yellow-600' },
+  'Illegal': { color: 'bg-red-900', text: 'text-red-300', fill: 'fill-red-800' },
+};
+const UNKNOWN_LEGALITY_STYLE = { color: 'bg-gray-700', text: 'text-gray-400', fill: 'fill-gray-600' };
+const JURISDICTION_GROUP_LABELS = { state: 'States', district: 'District', territory: 'Territories' };
+const US_STATES = jurisdictionGroups().flatMap(group => group.names);
+
+/**
+ * <option>s for every state, DC and territory, grouped by kind.
+ */
+const renderJurisdictionOptions = () => jurisdictionGroups().map(({ kind, names }) => (
+  <optgroup key={kind} label={JURISDICTION_GROUP_LABELS[kind]}>
+    {names.map(name => <option key={name} value={name}>{name}</option>)}
+  </optgroup>
+));
+
+
+// --- Components ---
+
+/**
+ * Renders a clickable 1-5 star rating selector.
+ */
+const StarRating = ({ rating, onRate, size = 'h-6 w-6', readOnly = false }) => {
+  return (
+    <div className="flex items-center space-x-1">
+      {[1, 2, 3, 4, 5].map((starValue) => (
+        <Star
+          key={starValue}
+          className={`transition-colors duration-200 ${size} ${readOnly ? '' : 'cursor-pointer'} ${
+            starValue <= rating
+              ? 'text-orange-400 fill-orange-400'
+              : 'text-gray-500 ' + (readOnly ? '' : 'hover:text-orange-300')
+          }`}
+          onClick={() => !readOnly && onRate(starValue)}
+          aria-label={`${starValue} star rating`}
+        />
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Renders a simple horizontal bar chart.
+ */
+const BarChart = ({ data, title, colorClass }) => {
+  const total = data.reduce((sum, item) => sum + item.count, 0);
+
+  if (total === 0) {
+    return (
+      <div className="text-center text-gray-500 italic p-4 border border-gray-700 rounded-lg">
+        No data logged to display chart.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2 p-2">
+      <h4 className="text-lg font-semibold text-gray-300 mb-3">{title}</h4>
+      {data.sort((a, b) => b.count - a.count).map((item) => (
+        <div key={item.label} className="flex items-center space-x-2">
+          <span className="w-1/4 text-sm text-gray-400 truncate">{item.label}</span>
+          <div className="flex-grow bg-gray-700 rounded-full h-4">
+            <div
+              className={`h-full rounded-full ${colorClass}`}
+              style={{ width: `${(item.count / total) * 100}%` }}
+            />
+          </div>
+          <span className="text-sm text-gray-300 font-medium">{item.count}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Renders a simple SVG line chart. Points with a null value are skipped.
+ */
+const LineChart = ({ data, title, strokeClass = 'stroke-teal-400', dotClass = 'fill-teal-400', formatValue = (value) => value, minValue = 0, maxValue }) => {
+  const points = data.map((item, index) => ({ ...item, index })).filter(item => item.value !== null);
+
+  if (points.length === 0) {
+    return (
+      <div className="text-center text-gray-500 italic p-4 border border-gray-700 rounded-lg">
+        No data logged to display chart.
+      </div>
+    );
+  }
+
+  const width = 600;
+  const height = 200;
+  const padX = 48;
+  const padY = 24;
+  const max = maxValue ?? Math.max(...points.map(p => p.value), minValue + 1);
+  const x = (index) => data.length === 1 ? width / 2 : padX + (index / (data.length - 1)) * (width - padX * 2);
+  const y = (value) => height - padY - ((value - minValue) / (max - minValue)) * (height - padY * 2);
+  const labelEvery = Math.ceil(data.length / 6); // Keep x-axis labels readable
+
+  return (
+    <div className="space-y-2 p-2">
+      <h4 className="text-lg font-semibold text-gray-300 mb-3">{title}</h4>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-48" role="img" aria-label={title}>
+        <line x1={padX} y1={height - padY} x2={width - padX} y2={height - padY} className="stroke-gray-600" />
+        <text x={padX - 8} y={y(max) + 4} textAnchor="end" fontSize="12" className="fill-gray-500">{formatValue(max)}</text>
+        <text x={padX - 8} y={y(minValue) + 4} textAnchor="end" fontSize="12" className="fill-gray-500">{formatValue(minValue)}</text>
+        <polyline
+          fill="none"
+          strokeWidth="3"
+          strokeLinejoin="round"
+          className={strokeClass}
+          points={points.map(p => `${x(p.index)},${y(p.value)}`).join(' ')}
+        />
+        {points.map(p => (
+          <circle key={p.label} cx={x(p.index)} cy={y(p.value)} r="4" className={dotClass}>
+            <title>{`${p.label}: ${formatValue(p.value)}`}</title>
+          </circle>
+        ))}
+        {data.map((item, index) => index % labelEvery === 0 && (
+          <text key={item.label} x={x(index)} y={height - 4} textAnchor="middle" fontSize="12" className="fill-gray-400">
+            {item.label}
+          </text>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+/**
+ * Renders horizontal stacked bars, one row per label, scaled to the largest row.
+ */
+const StackedBarChart = ({ data, keys, colors, title }) => {
+  const totals = data.map(item => Object.values(item.segments).reduce((sum, count) => sum + count, 0));
+  const maxTotal = Math.max(0, ...totals);
+
+  if (maxTotal === 0) {
+    return (
+      <div className="text-center text-gray-500 italic p-4 border border-gray-700 rounded-lg">
+        No data logged to display chart.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2 p-2">
+      <h4 className="text-lg font-semibold text-gray-300 mb-3">{title}</h4>
+      <div className="flex flex-wrap gap-3 mb-2 text-xs text-gray-400">
+        {keys.map(key => (
+          <span key={key} className="flex items-center">
+            <span className={`inline-block w-3 h-3 rounded-sm mr-1 ${colors[key] || 'bg-gray-500'}`} /> {key}
+          </span>
+        ))}
+      </div>
+      {data.map((item, index) => (
+        <div key={item.label} className="flex items-center space-x-2">
+          <span className="w-1/4 text-sm text-gray-400 truncate">{item.label}</span>
+          <div className="flex-grow bg-gray-700 rounded-full h-4 flex overflow-hidden">
+            {keys.filter(key => item.segments[key]).map(key => (
+              <div
+                key={key}
+                className={`h-full ${colors[key] || 'bg-gray-500'}`}
+                style={{ width: `${(item.segments[key] / maxTotal) * 100}%` }}
+                title={`${key}: ${item.segments[key]}`}
+              />
+            ))}
+          </div>
+          <span className="text-sm text-gray-300 font-medium">{totals[index]}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Tile-grid positions [column, row] for the legality map; territories sit on the bottom row
+const MAP_TILE_POSITIONS = {
+  AK: [0, 0], ME: [11, 0],
+  WI: [6, 1], VT: [10, 1], NH: [11, 1],
+  WA: [1, 2], ID: [2, 2], MT: [3, 2], ND: [4, 2], MN: [5, 2], IL: [6, 2], MI: [7, 2], NY: [9, 2], MA: [10, 2],
+  OR: [1, 3], NV: [2, 3], WY: [3, 3], SD: [4, 3], IA: [5, 3], IN: [6, 3], OH: [7, 3], PA: [8, 3], NJ: [9, 3], CT: [10, 3], RI: [11, 3],
+  CA: [1, 4], UT: [2, 4], CO: [3, 4], NE: [4, 4], MO: [5, 4], KY: [6, 4], WV: [7, 4], VA: [8, 4], MD: [9, 4], DE: [10, 4],
+  AZ: [2, 5], NM: [3, 5], KS: [4, 5], AR: [5, 5], TN: [6, 5], NC: [7, 5], SC: [8, 5], DC: [9, 5],
+  OK: [4, 6], LA: [5, 6], MS: [6, 6], AL: [7, 6], GA: [8, 6],
+  HI: [0, 7], TX: [4, 7], FL: [9, 7],
+  GU: [0, 8], MP: [1, 8], AS: [2, 8], PR: [9, 8], VI: [10, 8],
+};
+const MAP_TILE_SIZE = 40;
+const MAP_TILE_GAP = 4;
+
+/**
+ * Renders an SVG tile-grid map of US jurisdictions colored by legal status.
+ * Tiles are focusable buttons; hovering or focusing previews details, clicking or
+ * Enter/Space selects. `purchaseCounts` ({ [code]: count }) adds a marker per tile.
+ */
+const LegalityMap = ({ selected, onSelect, purchaseCounts = {} }) => {
+  const [previewCode, setPreviewCode] = useState(null);
+  const step = MAP_TILE_SIZE + MAP_TILE_GAP;
+  const preview = JURISDICTIONS.find(j => j.code === previewCode) || getJurisdiction(selected);
+  const previewCount = preview ? purchaseCounts[preview.code] || 0 : 0;
+
+  const handleKeyDown = (e, name) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onSelect(name);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <svg
+        viewBox={`0 0 ${12 * step} ${9 * step}`}
+        className="w-full max-w-2xl mx-auto"
+        role="group"
+        aria-label="Map of US cannabis legality by state and territory"
+      >
+        {JURISDICTIONS.filter(j => MAP_TILE_POSITIONS[j.code]).map(j => {
+          const [column, row] = MAP_TILE_POSITIONS[j.code];
+          const style = LEGALITY_STATUS_STYLES[j.status] || UNKNOWN_LEGALITY_STYLE;
+          const count = purchaseCounts[j.code] || 0;
+          const isSelected = j.name === selected;
+          const isPreviewed = j.code === previewCode;
+
+          return (
+            <g
+              key={j.code}
+              transform={`translate(${column * step}, ${row * step})`}
+              role="button"
+              tabIndex={0}
+              aria-pressed={isSelected}
+              aria-label={`${j.name}: ${j.status}${count > 0 ? `, ${count} logged purchase${count === 1 ? '' : 's'}` : ''}`}
+              onClick={() => onSelect(j.name)}
+              onKeyDown={(e) => handleKeyDown(e, j.name)}
+              onMouseEnter={() => setPreviewCode(j.code)}
+              onMouseLeave={() => setPreviewCode(null)}
+              onFocus={() => setPreviewCode(j.code)}
+              onBlur={() => setPreviewCode(null)}
+              className="cursor-pointer focus:outline-none"
+            >
+              <rect
+                width={MAP_TILE_SIZE}
+                height={MAP_TILE_SIZE}
+                rx="6"
+                className={`${style.fill} ${isSelected || isPreviewed ? 'stroke-white' : 'stroke-gray-900'} transition`}
+                strokeWidth={isSelected ? 3 : isPreviewed ? 2 : 1}
+              />
+              <text x={MAP_TILE_SIZE / 2} y={MAP_TILE_SIZE / 2 + 4} textAnchor="middle" className="fill-white text-xs font-bold pointer-events-none">
+                {j.code}
+              </text>
+              {count > 0 && (
+                <g className="pointer-events-none">
+                  <circle cx={MAP_TILE_SIZE - 6} cy="6" r="7" className="fill-fuchsia-400 stroke-gray-900" />
+                  <text x={MAP_TILE_SIZE - 6} y="9" textAnchor="middle" className="fill-gray-900 font-bold" style={{ fontSize: 8 }}>
+                    {count > 9 ? '9+' : count}
+                  </text>
+                </g>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+
+      <p className="text-sm text-center text-gray-300 min-h-[1.25rem]" aria-live="polite">
+        {preview && (
+          <>
+            <span className="font-semibold">{preview.name}</span>: {preview.status}
+            {preview.possession && ` · ${preview.possession}`}
+            {previewCount > 0 && ` · ${previewCount} logged purchase${previewCount === 1 ? '' : 's'}`}
+          </>
+        )}
+      </p>
+
+      <div className="flex flex-wrap justify-center gap-3 text-xs text-gray-400">
+        {LEGAL_STATUSES.map(status => (
+          <span key={status} className="flex items-center">
+            <span className={`inline-block w-3 h-3 rounded-sm mr-1 ${LEGALITY_STATUS_STYLES[status].color}`} /> {status}
+          </span>
+        ))}
+        {Object.keys(purchaseCounts).length > 0 && (
+          <span className="flex items-center">
+            <span className="inline-block w-3 h-3 rounded-full mr-1 bg-fuchsia-400" /> Your logged purchases
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const STRAIN_TYPE_COLORS = { Hybrid: 'bg-fuchsia-500', Indica: 'bg-teal-500', Sativa: 'bg-orange-500' };
+const PRODUCT_TYPE_COLORS = {
+  Flower: 'bg-teal-500', Edible: 'bg-orange-500', Concentrate: 'bg-fuchsia-500',
+  Vape: 'bg-sky-500', Tincture: 'bg-lime-500', Topical: 'bg-rose-500',
+};
+
+/**
+ * Email/password accounts must confirm their address before writing reviews. Guests,
+ * custom-token (canvas) and Google sign-ins have no unverified address to confirm.
+ */
+const isVerifiedOrExempt = (user) => user.emailVerified || !user.providerData.some(p => p.providerId === 'password');
+
+// Review writes are blocked until the email is verified
+const EMAIL_VERIFICATION_REQUIRED = 'Verify your email address before adding or changing reviews.';
+
+
+// --- Main Application Component ---
+
+/**
+ * A row of toggle buttons for a multi-select filter; `selected` lists the active options.
+ */
+const ToggleChips = ({ label, options, selected, onToggle }) => (
+  <fieldset>
+    <legend className="block text-sm font-medium text-gray-300 mb-1">{label}</legend>
+    <div className="flex flex-wrap gap-2">
+      {options.map(option => {
+        const isSelected = selected.includes(option);
+        return (
+          <button
+            key={option}
+            type="button"
+            onClick={() => onToggle(option)}
+            aria-pressed={isSelected}
+            className={`px-3 py-1 rounded-full text-xs font-semibold transition ${isSelected ? 'bg-fuchsia-700 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+          >
+            {option}
+          </button>
+        );
+      })}
+    </div>
+  </fieldset>
+);
+
+/**
+ * Text with search matches wrapped in <mark>; `ranges` come from searchReviews (see matchRanges).
+ */
+const HighlightedText = ({ text, ranges }) => (
+  <>
+    {highlightSegments(text, ranges).map((segment, index) => (segment.highlighted
+      ? <mark key={index} className="bg-orange-500/40 text-inherit rounded-sm">{segment.text}</mark>
+      : <React.Fragment key={index}>{segment.text}</React.Fragment>
+    ))}
+  </>
+);
+
+/**
+ * Renders only the items near the viewport (see useWindowedList) and calls `onLoadMore` as the end
+ * of the list scrolls into view. The Load More button covers browsers without IntersectionObserver.
+ */
+const WindowedList = ({ items, getKey, renderItem, hasMore, isLoadingMore, onLoadMore }) => {
+  const keys = items.map(getKey);
+  const { containerRef, start, end, paddingTop, paddingBottom, measure } = useWindowedList(keys);
+  const sentinelRef = useInfiniteScroll(onLoadMore, { enabled: hasMore && !isLoadingMore, itemCount: items.length });
+
+  return (
+    <div>
+      <div ref={containerRef} style={{ paddingTop, paddingBottom }}>
+        {items.slice(start, end).map((item, index) => (
+          <div key={keys[start + index]} ref={measure(keys[start + index])} className="pb-4">
+            {renderItem(item)}
+          </div>
+        ))}
+      </div>
+      <div ref={sentinelRef} />
+      {hasMore && (
+        <button
+          onClick={onLoadMore}
+          disabled={isLoadingMore}
+          className="w-full py-3 rounded-lg text-sm font-semibold text-teal-300 bg-gray-800 hover:bg-gray-700 transition disabled:opacity-50"
+        >
+          {isLoadingMore ? 'Loading...' : 'Load More'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * `repositories` (e.g. from createMemoryRepositories) replaces Firebase entirely:
+ * the app signs in a local user and never touches the network for data.
+ */
+const App = ({ repositories: localRepositories = null }) => {
+  const [repositories, setRepositories] = useState(null); // Data access (see src/data); Firestore unless running locally
+  const [auth, setAuth] = useState(null);
+  const [userId, setUserId] = useState(null);
+  const [isAuthReady, setIsAuthReady] = useState(false);
+  const [isEmailVerified, setIsEmailVerified] = useState(false); // Reviews stay read-only until the address is confirmed (see isVerifiedOrExempt)
+  const [isGuest, setIsGuest] = useState(false); // Anonymous session that can later be linked to a full account
+  const [isAuthenticated, setIsAuthenticated] = useState(false);
+  
+  // Strain Data
+  const { profile: userProfile, hasLoaded: hasLoadedProfile } = useProfile(repositories, userId);
+  const needsProfile = hasLoadedProfile && !userProfile; // Signed in (e.g. via Google) without a profile document yet
+  const strainCatalog = useStrainCatalog(repositories, userId); // Canonical strain names (see strainCatalog.js)
+  const communityEntries = useCommunityEntries(repositories, userId);
+  const popularStrains = useMemo( // Aggregated per catalog strain + brand and ranked
+    () => aggregatePopularStrains(communityEntries, new Date(), strainCatalog),
+    [communityEntries, strainCatalog]
+  );
+  const [analyzingReviewIds, setAnalyzingReviewIds] = useState([]); // AI analyses in flight
+  
+  // UI States
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const isOnline = useOnlineStatus();
+  const queuedAnalysisIds = useRef(new Set()); // Queued AI analyses already tried since the last reconnect
+  const backfilledUserId = useRef(null); // The user whose whole log was checked for missing query keys this session
+
+  // Routing: the URL is the source of truth for the current page and the Log filters
+  const { route, navigate } = useRoute();
+  const currentPage = route.page; // 'login', 'signup', 'home', 'log', 'community', 'analytics', 'settings', 'review', 'strain', 'dispensary'
+  const setCurrentPage = useCallback((page) => navigate(`/${page}`), [navigate]);
+
+  // Form State
+  const [form, setForm] = useState(EMPTY_FORM); // terpenes is an array for multi-select
+  const [editingReviewId, setEditingReviewId] = useState(null); // Set while the log form edits an existing review
+
+  // Dispensary States
+  const { dispensaries, hasLoaded: hasLoadedDispensaries } = useDispensaries(repositories, userId);
+  const dispensariesById = useMemo(() => new Map(dispensaries.map(d => [d.id, d])), [dispensaries]);
+  const [dispensaryEditor, setDispensaryEditor] = useState(null); // { dispensaryId } while editing one, { dispensaryId: null } while adding from the log form
+  const [dispensaryForm, setDispensaryForm] = useState(EMPTY_DISPENSARY_FORM);
+  const [dispensaryErrors, setDispensaryErrors] = useState([]);
+
+  // Revision History States
+  const [historyReviewId, setHistoryReviewId] = useState(null); // Review whose revisions panel is open
+  const revisions = useRevisions(repositories, userId, historyReviewId);
+  
+  // Auth Form State
+  const [authForm, setAuthForm] = useState({
+    email: '',
+    password: '',
+    name: '',
+    dob: '', // Date of Birth YYYY-MM-DD
+    state: US_STATES[0] || 'Florida',
+  });
+  
+  const [authNotice, setAuthNotice] = useState(null); // Non-error feedback on the auth screens, e.g. "reset email sent"
+
+  // Settings States
+  const [profileForm, setProfileForm] = useState(EMPTY_PROFILE_FORM);
+  const [accountForm, setAccountForm] = useState({ currentPassword: '', newEmail: '', newPassword: '', confirmPassword: '', deleteConfirmation: '' });
+  const [settingsMessage, setSettingsMessage] = useState(null); // { type: 'success' | 'error', text }
+  const [isDeletingAccount, setIsDeletingAccount] = useState(false);
+
+  // LLM States
+  const [aiNameLoading, setAiNameLoading] = useState(false);
+  const [aiNameSuggestions, setAiNameSuggestions] = useState(null);
+
+  // Filter/Search States
+  // Log filters and the dashboard search round-trip through the query string (/log?type=Indica,Sativa&minRating=4)
+  const logFilters = useMemo(
+    () => readLogFilters(currentPage === 'log' ? route.query : {}),
+    [currentPage, route.query]
+  );
+  const { searchTerm, logSort } = logFilters;
+  const logQuery = useMemo(() => {
+    const { searchTerm: ignoredSearchTerm, logSort: sort, ...filters } = logFilters;
+    return { filters, sort }; // Everything but free text, see EMPTY_LOG_FILTERS
+  }, [logFilters]);
+  const logFilterValues = logQuery.filters;
+  const dashboardSearchTerm = currentPage === 'home' ? (route.query.q || '') : '';
+
+  // Filter edits replace the history entry so typing doesn't flood the back button
+  const updateLogFilters = (changes) => navigate(buildLogPath({ ...logFilters, ...changes }), { replace: currentPage === 'log' });
+  const setSearchTerm = (value) => updateLogFilters({ searchTerm: value });
+  const setLogFilter = (key, value) => updateLogFilters({ [key]: value });
+  const toggleLogFilter = (key, option) => {
+    const selected = logFilterValues[key];
+    setLogFilter(key, selected.includes(option) ? selected.filter(value => value !== option) : [...selected, option]);
+  };
+  const setLogSort = (value) => updateLogFilters({ logSort: value });
+  const hasLogFilters = Boolean(searchTerm) || hasActiveFilters(logFilterValues);
+  const [presetName, setPresetName] = useState('');
+  const [presetMessage, setPresetMessage] = useState(null); // Problems saving or deleting a filter preset
+  const setDashboardSearchTerm = (value) => navigate(buildPath('/home', { q: value }), { replace: true });
+  const [exportScope, setExportScope] = useState('filtered'); // 'filtered' or 'all'
+
+  // Reviews: other pages aggregate the whole log, so it streams everywhere but the Log screen, which
+  // pages through a query the backend filters and sorts. `reviews` is whichever of the two is loaded.
+  // hasLoadedReviews avoids a "not found" flash on /review/:id; pendingDeletionIds are reviews deleted offline, cascaded once back online
+  const isLogPage = currentPage === 'log';
+  const fullLog = useReviews(repositories, isLogPage ? null : userId);
+  const logPage = usePagedReviews(repositories, isLogPage ? userId : null, logQuery);
+  const { reviews, pendingDeletionIds } = isLogPage ? logPage : fullLog;
+  const hasLoadedReviews = fullLog.hasLoaded;
+
+  // Strain/brand/location autocomplete keeps every value seen this session, since the Log screen only loads some pages
+  const [fieldSuggestions, setFieldSuggestions] = useState({ strain: [], brand: [], location: [] });
+  const [transferMessage, setTransferMessage] = useState(null); // Export/import feedback shown by the toolbar
+
+  // Import States
+  const [importPreview, setImportPreview] = useState(null); // { fileName, rows } from prepareImport
+  const [importShareHighRatings, setImportShareHighRatings] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [selectedState, setSelectedState] = useState('Florida');
+  const [communitySort, setCommunitySort] = useState('rank'); // 'rank', 'rating', 'raters', 'recent'
+  const [communityProductType, setCommunityProductType] = useState('');
+  const [analyticsRange, setAnalyticsRange] = useState('12m'); // A DATE_RANGE_PRESETS value
+  const [analyticsFrom, setAnalyticsFrom] = useState(''); // YYYY-MM-DD, used when analyticsRange is 'custom'
+  const [analyticsTo, setAnalyticsTo] = useState('');
+
+
+
+  // --- 1. Firebase Initialization and Authentication ---
+  useEffect(() => {
+    if (localRepositories || USE_MEMORY_BACKEND) {
+      // Local session: one always-verified user, data kept in memory
+      setRepositories(localRepositories || createMemoryRepositories());
+      setUserId(LOCAL_USER_ID);
+      setIsAuthenticated(true);
+      setIsEmailVerified(true);
+      setIsAuthReady(true);
+      setIsLoading(false);
+      return;
+    }
+
+    if (!firebaseConfig) {
+      setError('Firebase configuration is missing.');
+      setIsLoading(false);
+      return;
+    }
+
+    try {
+      const app = initializeApp(firebaseConfig);
+      const newAuth = getAuth(app);
+
+      setAuth(newAuth);
+      setRepositories(createFirestoreRepositories({ db: openFirestore(app), appId }));
+
+      // The canvas environment hands us a token; until that sign-in settles, a signed-out state is not final
+      let isTokenSignInPending = Boolean(initialAuthToken);
+
+      const unsubscribe = onAuthStateChanged(newAuth, async (user) => {
+        if (user) {
+          setUserId(user.uid);
+          setIsAuthenticated(true);
+          setIsEmailVerified(isVerifiedOrExempt(user));
+          setIsGuest(user.isAnonymous);
+        } else {
+          if (isTokenSignInPending) return;
+          setUserId(null);
+          setIsAuthenticated(false);
+          setIsEmailVerified(false);
+          setIsGuest(false);
+        }
+        setIsAuthReady(true);
+        setIsLoading(false);
+      });
+
+      if (initialAuthToken) {
+        signInWithCustomToken(newAuth, initialAuthToken)
+          .catch((e) => {
+            console.error('Custom token sign in error:', e);
+            setError(describeAuthError(e, 'Automatic sign-in failed. Log in instead.'));
+          })
+          .finally(() => {
+            isTokenSignInPending = false;
+            if (!newAuth.currentUser) {
+              setIsAuthReady(true);
+              setIsLoading(false);
+            }
+          });
+      }
+
+      return () => unsubscribe();
+    } catch (e) {
+      console.error('Firebase initialization error:', e);
+      setError('Failed to initialize the app.');
+      setIsLoading(false);
+    }
+  }, [localRepositories]);
+  
+  // --- 1b. Route Protection ---
+  // Signed-out visitors to a protected route go to /login?next=..., and come back after signing in
+  useEffect(() => {
+    if (!isAuthReady) return;
+
+    const isPublicPage = PUBLIC_PAGES.includes(currentPage);
+    if (isAuthenticated && isPublicPage) {
+      navigate(safeRedirectPath(route.query.next), { replace: true });
+    } else if (!isAuthenticated && !isPublicPage) {
+      const requestedPath = `${window.location.pathname}${window.location.search}`;
+      navigate(buildPath('/login', { next: requestedPath }), { replace: true });
+    }
+  }, [isAuthReady, isAuthenticated, currentPage, route.query.next, navigate]);
+
+  // --- 2. User Profile Email Sync ---
+  // Email changes take effect in Auth once verified; mirror them into the profile
+  const profileEmail = userProfile?.email;
+  const authEmail = auth?.currentUser?.email;
+  useEffect(() => {
+    if (!repositories || !userId || !userProfile || !authEmail || profileEmail === authEmail) return;
+    repositories.profile.update(userId, { email: authEmail }).catch(e => console.error('Profile email sync error:', e));
+  }, [repositories, userId, userProfile, profileEmail, authEmail]);
+
+  // Default the legality lookup to the user's home state once the profile loads
+  const profileState = userProfile?.state;
+  useEffect(() => {
+    if (getJurisdiction(profileState)) setSelectedState(profileState);
+  }, [profileState]);
+
+  // Keep the settings form in step with the stored profile
+  useEffect(() => {
+    setProfileForm(profileToForm(userProfile));
+  }, [userProfile]);
+
+  useEffect(() => {
+    setFieldSuggestions({ strain: [], brand: [], location: [] });
+  }, [userId]);
+
+  useEffect(() => {
+    setFieldSuggestions(previous => ({
+      strain: distinctValues(reviews, 'strain', previous.strain),
+      brand: distinctValues(reviews, 'brand', previous.brand),
+      location: distinctValues(reviews, 'location', previous.location),
+    }));
+  }, [reviews]);
+
+  // --- Filtering and Searching Logic ---
+  // On the Log screen the backend narrows the query as far as its indexes allow; every filter is
+  // re-applied to the loaded pages here. The dashboard quick search and the Log search box share one index.
+  const searchableReviews = useMemo(
+    () => (isLogPage ? filterReviews(reviews, logQuery.filters) : reviews),
+    [isLogPage, reviews, logQuery]
+  );
+  const searchIndex = useMemo(() => buildSearchIndex(searchableReviews), [searchableReviews]);
+  const activeSearchTerm = currentPage === 'home' ? dashboardSearchTerm : searchTerm;
+  const searchResults = useMemo(() => searchReviews(searchIndex, activeSearchTerm), [searchIndex, activeSearchTerm]);
+  const searchMatches = useMemo(() => new Map(searchResults.map(result => [result.review.id, result.matches])), [searchResults]);
+
+  const filteredReviews = useMemo(() => {
+    const matchingReviews = searchResults.map(result => result.review);
+    return currentPage === 'home' ? topRatedReviews(matchingReviews) : matchingReviews;
+  }, [searchResults, currentPage]);
+
+  const getProductTypeData = useCallback((reviewList) => {
+      const counts = reviewList.reduce((acc, review) => {
+          const type = review.productType || 'Unknown';
+          acc[type] = (acc[type] || 0) + 1;
+          return acc;
+      }, {});
+      return Object.entries(counts).map(([label, count]) => ({ label, count }));
+  }, []);
+
+  const topRatedProductTypeData = useMemo(() => {
+    return getProductTypeData(reviews.filter(r => r.rating >= 4));
+  }, [reviews, getProductTypeData]);
+
+  const popularProductTypeData = useMemo(() => {
+      return getProductTypeData(popularStrains);
+  }, [popularStrains, getProductTypeData]);
+
+  const analyticsData = useMemo(() => {
+      const rangeReviews = filterByDateRange(reviews, resolveDateRange(analyticsRange, analyticsFrom, analyticsTo));
+      const chronological = [...rangeReviews].sort((a, b) => a.timestamp - b.timestamp);
+      const withCost = rangeReviews.filter(r => r.cost > 0);
+      const presentKeys = (keys, field) => keys.concat('Unknown').filter(key =>
+          rangeReviews.some(r => (r[field] || 'Unknown') === key)
+      );
+
+      return {
+          count: rangeReviews.length,
+          totalSpend: withCost.reduce((sum, r) => sum + r.cost, 0),
+          averageCost: withCost.length > 0 ? withCost.reduce((sum, r) => sum + r.cost, 0) / withCost.length : 0,
+          averageRating: rangeReviews.length > 0 ? rangeReviews.reduce((sum, r) => sum + r.rating, 0) / rangeReviews.length : 0,
+          spend: monthlySpend(chronological),
+          ratings: ratingTrend(chronological),
+          brandValue: costPerStar(rangeReviews, 'brand'),
+          locationValue: costPerStar(rangeReviews, 'location'),
+          typeMix: mixOverTime(chronological, 'type'),
+          typeKeys: presentKeys(strainTypes, 'type'),
+          productMix: mixOverTime(chronological, 'productType'),
+          productKeys: presentKeys(productTypes, 'productType'),
+          terpenes: terpeneCounts(rangeReviews),
+      };
+  }, [reviews, analyticsRange, analyticsFrom, analyticsTo]);
+
+  const recommendations = useMemo(() => ({
+      community: recommendCommunityStrains(popularStrains, reviews, { catalog: strainCatalog }),
+      revisits: recommendRevisits(reviews, { catalog: strainCatalog }),
+  }), [popularStrains, reviews, strainCatalog]);
+
+  // The log form's autocomplete: catalog names plus strains logged under names the catalog lacks
+  const strainNameSuggestions = useMemo(
+    () => strainSuggestions(strainCatalog, fieldSuggestions.strain),
+    [strainCatalog, fieldSuggestions.strain]
+  );
+  const formCatalogStrain = findStrain(strainCatalog, form.strain); // Catalog entry the typed strain name resolves to
+
+  // The strain page merges every session and community rating whose name resolves to the strain id
+  const strainDetail = useMemo(() => {
+    if (currentPage !== 'strain') return null;
+    const strainId = route.params.id;
+    return {
+      strainId,
+      catalogStrain: strainCatalog.byId.get(strainId) || null,
+      history: strainHistory(strainCatalog, strainId, reviews),
+      community: summarizeCommunityStrain(communityEntries, strainId, strainCatalog),
+      communityByBrand: popularStrains.filter(s => s.strainId === strainId),
+    };
+  }, [currentPage, route.params.id, strainCatalog, reviews, communityEntries, popularStrains]);
+
+  // Prices of the same strain, brand and product type at different dispensaries, for the strain and dispensary pages
+  const priceComparison = useMemo(
+    () => (currentPage === 'strain' || currentPage === 'dispensary' ? comparePrices(reviews, dispensaries, strainCatalog) : []),
+    [currentPage, reviews, dispensaries, strainCatalog]
+  );
+
+  const dispensaryDetail = useMemo(() => {
+    if (currentPage !== 'dispensary') return null;
+    const dispensaryId = route.params.id;
+    return {
+      dispensary: dispensariesById.get(dispensaryId) || null,
+      stats: dispensaryStats(reviews, dispensaryId),
+      comparisons: priceComparison.filter(row => row.prices.some(price => price.dispensary.id === dispensaryId)),
+    };
+  }, [currentPage, route.params.id, dispensariesById, reviews, priceComparison]);
+
+  const sortedCommunityStrains = useMemo(() => {
+      const strains = communityProductType
+          ? popularStrains.filter(s => s.productType === communityProductType)
+          : popularStrains;
+
+      const comparators = {
+          rank: (a, b) => b.score - a.score,
+          rating: (a, b) => b.averageRating - a.averageRating || b.raterCount - a.raterCount,
+          raters: (a, b) => b.raterCount - a.raterCount || b.averageRating - a.averageRating,
+          recent: (a, b) => (b.lastRatedAt || 0) - (a.lastRatedAt || 0),
+      };
+      return [...strains].sort(comparators[communitySort] || comparators.rank);
+  }, [popularStrains, communitySort, communityProductType]);
+
+  // Warns when the product being logged is restricted in the user's home state
+  const legalityWarnings = useMemo(() => assessLegality(getJurisdiction(profileState), {
+      productType: form.productType,
+      potency: buildPotency(form.potency, form.productType),
+  }), [profileState, form.productType, form.potency]);
+
+  // Reviews per state (linked dispensaries, else matched from free-text locations) for the legality map overlay.
+  // The log form shows where its typed location will be counted so a wrong guess can be corrected
+  const locationJurisdiction = useMemo(() => jurisdictionFromLocation(form.location), [form.location]);
+  const purchaseCounts = useMemo(() => purchaseCountsByJurisdiction(reviews, dispensariesById), [reviews, dispensariesById]);
+
+  const pendingSyncCount = useMemo(
+    () => reviews.filter(r => r.hasPendingWrites).length + pendingDeletionIds.length,
+    [reviews, pendingDeletionIds]
+  );
+
+  // --- Handlers ---
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    // A new review whose strain resolves to a different catalog entry takes that strain's default type
+    const catalogStrain = name === 'strain' && !editingReviewId ? findStrain(strainCatalog, value) : null;
+    setForm((prev) => {
+      if (catalogStrain && catalogStrain.type && catalogStrain !== findStrain(strainCatalog, prev.strain)) {
+        return { ...prev, strain: value, type: catalogStrain.type };
+      }
+      // The stored unit belonged to the old product type
+      if (name === 'productType') return { ...prev, productType: value, potency: { ...prev.potency, unit: '' } };
+      if (name === 'location') return { ...prev, location: value, dispensaryId: '' }; // Typed text no longer names a saved dispensary
+      return { ...prev, [name]: value };
+    });
+    setAiNameSuggestions(null); // Clear AI suggestions on manual input
+  };
+
+  const handlePotencyChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, potency: { ...prev.potency, [name]: value } }));
+  };
+  
+  const handleTerpeneChange = (e) => {
+    const { options } = e.target;
+    const selectedTerpenes = [];
+    for (let i = 0; i < options.length; i++) {
+      if (options[i].selected) {
+        selectedTerpenes.push(options[i].value);
+      }
+    }
+
+    if (selectedTerpenes.length > MAX_TERPENES) {
+      setError('You can select a maximum of 3 terpenes.');
+      // Keep previous state if validation fails
+      return; 
+    }
+    setError(null);
+    setForm((prev) => ({ ...prev, terpenes: selectedTerpenes }));
+  };
+
+  const handleRatingChange = (newRating) => {
+    setForm((prev) => ({ ...prev, rating: newRating }));
+  };
+  
+  const handleAuthChange = (e) => {
+      const { name, value } = e.target;
+      setAuthForm(prev => ({ ...prev, [name]: value }));
+  }
+  
+  const handleSignOut = async () => {
+    if (auth) {
+        try {
+            await signOut(auth);
+            setCurrentPage('login');
+        } catch (e) {
+            console.error('Sign out error:', e);
+            setError('Failed to sign out.');
+        }
+    }
+  };
+  
+  const handleSignUp = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSaving(true);
+    
+    const { email, password, name, dob, state } = authForm;
+
+    // Age Verification (21+)
+    if (!isOfLegalAge(dob)) {
+        setError(`You must be ${MIN_AGE} years or older to use this application.`);
+        setIsSaving(false);
+        return;
+    }
+
+    try {
+        // 1. Create User
+        const userCredential = await createUserWithEmailAndPassword(auth, email, password);
+        const uid = userCredential.user.uid;
+        
+        // 2. Create User Profile
+        if (repositories) {
+            await repositories.profile.create(uid, {
+                name: name,
+                state: state,
+                dob: dob,
+                email: email,
+            });
+        }
+
+        // 3. Ask the user to confirm their address; the log stays read-only until they do
+        await sendEmailVerification(userCredential.user);
+        
+        setAuthForm({ email: '', password: '', name: '', dob: '', state: US_STATES[0] || 'Florida' });
+        // Route protection sends the new user on to the dashboard (or the page they asked for)
+
+    } catch (e) {
+        console.error('Sign up error:', e);
+        setError(describeAuthError(e, 'Sign up failed. Please check your email and password.'));
+    } finally {
+        setIsSaving(false);
+    }
+  };
+
+  const handleSignIn = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSaving(true);
+    
+    setAuthNotice(null);
+    const { email, password } = authForm;
+    
+    try {
+        await signInWithEmailAndPassword(auth, email, password);
+        setAuthForm({ ...authForm, password: '' }); // Clear password
+        // Route protection redirects to ?next= or the dashboard once auth state updates
+    } catch (e) {
+        console.error('Sign in error:', e);
+        setError(describeAuthError(e, 'Login failed. Check your email and password.'));
+    } finally {
+        setIsSaving(false);
+    }
+  };
+
+  const handleForgotPassword = async () => {
+    setError(null);
+    setAuthNotice(null);
+    if (!authForm.email.trim()) {
+        setError('Enter your email address above, then choose "Forgot password?".');
+        return;
+    }
+
+    try {
+        await sendPasswordResetEmail(auth, authForm.email.trim());
+        // Firebase does not reveal whether the account exists, so neither do we
+        setAuthNotice(`If an account exists for ${authForm.email.trim()}, a password reset link is on its way.`);
+    } catch (e) {
+        console.error('Password reset error:', e);
+        setError(describeAuthError(e, 'Could not send the reset email. Try again.'));
+    }
+  };
+
+  const handleGoogleSignIn = async () => {
+    setError(null);
+    setAuthNotice(null);
+    setIsSaving(true);
+    try {
+        await signInWithPopup(auth, new GoogleAuthProvider());
+        // New Google users are asked for the rest of their profile before entering the app
+    } catch (e) {
+        if (!isAuthCancellation(e)) {
+            console.error('Google sign in error:', e);
+            setError(describeAuthError(e, 'Google sign-in failed. Try again.'));
+        }
+    } finally {
+        setIsSaving(false);
+    }
+  };
+
+  const handleGuestSignIn = async () => {
+    setError(null);
+    setAuthNotice(null);
+    setIsSaving(true);
+    try {
+        await signInAnonymously(auth);
+        // Guests still pass the age check on the complete-profile screen
+    } catch (e) {
+        console.error('Guest sign in error:', e);
+        setError(describeAuthError(e, 'Guest mode is unavailable right now.'));
+    } finally {
+        setIsSaving(false);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+        await sendEmailVerification(auth.currentUser);
+        setAuthNotice(`Verification email sent to ${auth.currentUser.email}.`);
+    } catch (e) {
+        console.error('Verification email error:', e);
+        setError(describeAuthError(e, 'Could not send the verification email.'));
+    }
+  };
+
+  const handleCheckVerification = async () => {
+    try {
+        await auth.currentUser.reload();
+        if (auth.currentUser.emailVerified) {
+            await auth.currentUser.getIdToken(true); // Refresh the token so security rules see the verified claim
+            setIsEmailVerified(true);
+            setAuthNotice(null);
+        } else {
+            setAuthNotice('Your email is not verified yet. Open the link in the email we sent you.');
+        }
+    } catch (e) {
+        console.error('Verification check error:', e);
+        setError(describeAuthError(e));
+    }
+  };
+
+  /**
+   * Creates the profile for accounts that signed in without going through sign up (e.g. Google).
+   */
+  const handleCompleteProfile = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const validationErrors = validateProfile(profileForm);
+    if (validationErrors.length > 0) {
+        setError(validationErrors.join(' '));
+        return;
+    }
+
+    setIsSaving(true);
+    try {
+        await repositories.profile.create(userId, {
+            name: profileForm.name.trim(),
+            state: profileForm.state,
+            dob: profileForm.dob,
+            email: auth?.currentUser?.email || null, // Guests, custom-token and local sessions have no email yet
+        });
+    } catch (e) {
+        console.error('Profile creation error:', e);
+        setError('Failed to save your profile.');
+    } finally {
+        setIsSaving(false);
+    }
+  };
+
+
+  const reportSyncFailure = () => setError('A change made while offline could not be synced. Check your log and try again.');
+
+  // --- Settings Handlers ---
+
+  const handleProfileFormChange = (e) => {
+    const { name, value } = e.target;
+    setProfileForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAccountFormChange = (e) => {
+    const { name, value } = e.target;
+    setAccountForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSaveProfile = async (e) => {
+    e.preventDefault();
+    setSettingsMessage(null);
+
+    const validationErrors = validateProfile(profileForm);
+    if (validationErrors.length > 0) {
+      setSettingsMessage({ type: 'error', text: validationErrors.join(' ') });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await repositories.profile.update(userId, {
+        name: profileForm.name.trim(),
+        state: profileForm.state,
+        dob: profileForm.dob,
+        updatedAt: new Date(),
+      });
+      setSettingsMessage({ type: 'success', text: 'Profile saved.' });
+    } catch (e) {
+      console.error('Profile update error:', e);
+      setSettingsMessage({ type: 'error', text: 'Failed to save your profile.' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // The sign-in methods linked to the current account, which decide how it re-authenticates
+  const hasSignInProvider = (providerId) => Boolean(auth && auth.currentUser && auth.currentUser.providerData.some(p => p.providerId === providerId));
+  const hasPasswordSignIn = hasSignInProvider('password');
+  const hasGoogleSignIn = hasSignInProvider('google.com');
+
+  /**
+   * Sensitive Auth operations require a recent sign-in, so confirm it first. Password accounts
+   * re-enter their password, Google accounts go through the popup, and guests or custom-token
+   * sessions have nothing to re-enter.
+   */
+  const reauthenticate = async () => {
+    const user = auth.currentUser;
+    if (hasPasswordSignIn) {
+      const credential = EmailAuthProvider.credential(user.email, accountForm.currentPassword);
+      await reauthenticateWithCredential(user, credential);
+    } else if (hasGoogleSignIn) {
+      await reauthenticateWithPopup(user, new GoogleAuthProvider());
+    }
+    return user;
+  };
+
+  /**
+   * Links a guest session to email/password. The uid is unchanged, so the guest's reviews carry over.
+   */
+  const handleUpgradeAccount = async (e) => {
+    e.preventDefault();
+    setSettingsMessage(null);
+
+    const passwordError = validateNewPassword(accountForm.newPassword, accountForm.confirmPassword);
+    if (passwordError) {
+      setSettingsMessage({ type: 'error', text: passwordError });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const email = accountForm.newEmail.trim();
+      const { user } = await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, accountForm.newPassword));
+      await repositories.profile.update(userId, { email });
+      await sendEmailVerification(user);
+      setIsGuest(false);
+      setIsEmailVerified(isVerifiedOrExempt(user));
+      setAccountForm(prev => ({ ...prev, newEmail: '', newPassword: '', confirmPassword: '' }));
+      setSettingsMessage({ type: 'success', text: `Account created. Confirm ${email} from the link we sent to keep logging.` });
+    } catch (e) {
+      console.error('Account upgrade error:', e);
+      setSettingsMessage({ type: 'error', text: describeAuthError(e) });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleUpgradeWithGoogle = async () => {
+    setSettingsMessage(null);
+    setIsSaving(true);
+    try {
+      const { user } = await linkWithPopup(auth.currentUser, new GoogleAuthProvider());
+      await repositories.profile.update(userId, { email: user.email });
+      setIsGuest(false);
+      setIsEmailVerified(isVerifiedOrExempt(user));
+      setSettingsMessage({ type: 'success', text: 'Your guest log is now saved to your Google account.' });
+    } catch (e) {
+      if (!isAuthCancellation(e)) {
+        console.error('Google link error:', e);
+        setSettingsMessage({ type: 'error', text: describeAuthError(e) });
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleChangeEmail = async (e) => {
+    e.preventDefault();
+    setSettingsMessage(null);
+    setIsSaving(true);
+    try {
+      const user = await reauthenticate();
+      await verifyBeforeUpdateEmail(user, accountForm.newEmail.trim());
+      setAccountForm(prev => ({ ...prev, currentPassword: '', newEmail: '' }));
+      setSettingsMessage({ type: 'success', text: 'Check your new inbox: the change takes effect once you confirm it.' });
+    } catch (e) {
+      console.error('Email change error:', e);
+      setSettingsMessage({ type: 'error', text: describeAuthError(e) });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setSettingsMessage(null);
+
+    const passwordError = validateNewPassword(accountForm.newPassword, accountForm.confirmPassword);
+    if (passwordError) {
+      setSettingsMessage({ type: 'error', text: passwordError });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const user = await reauthenticate();
+      await updatePassword(user, accountForm.newPassword);
+      setAccountForm(prev => ({ ...prev, currentPassword: '', newPassword: '', confirmPassword: '' }));
+      setSettingsMessage({ type: 'success', text: 'Password updated.' });
+    } catch (e) {
+      console.error('Password change error:', e);
+      setSettingsMessage({ type: 'error', text: describeAuthError(e) });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Deletes every document the user owns (reviews with their revisions, community
+   * contributions and the profile), then the Auth account itself.
+   */
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    setSettingsMessage(null);
+
+    if (accountForm.deleteConfirmation !== 'DELETE') {
+      setSettingsMessage({ type: 'error', text: 'Type DELETE to confirm account deletion.' });
+      return;
+    }
+
+    setIsDeletingAccount(true);
+    try {
+      const user = await reauthenticate();
+      await repositories.deleteUserData(user.uid);
+      await deleteUser(user);
+      setAccountForm({ currentPassword: '', newEmail: '', newPassword: '', confirmPassword: '', deleteConfirmation: '' });
+      // The auth listener signs the app out and route protection returns to /login
+    } catch (e) {
+      console.error('Account deletion error:', e);
+      setSettingsMessage({ type: 'error', text: describeAuthError(e) });
+    } finally {
+      setIsDeletingAccount(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSaving(true);
+
+    if (!repositories || !userId) {
+      setError('Database is not ready. Please try again.');
+      setIsSaving(false);
+      return;
+    }
+    if (!isEmailVerified) {
+      setError(EMAIL_VERIFICATION_REQUIRED);
+      setIsSaving(false);
+      return;
+    }
+
+    try {
+      const reviewFields = buildReviewFields(form);
+
+      const validationErrors = validateReview(reviewFields);
+      if (validationErrors.length > 0) {
+        setError(validationErrors.join(' '));
+        setIsSaving(false);
+        return;
+      }
+
+      if (editingReviewId) {
+          const previousReview = reviews.find(r => r.id === editingReviewId);
+          if (!previousReview) {
+              setError('This review no longer exists.');
+              setIsSaving(false);
+              return;
+          }
+
+          // The old version goes into history; an edit that lifts the rating to 4+ shares it publicly, same as a new high rating
+          const share = shouldShareReview(reviewFields.rating, previousReview.rating);
+          // The analysis describes the old effects notes, so rewritten notes drop it until analyzed again
+          const effectsChanged = reviewFields.effects !== (previousReview.effects || '').trim();
+          const fields = effectsChanged ? { ...reviewFields, analysis: null, aiEffects: null } : reviewFields;
+          await settleWrite(repositories.reviews.update(userId, previousReview, fields, { share }), reportSyncFailure);
+      } else {
+          // Saved to the private log; a high rating also goes to the Public Popular Strains log.
+          // Offline, the write waits in the persistent cache and syncs on reconnect
+          const share = shouldShareReview(reviewFields.rating);
+          await settleWrite(repositories.reviews.create(userId, reviewFields, { share }), reportSyncFailure);
+      }
+
+      // Reset form
+      setForm(EMPTY_FORM);
+      setEditingReviewId(null);
+      setAiNameSuggestions(null);
+      if (currentPage !== 'log') setCurrentPage('log'); // Switch to log/history screen, keeping any active filters
+
+    } catch (e) {
+      console.error('Error saving document: ', e);
+      setError('Failed to save your review.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleEdit = (review) => {
+    setForm({
+      strain: review.strain || '',
+      location: review.location || '',
+      dispensaryId: review.dispensaryId || '',
+      cost: review.cost > 0 ? String(review.cost) : '',
+      effects: review.effects || '',
+      rating: review.rating || 0,
+      potency: potencyToForm(review.potency),
+      flavor: review.flavor || '',
+      brand: review.brand || '',
+      type: review.type || 'Hybrid',
+      productType: review.productType || 'Flower',
+      terpenes: review.terpenes || [],
+    });
+    setEditingReviewId(review.id);
+    setAiNameSuggestions(null);
+    setError(null);
+    if (currentPage !== 'log') setCurrentPage('log'); // The form lives on the Log screen
+    window.scrollTo({ top: 0, behavior: 'smooth' }); // The log form sits at the top of the screen
+  };
+
+  // Opens the log form for a new session of a strain, e.g. from its strain page
+  const handleLogStrain = (name, type) => {
+    setForm({ ...EMPTY_FORM, strain: name, type: type || EMPTY_FORM.type });
+    setEditingReviewId(null);
+    setAiNameSuggestions(null);
+    setError(null);
+    setCurrentPage('log');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  // --- Dispensary Handlers ---
+
+  // Opens the dispensary editor for `dispensary`, or for a new one (defaulting to the home state)
+  const openDispensaryEditor = (dispensary = null) => {
+    setDispensaryForm(dispensary ? dispensaryToForm(dispensary) : { ...EMPTY_DISPENSARY_FORM, state: getJurisdiction(profileState) ? profileState : '' });
+    setDispensaryErrors([]);
+    setDispensaryEditor({ dispensaryId: dispensary ? dispensary.id : null });
+  };
+
+  const handleDispensaryFormChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setDispensaryForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleDispensarySelect = (e) => {
+    const { value } = e.target;
+    if (value === ADD_DISPENSARY_OPTION) {
+      openDispensaryEditor();
+      return;
+    }
+    const dispensary = dispensariesById.get(value);
+    setForm(prev => (dispensary
+      ? { ...prev, dispensaryId: dispensary.id, location: dispensaryLabel(dispensary) }
+      : { ...prev, dispensaryId: '' }));
+  };
+
+  // Saves the editor; a dispensary added from the log form is selected for the review being logged.
+  // Reviews keep the location text they were saved with when a dispensary is renamed.
+  const handleSaveDispensary = async () => {
+    if (!repositories || !userId) {
+      setDispensaryErrors(['Database is not ready. Please try again.']);
+      return;
+    }
+    if (!isEmailVerified) {
+      setDispensaryErrors([EMAIL_VERIFICATION_REQUIRED]);
+      return;
+    }
+    const editingId = dispensaryEditor && dispensaryEditor.dispensaryId;
+    const problems = validateDispensary(dispensaryForm, dispensaries, editingId);
+    if (problems.length > 0) {
+      setDispensaryErrors(problems);
+      return;
+    }
+
+    const fields = buildDispensaryFields(dispensaryForm);
+    try {
+      if (editingId) {
+        await settleWrite(repositories.dispensaries.update(userId, editingId, fields), reportSyncFailure);
+      } else {
+        const dispensaryId = newDispensaryId(fields, dispensaries);
+        await settleWrite(repositories.dispensaries.create(userId, dispensaryId, fields), reportSyncFailure);
+        setForm(prev => ({ ...prev, dispensaryId, location: dispensaryLabel(fields) }));
+      }
+      setDispensaryEditor(null);
+    } catch (e) {
+      console.error('Error saving dispensary: ', e);
+      setDispensaryErrors(['Failed to save the dispensary.']);
+    }
+  };
+
+  const handleCancelEdit = () => {
+    setForm(EMPTY_FORM);
+    setEditingReviewId(null);
+    setAiNameSuggestions(null);
+    setError(null);
+  };
+
+  const handleRestoreRevision = async (reviewId, revision) => {
+    const currentReview = reviews.find(r => r.id === reviewId);
+    if (!repositories || !userId || !currentReview) {
+      setError('Database is not ready.');
+      return;
+    }
+    if (!isEmailVerified) {
+      setError(EMAIL_VERIFICATION_REQUIRED);
+      return;
+    }
+
+    try {
+      // Restoring is itself an edit, so the version being replaced goes into history too
+      await settleWrite(repositories.reviews.update(userId, currentReview, revisionToReviewFields(revision)), reportSyncFailure);
+    } catch (e) {
+      console.error('Error restoring revision: ', e);
+      setError('Failed to restore this version.');
+    }
+  };
+
+  const handleDelete = async (reviewId) => {
+    if (!repositories || !userId) {
+      setError('Database is not ready.');
+      return;
+    }
+    if (!isEmailVerified) {
+      setError(EMAIL_VERIFICATION_REQUIRED);
+      return;
+    }
+
+    try {
+      if (isOnline) {
+        await repositories.reviews.delete(userId, reviewId);
+      } else {
+        // Hide the review now and cascade to its revisions once back online
+        await settleWrite(repositories.reviews.markDeleted(userId, reviewId), reportSyncFailure);
+      }
+
+      if (editingReviewId === reviewId) handleCancelEdit();
+      if (historyReviewId === reviewId) setHistoryReviewId(null);
+      if (currentPage === 'review') setCurrentPage('log');
+    } catch (e) {
+      console.error('Error deleting document: ', e);
+      setError('Failed to delete review.');
+    }
+  };
+
+  const handleShare = (review) => {
+    const terpeneString = review.terpenes && review.terpenes.length > 0 ? review.terpenes.join(', ') : 'N/A';
+    const textToCopy = `
+*** Black Cannabis Lounge Strain Tracker ***
+Strain: ${review.strain} (${review.type || 'N/A'} | ${review.productType || 'N/A'})
+Rating: ${'⭐'.repeat(review.rating) || 'N/A'}
+Potency: ${formatPotency(review.potency)}
+Flavor: ${review.flavor || 'N/A'}
+Terpenes: ${terpeneString}
+Brand: ${review.brand || 'N/A'}
+Purchased: ${review.location || 'N/A'} for $${review.cost ? review.cost.toFixed(2) : 'N/A'}
+Effects/Notes: ${review.effects || 'None'}
+Logged on: ${new Date(review.timestamp).toLocaleDateString()}
+    `.trim();
+
+    const textarea = document.createElement('textarea');
+    textarea.value = textToCopy;
+    textarea.style.position = 'fixed';
+    textarea.style.left = '-9999px';
+    document.body.appendChild(textarea);
+    textarea.select();
+    try {
+      document.execCommand('copy');
+      setError('Review details copied to clipboard! Ready to share.');
+      setTimeout(() => setError(null), 3000);
+    } catch (err) {
+      console.error('Could not copy text: ', err);
+      setError('Could not copy text. Please copy manually.');
+      setTimeout(() => setError(null), 3000);
+    }
+    document.body.removeChild(textarea);
+  };
+  
+  const handleExport = async (format) => {
+    let reviewsToExport = filteredReviews;
+    if (exportScope === 'all') {
+      // The Log screen only holds the pages loaded so far
+      if (!repositories || !userId) {
+        setTransferMessage('Database is not ready.');
+        return;
+      }
+      try {
+        reviewsToExport = await repositories.reviews.getAll(userId);
+      } catch (err) {
+        console.error('Export read error:', err);
+        setTransferMessage('Could not read your log. Please try again.');
+        return;
+      }
+    }
+    if (reviewsToExport.length === 0) {
+      setTransferMessage('There are no reviews to export.');
+      setTimeout(() => setTransferMessage(null), 3000);
+      return;
+    }
+
+    const dateStamp = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+      downloadFile(reviewsToCsv(reviewsToExport), `strain-log-${dateStamp}.csv`, 'text/csv;charset=utf-8');
+    } else {
+      downloadFile(reviewsToJson(reviewsToExport), `strain-log-${dateStamp}.json`, 'application/json');
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ''; // Allow re-selecting the same file after fixing it
+    if (!file) return;
+
+    setTransferMessage(null);
+    try {
+      const text = await file.text();
+      const rawRows = parseImportFile(text, file.name);
+      if (rawRows.length === 0) {
+        setTransferMessage(`${file.name} has no reviews to import.`);
+        return;
+      }
+      if (!repositories || !userId) {
+        setTransferMessage('Database is not ready.');
+        return;
+      }
+      // Duplicates are checked against the whole log, not just the loaded pages
+      const existingReviews = await repositories.reviews.getAll(userId);
+      setImportPreview({ fileName: file.name, rows: prepareImport(rawRows, existingReviews) });
+    } catch (err) {
+      console.error('Import parse error:', err);
+      setTransferMessage(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleConfirmImport = async () => {
+    if (!repositories || !userId || !importPreview) {
+      setTransferMessage('Database is not ready.');
+      return;
+    }
+    if (!isEmailVerified) {
+      setTransferMessage(EMAIL_VERIFICATION_REQUIRED);
+      return;
+    }
+
+    const rowsToImport = importPreview.rows.filter(row => row.errors.length === 0 && !row.duplicate);
+
+    setIsImporting(true);
+    setTransferMessage(null);
+    try {
+      const items = rowsToImport.map(({ fields, timestamp }) => {
+        const { analysis, aiEffects, ...reviewFields } = fields;
+        return {
+          fields: {
+            ...reviewFields,
+            ...(analysis ? { analysis } : {}),
+            ...(aiEffects ? { aiEffects } : {}),
+            ...(timestamp ? { timestamp } : {}),
+            importedAt: new Date(),
+          },
+          share: importShareHighRatings && shouldShareReview(reviewFields.rating),
+        };
+      });
+      await settleWrite(repositories.reviews.createMany(userId, items), reportSyncFailure);
+
+      setImportPreview(null);
+      setTransferMessage(`Imported ${rowsToImport.length} review${rowsToImport.length === 1 ? '' : 's'}.`);
+      setTimeout(() => setTransferMessage(null), 3000);
+    } catch (err) {
+      // Earlier batches may already be committed; re-previewing flags them as duplicates
+      console.error('Import write error:', err);
+      setTransferMessage('Import failed partway through. Re-open the file to import the remaining rows.');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // --- Saved Filter Presets (stored on the profile) ---
+
+  const filterPresets = (userProfile && userProfile.filterPresets) || [];
+
+  const saveFilterPresets = async (presets) => {
+    if (!repositories || !userId) {
+      setPresetMessage('Database is not ready.');
+      return false;
+    }
+    try {
+      await settleWrite(repositories.profile.update(userId, { filterPresets: presets }), reportSyncFailure);
+      return true;
+    } catch (e) {
+      console.error('Failed to save filter presets:', e);
+      setPresetMessage('Could not update your saved filters. Please try again.');
+      return false;
+    }
+  };
+
+  const handleSavePreset = async () => {
+    const problem = validateFilterPreset(presetName, filterPresets);
+    if (problem) {
+      setPresetMessage(problem);
+      return;
+    }
+    setPresetMessage(null);
+    const query = buildLogPath(logFilters).split('?')[1] || '';
+    if (await saveFilterPresets(upsertFilterPreset(filterPresets, presetName, query))) setPresetName('');
+  };
+
+  const handleDeletePreset = (name) => {
+    setPresetMessage(null);
+    saveFilterPresets(filterPresets.filter(preset => preset.name !== name));
+  };
+
+  const handleAiNameSuggest = async () => {
+    setAiNameLoading(true);
+    setError(null);
+    try {
+        const names = await generateStrainName(form.effects, form.flavor);
+        const nameArray = names.split(',').map(n => n.trim()).filter(n => n.length > 0);
+        setAiNameSuggestions(nameArray);
+    } catch (e) {
+        console.error('AI name generation failed:', e);
+        setError(describeLlmError(e));
+    } finally {
+        setAiNameLoading(false);
+    }
+  };
+
+  // A queued analysis that fails for good is unqueued, so it stops retrying and the button works again;
+  // one that may succeed later (timeouts, rate limits) stays queued for the next reconnect
+  const runEffectsAnalysis = useCallback(async (reviewId, effects, { queued = false } = {}) => {
+      setAnalyzingReviewIds(ids => [...ids, reviewId]);
+
+      try {
+          const aiEffects = await analyzeEffects(effects);
+          
+          // Store the analysis on the review (this also clears a queued request)
+          if (repositories) {
+              await repositories.reviews.saveAnalysis(userId, reviewId, aiEffects);
+          }
+
+      } catch (e) {
+          console.error('Failed to run AI analysis:', e);
+          setError(describeLlmError(e));
+          if (queued && repositories && !isRetryableLlmError(e)) {
+              repositories.reviews.clearQueuedAnalysis(userId, reviewId).catch(err => console.error('Failed to clear queued analysis:', err));
+          }
+      } finally {
+          setAnalyzingReviewIds(ids => ids.filter(id => id !== reviewId));
+      }
+  }, [repositories, userId]);
+
+  const handleAnalyzeEffects = async (reviewId) => {
+      const reviewToUpdate = reviews.find(r => r.id === reviewId);
+      if (!reviewToUpdate || !(reviewToUpdate.effects || '').trim() || analyzingReviewIds.includes(reviewId)) return;
+
+      if (!isOnline) {
+          if (reviewToUpdate.analysisQueued) return;
+          // The LLM needs a connection; flag the request so it runs once back online
+          if (repositories) {
+              await settleWrite(repositories.reviews.queueAnalysis(userId, reviewId), reportSyncFailure);
+          }
+          return;
+      }
+      // Online, a review still queued from an earlier failure is retried by hand
+      await runEffectsAnalysis(reviewId, reviewToUpdate.effects, { queued: Boolean(reviewToUpdate.analysisQueued) });
+  };
+
+  // Back online: finish deletes and AI analyses that were queued while offline
+  useEffect(() => {
+    if (!isOnline || !repositories || !userId) return;
+    pendingDeletionIds.forEach(reviewId => {
+      repositories.reviews.delete(userId, reviewId).catch(e => console.error('Failed to finish queued delete:', e));
+    });
+  }, [isOnline, repositories, userId, pendingDeletionIds]);
+
+  // Reviews saved before the Log queries matched on lowercased strain/brand/location lack the query keys, and
+  // those queries leave them out, so the Log screen can't find them. Check the whole log once per session, whatever page is open
+  useEffect(() => {
+    if (!repositories || !userId || !isEmailVerified || !isOnline || backfilledUserId.current === userId) return;
+    backfilledUserId.current = userId;
+    repositories.reviews.getAll(userId)
+      .then(allReviews => {
+        const staleReviews = allReviews.filter(needsQueryKeys);
+        return staleReviews.length > 0 ? repositories.reviews.backfillQueryKeys(userId, staleReviews) : null;
+      })
+      .catch(e => {
+        console.error('Failed to backfill query keys:', e);
+        backfilledUserId.current = null; // Try again after the next reconnect
+      });
+  }, [repositories, userId, isEmailVerified, isOnline]);
+
+  // Each queued analysis is tried once per reconnect, not on every snapshot
+  useEffect(() => {
+    if (!isOnline) {
+      queuedAnalysisIds.current.clear();
+      return;
+    }
+    reviews
+      .filter(r => r.analysisQueued && !r.aiEffects && !queuedAnalysisIds.current.has(r.id))
+      .forEach(r => {
+        queuedAnalysisIds.current.add(r.id);
+        if (!(r.effects || '').trim()) {
+          // The notes were cleared after queueing; there is nothing left to analyze
+          if (repositories && userId) repositories.reviews.clearQueuedAnalysis(userId, r.id).catch(e => console.error('Failed to clear queued analysis:', e));
+          return;
+        }
+        runEffectsAnalysis(r.id, r.effects, { queued: true });
+      });
+  }, [isOnline, reviews, runEffectsAnalysis, repositories, userId]);
+
+
+  // --- Render Functions (Screens) ---
+
+  const renderGoogleSignInButton = () => (
+      <div className="mt-6">
+          <div className="flex items-center text-xs text-gray-500 mb-4">
+              <span className="flex-grow border-t border-gray-700" />
+              <span className="px-3">or</span>
+              <span className="flex-grow border-t border-gray-700" />
+          </div>
+          <button
+              type="button"
+              onClick={handleGoogleSignIn}
+              disabled={isSaving}
+              className="w-full py-3 rounded-lg shadow-md text-lg font-medium text-gray-900 bg-white hover:bg-gray-200 transition disabled:opacity-50"
+          >
+              Continue with Google
+          </button>
+          {currentPage === 'login' && (
+              <button
+                  type="button"
+                  onClick={handleGuestSignIn}
+                  disabled={isSaving}
+                  className="w-full py-3 mt-3 rounded-lg text-base font-medium text-teal-300 bg-gray-700 hover:bg-gray-600 transition disabled:opacity-50"
+              >
+                  Try It as a Guest
+              </button>
+          )}
+      </div>
+  );
+
+  const renderCompleteProfileScreen = () => (
+      <div className="flex items-center justify-center min-h-screen p-4">
+          <div className="w-full max-w-lg p-8 bg-gray-800 rounded-xl shadow-2xl border border-fuchsia-900/50">
+              <h2 className="text-3xl font-extrabold text-teal-400 text-center mb-2">Finish Setting Up</h2>
+              <p className="text-gray-400 text-center mb-8">Tell us a little about yourself. You must be {MIN_AGE} or older to use the Tracker.</p>
+
+              <form onSubmit={handleCompleteProfile} className="space-y-4">
+                  <div>
+                      <label htmlFor="completeName" className="block text-sm font-medium text-gray-300 flex items-center"><User className="h-4 w-4 mr-1"/> Full Name</label>
+                      <input type="text" id="completeName" name="name" value={profileForm.name} onChange={handleProfileFormChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3" required />
+                  </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                      <div>
+                          <label htmlFor="completeDob" className="block text-sm font-medium text-gray-300 flex items-center"><Calendar className="h-4 w-4 mr-1"/> Date of Birth ({MIN_AGE}+)</label>
+                          <input type="date" id="completeDob" name="dob" value={profileForm.dob} onChange={handleProfileFormChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3" required />
+                      </div>
+                      <div>
+                          <label htmlFor="completeState" className="block text-sm font-medium text-gray-300 flex items-center"><MapPin className="h-4 w-4 mr-1"/> State</label>
+                          <select id="completeState" name="state" value={profileForm.state} onChange={handleProfileFormChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 appearance-none" required>
+                              {renderJurisdictionOptions()}
+                          </select>
+                      </div>
+                  </div>
+
+                  {error && (
+                      <p className="text-red-400 bg-red-900/50 p-2 rounded-lg text-sm text-center">{error}</p>
+                  )}
+
+                  <button
+                      type="submit"
+                      disabled={isSaving}
+                      className="w-full py-3 mt-4 rounded-lg shadow-md text-lg font-medium text-gray-900 bg-orange-500 hover:bg-orange-600 transition disabled:opacity-50"
+                  >
+                      {isSaving ? 'Saving...' : 'Continue'}
+                  </button>
+              </form>
+
+              <p className="mt-6 text-center text-sm text-gray-400">
+                  Not you?
+                  <button onClick={handleSignOut} className="text-orange-400 hover:text-orange-300 font-semibold ml-1 transition">
+                      Log Out
+                  </button>
+              </p>
+          </div>
+      </div>
+  );
+
+  const renderLoginScreen = () => (
+      <div className="flex items-center justify-center min-h-screen p-4">
+          <div className="w-full max-w-md p-8 bg-gray-800 rounded-xl shadow-2xl border border-fuchsia-900/50">
+              <h2 className="text-3xl font-extrabold text-teal-400 text-center mb-6">Welcome to the Lounge</h2>
+              <p className="text-gray-400 text-center mb-8">Sign in to access your private strain log.</p>
+              
+              <form onSubmit={handleSignIn} className="space-y-4">
+                  <div>
+                      <label className="block text-sm font-medium text-gray-300">Email</label>
+                      <input
+                          type="email"
+                          name="email"
+                          value={authForm.email}
+                          onChange={handleAuthChange}
+                          className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
+                          placeholder="your@email.com"
+                          required
+                      />
+                  </div>
+                  <div>
+                      <label className="block text-sm font-medium text-gray-300">Password</label>
+                      <input
+                          type="password"
+                          name="password"
+                          value={authForm.password}
+                          onChange={handleAuthChange}
+                          className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
+                          placeholder="********"
+                          required
+                      />
+                      <button
+                          type="button"
+                          onClick={handleForgotPassword}
+                          className="mt-2 text-sm text-orange-400 hover:text-orange-300 transition"
+                      >
+                          Forgot password?
+                      </button>
+                  </div>
+                  
+                  {error && (
+                      <p className="text-red-400 bg-red-900/50 p-2 rounded-lg text-sm text-center">{error}</p>
+                  )}
+                  {authNotice && (
+                      <p className="text-teal-300 bg-teal-900/40 p-2 rounded-lg text-sm text-center" role="status">{authNotice}</p>
+                  )}
+
+                  <button
+                      type="submit"
+                      disabled={isSaving}
+                      className="w-full py-3 mt-4 rounded-lg shadow-md text-lg font-medium text-gray-900 bg-teal-500 hover:bg-teal-600 transition disabled:opacity-50"
+                  >
+                      {isSaving ? 'Logging In...' : 'Log In'}
+                  </button>
+              </form>
+
+              {renderGoogleSignInButton()}
+              
+              <p className="mt-6 text-center text-sm text-gray-400">
+                  New to the Tracker? 
+                  <button 
+                      onClick={() => setCurrentPage('signup')}
+                      className="text-orange-400 hover:text-orange-300 font-semibold ml-1 transition"
+                  >
+                      Create an Account
+                  </button>
+              </p>
+          </div>
+      </div>
+  );
+
+  const renderSignUpScreen = () => (
+      <div className="flex items-center justify-center min-h-screen p-4">
+          <div className="w-full max-w-lg p-8 bg-gray-800 rounded-xl shadow-2xl border border-fuchsia-900/50">
+              <h2 className="text-3xl font-extrabold text-teal-400 text-center mb-6">Create Your Tracker Account</h2>
+              
+              <form onSubmit={handleSignUp} className="space-y-4">
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                      <div>
+                          <label className="block text-sm font-medium text-gray-300 flex items-center"><User className="h-4 w-4 mr-1"/> Full Name</label>
+                          <input type="text" name="name" value={authForm.name} onChange={handleAuthChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3" required />
+                      </div>
+                      <div>
+                          <label className="block text-sm font-medium text-gray-300 flex items-center"><Calendar className="h-4 w-4 mr-1"/> Date of Birth (21+)</label>
+                          <input type="date" name="dob" value={authForm.dob} onChange={handleAuthChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3" required />
+                      </div>
+                  </div>
+                  
+                  <div>
+                      <label className="block text-sm font-medium text-gray-300 flex items-center"><MapPin className="h-4 w-4 mr-1"/> State</label>
+                      <select name="state" value={authForm.state} onChange={handleAuthChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 appearance-none" required>
+                          {renderJurisdictionOptions()}
+                      </select>
+                  </div>
+
+                  <div>
+                      <label className="block text-sm font-medium text-gray-300">Email</label>
+                      <input type="email" name="email" value={authForm.email} onChange={handleAuthChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3" placeholder="your@email.com" required />
+                  </div>
+                  
+                  <div>
+                      <label className="block text-sm font-medium text-gray-300">Password</label>
+                      <input type="password" name="password" value={authForm.password} onChange={handleAuthChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3" placeholder="Min 6 characters" required />
+                  </div>
+                  
+                  {error && (
+                      <p className="text-red-400 bg-red-900/50 p-2 rounded-lg text-sm text-center">{error}</p>
+                  )}
+
+                  <button
+                      type="submit"
+                      disabled={isSaving}
+                      className="w-full py-3 mt-4 rounded-lg shadow-md text-lg font-medium text-gray-900 bg-orange-500 hover:bg-orange-600 transition disabled:opacity-50"
+                  >
+                      {isSaving ? 'Signing Up...' : 'Create Account'}
+                  </button>
+              </form>
+
+              {renderGoogleSignInButton()}
+              
+              <p className="mt-6 text-center text-sm text-gray-400">
+                  Already have an account? 
+                  <button 
+                      onClick={() => setCurrentPage('login')}
+                      className="text-teal-400 hover:text-teal-300 font-semibold ml-1 transition"
+                  >
+                      Log In
+                  </button>
+              </p>
+          </div>
+      </div>
+  );
+
+  const renderHomeDashboard = () => {
+    const jurisdiction = getJurisdiction(selectedState);
+    const legalityStyle = (jurisdiction && LEGALITY_STATUS_STYLES[jurisdiction.status]) || UNKNOWN_LEGALITY_STYLE;
+    const legalityDetails = jurisdiction ? [
+      { label: 'Adult-Use Since', value: formatEffectiveDate(jurisdiction.recreationalSince) || 'Not legal' },
+      { label: 'Medical Since', value: formatEffectiveDate(jurisdiction.medicalSince) || 'No program' },
+      { label: 'Possession Limit', value: jurisdiction.possession || 'No legal possession' },
+      { label: 'Home Grow', value: jurisdiction.homeGrow },
+      { label: 'Medical Card Reciprocity', value: RECIPROCITY_LABELS[jurisdiction.reciprocity] },
+      { label: 'Decriminalized', value: jurisdiction.recreationalSince ? 'Legal for adults 21+' : jurisdiction.decriminalized ? 'Yes, small amounts' : 'No' },
+    ] : [];
+
+    return (
+      <div className="space-y-8">
+        {/* Welcome and Actions */}
+        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+          <h2 className="text-3xl font-bold text-teal-400 mb-2">
+            Welcome back, {userProfile?.name || 'User'}!
+          </h2>
+          <p className="text-gray-400 text-lg mb-6">
+            Time to log a new experience or check your favorites.
+          </p>
+          <button
+            onClick={() => setCurrentPage('log')}
+            className="w-full sm:w-auto py-3 px-6 border-2 border-orange-500 rounded-lg shadow-lg text-lg font-medium text-gray-900 bg-orange-500 hover:bg-orange-600 transition duration-150 ease-in-out flex items-center justify-center"
+          >
+            <Hash className="h-6 w-6 mr-2" /> Log New Strain
+          </button>
+        </section>
+
+        {/* State Legality Lookup */}
+        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+          <h3 className="text-xl font-semibold text-teal-400 mb-4 flex items-center">
+            <MapPin className="h-5 w-5 mr-2" /> US Cannabis Legality Lookup
+          </h3>
+          <div className="flex flex-col sm:flex-row space-y-4 sm:space-y-0 sm:space-x-4 items-end">
+            <div className="flex-grow w-full sm:w-1/2">
+              <label htmlFor="stateSelect" className="block text-sm font-medium text-gray-300">Select State</label>
+              <select
+                id="stateSelect"
+                value={selectedState}
+                onChange={(e) => setSelectedState(e.target.value)}
+                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500 appearance-none"
+              >
+                {renderJurisdictionOptions()}
+              </select>
+            </div>
+            <div className={`w-full sm:w-1/2 p-3 rounded-lg text-center font-bold ${legalityStyle.color} ${legalityStyle.text}`}>
+              {selectedState}: {jurisdiction ? jurisdiction.status : 'Unknown'}
+            </div>
+          </div>
+          <div className="mt-6">
+            <LegalityMap selected={selectedState} onSelect={setSelectedState} purchaseCounts={purchaseCounts} />
+          </div>
+          {jurisdiction && (
+            <div className="mt-4 space-y-3">
+              <dl className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {legalityDetails.map(({ label, value }) => (
+                  <div key={label} className="bg-gray-800 p-3 rounded-lg">
+                    <dt className="text-xs uppercase tracking-wide text-gray-500">{label}</dt>
+                    <dd className="text-sm text-gray-200 mt-1">{value}</dd>
+                  </div>
+                ))}
+              </dl>
+              {jurisdiction.notes && <p className="text-sm text-gray-300">{jurisdiction.notes}</p>}
+              <p className="text-xs text-gray-500">
+                Source: {jurisdiction.source}. Last reviewed {formatEffectiveDate(jurisdiction.lastReviewed)}.
+              </p>
+            </div>
+          )}
+          <p className="text-xs text-gray-500 mt-3">
+            Informational only, not legal advice. Laws change often; confirm with official state sources.
+            Dataset v{LEGALITY_DATA_VERSION} (reviewed {formatEffectiveDate(LEGALITY_LAST_REVIEWED)}) compiled from{' '}
+            {LEGALITY_SOURCES.map((source, index) => (
+              <React.Fragment key={source.url}>
+                {index > 0 && ', '}
+                <a href={source.url} target="_blank" rel="noopener noreferrer" className="text-teal-400 hover:text-teal-300">{source.label}</a>
+              </React.Fragment>
+            ))}.
+          </p>
+        </section>
+
+        {/* Dashboard Search */}
+        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+            <h3 className="text-xl font-semibold text-teal-400 mb-4 flex items-center">
+                <Search className="h-5 w-5 mr-2" /> Quick Search Your Log
+            </h3>
+            <div className="relative mb-6">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+                <input
+                    type="text"
+                    placeholder="Search your strains, e.g. gsc brand:cookies rating:>=4"
+                    value={dashboardSearchTerm}
+                    onChange={(e) => setDashboardSearchTerm(e.target.value)}
+                    className="w-full pl-12 pr-4 py-3 rounded-lg bg-gray-700 border border-fuchsia-700 text-white focus:ring-orange-500 focus:border-orange-500"
+                />
+            </div>
+
+            {/* Display Search Results on Home Screen if search is active */}
+            {dashboardSearchTerm.trim() && (
+                <div className="mt-4 border-t border-gray-700 pt-4">
+                    <h4 className="text-lg font-semibold text-gray-300 mb-3">Search Results ({searchResults.length})</h4>
+                    {searchResults.length > 0 ? (
+                        searchResults.slice(0, DASHBOARD_SEARCH_LIMIT).map(({ review: r, matches }) => (
+                            <div key={r.id} className="p-3 mb-2 bg-gray-700 rounded-lg flex justify-between items-center">
+                                <div className="flex flex-col">
+                                    <span className="font-semibold text-teal-300"><HighlightedText text={r.strain} ranges={matchRanges(matches, 'strain')} /></span>
+                                    {r.brand && <span className="text-xs text-gray-400"><HighlightedText text={r.brand} ranges={matchRanges(matches, 'brand')} /></span>}
+                                </div>
+                                <StarRating rating={r.rating} readOnly={true} size='h-5 w-5' />
+                            </div>
+                        ))
+                    ) : (
+                        <p className="text-gray-500">No matching strains found in your log.</p>
+                    )}
+                </div>
+            )}
+        </section>
+
+        {/* Top Rated Strains (from user's private log) */}
+        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+            <h3 className="text-xl font-semibold text-teal-400 mb-4">
+                Your Top Rated Strains ({reviews.filter(r => r.rating >= 4).length})
+            </h3>
+            <BarChart 
+                data={topRatedProductTypeData} 
+                title="Product Type Breakdown (Your Top Strains)" 
+                colorClass="bg-orange-500"
+            />
+            <div className="space-y-3 mt-4">
+                {reviews.filter(r => r.rating >= 4).length === 0 ? (
+                    <p className="text-gray-500">Log a few 4 or 5-star strains to see your favorites here!</p>
+                ) : (
+                    filteredReviews.map(r => (
+                        <div key={r.id} className="p-3 bg-gray-700 rounded-lg flex justify-between items-center">
+                            <div className="flex flex-col">
+                                <span className="font-semibold text-gray-200">{r.strain} <span className="text-sm text-gray-400">({r.productType})</span></span>
+                                <span className="text-xs text-gray-500">{r.brand || 'No Brand'}</span>
+                            </div>
+                            <StarRating rating={r.rating} readOnly={true} size='h-5 w-5' />
+                        </div>
+                    ))
+                )}
+            </div>
+        </section>
+
+        {/* Popular Strains (from public log) */}
+        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+            <h3 className="text-xl font-semibold text-teal-400 mb-4">
+                Community Popular Strains
+            </h3>
+            <BarChart 
+                data={popularProductTypeData} 
+                title="Product Type Breakdown (Community Faves)" 
+                colorClass="bg-teal-500"
+            />
+            <div className="space-y-3 mt-4">
+                {popularStrains.length === 0 ? (
+                    <p className="text-gray-500">No popular strains shared by the community yet.</p>
+                ) : (
+                    popularStrains.slice(0, 5).map(s => (
+                        <div key={s.id} className="p-3 bg-gray-700 rounded-lg flex justify-between items-center">
+                            <div className="flex flex-col">
+                                <span className="font-semibold text-gray-200">{renderStrainLink(s.strain, s.strainId)} <span className="text-sm text-gray-400">({s.type})</span></span>
+                                <span className="text-xs text-gray-500">{s.brand || 'N/A'} · {s.raterCount} rater{s.raterCount === 1 ? '' : 's'}</span>
+                            </div>
+                            <StarRating rating={Math.round(s.averageRating)} readOnly={true} size='h-5 w-5' />
+                        </div>
+                    ))
+                )}
+            </div>
+            {popularStrains.length > 5 && (
+                <button
+                    onClick={() => setCurrentPage('community')}
+                    className="mt-4 text-teal-400 hover:text-teal-300 font-semibold text-sm transition"
+                >
+                    See all {popularStrains.length} community strains →
+                </button>
+            )}
+        </section>
+
+        {/* Recommendations (learned from the user's own ratings) */}
+        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+            <h3 className="text-xl font-semibold text-teal-400 mb-4 flex items-center">
+                <Lightbulb className="h-5 w-5 mr-2" /> Recommended For You
+            </h3>
+            {reviews.length < MIN_REVIEWS_FOR_RECOMMENDATIONS ? (
+                <p className="text-gray-500">Log at least {MIN_REVIEWS_FOR_RECOMMENDATIONS} reviews so we can learn what you like.</p>
+            ) : recommendations.community.length + recommendations.revisits.length === 0 ? (
+                <p className="text-gray-500">Nothing new matches your taste yet. Keep logging!</p>
+            ) : (
+                <div className="space-y-3">
+                    {[...recommendations.community, ...recommendations.revisits].map(rec => (
+                        <div key={rec.id} className="p-3 bg-gray-700 rounded-lg">
+                            <div className="flex justify-between items-center">
+                                <div className="flex flex-col">
+                                    <span className="font-semibold text-gray-200">
+                                        {rec.strain} <span className="text-sm text-gray-400">({rec.type || 'N/A'} | {rec.productType || 'N/A'})</span>
+                                    </span>
+                                    <span className="text-xs text-gray-500">{rec.brand || 'No Brand'}</span>
+                                </div>
+                                <span className={`text-xs font-semibold px-2 py-1 rounded-full ${
+                                    rec.source === 'community' ? 'bg-teal-900 text-teal-300' : 'bg-orange-900 text-orange-300'
+                                }`}>
+                                    {rec.source === 'community' ? 'Try Next' : 'Revisit'}
+                                </span>
+                            </div>
+                            <ul className="mt-2 text-xs text-gray-400 list-disc list-inside">
+                                {rec.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                            </ul>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </section>
+      </div>
+    );
+  };
+
+  const renderCostPerStarList = (items, emptyText) => (
+    items.length === 0 ? (
+      <p className="text-gray-500 italic text-sm">{emptyText}</p>
+    ) : (
+      <div className="space-y-2">
+        {items.slice(0, 8).map(item => (
+          <div key={item.label} className="flex justify-between items-center p-2 bg-gray-700 rounded-lg text-sm">
+            <span className="text-gray-200 truncate">{item.label}</span>
+            <span className="text-gray-300 flex-shrink-0 ml-2">
+              ${item.value.toFixed(2)} / star <span className="text-gray-500">({item.count})</span>
+            </span>
+          </div>
+        ))}
+      </div>
+    )
+  );
+
+  const renderAnalyticsScreen = () => (
+    <div className="space-y-8">
+      {/* Date Range */}
+      <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+        <h2 className="text-2xl font-semibold mb-6 text-teal-400 flex items-center">
+          <TrendingUp className="h-6 w-6 mr-2" /> Your Analytics
+        </h2>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="analyticsRange" className="block text-sm font-medium text-gray-300">Date Range</label>
+            <select
+              id="analyticsRange"
+              value={analyticsRange}
+              onChange={(e) => setAnalyticsRange(e.target.value)}
+              className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500 appearance-none"
+            >
+              {DATE_RANGE_PRESETS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+            </select>
+          </div>
+          {analyticsRange === 'custom' && (
+            <>
+              <div>
+                <label htmlFor="analyticsFrom" className="block text-sm font-medium text-gray-300">From</label>
+                <input
+                  type="date"
+                  id="analyticsFrom"
+                  value={analyticsFrom}
+                  onChange={(e) => setAnalyticsFrom(e.target.value)}
+                  className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm"
+                />
+              </div>
+              <div>
+                <label htmlFor="analyticsTo" className="block text-sm font-medium text-gray-300">To</label>
+                <input
+                  type="date"
+                  id="analyticsTo"
+                  value={analyticsTo}
+                  onChange={(e) => setAnalyticsTo(e.target.value)}
+                  className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm"
+                />
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Summary */}
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mt-6">
+          {[
+            { label: 'Reviews', value: analyticsData.count },
+            { label: 'Total Spend', value: `$${analyticsData.totalSpend.toFixed(2)}` },
+            { label: 'Avg. Purchase', value: `$${analyticsData.averageCost.toFixed(2)}` },
+            { label: 'Avg. Rating', value: analyticsData.averageRating.toFixed(1) },
+          ].map(stat => (
+            <div key={stat.label} className="bg-gray-800 p-3 rounded-lg text-center">
+              <p className="text-2xl font-bold text-orange-400">{stat.value}</p>
+              <p className="text-xs text-gray-400">{stat.label}</p>
+            </div>
+          ))}
+        </div>
+      </section>
+
+      {/* Spend and Rating Trends */}
+      <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50 space-y-6">
+        <LineChart
+          data={analyticsData.spend}
+          title="Monthly Spend"
+          strokeClass="stroke-orange-400"
+          dotClass="fill-orange-400"
+          formatValue={(value) => `$${Math.round(value)}`}
+        />
+        <LineChart
+          data={analyticsData.ratings}
+          title="Average Rating by Month"
+          formatValue={(value) => value.toFixed(1)}
+          minValue={1}
+          maxValue={5}
+        />
+      </section>
+
+      {/* Value for Money */}
+      <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+        <h3 className="text-xl font-semibold text-teal-400 mb-4">Cost per Star</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <h4 className="text-lg font-semibold text-gray-300 mb-3">By Brand</h4>
+            {renderCostPerStarList(analyticsData.brandValue, 'Log brands and costs to compare value.')}
+          </div>
+          <div>
+            <h4 className="text-lg font-semibold text-gray-300 mb-3">By Dispensary</h4>
+            {renderCostPerStarList(analyticsData.locationValue, 'Log locations and costs to compare value.')}
+          </div>
+        </div>
+      </section>
+
+      {/* Habits */}
+      <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50 space-y-6">
+        <StackedBarChart
+          data={analyticsData.typeMix}
+          keys={analyticsData.typeKeys}
+          colors={STRAIN_TYPE_COLORS}
+          title="Strain Type Mix by Month"
+        />
+        <StackedBarChart
+          data={analyticsData.productMix}
+          keys={analyticsData.productKeys}
+          colors={PRODUCT_TYPE_COLORS}
+          title="Product Type Mix by Month"
+        />
+        <BarChart
+          data={analyticsData.terpenes}
+          title="Most Logged Terpenes"
+          colorClass="bg-fuchsia-500"
+        />
+      </section>
+    </div>
+  );
+
+  const renderCommunityScreen = () => (
+    <div className="space-y-8">
+      <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+        <h2 className="text-2xl font-semibold mb-2 text-teal-400 flex items-center">
+          <Users className="h-6 w-6 mr-2" /> Community Popular Strains
+        </h2>
+        <p className="text-gray-400 text-sm mb-6">
+          Strains rated 4+ by the community, grouped by strain and brand, with different spellings of a
+          catalog strain counted together. Ranking weighs the average rating,
+          how many different people rated it, and how recently.
+        </p>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="communitySort" className="block text-sm font-medium text-gray-300">Sort By</label>
+            <select
+              id="communitySort"
+              value={communitySort}
+              onChange={(e) => setCommunitySort(e.target.value)}
+              className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500 appearance-none"
+            >
+              <option value="rank">Popularity</option>
+              <option value="rating">Average Rating</option>
+              <option value="raters">Number of Raters</option>
+              <option value="recent">Most Recent</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="communityProductType" className="block text-sm font-medium text-gray-300">Product Type</label>
+            <select
+              id="communityProductType"
+              value={communityProductType}
+              onChange={(e) => setCommunityProductType(e.target.value)}
+              className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500 appearance-none"
+            >
+              <option value="">All Products</option>
+              {productTypes.map(t => <option key={t} value={t}>{t}</option>)}
+            </select>
+          </div>
+        </div>
+      </section>
+
+      <section className="space-y-4">
+        {sortedCommunityStrains.length === 0 ? (
+          <div className="text-center py-10 text-gray-500 bg-gray-900/70 rounded-xl border border-fuchsia-900/50">
+            No community strains match this filter yet.
+          </div>
+        ) : (
+          sortedCommunityStrains.map((s, index) => (
+            <div key={s.id} className="bg-gray-900/70 p-5 rounded-xl shadow-lg border border-fuchsia-900/50">
+              <div className="flex justify-between items-start">
+                <div className="flex items-start">
+                  <span className="text-2xl font-extrabold text-fuchsia-400 mr-4 w-8 text-right">{index + 1}</span>
+                  <div>
+                    <h3 className="text-xl font-bold text-teal-400">
+                      {renderStrainLink(s.strain, s.strainId)}
+                      <span className="text-base font-medium ml-2 text-gray-400">({s.type || 'N/A'} | {s.productType || 'N/A'})</span>
+                    </h3>
+                    <p className="text-sm text-gray-500">{s.brand || 'No Brand Listed'}</p>
+                  </div>
+                </div>
+                <div className="flex flex-col items-end flex-shrink-0">
+                  <StarRating rating={Math.round(s.averageRating)} readOnly={true} size='h-5 w-5' />
+                  <span className="text-sm text-gray-300 mt-1">{s.averageRating.toFixed(1)} avg</span>
+                </div>
+              </div>
+              <div className="flex flex-wrap items-center gap-2 mt-3 text-xs">
+                <span className="text-gray-400">
+                  {s.raterCount} rater{s.raterCount === 1 ? '' : 's'} · {s.ratingCount} rating{s.ratingCount === 1 ? '' : 's'}
+                  {s.lastRatedAt && ` · last rated ${s.lastRatedAt.toLocaleDateString()}`}
+                </span>
+                {s.terpenes.map(t => (
+                  <span key={t} className="bg-gray-700 text-gray-200 px-2 py-1 rounded-full">{t}</span>
+                ))}
+              </div>
+            </div>
+          ))
+        )}
+      </section>
+    </div>
+  );
+
+  const renderStrainLink = (name, strainId, className = 'hover:text-teal-300 transition') => (
+    <a
+      href={strainPath(strainId)}
+      onClick={(e) => { e.preventDefault(); navigate(strainPath(strainId)); }}
+      className={className}
+      title="See every session and community rating of this strain"
+    >
+      {name}
+    </a>
+  );
+
+  const renderReviewCard = (review) => {
+    const matches = searchMatches.get(review.id); // Highlights for the active search
+    return (
+      <div key={review.id} className="bg-gray-900/70 p-5 rounded-xl shadow-lg border border-fuchsia-900/50 flex flex-col justify-between">
+        {/* Review Header and Rating */}
+        <div className="flex justify-between items-start mb-3 border-b border-gray-700 pb-3">
+          <div className="flex-grow">
+              <h3 className="text-2xl font-bold text-teal-400">
+                <a
+                  href={reviewPath(review.id)}
+                  onClick={(e) => { e.preventDefault(); navigate(reviewPath(review.id)); }}
+                  className="hover:text-teal-300 transition"
+                  title="Open this review"
+                >
+                  <HighlightedText text={review.strain} ranges={matchRanges(matches, 'strain')} />
+                </a>
+                <span className="text-base font-medium ml-2 text-gray-400">({review.type})</span>
+              </h3>
+              <p className="text-sm text-gray-500 mt-1">{review.brand ? <HighlightedText text={review.brand} ranges={matchRanges(matches, 'brand')} /> : 'No Brand Listed'}</p>
+          </div>
+          <div className="flex-shrink-0">
+             <StarRating rating={review.rating} readOnly={true} size='h-6 w-6'/>
+          </div>
+        </div>
+
+        {/* Key Details Grid */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-y-3 gap-x-6 text-sm mb-4">
+           <p className="text-gray-400"><span className="font-semibold text-gray-300">Product:</span> {review.productType || 'N/A'}</p>
+           <p className="text-gray-400"><span className="font-semibold text-gray-300">Potency:</span> {formatPotency(review.potency)}</p>
+           <p className="text-gray-400"><span className="font-semibold text-gray-300">Flavor:</span> {review.flavor ? <HighlightedText text={review.flavor} ranges={matchRanges(matches, 'flavor')} /> : 'N/A'}</p>
+           <p className="text-gray-400"><span className="font-semibold text-gray-300">Terpenes:</span> {review.terpenes && review.terpenes.length > 0
+             ? review.terpenes.map((terpene, index) => (
+                 <React.Fragment key={terpene}>
+                   {index > 0 && ', '}
+                   <HighlightedText text={terpene} ranges={matchRanges(matches, 'terpenes', index)} />
+                 </React.Fragment>
+               ))
+             : 'N/A'}</p>
+           <p className="text-gray-400 col-span-2"><span className="font-semibold text-gray-300">Purchased:</span> {review.location ? (
+             dispensariesById.has(review.dispensaryId) ? (
+               <a
+                 href={dispensaryPath(review.dispensaryId)}
+                 onClick={(e) => { e.preventDefault(); navigate(dispensaryPath(review.dispensaryId)); }}
+                 className="text-teal-300 hover:text-teal-200 transition"
+                 title="Open this dispensary"
+               >
+                 <HighlightedText text={review.location} ranges={matchRanges(matches, 'location')} />
+               </a>
+             ) : <HighlightedText text={review.location} ranges={matchRanges(matches, 'location')} />
+           ) : 'N/A'}</p>
+           <p className="text-gray-400 col-span-2"><span className="font-semibold text-gray-300">Cost:</span> {review.cost > 0 ? `$${review.cost.toFixed(2)}` : 'N/A'}</p>
+        </div>
+
+        {/* Effects/Notes */}
+        <div className="bg-gray-800 p-3 rounded-lg">
+          <p className="text-gray-300 whitespace-pre-wrap">
+            <span className="font-semibold text-gray-300 block mb-1 text-sm">Effects/Notes:</span>
+            {review.effects ? <HighlightedText text={review.effects} ranges={matchRanges(matches, 'effects')} /> : <span className="text-gray-500 italic">No detailed notes recorded.</span>}
+          </p>
+        </div>
+
+        {/* AI Analysis Section */}
+        <div className="mt-3 space-y-2">
+            {review.analysis && (
+                <div className="bg-fuchsia-900/30 text-fuchsia-300 p-3 rounded-lg text-sm italic border border-fuchsia-700/50">
+                    <Sparkles className="h-4 w-4 inline mr-2"/> **AI Summary:** {review.analysis}
+                </div>
+            )}
+            {review.aiEffects && (
+                <div className="flex flex-wrap gap-2 text-xs">
+                    <span className={`px-2 py-1 rounded-full font-semibold ${
+                        review.aiEffects.sentiment === 'positive' ? 'bg-teal-900 text-teal-300'
+                          : review.aiEffects.sentiment === 'negative' ? 'bg-red-900 text-red-300'
+                          : 'bg-gray-700 text-gray-300'
+                    }`}>
+                        {review.aiEffects.sentiment} ({review.aiEffects.sentimentScore > 0 ? '+' : ''}{review.aiEffects.sentimentScore.toFixed(1)})
+                    </span>
+                    <span className="px-2 py-1 rounded-full bg-orange-900 text-orange-300">
+                        <Sun className="h-3 w-3 inline mr-1" />{review.aiEffects.timeOfDay}
+                    </span>
+                    {[
+                        ...review.aiEffects.physicalEffects.map(tag => ({ tag, className: 'bg-teal-800/60 text-teal-200' })),
+                        ...review.aiEffects.mentalEffects.map(tag => ({ tag, className: 'bg-fuchsia-800/60 text-fuchsia-200' })),
+                        ...review.aiEffects.sideEffects.map(tag => ({ tag, className: 'bg-red-800/60 text-red-200' })),
+                    ].map(({ tag, className }) => (
+                        <button
+                            key={tag}
+                            onClick={() => setSearchTerm(`tag:"${tag}"`)}
+                            className={`px-2 py-1 rounded-full hover:opacity-80 transition ${className}`}
+                            title={`Search your log for "${tag}"`}
+                        >
+                            {tag}
+                        </button>
+                    ))}
+                </div>
+            )}
+            {!review.aiEffects && (
+                <button
+                    onClick={() => handleAnalyzeEffects(review.id)}
+                    disabled={analyzingReviewIds.includes(review.id) || (review.analysisQueued && !isOnline) || !(review.effects || '').trim()}
+                    className="text-fuchsia-400 hover:text-fuchsia-300 transition-colors duration-150 p-1 rounded-full hover:bg-gray-800 flex items-center text-sm disabled:opacity-50"
+                    title="Generate AI Summary of Effects"
+                >
+                    {analyzingReviewIds.includes(review.id) ? (
+                        <>
+                            <Sparkles className="h-4 w-4 mr-1 animate-spin" /> Analyzing...
+                        </>
+                    ) : review.analysisQueued && !isOnline ? (
+                        <>
+                            <CloudOff className="h-4 w-4 mr-1" /> Queued for when you're online
+                        </>
+                    ) : review.analysisQueued ? (
+                        <>
+                            <Sparkles className="h-4 w-4 mr-1" /> Retry AI Analysis
+                        </>
+                    ) : (
+                        <>
+                            <Sparkles className="h-4 w-4 mr-1" /> {review.analysis ? 'Add AI Effect Tags' : 'AI Analyze Effects'}
+                        </>
+                    )}
+                </button>
+            )}
+        </div>
+
+        {/* Actions & Timestamp */}
+        <div className="mt-4 flex justify-between items-center border-t border-gray-700 pt-3">
+          <p className="text-xs text-gray-500">
+            Logged: {new Date(review.timestamp).toLocaleDateString()}
+            {review.updatedAt && <span className="ml-2">(Edited: {review.updatedAt.toLocaleDateString()})</span>}
+            {review.hasPendingWrites ? (
+              <span className="ml-2 inline-flex items-center text-orange-400" title="Saved on this device; syncs when you're back online">
+                <CloudOff className="h-3 w-3 mr-1" /> Pending sync
+              </span>
+            ) : (
+              <span className="ml-2 inline-flex items-center text-teal-600" title="Synced to your account">
+                <Cloud className="h-3 w-3 mr-1" /> Synced
+              </span>
+            )}
+          </p>
+          <div className="flex space-x-2">
+               <button
+                 onClick={() => handleEdit(review)}
+                 className="text-orange-400 hover:text-orange-300 transition-colors duration-150 p-1 rounded-full hover:bg-gray-800 flex items-center"
+                 aria-label="Edit Review"
+                 title="Edit this review"
+               >
+                 <Pencil className="h-5 w-5 mr-1" /> Edit
+               </button>
+               <button
+                 onClick={() => setHistoryReviewId(historyReviewId === review.id ? null : review.id)}
+                 className="text-gray-400 hover:text-gray-300 transition-colors duration-150 p-1 rounded-full hover:bg-gray-800"
+                 aria-label="Revision History"
+                 title="Show earlier versions"
+               >
+                 <History className="h-5 w-5" />
+               </button>
+               <button
+                 onClick={() => handleShare(review)}
+                 className="text-teal-400 hover:text-teal-500 transition-colors duration-150 p-1 rounded-full hover:bg-gray-800 flex items-center"
+                 aria-label="Share Review"
+                 title="Copy review to clipboard"
+               >
+                 <Share2 className="h-5 w-5 mr-1" /> Share
+               </button>
+               <button
+                 onClick={() => handleDelete(review.id)}
+                 className="text-red-400 hover:text-red-500 transition-colors duration-150 p-1 rounded-full hover:bg-gray-800"
+                 aria-label="Delete Review"
+                 title="Delete Review"
+               >
+                 <Trash2 className="h-5 w-5" />
+               </button>
+          </div>
+        </div>
+
+        {/* Revision History */}
+        {historyReviewId === review.id && (
+          <div className="mt-3 bg-gray-800 p-3 rounded-lg text-sm">
+            <p className="font-semibold text-teal-300 mb-2">Revision History</p>
+            {revisions.length === 0 ? (
+              <p className="text-gray-500 italic">No earlier versions of this review.</p>
+            ) : (
+              revisions.map(revision => (
+                <div key={revision.id} className="flex justify-between items-center py-2 border-t border-gray-700 first:border-t-0">
+                  <div className="flex flex-col">
+                    <span className="text-gray-200">{revision.strain} <span className="text-gray-400">({revision.type} | {revision.productType})</span></span>
+                    <span className="text-xs text-gray-500">Replaced: {revision.revisedAt.toLocaleString()}</span>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <StarRating rating={revision.rating} readOnly={true} size='h-4 w-4' />
+                    <button
+                      onClick={() => handleRestoreRevision(review.id, revision)}
+                      className="text-teal-400 hover:text-teal-300 transition-colors duration-150 flex items-center"
+                      title="Restore this version"
+                    >
+                      <RotateCcw className="h-4 w-4 mr-1" /> Restore
+                    </button>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderSettingsScreen = () => {
+    const inputClass = 'mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500';
+    const buttonClass = 'py-2 px-4 rounded-lg font-semibold text-gray-900 bg-orange-500 hover:bg-orange-600 disabled:opacity-50 transition';
+    const currentPasswordField = (id) => {
+      if (hasPasswordSignIn) {
+        return (
+          <div>
+            <label htmlFor={id} className="block text-sm font-medium text-gray-300">Current Password</label>
+            <input type="password" id={id} name="currentPassword" value={accountForm.currentPassword} onChange={handleAccountFormChange} className={inputClass} autoComplete="current-password" required />
+          </div>
+        );
+      }
+      return hasGoogleSignIn ? <p className="text-sm text-gray-400">You will be asked to confirm with Google.</p> : null;
+    };
+
+    return (
+      <div className="space-y-8">
+        {settingsMessage && (
+          <p className={`p-2 rounded-lg text-sm text-center ${settingsMessage.type === 'error' ? 'text-red-400 bg-red-900/50' : 'text-teal-300 bg-teal-900/40'}`} role="status">
+            {settingsMessage.text}
+          </p>
+        )}
+
+        {/* Profile */}
+        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+          <h3 className="text-xl font-semibold text-teal-400 mb-4 flex items-center">
+            <User className="h-5 w-5 mr-2" /> Profile
+          </h3>
+          <form onSubmit={handleSaveProfile} className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="profileName" className="block text-sm font-medium text-gray-300">Name</label>
+                <input type="text" id="profileName" name="name" value={profileForm.name} onChange={handleProfileFormChange} className={inputClass} required />
+              </div>
+              <div>
+                <label htmlFor="profileState" className="block text-sm font-medium text-gray-300">State</label>
+                <select id="profileState" name="state" value={profileForm.state} onChange={handleProfileFormChange} className={`${inputClass} appearance-none`}>
+                  {renderJurisdictionOptions()}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="profileDob" className="block text-sm font-medium text-gray-300">Date of Birth</label>
+                <input type="date" id="profileDob" name="dob" value={profileForm.dob} onChange={handleProfileFormChange} className={inputClass} required />
+              </div>
+            </div>
+            <p className="text-sm text-gray-400">Email: {userProfile?.email || auth?.currentUser?.email || 'N/A'}</p>
+            <button type="submit" disabled={isSaving} className={buttonClass}>Save Profile</button>
+          </form>
+        </section>
+
+        {/* Guest Upgrade */}
+        {isGuest && (
+          <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-orange-700/70">
+            <h3 className="text-xl font-semibold text-orange-400 mb-2 flex items-center">
+              <User className="h-5 w-5 mr-2" /> Save Your Guest Log
+            </h3>
+            <p className="text-sm text-gray-400 mb-4">
+              You are using a guest session. Create an account to keep your {reviews.length} review{reviews.length === 1 ? '' : 's'} and sign in from other devices.
+            </p>
+            <form onSubmit={handleUpgradeAccount} className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+              <div>
+                <label htmlFor="upgradeEmail" className="block text-sm font-medium text-gray-300">Email</label>
+                <input type="email" id="upgradeEmail" name="newEmail" value={accountForm.newEmail} onChange={handleAccountFormChange} className={inputClass} autoComplete="email" required />
+              </div>
+              <div>
+                <label htmlFor="upgradePassword" className="block text-sm font-medium text-gray-300">Password</label>
+                <input type="password" id="upgradePassword" name="newPassword" value={accountForm.newPassword} onChange={handleAccountFormChange} className={inputClass} autoComplete="new-password" required />
+              </div>
+              <div>
+                <label htmlFor="upgradeConfirmPassword" className="block text-sm font-medium text-gray-300">Confirm Password</label>
+                <input type="password" id="upgradeConfirmPassword" name="confirmPassword" value={accountForm.confirmPassword} onChange={handleAccountFormChange} className={inputClass} autoComplete="new-password" required />
+              </div>
+              <div className="sm:col-span-3 flex flex-wrap gap-3">
+                <button type="submit" disabled={isSaving} className={buttonClass}>Create Account</button>
+                <button
+                  type="button"
+                  onClick={handleUpgradeWithGoogle}
+                  disabled={isSaving}
+                  className="py-2 px-4 rounded-lg font-semibold text-gray-900 bg-white hover:bg-gray-200 disabled:opacity-50 transition"
+                >
+                  Continue with Google
+                </button>
+              </div>
+            </form>
+          </section>
+        )}
+
+        {/* Email & Password */}
+        {!isGuest && (
+          <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+            <h3 className="text-xl font-semibold text-teal-400 mb-4 flex items-center">
+              <Settings className="h-5 w-5 mr-2" /> Sign-In Details
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+              <form onSubmit={handleChangeEmail} className="space-y-4">
+                <h4 className="font-semibold text-gray-300">Change Email</h4>
+                <div>
+                  <label htmlFor="newEmail" className="block text-sm font-medium text-gray-300">New Email</label>
+                  <input type="email" id="newEmail" name="newEmail" value={accountForm.newEmail} onChange={handleAccountFormChange} className={inputClass} autoComplete="email" required />
+                </div>
+                {currentPasswordField('emailCurrentPassword')}
+                <button type="submit" disabled={isSaving} className={buttonClass}>Send Verification</button>
+              </form>
+              <form onSubmit={handleChangePassword} className="space-y-4">
+                <h4 className="font-semibold text-gray-300">Change Password</h4>
+                <div>
+                  <label htmlFor="newPassword" className="block text-sm font-medium text-gray-300">New Password</label>
+                  <input type="password" id="newPassword" name="newPassword" value={accountForm.newPassword} onChange={handleAccountFormChange} className={inputClass} autoComplete="new-password" required />
+                </div>
+                <div>
+                  <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-300">Confirm New Password</label>
+                  <input type="password" id="confirmPassword" name="confirmPassword" value={accountForm.confirmPassword} onChange={handleAccountFormChange} className={inputClass} autoComplete="new-password" required />
+                </div>
+                {currentPasswordField('passwordCurrentPassword')}
+                <button type="submit" disabled={isSaving} className={buttonClass}>Update Password</button>
+              </form>
+            </div>
+          </section>
+        )}
+
+        {/* Danger Zone */}
+        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-red-900/70">
+          <h3 className="text-xl font-semibold text-red-400 mb-2 flex items-center">
+            <Trash2 className="h-5 w-5 mr-2" /> Delete Account
+          </h3>
+          <p className="text-sm text-gray-400 mb-4">
+            Permanently deletes your account, your profile, all {reviews.length} logged review{reviews.length === 1 ? '' : 's'} with their history,
+            and the ratings you shared with the community. This cannot be undone; export your log first if you want a copy.
+          </p>
+          <form onSubmit={handleDeleteAccount} className="grid grid-cols-1 sm:grid-cols-2 gap-4 items-end">
+            {currentPasswordField('deleteCurrentPassword')}
+            <div>
+              <label htmlFor="deleteConfirmation" className="block text-sm font-medium text-gray-300">Type DELETE to confirm</label>
+              <input type="text" id="deleteConfirmation" name="deleteConfirmation" value={accountForm.deleteConfirmation} onChange={handleAccountFormChange} className={inputClass} autoComplete="off" required />
+            </div>
+            <button
+              type="submit"
+              disabled={isDeletingAccount || accountForm.deleteConfirmation !== 'DELETE'}
+              className="sm:col-span-2 py-2 px-4 rounded-lg font-semibold text-white bg-red-700 hover:bg-red-800 disabled:opacity-50 transition"
+            >
+              {isDeletingAccount ? 'Deleting...' : 'Delete My Account'}
+            </button>
+          </form>
+        </section>
+      </div>
+    );
+  };
+
+  const renderReviewDetailScreen = () => {
+    const review = reviews.find(r => r.id === route.params.id);
+    const catalogStrain = review ? findStrain(strainCatalog, review.strain) : null;
+
+    return (
+      <div className="space-y-4">
+        <div className="flex justify-between items-center">
+          <button
+            onClick={() => setCurrentPage('log')}
+            className="text-teal-400 hover:text-teal-300 font-semibold text-sm transition"
+          >
+            ← Back to Log
+          </button>
+          {review && renderStrainLink(
+            `All ${catalogStrain ? catalogStrain.name : splitStrainName(review.strain).name} sessions →`,
+            canonicalStrainId(strainCatalog, review.strain),
+            'text-teal-400 hover:text-teal-300 font-semibold text-sm transition'
+          )}
+        </div>
+        {review ? renderReviewCard(review) : (
+          <div className="text-center py-10 text-gray-500 bg-gray-900/70 rounded-xl border border-fuchsia-900/50">
+            {hasLoadedReviews ? 'This review could not be found. It may have been deleted.' : 'Loading review...'}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Rendered inside the log form, so its buttons must not submit it
+  const renderDispensaryEditor = (title) => (
+    <div className="bg-gray-800 p-4 rounded-lg border border-teal-900/50 space-y-4">
+      <h3 className="text-lg font-semibold text-teal-400">{title}</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="dispensaryName" className="block text-sm font-medium text-gray-300">Name *</label>
+          <input type="text" name="name" id="dispensaryName" value={dispensaryForm.name} onChange={handleDispensaryFormChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500" placeholder="e.g., Green Leaf" />
+        </div>
+        <div>
+          <label htmlFor="dispensaryAddress" className="block text-sm font-medium text-gray-300">Address</label>
+          <input type="text" name="address" id="dispensaryAddress" value={dispensaryForm.address} onChange={handleDispensaryFormChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500" placeholder="e.g., 12 Main St, Denver" />
+        </div>
+        <div>
+          <label htmlFor="dispensaryState" className="block text-sm font-medium text-gray-300">State *</label>
+          <select name="state" id="dispensaryState" value={dispensaryForm.state} onChange={handleDispensaryFormChange} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500 appearance-none">
+            <option value="">Choose a state...</option>
+            {renderJurisdictionOptions()}
+          </select>
+        </div>
+        <label className="flex items-center text-sm text-gray-300 md:mt-7">
+          <input type="checkbox" name="licensed" checked={dispensaryForm.licensed} onChange={handleDispensaryFormChange} className="mr-2 h-4 w-4 accent-teal-500" />
+          Licensed dispensary
+        </label>
+      </div>
+      {dispensaryErrors.length > 0 && (
+        <ul className="text-red-400 text-sm list-disc list-inside">
+          {dispensaryErrors.map(message => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+      <div className="flex gap-2">
+        <button type="button" onClick={handleSaveDispensary} className="py-2 px-4 rounded-lg text-sm font-semibold text-gray-900 bg-teal-500 hover:bg-teal-600 transition">
+          Save Dispensary
+        </button>
+        <button type="button" onClick={() => setDispensaryEditor(null)} className="py-2 px-4 rounded-lg text-sm font-semibold text-gray-300 bg-gray-700 hover:bg-gray-600 transition">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderDispensaryLink = (dispensary, className = 'hover:text-teal-300 transition') => (
+    <a
+      href={dispensaryPath(dispensary.id)}
+      onClick={(e) => { e.preventDefault(); navigate(dispensaryPath(dispensary.id)); }}
+      className={className}
+    >
+      {dispensary.name}
+    </a>
+  );
+
+  // Side-by-side prices from comparePrices; `currentDispensaryId` is outlined on its own page
+  const renderPriceComparison = (rows, currentDispensaryId = null) => (
+    <div className="space-y-4">
+      {rows.map(row => {
+        const lowestCost = row.prices[0].averageCost;
+        return (
+          <div key={row.key} className="bg-gray-800 p-4 rounded-lg">
+            <p className="font-semibold text-gray-200">
+              {renderStrainLink(row.strain, row.strainId)}
+              <span className="text-sm text-gray-400 ml-2">{row.brand || 'No Brand Listed'} · {row.productType || 'N/A'}</span>
+            </p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3">
+              {row.prices.map(price => (
+                <div
+                  key={price.dispensary.id}
+                  className={`p-3 rounded-lg bg-gray-700 ${price.dispensary.id === currentDispensaryId ? 'ring-2 ring-fuchsia-500' : ''}`}
+                  aria-label={`${price.dispensary.name} price`}
+                >
+                  <p className="text-sm font-semibold text-gray-200 truncate">{renderDispensaryLink(price.dispensary)}</p>
+                  <p className="text-xl font-bold text-orange-400">${price.averageCost.toFixed(2)}</p>
+                  <p className="text-xs text-gray-400">
+                    {price.averageCost === lowestCost
+                      ? <span className="text-teal-300 font-semibold">Cheapest</span>
+                      : `+$${(price.averageCost - lowestCost).toFixed(2)}`}
+                    {' · '}{price.purchaseCount} purchase{price.purchaseCount === 1 ? '' : 's'}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  const renderDispensaryDetailScreen = () => {
+    const { dispensary, stats, comparisons } = dispensaryDetail;
+    if (!dispensary) {
+      return (
+        <div className="space-y-4">
+          <button onClick={() => setCurrentPage('log')} className="text-teal-400 hover:text-teal-300 font-semibold text-sm transition">
+            ← Back to Log
+          </button>
+          <div className="text-center py-10 text-gray-500 bg-gray-900/70 rounded-xl border border-fuchsia-900/50">
+            {hasLoadedDispensaries ? 'This dispensary could not be found.' : 'Loading dispensary...'}
+          </div>
+        </div>
+      );
+    }
+    const jurisdiction = getJurisdiction(dispensary.state);
+    const legalityStyle = (jurisdiction && LEGALITY_STATUS_STYLES[jurisdiction.status]) || UNKNOWN_LEGALITY_STYLE;
+    const isEditing = dispensaryEditor && dispensaryEditor.dispensaryId === dispensary.id;
+
+    return (
+      <div className="space-y-8">
+        <button onClick={() => setCurrentPage('log')} className="text-teal-400 hover:text-teal-300 font-semibold text-sm transition">
+          ← Back to Log
+        </button>
+
+        {/* Dispensary Header */}
+        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50 space-y-6">
+          {isEditing ? renderDispensaryEditor('Edit Dispensary') : (
+            <div className="flex justify-between items-start gap-4">
+              <div>
+                <h2 className="text-3xl font-bold text-teal-400 flex items-center">
+                  <MapPin className="h-7 w-7 mr-2" /> {dispensary.name}
+                </h2>
+                <p className="text-sm text-gray-400 mt-2">{[dispensary.address, dispensary.state].filter(Boolean).join(', ')}</p>
+                <div className="flex flex-wrap gap-2 mt-3 text-xs">
+                  <span className={`px-2 py-1 rounded-full font-semibold ${dispensary.licensed ? 'bg-teal-900 text-teal-300' : 'bg-orange-900 text-orange-300'}`}>
+                    {dispensary.licensed ? 'Licensed' : 'Not marked as licensed'}
+                  </span>
+                  {jurisdiction && (
+                    <span className={`px-2 py-1 rounded-full font-semibold ${legalityStyle.color} ${legalityStyle.text}`}>
+                      {jurisdiction.name}: {jurisdiction.status}
+                    </span>
+                  )}
+                </div>
+              </div>
+              <button
+                onClick={() => openDispensaryEditor(dispensary)}
+                className="flex-shrink-0 py-2 px-4 rounded-lg text-sm font-semibold text-white bg-fuchsia-700 hover:bg-fuchsia-600 transition flex items-center"
+              >
+                <Pencil className="h-4 w-4 mr-1" /> Edit
+              </button>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              ['Visits', stats.purchases.length],
+              ['Avg. Rating', stats.purchases.length > 0 ? `${stats.averageRating.toFixed(1)}★` : '–'],
+              ['Avg. Cost', stats.averageCost > 0 ? `$${stats.averageCost.toFixed(2)}` : '–'],
+              ['Total Spent', `$${stats.totalSpend.toFixed(2)}`],
+            ].map(([label, value]) => (
+              <div key={label} className="bg-gray-800 p-4 rounded-lg">
+                <p className="text-sm font-semibold text-gray-300">{label}</p>
+                <p className="text-2xl font-bold text-orange-400">{value}</p>
+              </div>
+            ))}
+          </div>
+        </section>
+
+        {/* Price Comparison with other dispensaries */}
+        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+          <h3 className="text-xl font-semibold text-teal-400 mb-4 flex items-center">
+            <TrendingUp className="h-5 w-5 mr-2" /> Price Comparison
+          </h3>
+          {comparisons.length > 0 ? renderPriceComparison(comparisons, dispensary.id) : (
+            <p className="text-gray-500">Buy the same strain, brand and product type at another saved dispensary to compare prices.</p>
+          )}
+        </section>
+
+        {/* Purchases here, newest first */}
+        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+          <h3 className="text-xl font-semibold text-teal-400 mb-4 flex items-center">
+            <History className="h-5 w-5 mr-2" /> Bought Here ({stats.purchases.length})
+          </h3>
+          {stats.purchases.length === 0 ? (
+            <p className="text-gray-500">{hasLoadedReviews ? 'No reviews are linked to this dispensary yet.' : 'Loading purchases...'}</p>
+          ) : (
+            <div className="space-y-3">
+              {stats.purchases.map(review => (
+                <a
+                  key={review.id}
+                  href={reviewPath(review.id)}
+                  onClick={(e) => { e.preventDefault(); navigate(reviewPath(review.id)); }}
+                  className="p-3 bg-gray-700 hover:bg-gray-600 rounded-lg flex justify-between items-center transition"
+                >
+                  <div className="flex flex-col">
+                    <span className="font-semibold text-gray-200">{review.strain}</span>
+                    <span className="text-xs text-gray-400">
+                      {review.timestamp.toLocaleDateString()} · {review.brand || 'No Brand Listed'} · {review.productType || 'N/A'}
+                      {review.cost > 0 && ` · $${review.cost.toFixed(2)}`}
+                    </span>
+                  </div>
+                  <StarRating rating={review.rating} readOnly={true} size='h-5 w-5' />
+                </a>
+              ))}
+            </div>
+          )}
+        </section>
+      </div>
+    );
+  };
+
+  const renderStrainDetailScreen = () => {
+    const { strainId, catalogStrain, history, community, communityByBrand } = strainDetail;
+    const comparisons = priceComparison.filter(row => row.strainId === strainId);
+    const name = (catalogStrain && catalogStrain.name)
+      || (history.spellings.length > 0 && splitStrainName(history.spellings[0]).name)
+      || (community && community.strain)
+      || strainId;
+    const type = (catalogStrain && catalogStrain.type) || (history.sessions[0] && history.sessions[0].type) || (community && community.type) || '';
+    const isEmpty = history.sessions.length === 0 && !community;
+
+    return (
+      <div className="space-y-8">
+        <button
+          onClick={() => setCurrentPage('log')}
+          className="text-teal-400 hover:text-teal-300 font-semibold text-sm transition"
+        >
+          ← Back to Log
+        </button>
+
+        {/* Strain Header: catalog details */}
+        <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+          <div className="flex justify-between items-start gap-4">
+            <div>
+              <h2 className="text-3xl font-bold text-teal-400">
+                {name}
+                {type && <span className="text-base font-medium ml-2 text-gray-400">({type})</span>}
+              </h2>
+              {catalogStrain ? (
+                <div className="text-sm text-gray-400 mt-2 space-y-1">
+                  {catalogStrain.aliases.length > 0 && (
+                    <p><span className="font-semibold text-gray-300">Also known as:</span> {catalogStrain.aliases.join(', ')}</p>
+                  )}
+                  <p>
+                    <span className="font-semibold text-gray-300">Lineage:</span>{' '}
+                    {catalogStrain.lineage.length > 0 ? catalogStrain.lineage.map((parent, index) => {
+                      const parentStrain = findStrain(strainCatalog, parent);
+                      return (
+                        <React.Fragment key={parent}>
+                          {index > 0 && ' × '}
+                          {parentStrain ? renderStrainLink(parent, parentStrain.id, 'text-teal-300 hover:text-teal-200') : parent}
+                        </React.Fragment>
+                      );
+                    }) : 'Unknown or landrace'}
+                  </p>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500 mt-2">Not in the strain catalog; sessions are matched by name.</p>
+              )}
+            </div>
+            <button
+              onClick={() => handleLogStrain(name, type)}
+              className="flex-shrink-0 py-2 px-4 rounded-lg text-sm font-semibold text-white bg-fuchsia-700 hover:bg-fuchsia-600 transition"
+            >
+              Log a Session
+            </button>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4 mt-6">
+            <div className="bg-gray-800 p-4 rounded-lg">
+              <p className="text-sm font-semibold text-gray-300">My Sessions</p>
+              <p className="text-2xl font-bold text-orange-400">{history.sessions.length}</p>
+              {history.sessions.length > 0 && (
+                <p className="text-xs text-gray-400">
+                  {history.averageRating.toFixed(1)}★ avg · {history.firstLoggedAt.toLocaleDateString()} – {history.lastLoggedAt.toLocaleDateString()}
+                </p>
+              )}
+            </div>
+            <div className="bg-gray-800 p-4 rounded-lg">
+              <p className="text-sm font-semibold text-gray-300">Community</p>
+              <p className="text-2xl font-bold text-orange-400">{community ? `${community.averageRating.toFixed(1)}★` : '–'}</p>
+              {community && (
+                <p className="text-xs text-gray-400">
+                  {community.raterCount} rater{community.raterCount === 1 ? '' : 's'} · {community.ratingCount} rating{community.ratingCount === 1 ? '' : 's'}
+                </p>
+              )}
+            </div>
+          </div>
+
+          {history.spellings.length > 1 && (
+            <p className="text-xs text-gray-500 mt-4">Logged as: {history.spellings.join(', ')}</p>
+          )}
+        </section>
+
+        {isEmpty && (
+          <div className="text-center py-10 text-gray-500 bg-gray-900/70 rounded-xl border border-fuchsia-900/50">
+            {hasLoadedReviews ? 'No sessions or community ratings for this strain yet.' : 'Loading strain...'}
+          </div>
+        )}
+
+        {/* Community Ratings by Brand */}
+        {communityByBrand.length > 0 && (
+          <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+            <h3 className="text-xl font-semibold text-teal-400 mb-4 flex items-center">
+              <Users className="h-5 w-5 mr-2" /> Community Ratings by Brand
+            </h3>
+            <div className="space-y-3">
+              {communityByBrand.map(s => (
+                <div key={s.id} className="p-3 bg-gray-700 rounded-lg flex justify-between items-center">
+                  <div className="flex flex-col">
+                    <span className="font-semibold text-gray-200">{s.brand || 'No Brand Listed'}</span>
+                    <span className="text-xs text-gray-400">{s.productType || 'N/A'} · {s.raterCount} rater{s.raterCount === 1 ? '' : 's'}</span>
+                  </div>
+                  <div className="flex flex-col items-end">
+                    <StarRating rating={Math.round(s.averageRating)} readOnly={true} size='h-5 w-5' />
+                    <span className="text-xs text-gray-300 mt-1">{s.averageRating.toFixed(1)} avg</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </section>
+        )}
+
+        {/* Prices for this strain at different dispensaries */}
+        {comparisons.length > 0 && (
+          <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+            <h3 className="text-xl font-semibold text-teal-400 mb-4 flex items-center">
+              <TrendingUp className="h-5 w-5 mr-2" /> Price Comparison
+            </h3>
+            {renderPriceComparison(comparisons)}
+          </section>
+        )}
+
+        {/* My Sessions, newest first */}
+        {history.sessions.length > 0 && (
+          <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+            <h3 className="text-xl font-semibold text-teal-400 mb-4 flex items-center">
+              <History className="h-5 w-5 mr-2" /> My Sessions ({history.sessions.length})
+            </h3>
+            <div className="space-y-3">
+              {history.sessions.map(review => (
+                <a
+                  key={review.id}
+                  href={reviewPath(review.id)}
+                  onClick={(e) => { e.preventDefault(); navigate(reviewPath(review.id)); }}
+                  className="p-3 bg-gray-700 hover:bg-gray-600 rounded-lg flex justify-between items-center transition"
+                  aria-label={`Session ${review.timestamp.toLocaleDateString()}`}
+                >
+                  <div className="flex flex-col">
+                    <span className="font-semibold text-gray-200">{review.strain}</span>
+                    <span className="text-xs text-gray-400">
+                      {review.timestamp.toLocaleDateString()} · {review.brand || 'No Brand Listed'} · {review.productType || 'N/A'}
+                      {review.cost > 0 && ` · $${review.cost.toFixed(2)}`}
+                    </span>
+                  </div>
+                  <StarRating rating={review.rating} readOnly={true} size='h-5 w-5' />
+                </a>
+              ))}
+            </div>
+          </section>
+        )}
+      </div>
+    );
+  };
+
+  const renderReviewLogScreen = () => (
+    <div className="space-y-8">
+      {/* New Review Form */}
+      <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+        <h2 className="text-2xl font-semibold mb-6 text-teal-400 border-b border-gray-700 pb-3">
+          {editingReviewId ? 'Edit Strain Review' : 'Log New Strain'}
+        </h2>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {/* Row 1: Strain and Product Type */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="md:col-span-2">
+              <label htmlFor="strain" className="block text-sm font-medium text-gray-300 flex items-center">Strain Name *</label>
+              <div className="flex mt-1">
+                <input
+                  type="text"
+                  name="strain"
+                  id="strain"
+                  list="strainSuggestions"
+                  value={form.strain}
+                  onChange={handleFormChange}
+                  className="block w-full rounded-l-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
+                  placeholder="e.g., OG Kush, Blue Dream"
+                  required
+                />
+                 <button
+                    type="button"
+                    onClick={handleAiNameSuggest}
+                    disabled={aiNameLoading || (!form.effects && !form.flavor)}
+                    className="flex-shrink-0 p-3 bg-fuchsia-700 text-white rounded-r-lg hover:bg-fuchsia-600 transition disabled:opacity-50"
+                    title="Suggest Strain Name based on notes"
+                 >
+                     <Sparkles className="h-5 w-5" />
+                 </button>
+              </div>
+              <datalist id="strainSuggestions">
+                {strainNameSuggestions.map(name => <option key={name} value={name} />)}
+              </datalist>
+              {formCatalogStrain && (
+                <p className="text-xs text-gray-400 mt-1">
+                  Catalog: {renderStrainLink(formCatalogStrain.name, formCatalogStrain.id, 'font-semibold text-teal-300 hover:text-teal-200')}
+                  {formCatalogStrain.type && ` · ${formCatalogStrain.type}`}
+                  {formCatalogStrain.lineage.length > 0 && ` · ${formCatalogStrain.lineage.join(' × ')}`}
+                  {splitStrainName(form.strain).name !== formCatalogStrain.name && (
+                    <button
+                      type="button"
+                      onClick={() => {
+                        const { variant } = splitStrainName(form.strain);
+                        setForm(p => ({ ...p, strain: variant ? `${formCatalogStrain.name} (${variant})` : formCatalogStrain.name }));
+                      }}
+                      className="ml-2 text-orange-400 hover:text-orange-300 font-semibold"
+                    >
+                      Use "{formCatalogStrain.name}"
+                    </button>
+                  )}
+                </p>
+              )}
+              {aiNameLoading && <p className="text-xs text-fuchsia-300 mt-1">AI brainstorming names...</p>}
+              {aiNameSuggestions && (
+                  <div className="mt-2 p-2 bg-gray-700 rounded-lg text-sm">
+                      <p className="font-semibold text-teal-300 mb-1">Suggestions:</p>
+                      <div className="flex flex-wrap gap-2">
+                        {aiNameSuggestions.map((name, index) => (
+                          <button
+                            key={index}
+                            type="button"
+                            onClick={() => setForm(p => ({ ...p, strain: name }))}
+                            className="bg-gray-600 text-gray-200 hover:bg-gray-500 px-2 py-1 rounded-full text-xs transition"
+                          >
+                            {name}
+                          </button>
+                        ))}
+                      </div>
+                  </div>
+              )}
+            </div>
+            <div>
+              <label htmlFor="productType" className="block text-sm font-medium text-gray-300">Product Type *</label>
+              <select
+                name="productType"
+                id="productType"
+                value={form.productType}
+                onChange={handleFormChange}
+                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500 appearance-none"
+              >
+                {productTypes.map(t => <option key={t} value={t}>{t}</option>)}
+              </select>
+            </div>
+          </div>
+          
+          {/* Row 2: Brand, Type, Potency */}
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="brand" className="block text-sm font-medium text-gray-300">Brand / Cultivator</label>
+              <input
+                type="text"
+                name="brand"
+                id="brand"
+                list="brandSuggestions"
+                value={form.brand}
+                onChange={handleFormChange}
+                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
+                placeholder="e.g., Rythm, Cookies"
+              />
+            </div>
+            <div>
+              <label htmlFor="type" className="block text-sm font-medium text-gray-300">Strain Type</label>
+              <select
+                name="type"
+                id="type"
+                value={form.type}
+                onChange={handleFormChange}
+                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500 appearance-none"
+              >
+                {strainTypes.map(t => <option key={t} value={t}>{t}</option>)}
+              </select>
+            </div>
+            <div>
+              <span className="block text-sm font-medium text-gray-300">Potency ({potencyFormUnit(form.potency, form.productType)})</span>
+              <div className="grid grid-cols-2 gap-2 mt-1">
+                {PRIMARY_CANNABINOIDS.map(key => (
+                  <input
+                    key={key}
+                    type="number"
+                    name={key}
+                    aria-label={`${key.toUpperCase()} (${potencyFormUnit(form.potency, form.productType)})`}
+                    value={form.potency[key]}
+                    onChange={handlePotencyChange}
+                    min="0"
+                    max={potencyFormUnit(form.potency, form.productType) === '%' ? '100' : undefined}
+                    step="0.1"
+                    className="block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
+                    placeholder={key.toUpperCase()}
+                  />
+                ))}
+              </div>
+              <details className="mt-1 text-xs text-gray-400">
+                <summary className="cursor-pointer">Other cannabinoids</summary>
+                <div className="grid grid-cols-2 gap-2 mt-1">
+                  {CANNABINOIDS.filter(key => !PRIMARY_CANNABINOIDS.includes(key)).map(key => (
+                    <input
+                      key={key}
+                      type="number"
+                      name={key}
+                      aria-label={`${key.toUpperCase()} (${potencyFormUnit(form.potency, form.productType)})`}
+                      value={form.potency[key]}
+                      onChange={handlePotencyChange}
+                      min="0"
+                      step="0.1"
+                      className="block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-2 text-sm focus:ring-orange-500 focus:border-orange-500"
+                      placeholder={key.toUpperCase()}
+                    />
+                  ))}
+                </div>
+              </details>
+              {form.potency.note && !hasPotency(buildPotency(form.potency, form.productType)) && (
+                <p className="mt-1 text-xs text-gray-400">Logged as "{form.potency.note}". Kept until you enter values.</p>
+              )}
+            </div>
+          </div>
+
+          {legalityWarnings.length > 0 && (
+            <div className="space-y-2" role="status">
+              {legalityWarnings.map(warning => (
+                <p
+                  key={warning.message}
+                  className={`p-2 rounded-lg text-sm ${warning.level === 'danger' ? 'text-red-400 bg-red-900/50' : 'text-orange-300 bg-orange-900/40'}`}
+                >
+                  {warning.message}
+                </p>
+              ))}
+            </div>
+          )}
+
+          {/* Row 3: Flavor, Terpenes, Rating */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="flavor" className="block text-sm font-medium text-gray-300">Flavor Profile</label>
+              <input
+                type="text"
+                name="flavor"
+                id="flavor"
+                value={form.flavor}
+                onChange={handleFormChange}
+                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
+                placeholder="e.g., Citrus, Pine, Skunk"
+              />
+            </div>
+            <div>
+              <label htmlFor="terpenes" className="block text-sm font-medium text-gray-300">Key Terpenes (Select Top 3)</label>
+              <select
+                  multiple
+                  name="terpenes"
+                  id="terpenes"
+                  value={form.terpenes}
+                  onChange={handleTerpeneChange}
+                  className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500 h-28"
+                  size="5"
+              >
+                  {TOP_TERPENES.map(t => <option key={t} value={t}>{t}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Your Rating *</label>
+              <StarRating rating={form.rating} onRate={handleRatingChange} />
+            </div>
+          </div>
+          
+          {/* Row 4: Dispensary, Location and Cost */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="dispensaryId" className="block text-sm font-medium text-gray-300">Dispensary</label>
+              <select
+                id="dispensaryId"
+                value={form.dispensaryId}
+                onChange={handleDispensarySelect}
+                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500 appearance-none"
+              >
+                <option value="">Not saved / other</option>
+                {dispensaries.map(d => <option key={d.id} value={d.id}>{d.name}{d.address ? ` (${d.address})` : ''}</option>)}
+                <option value={ADD_DISPENSARY_OPTION}>+ Add a dispensary...</option>
+              </select>
+              {dispensariesById.has(form.dispensaryId) && (
+                <a
+                  href={dispensaryPath(form.dispensaryId)}
+                  onClick={(e) => { e.preventDefault(); navigate(dispensaryPath(form.dispensaryId)); }}
+                  className="text-xs text-teal-400 hover:text-teal-300 mt-1 inline-block"
+                >
+                  Visits and prices →
+                </a>
+              )}
+            </div>
+            <div>
+              <label htmlFor="location" className="block text-sm font-medium text-gray-300">Purchased From (Location)</label>
+              <input
+                type="text"
+                name="location"
+                id="location"
+                list="locationSuggestions"
+                value={form.location}
+                onChange={handleFormChange}
+                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
+                placeholder="e.g., Local Dispensary Name"
+              />
+              {!form.dispensaryId && form.location.trim() && (
+                <p className="text-xs text-gray-400 mt-1">
+                  {locationJurisdiction
+                    ? `Counted on your legality map in ${locationJurisdiction.name}.`
+                    : 'Not counted on your legality map. End with a state, e.g. "Denver, CO", or pick a saved dispensary.'}
+                </p>
+              )}
+            </div>
+            <div>
+              <label htmlFor="cost" className="block text-sm font-medium text-gray-300">Cost (USD)</label>
+              <input
+                type="number"
+                name="cost"
+                id="cost"
+                value={form.cost}
+                onChange={handleFormChange}
+                min="0"
+                step="0.01"
+                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
+                placeholder="e.g., 55.00"
+              />
+            </div>
+          </div>
+
+
+          {dispensaryEditor && !dispensaryEditor.dispensaryId && renderDispensaryEditor('Add a Dispensary')}
+
+          {/* Row 5: Effects Description */}
+          <div>
+            <label htmlFor="effects" className="block text-sm font-medium text-gray-300">Observed Effects / Notes</label>
+            <textarea
+              name="effects"
+              id="effects"
+              rows="3"
+              value={form.effects}
+              onChange={handleFormChange}
+              className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 focus:ring-orange-500 focus:border-orange-500"
+              placeholder="e.g., Very relaxing, helped with sleep, slightly dry mouth..."
+            ></textarea>
+          </div>
+
+          {error && (
+            <p className="text-red-400 bg-red-900/50 p-2 rounded-lg text-sm text-center">
+              {error}
+            </p>
+          )}
+
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={isSaving || form.rating === 0 || form.strain.trim() === ''}
+              className="w-full py-3 px-4 border-2 border-orange-500 rounded-lg shadow-sm text-lg font-medium text-gray-900 bg-orange-500 hover:bg-orange-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500 transition duration-150 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSaving ? 'Saving...' : (editingReviewId ? 'Save Changes' : 'Add Review')}
+            </button>
+            {editingReviewId && (
+              <button
+                type="button"
+                onClick={handleCancelEdit}
+                disabled={isSaving}
+                className="flex-shrink-0 py-3 px-4 rounded-lg text-lg font-medium text-gray-300 bg-gray-700 hover:bg-gray-600 transition disabled:opacity-50 flex items-center"
+              >
+                <X className="h-5 w-5 mr-1" /> Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </section>
+      
+      {/* --- Search and Filter Section --- */}
+      <section className="bg-gray-900/70 p-6 rounded-xl shadow-2xl border border-fuchsia-900/50">
+        <h2 className="text-2xl font-semibold mb-6 text-teal-400 border-b border-gray-700 pb-3">
+          Filter Your History
+        </h2>
+        
+        {/* Search Bar */}
+        <div className="relative mb-6">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search strains, notes, terpenes... or use brand:, terp:, rating:>=4, type:"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="w-full pl-12 pr-4 py-3 rounded-lg bg-gray-700 border border-fuchsia-700 text-white focus:ring-orange-500 focus:border-orange-500"
+          />
+        </div>
+
+        {/* Saved Filter Presets */}
+        <div className="mb-6">
+          {filterPresets.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-3">
+              {filterPresets.map(preset => (
+                <span key={preset.name} className="inline-flex items-center rounded-full bg-gray-700 text-sm">
+                  <button
+                    onClick={() => navigate(preset.query ? `/log?${preset.query}` : '/log')}
+                    className="pl-3 pr-1 py-1 font-semibold text-teal-300 hover:text-teal-200"
+                    title="Apply these saved filters"
+                  >
+                    {preset.name}
+                  </button>
+                  <button
+                    onClick={() => handleDeletePreset(preset.name)}
+                    className="pl-1 pr-2 py-1 text-gray-400 hover:text-red-400"
+                    aria-label={`Delete saved filters ${preset.name}`}
+                  >
+                    <X className="h-3 w-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              className="flex-grow rounded-lg bg-gray-700 border border-gray-600 text-white p-2 text-sm focus:ring-orange-500 focus:border-orange-500"
+              placeholder="Name these filters, e.g. Evening Indicas"
+              aria-label="Saved filters name"
+            />
+            <button
+              onClick={handleSavePreset}
+              className="py-2 px-4 rounded-lg text-sm font-semibold text-gray-900 bg-teal-500 hover:bg-teal-600 transition"
+            >
+              Save Filters
+            </button>
+          </div>
+          {presetMessage && <p className="mt-2 text-red-400 text-sm">{presetMessage}</p>}
+        </div>
+
+        {/* Multi-Select Filters */}
+        <div className="space-y-4 mb-6">
+          <ToggleChips label="Strain Type" options={strainTypes} selected={logFilterValues.types} onToggle={(option) => toggleLogFilter('types', option)} />
+          <ToggleChips label="Product Type" options={productTypes} selected={logFilterValues.productTypes} onToggle={(option) => toggleLogFilter('productTypes', option)} />
+          <ToggleChips label="Terpenes (any of)" options={TOP_TERPENES} selected={logFilterValues.terpenes} onToggle={(option) => toggleLogFilter('terpenes', option)} />
+        </div>
+
+        {/* Filter Options */}
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+          
+          {/* Filter by Min Rating */}
+          <div>
+            <label htmlFor="filterRating" className="block text-sm font-medium text-gray-300">Min. Rating</label>
+            <select
+              id="filterRating"
+              value={logFilterValues.minRating}
+              onChange={(e) => setLogFilter('minRating', parseInt(e.target.value))}
+              className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500 appearance-none"
+            >
+              <option value={0}>All Ratings</option>
+              {[1, 2, 3, 4, 5].map(r => <option key={r} value={r}>{r} Stars +</option>)}
+            </select>
+          </div>
+
+          {/* Sort Order */}
+          <div>
+            <label htmlFor="logSort" className="block text-sm font-medium text-gray-300">Sort By</label>
+            <select
+              id="logSort"
+              value={logSort}
+              onChange={(e) => setLogSort(e.target.value)}
+              className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500 appearance-none"
+            >
+              {Object.entries(LOG_SORTS).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </div>
+          
+          {/* Filter by Brand (exact, with suggestions from your log) */}
+          <div className="col-span-2 sm:col-span-1">
+            <label htmlFor="filterBrand" className="block text-sm font-medium text-gray-300">Brand</label>
+            <input
+                type="text"
+                id="filterBrand"
+                list="brandSuggestions"
+                value={logFilterValues.brand}
+                onChange={(e) => setLogFilter('brand', e.target.value)}
+                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500"
+                placeholder="Exact Brand Name"
+            />
+          </div>
+
+          {/* Filter by Location (exact, with suggestions from your log) */}
+          <div className="col-span-2 sm:col-span-1">
+            <label htmlFor="filterLocation" className="block text-sm font-medium text-gray-300">Location</label>
+            <input
+                type="text"
+                id="filterLocation"
+                list="locationSuggestions"
+                value={logFilterValues.location}
+                onChange={(e) => setLogFilter('location', e.target.value)}
+                className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500"
+                placeholder="Exact Location Name"
+            />
+          </div>
+
+          {/* Date Range */}
+          <div>
+            <label htmlFor="filterFrom" className="block text-sm font-medium text-gray-300">Logged From</label>
+            <input type="date" id="filterFrom" value={logFilterValues.from} onChange={(e) => setLogFilter('from', e.target.value)} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500" />
+          </div>
+          <div>
+            <label htmlFor="filterTo" className="block text-sm font-medium text-gray-300">Logged To</label>
+            <input type="date" id="filterTo" value={logFilterValues.to} onChange={(e) => setLogFilter('to', e.target.value)} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500" />
+          </div>
+
+          {/* Cost Range */}
+          <div>
+            <label htmlFor="filterMinCost" className="block text-sm font-medium text-gray-300">Min. Cost ($)</label>
+            <input type="number" min="0" step="0.01" id="filterMinCost" value={logFilterValues.minCost} onChange={(e) => setLogFilter('minCost', e.target.value)} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500" placeholder="Any" />
+          </div>
+          <div>
+            <label htmlFor="filterMaxCost" className="block text-sm font-medium text-gray-300">Max. Cost ($)</label>
+            <input type="number" min="0" step="0.01" id="filterMaxCost" value={logFilterValues.maxCost} onChange={(e) => setLogFilter('maxCost', e.target.value)} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500" placeholder="Any" />
+          </div>
+
+          {/* Potency Range (in each review's own unit: % or mg) */}
+          <div>
+            <label htmlFor="filterCannabinoid" className="block text-sm font-medium text-gray-300">Potency Of</label>
+            <select
+              id="filterCannabinoid"
+              value={logFilterValues.cannabinoid}
+              onChange={(e) => setLogFilter('cannabinoid', e.target.value)}
+              className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500 appearance-none"
+            >
+              {CANNABINOIDS.map(c => <option key={c} value={c}>{c.toUpperCase()}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="filterMinPotency" className="block text-sm font-medium text-gray-300">Min. (% or mg)</label>
+            <input type="number" min="0" step="0.1" id="filterMinPotency" value={logFilterValues.minPotency} onChange={(e) => setLogFilter('minPotency', e.target.value)} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500" placeholder="Any" />
+          </div>
+          <div>
+            <label htmlFor="filterMaxPotency" className="block text-sm font-medium text-gray-300">Max. (% or mg)</label>
+            <input type="number" min="0" step="0.1" id="filterMaxPotency" value={logFilterValues.maxPotency} onChange={(e) => setLogFilter('maxPotency', e.target.value)} className="mt-1 block w-full rounded-lg bg-gray-700 border border-gray-600 text-white p-3 text-sm focus:ring-orange-500 focus:border-orange-500" placeholder="Any" />
+          </div>
+          <div className="flex items-end">
+            <button
+              onClick={() => navigate('/log', { replace: true })}
+              disabled={!hasLogFilters}
+              className="w-full py-3 rounded-lg text-sm font-semibold text-gray-300 bg-gray-700 hover:bg-gray-600 transition disabled:opacity-50 flex items-center justify-center"
+            >
+              <X className="h-4 w-4 mr-1" /> Clear Filters
+            </button>
+          </div>
+        </div>
+
+        <datalist id="brandSuggestions">
+          {fieldSuggestions.brand.map(value => <option key={value} value={value} />)}
+        </datalist>
+        <datalist id="locationSuggestions">
+          {fieldSuggestions.location.map(value => <option key={value} value={value} />)}
+        </datalist>
+      </section>
+
+
+      {/* --- Review List --- */}
+      <section>
+        <h2 className="text-2xl font-semibold mb-6 text-teal-400 border-b border-gray-700 pb-3">
+          Review History ({filteredReviews.length}{logPage.hasMore ? '+' : ''})
+        </h2>
+
+        {/* Export Toolbar */}
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3 mb-6">
+          <label htmlFor="exportScope" className="text-sm font-medium text-gray-300 flex items-center">
+            <Download className="h-4 w-4 mr-1" /> Export
+          </label>
+          <select
+            id="exportScope"
+            value={exportScope}
+            onChange={(e) => setExportScope(e.target.value)}
+            className="rounded-lg bg-gray-700 border border-gray-600 text-white p-2 text-sm focus:ring-orange-500 focus:border-orange-500 appearance-none"
+          >
+            <option value="filtered">Current Results ({filteredReviews.length})</option>
+            <option value="all">Entire Log</option>
+          </select>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => handleExport('csv')}
+              className="py-2 px-4 rounded-lg text-sm font-semibold text-gray-900 bg-teal-500 hover:bg-teal-600 transition"
+            >
+              CSV
+            </button>
+            <button
+              onClick={() => handleExport('json')}
+              className="py-2 px-4 rounded-lg text-sm font-semibold text-gray-900 bg-teal-500 hover:bg-teal-600 transition"
+            >
+              JSON
+            </button>
+          </div>
+          <label className="sm:ml-auto py-2 px-4 rounded-lg text-sm font-semibold text-gray-900 bg-orange-500 hover:bg-orange-600 transition cursor-pointer flex items-center justify-center">
+            <Upload className="h-4 w-4 mr-1" /> Import CSV / JSON
+            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleImportFile} className="hidden" />
+          </label>
+        </div>
+
+        {/* Import Preview */}
+        {importPreview && (() => {
+          const readyCount = importPreview.rows.filter(row => row.errors.length === 0 && !row.duplicate).length;
+          const errorCount = importPreview.rows.filter(row => row.errors.length > 0).length;
+          const duplicateCount = importPreview.rows.filter(row => row.errors.length === 0 && row.duplicate).length;
+
+          return (
+            <div className="mb-6 bg-gray-900/70 p-5 rounded-xl border border-orange-700/50 text-sm">
+              <div className="flex justify-between items-start mb-3">
+                <div>
+                  <h3 className="text-lg font-semibold text-orange-300">Import Preview: {importPreview.fileName}</h3>
+                  <p className="text-gray-400">
+                    {readyCount} ready, {errorCount} with errors, {duplicateCount} duplicate{duplicateCount === 1 ? '' : 's'} (skipped)
+                  </p>
+                </div>
+                <button onClick={() => setImportPreview(null)} className="text-gray-400 hover:text-gray-200" aria-label="Cancel Import">
+                  <X className="h-5 w-5" />
+                </button>
+              </div>
+
+              <div className="max-h-72 overflow-y-auto border border-gray-700 rounded-lg">
+                {importPreview.rows.map(row => (
+                  <div key={row.rowNumber} className="flex justify-between items-start p-2 border-b border-gray-700 last:border-b-0">
+                    <div>
+                      <span className="text-gray-500 mr-2">#{row.rowNumber}</span>
+                      <span className="text-gray-200">{row.fields.strain || <span className="italic text-gray-500">(no strain)</span>}</span>
+                      {row.errors.map(message => (
+                        <p key={message} className="text-red-400 text-xs">{message}</p>
+                      ))}
+                    </div>
+                    <span className={`flex-shrink-0 text-xs font-semibold ml-2 ${
+                      row.errors.length > 0 ? 'text-red-400' : row.duplicate ? 'text-gray-500' : 'text-teal-400'
+                    }`}>
+                      {row.errors.length > 0 ? 'Error' : row.duplicate ? 'Duplicate' : 'Ready'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+
+              <label className="flex items-center mt-3 text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={importShareHighRatings}
+                  onChange={(e) => setImportShareHighRatings(e.target.checked)}
+                  className="mr-2"
+                />
+                Share 4+ star imports with the community
+              </label>
+
+              <button
+                onClick={handleConfirmImport}
+                disabled={isImporting || readyCount === 0}
+                className="w-full mt-3 py-2 rounded-lg font-semibold text-gray-900 bg-orange-500 hover:bg-orange-600 transition disabled:opacity-50"
+              >
+                {isImporting ? 'Importing...' : `Import ${readyCount} Review${readyCount === 1 ? '' : 's'}`}
+              </button>
+            </div>
+          );
+        })()}
+
+        {transferMessage && (
+          <p className="mb-6 text-red-400 bg-red-900/50 p-2 rounded-lg text-sm text-center">{transferMessage}</p>
+        )}
+
+        {filteredReviews.length === 0 && (
+          <div className="text-center py-10 mb-4 text-gray-500 bg-gray-900/70 rounded-xl border border-fuchsia-900/50">
+            {!logPage.hasLoaded
+              ? 'Loading reviews...'
+              : hasLogFilters
+                ? 'No results found matching your search and filter criteria.'
+                : 'No reviews logged yet. Get tracking!'
+            }
+          </div>
+        )}
+        <WindowedList
+          items={filteredReviews}
+          getKey={review => review.id}
+          renderItem={renderReviewCard}
+          hasMore={logPage.hasMore}
+          isLoadingMore={logPage.isLoadingMore}
+          onLoadMore={logPage.loadMore}
+        />
+      </section>
+    </div>
+  );
+  
+  // --- Main Render ---
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gray-900 text-teal-400">
+        <div className="text-xl">Firing up the Tracker...</div>
+      </div>
+    );
+  }
+  
+  // Render Auth Screens if not authenticated
+  if (!isAuthenticated) {
+      if (currentPage === 'signup') return renderSignUpScreen();
+      return renderLoginScreen(); // Default to login if not authenticated
+  }
+
+  // Accounts without a profile (first Google sign-in) complete the age check before anything else
+  if (needsProfile && !isSaving) return renderCompleteProfileScreen();
+
+  // Render App if authenticated
+  return (
+    <div className="min-h-screen p-4 sm:p-8 font-sans bg-gradient-to-br from-gray-900 via-gray-900 to-fuchsia-900/30">
+      <div className="max-w-4xl mx-auto">
+        
+        {/* Global Header */}
+        <header className="text-center mb-6">
+          <div className="flex justify-between items-center mb-2">
+            <h1 className="text-xl font-extrabold text-teal-400 tracking-tight sm:text-2xl">
+              Black Cannabis Lounge
+            </h1>
+            <div className="flex items-center space-x-2">
+              <button
+                 onClick={() => setCurrentPage('settings')}
+                 className={`text-sm font-semibold transition-colors duration-150 flex items-center p-2 rounded-lg ${currentPage === 'settings' ? 'bg-fuchsia-700 text-white' : 'text-teal-400 hover:text-teal-300 bg-gray-800'}`}
+              >
+                 <Settings className="h-4 w-4 mr-1"/> Settings
+              </button>
+              <button
+                 onClick={handleSignOut}
+                 className="text-sm font-semibold text-orange-400 hover:text-orange-300 transition-colors duration-150 flex items-center bg-gray-800 p-2 rounded-lg"
+              >
+                 <Send className="h-4 w-4 mr-1 rotate-180"/> Log Out
+              </button>
+            </div>
+          </div>
+          <p className="mt-1 text-gray-400 text-lg">
+            Strain Tracker for the Community
+          </p>
+        </header>
+        
+        {isGuest && (
+          <div className="mb-6 p-4 rounded-xl bg-gray-800 border border-orange-700 text-sm text-orange-200 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2" role="status">
+            <p>You are trying the Tracker as a guest. Logging out of a guest session loses your log.</p>
+            <button onClick={() => setCurrentPage('settings')} className="py-1 px-3 rounded-lg font-semibold text-gray-900 bg-orange-500 hover:bg-orange-600 transition whitespace-nowrap">
+              Save My Log
+            </button>
+          </div>
+        )}
+        {!isEmailVerified && (
+          <div className="mb-6 p-4 rounded-xl bg-orange-900/40 border border-orange-700 text-sm text-orange-200 space-y-2" role="status">
+            <p>
+              Confirm your email address to start logging. We sent a link to <span className="font-semibold">{auth?.currentUser?.email}</span>;
+              until it is verified your log is read-only.
+            </p>
+            <div className="flex flex-wrap gap-2">
+              <button onClick={handleCheckVerification} className="py-1 px-3 rounded-lg font-semibold text-gray-900 bg-orange-500 hover:bg-orange-600 transition">
+                I've Verified
+              </button>
+              <button onClick={handleResendVerification} className="py-1 px-3 rounded-lg font-semibold text-orange-300 bg-gray-800 hover:bg-gray-700 transition">
+                Resend Email
+              </button>
+            </div>
+            {authNotice && <p className="text-teal-300">{authNotice}</p>}
+          </div>
+        )}
+
+        {(!isOnline || pendingSyncCount > 0) && (
+          <div className={`mb-6 p-3 rounded-xl text-sm flex items-center border ${isOnline ? 'bg-gray-800 border-teal-700 text-teal-200' : 'bg-gray-800 border-orange-700 text-orange-200'}`} role="status">
+            {isOnline ? <Cloud className="h-4 w-4 mr-2 flex-shrink-0" /> : <CloudOff className="h-4 w-4 mr-2 flex-shrink-0" />}
+            <p>
+              {isOnline ? 'Back online. Syncing' : "You're offline. Changes are saved on this device"}
+              {pendingSyncCount > 0 && ` (${pendingSyncCount} review${pendingSyncCount === 1 ? '' : 's'} waiting to sync)`}
+              {isOnline ? '...' : ' and sync when you reconnect.'}
+            </p>
+          </div>
+        )}
+
+        {/* Navigation Bar */}
+        <nav className="grid grid-cols-5 gap-3 mb-8 border-b-2 border-fuchsia-700/50 pb-4">
+            <button
+                onClick={() => setCurrentPage('home')}
+                className={`py-2 px-1 sm:px-4 rounded-lg font-semibold transition-colors duration-150 flex items-center justify-center text-sm sm:text-base ${
+                    currentPage === 'home' ? 'bg-fuchsia-700 text-white shadow-lg' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+                }`}
+            >
+                <Home className="h-5 w-5 mr-0 sm:mr-2" /> <span className="hidden sm:inline">Dashboard</span>
+            </button>
+            <button
+                onClick={() => setCurrentPage('log')}
+                className={`py-2 px-1 sm:px-4 rounded-lg font-semibold transition-colors duration-150 flex items-center justify-center text-sm sm:text-base ${
+                    currentPage === 'log' ? 'bg-fuchsia-700 text-white shadow-lg' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+                }`}
+            >
+                <Hash className="h-5 w-5 mr-0 sm:mr-2" /> <span className="hidden sm:inline">Log & History</span>
+            </button>
+            <button
+                onClick={() => setCurrentPage('community')}
+                className={`py-2 px-1 sm:px-4 rounded-lg font-semibold transition-colors duration-150 flex items-center justify-center text-sm sm:text-base ${
+                    currentPage === 'community' ? 'bg-fuchsia-700 text-white shadow-lg' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+                }`}
+            >
+                <Users className="h-5 w-5 mr-0 sm:mr-2" /> <span className="hidden sm:inline">Community</span>
+            </button>
+            <button
+                onClick={() => setCurrentPage('analytics')}
+                className={`py-2 px-1 sm:px-4 rounded-lg font-semibold transition-colors duration-150 flex items-center justify-center text-sm sm:text-base ${
+                    currentPage === 'analytics' ? 'bg-fuchsia-700 text-white shadow-lg' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+                }`}
+            >
+                <TrendingUp className="h-5 w-5 mr-0 sm:mr-2" /> <span className="hidden sm:inline">Analytics</span>
+            </button>
+            <a
+                href="https://www.facebook.com/groups/652135626538111"
+                target="_blank"
+                rel="noopener noreferrer"
+                className="py-2 px-1 sm:px-4 rounded-lg font-semibold transition-colors duration-150 flex items-center justify-center text-sm sm:text-base bg-orange-500 text-gray-900 hover:bg-orange-600 shadow-lg"
+            >
+                <Zap className="h-5 w-5 mr-0 sm:mr-2" /> <span className="hidden sm:inline">Enter the Lounge</span>
+            </a>
+        </nav>
+        
+        {/* Page Content */}
+        {currentPage === 'home' && renderHomeDashboard()}
+        {currentPage === 'log' && renderReviewLogScreen()}
+        {currentPage === 'community' && renderCommunityScreen()}
+        {currentPage === 'analytics' && renderAnalyticsScreen()}
+        {currentPage === 'settings' && renderSettingsScreen()}
+        {currentPage === 'review' && renderReviewDetailScreen()}
+        {currentPage === 'strain' && renderStrainDetailScreen()}
+        {currentPage === 'dispensary' && renderDispensaryDetailScreen()}
+        
+      </div>
+    </div>
+  );
+};
+
+export default App;
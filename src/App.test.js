@@ -0,0 +1,322 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import App from './App';
+import { MIN_AGE } from './profile';
+import { createMemoryRepositories } from './data/memoryRepositories';
+import { setLlmProvider, LlmConfigError, LlmTimeoutError } from './llm';
+
+// Without a Firebase config the app stays signed out, so the public auth screens render
+// and client-side validation runs before anything reaches Firebase.
+
+const dobYearsAgo = (years, dayOffset = 0) => {
+  const date = new Date();
+  date.setFullYear(date.getFullYear() - years);
+  date.setDate(date.getDate() + dayOffset);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Local mode signs everyone in as LOCAL_USER; seeded tests start with a finished profile and
+// state only the reviews, dispensaries or shared data they need.
+const LOCAL_USER = 'local-user';
+const LOCAL_PROFILE = { name: 'Local Tester', state: 'Colorado', dob: '1990-05-01' };
+
+const seededRepositories = ({ reviews = [], dispensaries = [], ...shared } = {}) => createMemoryRepositories({
+  profiles: { [LOCAL_USER]: LOCAL_PROFILE },
+  reviews: { [LOCAL_USER]: reviews },
+  dispensaries: { [LOCAL_USER]: dispensaries },
+  ...shared,
+});
+
+const renderSignUp = () => {
+  window.history.pushState({}, '', '/signup');
+  const { container } = render(<App />);
+  const field = (name) => container.querySelector(`[name="${name}"]`);
+  const fill = (values) => Object.entries(values).forEach(([name, value]) => fireEvent.change(field(name), { target: { name, value } }));
+  return { container, field, fill };
+};
+
+// The app logs the missing config and failed sign-ups; keep test output readable
+beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+afterEach(() => jest.restoreAllMocks());
+
+const AGE_ERROR = `You must be ${MIN_AGE} years or older to use this application.`;
+
+describe('signup age validation', () => {
+  test('blocks sign-up for someone under 21', () => {
+    const { container, fill } = renderSignUp();
+    fill({ name: 'Teen', dob: dobYearsAgo(MIN_AGE, 1), email: 'teen@example.com', password: 'secret123' });
+    fireEvent.submit(container.querySelector('form'));
+
+    expect(screen.getByText(AGE_ERROR)).toBeInTheDocument();
+  });
+
+  test('lets someone who turns 21 today past the age check', async () => {
+    const { container, fill } = renderSignUp();
+    fill({ name: 'Adult', dob: dobYearsAgo(MIN_AGE), email: 'adult@example.com', password: 'secret123' });
+    fireEvent.submit(container.querySelector('form'));
+
+    // With no Firebase the account creation itself fails, which shows validation let it through
+    expect(await screen.findByText('Sign up failed. Please check your email and password.')).toBeInTheDocument();
+    expect(screen.queryByText(AGE_ERROR)).not.toBeInTheDocument();
+  });
+});
+
+test('the login screen links to sign-up', () => {
+  window.history.pushState({}, '', '/login');
+  render(<App />);
+  fireEvent.click(screen.getByText('Create an Account'));
+
+  expect(screen.getByText('Create Your Tracker Account')).toBeInTheDocument();
+});
+
+describe('local mode with in-memory data', () => {
+  const renderLocal = (path, repositories = createMemoryRepositories()) => {
+    window.history.pushState({}, '', path);
+    const utils = render(<App repositories={repositories} />);
+    const field = (name) => utils.container.querySelector(`[name="${name}"]`);
+    const fill = (values) => Object.entries(values).forEach(([name, value]) => fireEvent.change(field(name), { target: { name, value } }));
+    return { ...utils, repositories, field, fill };
+  };
+
+  const renderSignedIn = (path, seed) => renderLocal(path, seededRepositories(seed));
+
+  const completeProfile = ({ container, fill }, dob = '1990-05-01') => {
+    fill({ name: 'Local Tester', dob, state: 'Colorado' });
+    fireEvent.submit(container.querySelector('form'));
+  };
+
+  test('asks for a profile first and applies the age gate', async () => {
+    const utils = renderLocal('/home');
+    expect(screen.getByText('Finish Setting Up')).toBeInTheDocument();
+
+    completeProfile(utils, dobYearsAgo(MIN_AGE - 1));
+    expect(screen.getByText(AGE_ERROR)).toBeInTheDocument();
+
+    completeProfile(utils);
+    expect(await screen.findByText('Strain Tracker for the Community')).toBeInTheDocument();
+  });
+
+  test('the log form rejects a review without a rating', async () => {
+    const utils = renderLocal('/log');
+    completeProfile(utils);
+    await screen.findByText('Strain Tracker for the Community');
+
+    utils.fill({ strain: 'Blue Dream' });
+    fireEvent.submit(utils.field('strain').closest('form'));
+
+    expect(await screen.findByText('A rating from 1 to 5 stars is required.')).toBeInTheDocument();
+  });
+
+  test('a 5-star review is saved to the log and shared with the community', async () => {
+    const utils = renderLocal('/log');
+    completeProfile(utils);
+    await screen.findByText('Strain Tracker for the Community');
+
+    let publicEntries = [];
+    utils.repositories.community.subscribe(entries => { publicEntries = entries; });
+
+    utils.fill({ strain: 'Blue Dream', location: 'Sunset Dispensary, LA' });
+    expect(screen.getByText(/Not counted on your legality map/)).toBeInTheDocument();
+    utils.fill({ location: 'Sunset Dispensary, Los Angeles, CA' });
+    expect(screen.getByText('Counted on your legality map in California.')).toBeInTheDocument();
+    fireEvent.click(screen.getAllByLabelText('5 star rating')[0]);
+    fireEvent.submit(utils.field('strain').closest('form'));
+
+    expect(await screen.findByRole('link', { name: 'Blue Dream' })).toBeInTheDocument();
+    expect(publicEntries).toHaveLength(1);
+    expect(publicEntries[0]).toMatchObject({ strain: 'Blue Dream', rating: 5 });
+  });
+
+  test('rewriting a review\'s effects drops the analysis of the old notes', async () => {
+    const analyzed = { strain: 'Blue Dream', rating: 4, type: 'Hybrid', productType: 'Flower', terpenes: [], effects: 'Sleepy and calm.', analysis: 'Calming.', aiEffects: { physicalEffects: [], mentalEffects: ['calm'], sideEffects: [], timeOfDay: 'evening', sentimentScore: 0.5 } };
+    const utils = renderSignedIn('/log', {
+      reviews: [{ ...analyzed, timestamp: new Date(2025, 1, 1) }, { ...analyzed, strain: 'Sour Diesel', timestamp: new Date(2025, 0, 1) }],
+    });
+
+    fireEvent.click((await screen.findAllByRole('button', { name: 'Edit Review' }))[0]);
+    utils.fill({ effects: 'Energetic and focused.' });
+    fireEvent.submit(utils.field('strain').closest('form'));
+
+    fireEvent.click((await screen.findAllByRole('button', { name: 'Edit Review' }))[1]);
+    utils.fill({ flavor: 'Berry' });
+    fireEvent.submit(utils.field('strain').closest('form'));
+
+    const reviews = await utils.repositories.reviews.getAll(LOCAL_USER);
+    expect(reviews.find(r => r.strain === 'Blue Dream')).toMatchObject({ effects: 'Energetic and focused.', analysis: null, aiEffects: null });
+    expect(reviews.find(r => r.strain === 'Sour Diesel')).toMatchObject({ flavor: 'Berry', analysis: 'Calming.' });
+  });
+
+  describe('a queued AI analysis that fails', () => {
+    const renderQueued = (error) => {
+      const generate = jest.fn().mockRejectedValue(error);
+      setLlmProvider({ name: 'failing', generate });
+      const utils = renderSignedIn('/log', {
+        reviews: [{ strain: 'Blue Dream', rating: 4, type: 'Hybrid', productType: 'Flower', terpenes: [], effects: 'Calm.', analysisQueued: true }],
+      });
+      return { ...utils, generate };
+    };
+    afterEach(() => setLlmProvider(null));
+
+    test('is unqueued when retrying cannot help, and can be run again by hand', async () => {
+      const { repositories, generate } = renderQueued(new LlmConfigError('No API key.'));
+
+      expect(await screen.findByText('The AI service is not configured.')).toBeInTheDocument();
+      const button = await screen.findByRole('button', { name: /AI Analyze Effects/ });
+      expect(button).toBeEnabled();
+      expect((await repositories.reviews.getAll(LOCAL_USER))[0].analysisQueued).toBeUndefined();
+      expect(generate).toHaveBeenCalledTimes(1);
+
+      fireEvent.click(button);
+      await screen.findByRole('button', { name: /AI Analyze Effects/ });
+      expect(generate).toHaveBeenCalledTimes(2);
+    });
+
+    test('stays queued after a timeout without retrying on every update', async () => {
+      const { repositories, generate } = renderQueued(new LlmTimeoutError(1000));
+
+      expect(await screen.findByText('The AI service took too long to respond. Try again.')).toBeInTheDocument();
+      expect(await screen.findByRole('button', { name: /Retry AI Analysis/ })).toBeEnabled();
+      expect((await repositories.reviews.getAll(LOCAL_USER))[0].analysisQueued).toBe(true);
+      expect(generate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  test('reviews saved before the query keys existed are backfilled so a name-sorted log finds them', async () => {
+    renderSignedIn('/log?sort=name', {
+      reviews: [{ strain: 'Northern Lights', rating: 4, type: 'Indica', productType: 'Flower', terpenes: [] }],
+    });
+
+    expect(await screen.findByRole('link', { name: 'Northern Lights' })).toBeInTheDocument();
+  });
+
+  test('the log pages through server-filtered results and renders only a window of them', async () => {
+    const reviews = Array.from({ length: 60 }, (_, i) => ({
+      strain: `Strain ${i + 1}`, rating: 3, type: i % 3 === 0 ? 'Indica' : 'Hybrid', productType: 'Flower', terpenes: [], timestamp: new Date(2025, 0, i + 1),
+    }));
+    renderSignedIn('/log?type=Hybrid&sort=oldest', {
+      reviews: reviews,
+    });
+
+    expect(await screen.findByText('Review History (25+)')).toBeInTheDocument();
+    const links = screen.getAllByRole('link', { name: /^Strain / }).map(link => link.textContent);
+    expect(links[0]).toBe('Strain 2');
+    expect(links).not.toContain('Strain 1');
+    expect(links.length).toBeLessThan(25);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Load More' }));
+
+    expect(await screen.findByText('Review History (40)')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Load More' })).not.toBeInTheDocument();
+  });
+
+  test('log filters combine several types with a cost range and can be saved as a preset', async () => {
+    const { repositories } = renderSignedIn('/log?type=Indica,Sativa&maxCost=40&sort=name', {
+      reviews: [
+        { strain: 'Wedding Cake', rating: 4, type: 'Indica', productType: 'Flower', cost: 35, terpenes: [] },
+        { strain: 'Blue Dream', rating: 4, type: 'Hybrid', productType: 'Flower', cost: 30, terpenes: [] },
+        { strain: 'Sour Diesel', rating: 3, type: 'Sativa', productType: 'Flower', cost: 25, terpenes: [] },
+        { strain: 'Gelato', rating: 5, type: 'Sativa', productType: 'Flower', cost: 60, terpenes: [] },
+      ],
+    });
+
+    expect(await screen.findByText('Review History (2)')).toBeInTheDocument();
+    expect(screen.getAllByRole('link', { name: /^(Wedding|Blue|Sour|Gelato)/ }).map(link => link.textContent)).toEqual(['Sour Diesel', 'Wedding Cake']);
+
+    fireEvent.change(screen.getByLabelText('Saved filters name'), { target: { value: 'Cheap Non-Hybrids' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Filters' }));
+
+    expect(await screen.findByRole('button', { name: 'Cheap Non-Hybrids' })).toBeInTheDocument();
+    let profile = null;
+    repositories.profile.subscribe(LOCAL_USER, value => { profile = value; });
+    expect(profile.filterPresets).toEqual([{ name: 'Cheap Non-Hybrids', query: 'type=Indica%2CSativa&maxCost=40&sort=name' }]);
+  });
+
+  test('the strain page merges every spelling of a strain with its community ratings', async () => {
+    renderSignedIn('/strain/blue-dream', {
+      reviews: [
+        { strain: 'Blue Dream', rating: 5, type: 'Hybrid', productType: 'Flower', terpenes: [], timestamp: new Date(2025, 0, 1) },
+        { strain: 'blue dream ', rating: 3, type: 'Hybrid', productType: 'Flower', terpenes: [], timestamp: new Date(2025, 1, 1) },
+        { strain: 'Blue Dream (Cookies)', rating: 4, type: 'Hybrid', productType: 'Vape', terpenes: [], timestamp: new Date(2025, 2, 1) },
+        { strain: 'Sour Diesel', rating: 4, type: 'Sativa', productType: 'Flower', terpenes: [], timestamp: new Date(2025, 3, 1) },
+      ],
+      publicEntries: [
+        { strain: 'Blue Dream', brand: 'Cookies', rating: 5, addedBy: 'bob', terpenes: [], timestamp: new Date(2025, 0, 1) },
+        { strain: 'BLUE DREAM (Cookies)', rating: 4, addedBy: 'carol', terpenes: [], timestamp: new Date(2025, 0, 2) },
+      ],
+    });
+
+    expect(await screen.findByRole('heading', { name: /^Blue Dream/ })).toBeInTheDocument();
+    expect(screen.getByText('My Sessions (3)')).toBeInTheDocument();
+    expect(screen.getByText('4.5★')).toBeInTheDocument();
+    expect(screen.getByText(/2 raters · 2 ratings/)).toBeInTheDocument();
+    expect(screen.getByText('Cookies')).toBeInTheDocument(); // Both entries grouped under one brand
+    expect(screen.getByRole('link', { name: 'Blueberry' })).toHaveAttribute('href', '/strain/blueberry');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Log a Session' }));
+
+    expect(await screen.findByText('Log New Strain')).toBeInTheDocument();
+    expect(screen.getByLabelText(/Strain Name/)).toHaveValue('Blue Dream');
+  });
+
+  test('the dispensary page shows visits and compares prices with other dispensaries', async () => {
+    renderSignedIn('/dispensary/green-leaf', {
+      dispensaries: [
+        { id: 'green-leaf', name: 'Green Leaf', address: '12 Main St', state: 'Colorado', licensed: true },
+        { id: 'mile-high', name: 'Mile High', address: '', state: 'Colorado', licensed: false },
+      ],
+      reviews: [
+        { strain: 'Blue Dream', brand: 'Cookies', rating: 5, type: 'Hybrid', productType: 'Flower', cost: 45, dispensaryId: 'green-leaf', terpenes: [], timestamp: new Date(2025, 0, 1) },
+        { strain: 'Sour Diesel', rating: 3, type: 'Sativa', productType: 'Flower', cost: 25, dispensaryId: 'green-leaf', terpenes: [], timestamp: new Date(2025, 1, 1) },
+        { strain: 'blue dream', brand: 'Cookies', rating: 4, type: 'Hybrid', productType: 'Flower', cost: 40, dispensaryId: 'mile-high', terpenes: [], timestamp: new Date(2025, 2, 1) },
+      ],
+    });
+
+    expect(await screen.findByRole('heading', { name: /Green Leaf/ })).toBeInTheDocument();
+    expect(screen.getByText('Bought Here (2)')).toBeInTheDocument();
+    expect(screen.getByText('4.0★')).toBeInTheDocument();
+    expect(screen.getByText('$35.00')).toBeInTheDocument(); // Average cost
+    expect(screen.getByLabelText('Mile High price')).toHaveTextContent('$40.00');
+    expect(screen.getByLabelText('Mile High price')).toHaveTextContent('Cheapest');
+    expect(screen.getByLabelText('Green Leaf price')).toHaveTextContent('+$5.00');
+
+    fireEvent.click(screen.getByRole('link', { name: 'Mile High' }));
+
+    expect(await screen.findByText('Bought Here (1)')).toBeInTheDocument();
+    expect(screen.getByText('Not marked as licensed')).toBeInTheDocument();
+  });
+
+  test('a dispensary added from the log form is saved and linked to the review', async () => {
+    const utils = renderSignedIn('/log');
+    await screen.findByText('Log New Strain');
+
+    fireEvent.change(screen.getByLabelText('Dispensary'), { target: { value: '__add' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Dispensary' }));
+    expect(screen.getByText('Dispensary name is required.')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Name *'), { target: { name: 'name', value: 'Green Leaf' } });
+    fireEvent.change(screen.getByLabelText('Address'), { target: { name: 'address', value: '12 Main St' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Dispensary' }));
+
+    expect(await screen.findByRole('link', { name: 'Visits and prices →' })).toHaveAttribute('href', '/dispensary/green-leaf-12-main-st');
+    expect(utils.field('location')).toHaveValue('Green Leaf, 12 Main St, Colorado');
+
+    utils.fill({ strain: 'Blue Dream' });
+    fireEvent.click(screen.getAllByLabelText('4 star rating')[0]);
+    fireEvent.submit(utils.field('strain').closest('form'));
+
+    const reviews = await utils.repositories.reviews.getAll(LOCAL_USER);
+    expect(reviews).toHaveLength(1);
+    expect(reviews[0]).toMatchObject({ dispensaryId: 'green-leaf-12-main-st', location: 'Green Leaf, 12 Main St, Colorado' });
+  });
+
+  test('the dashboard quick search matches acronyms and qualifiers and highlights the match', async () => {
+    const { container } = renderSignedIn('/home?q=gsc%20rating:%3E=4', {
+      reviews: [
+        { strain: 'Girl Scout Cookies', rating: 5, type: 'Hybrid', productType: 'Flower', terpenes: [] },
+        { strain: 'Green Sour Crack', rating: 2, type: 'Sativa', productType: 'Flower', terpenes: [] },
+      ],
+    });
+
+    expect(await screen.findByText('Search Results (1)')).toBeInTheDocument();
+    expect(Array.from(container.querySelectorAll('mark'), mark => mark.textContent)).toEqual(expect.arrayContaining(['G', 'S', 'C']));
+  });
+});
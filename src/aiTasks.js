@@ -0,0 +1,41 @@
+import { LlmError, getLlmProvider } from './llm';
+import { EFFECTS_ANALYSIS_PROMPT, EFFECTS_ANALYSIS_SCHEMA, parseEffectsAnalysis } from './effectsAnalysis';
+
+// --- AI Tasks: the prompts the app sends through the provider layer ---
+
+/**
+ * Ask the configured LLM provider for a structured analysis of user effects notes
+ * (summary, sentiment score, effect tags, side effects, time of day).
+ * Rejects with an LlmError when the notes are empty, the provider fails or the JSON is invalid.
+ */
+export const analyzeEffects = async (effectsText) => {
+  if (!effectsText) throw new LlmError('No notes to analyze.', 'llm/empty-input');
+
+  const userQuery = `Analyze the following effects notes: "${effectsText}"`;
+
+  const text = await getLlmProvider().generate({
+    task: 'analyzeEffects',
+    system: EFFECTS_ANALYSIS_PROMPT,
+    prompt: userQuery,
+    input: { effects: effectsText },
+    responseSchema: EFFECTS_ANALYSIS_SCHEMA,
+  });
+  return parseEffectsAnalysis(text);
+};
+
+/**
+ * Ask the configured LLM provider to suggest strain names as a comma-separated list.
+ */
+export const generateStrainName = async (effects, flavor) => {
+  if (!effects && !flavor) throw new LlmError('Please provide effects or flavor notes first.', 'llm/empty-input');
+
+  const systemPrompt = "Act as a creative cannabis breeder and naming expert. Based on the provided flavor and effects, suggest 3 highly unique, evocative, and culturally relevant strain names. Format the response as a simple comma-separated list.";
+  const userQuery = `Flavor profile: ${flavor || 'N/A'}. Observed effects: ${effects || 'N/A'}. Generate 3 names.`;
+
+  return getLlmProvider().generate({
+    task: 'strainNames',
+    system: systemPrompt,
+    prompt: userQuery,
+    input: { effects, flavor },
+  });
+};
@@ -0,0 +1,67 @@
+/**
+ * @jest-environment ./src/testing/nodeFetchEnvironment.js
+ */
+import { analyzeEffects, generateStrainName } from './aiTasks';
+import { setLlmProvider, createMockProvider, createGeminiProvider } from './llm';
+import { startGeminiStandIn } from './testing/geminiStandIn';
+
+afterEach(() => setLlmProvider(null));
+
+describe('with the mock provider', () => {
+  beforeEach(() => setLlmProvider(createMockProvider()));
+
+  test('analyzeEffects returns a normalized analysis', async () => {
+    const analysis = await analyzeEffects('Felt happy and creative, a little anxious');
+    expect(analysis).toMatchObject({
+      mentalEffects: ['creativity', 'euphoria'],
+      sideEffects: ['anxiety'],
+      timeOfDay: 'daytime',
+    });
+    expect(analysis.sentimentScore).toBeGreaterThan(0);
+  });
+
+  test('both tasks reject empty input without calling the provider', async () => {
+    await expect(analyzeEffects('')).rejects.toMatchObject({ code: 'llm/empty-input' });
+    await expect(generateStrainName('', '')).rejects.toMatchObject({ code: 'llm/empty-input' });
+  });
+});
+
+describe('through the Gemini provider and a local stand-in', () => {
+  let standIn;
+
+  beforeAll(async () => {
+    standIn = await startGeminiStandIn();
+  });
+
+  beforeEach(() => {
+    standIn.reply = null;
+    setLlmProvider(createGeminiProvider({ baseUrl: standIn.baseUrl, maxRetries: 1 }));
+  });
+
+  afterAll(() => standIn.close());
+
+  test('analyzeEffects requests structured output and parses it', async () => {
+    const analysis = await analyzeEffects('Sleepy and relaxed');
+    expect(analysis.timeOfDay).toBe('night');
+    expect(standIn.requests[standIn.requests.length - 1].payload.generationConfig.responseSchema).toBeDefined();
+  });
+
+  test('analyzeEffects accepts JSON wrapped in a Markdown fence', async () => {
+    standIn.reply = '```json\n{"summary": "Calm night.", "sentimentScore": 0.6, "physicalEffects": ["Body Relaxation"], "mentalEffects": [], "sideEffects": ["munchies", "made up"], "timeOfDay": "night"}\n```';
+    await expect(analyzeEffects('calm')).resolves.toMatchObject({
+      sentiment: 'positive',
+      physicalEffects: ['body relaxation'],
+      sideEffects: ['munchies'],
+    });
+  });
+
+  test('analyzeEffects rejects a response that is not valid analysis JSON', async () => {
+    standIn.reply = 'Sorry, I cannot help with that.';
+    await expect(analyzeEffects('calm')).rejects.toMatchObject({ code: 'llm/bad-response' });
+  });
+
+  test('generateStrainName returns the comma-separated suggestions', async () => {
+    const names = await generateStrainName('Energetic', 'Citrus');
+    expect(names.split(', ')).toHaveLength(3);
+  });
+});
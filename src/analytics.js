@@ -0,0 +1,135 @@
+// --- Personal Analytics: spend, ratings and habits derived from the review log ---
+
+export const DATE_RANGE_PRESETS = [
+  { value: '3m', label: 'Last 3 Months', months: 3 },
+  { value: '6m', label: 'Last 6 Months', months: 6 },
+  { value: '12m', label: 'Last 12 Months', months: 12 },
+  { value: 'all', label: 'All Time', months: null },
+  { value: 'custom', label: 'Custom Range', months: null },
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Local-time month key, e.g. "2024-03".
+ */
+export const monthKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+
+const monthLabel = (key) => {
+  const [year, month] = key.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString(undefined, { month: 'short', year: '2-digit' });
+};
+
+/**
+ * Resolves a preset (or custom YYYY-MM-DD bounds) into inclusive Date bounds; null means unbounded.
+ */
+export const resolveDateRange = (preset, customFrom, customTo, now = new Date()) => {
+  if (preset === 'custom') {
+    return {
+      from: customFrom ? new Date(`${customFrom}T00:00:00`) : null,
+      to: customTo ? new Date(`${customTo}T23:59:59.999`) : null,
+    };
+  }
+  const option = DATE_RANGE_PRESETS.find(p => p.value === preset);
+  if (!option || !option.months) return { from: null, to: null };
+  return { from: new Date(now.getFullYear(), now.getMonth() - option.months + 1, 1), to: null };
+};
+
+export const filterByDateRange = (reviews, { from, to }) => {
+  return reviews.filter(r => (!from || r.timestamp >= from) && (!to || r.timestamp <= to));
+};
+
+/**
+ * Lists every month key from the earliest to the latest review, so charts have no gaps.
+ */
+const monthSpan = (reviews) => {
+  if (reviews.length === 0) return [];
+  const times = reviews.map(r => r.timestamp.getTime());
+  const start = new Date(Math.min(...times));
+  const end = new Date(Math.max(...times));
+  const keys = [];
+  for (let d = new Date(start.getFullYear(), start.getMonth(), 1); d <= end; d.setMonth(d.getMonth() + 1)) {
+    keys.push(monthKey(d));
+  }
+  return keys;
+};
+
+const groupByMonth = (reviews) => {
+  return reviews.reduce((acc, review) => {
+    const key = monthKey(review.timestamp);
+    (acc[key] = acc[key] || []).push(review);
+    return acc;
+  }, {});
+};
+
+/**
+ * Total `cost` per month.
+ */
+export const monthlySpend = (reviews) => {
+  const byMonth = groupByMonth(reviews);
+  return monthSpan(reviews).map(key => ({
+    label: monthLabel(key),
+    value: (byMonth[key] || []).reduce((sum, r) => sum + (r.cost || 0), 0),
+  }));
+};
+
+/**
+ * Average rating per month; months without reviews have a null value.
+ */
+export const ratingTrend = (reviews) => {
+  const byMonth = groupByMonth(reviews);
+  return monthSpan(reviews).map(key => {
+    const monthReviews = byMonth[key] || [];
+    return {
+      label: monthLabel(key),
+      value: monthReviews.length > 0 ? monthReviews.reduce((sum, r) => sum + r.rating, 0) / monthReviews.length : null,
+    };
+  });
+};
+
+/**
+ * Dollars spent per rating star, grouped by a review field (e.g. 'brand' or 'location').
+ * Only reviews with a recorded cost count. Sorted cheapest first.
+ */
+export const costPerStar = (reviews, field) => {
+  const groups = reviews
+    .filter(r => r.cost > 0 && r[field] && r[field].trim())
+    .reduce((acc, review) => {
+      const label = review[field].trim();
+      const group = acc[label] || (acc[label] = { cost: 0, stars: 0, count: 0 });
+      group.cost += review.cost;
+      group.stars += review.rating;
+      group.count += 1;
+      return acc;
+    }, {});
+
+  return Object.entries(groups)
+    .map(([label, { cost, stars, count }]) => ({ label, value: cost / stars, count }))
+    .sort((a, b) => a.value - b.value);
+};
+
+/**
+ * Per-month counts of a categorical field, for stacked bar charts.
+ */
+export const mixOverTime = (reviews, field) => {
+  const byMonth = groupByMonth(reviews);
+  return monthSpan(reviews).map(key => ({
+    label: monthLabel(key),
+    segments: (byMonth[key] || []).reduce((acc, review) => {
+      const value = review[field] || 'Unknown';
+      acc[value] = (acc[value] || 0) + 1;
+      return acc;
+    }, {}),
+  }));
+};
+
+/**
+ * Terpene counts across reviews, in `BarChart` data shape.
+ */
+export const terpeneCounts = (reviews) => {
+  const counts = reviews.reduce((acc, review) => {
+    (review.terpenes || []).forEach(t => { acc[t] = (acc[t] || 0) + 1; });
+    return acc;
+  }, {});
+  return Object.entries(counts).map(([label, count]) => ({ label, count }));
+};
@@ -0,0 +1,44 @@
+// --- Firebase Auth error codes mapped to user-facing messages ---
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'That email address is not valid.',
+  'auth/missing-email': 'Enter your email address.',
+  'auth/missing-password': 'Enter your password.',
+  'auth/user-disabled': 'This account has been disabled. Contact support for help.',
+  'auth/user-not-found': 'No account was found for that email. Check it or create an account.',
+  'auth/wrong-password': 'Incorrect password. Try again or reset it.',
+  'auth/invalid-credential': 'Incorrect email or password. Try again or reset your password.',
+  'auth/invalid-login-credentials': 'Incorrect email or password. Try again or reset your password.',
+  'auth/email-already-in-use': 'This email is already registered. Try logging in.',
+  'auth/weak-password': `Password is too weak. Must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+  'auth/too-many-requests': 'Too many attempts. Wait a few minutes and try again.',
+  'auth/network-request-failed': 'Network error. Check your connection and try again.',
+  'auth/requires-recent-login': 'Please enter your current password again to continue.',
+  'auth/operation-not-allowed': 'This sign-in method is not enabled.',
+  'auth/popup-blocked': 'Your browser blocked the sign-in popup. Allow popups and try again.',
+  'auth/popup-closed-by-user': 'The sign-in popup was closed before finishing.',
+  'auth/cancelled-popup-request': 'The sign-in popup was closed before finishing.',
+  'auth/unauthorized-domain': 'Sign-in is not allowed from this domain.',
+  'auth/account-exists-with-different-credential': 'An account already exists with this email. Log in with your password instead.',
+  'auth/credential-already-in-use': 'That account is already linked to another user.',
+  'auth/provider-already-linked': 'This account is already linked to that sign-in method.',
+  'auth/admin-restricted-operation': 'Guest mode is not enabled for this app.',
+  'auth/invalid-custom-token': 'The embedded sign-in token is invalid. Log in instead.',
+  'auth/custom-token-mismatch': 'The embedded sign-in token is for a different app. Log in instead.',
+  'auth/expired-action-code': 'This link has expired. Request a new one.',
+  'auth/invalid-action-code': 'This link is invalid or has already been used.',
+  'auth/missing-continue-uri': 'The reset link could not be created. Try again.',
+  'auth/internal-error': 'The sign-in service had a problem. Try again.',
+};
+
+/**
+ * Maps a Firebase Auth error to a specific message, or `fallback` for unknown codes.
+ */
+export const describeAuthError = (error, fallback = 'Something went wrong. Please try again.') => {
+  return AUTH_ERROR_MESSAGES[error && error.code] || fallback;
+};
+
+// Errors where the user simply changed their mind; no message needed
+export const isAuthCancellation = (error) => ['auth/popup-closed-by-user', 'auth/cancelled-popup-request'].includes(error && error.code);
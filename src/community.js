@@ -0,0 +1,150 @@
+import { canonicalStrainId, findStrain, splitStrainName } from './strainCatalog';
+
+// --- Community Popular Strains: sharing and aggregation ---
+
+// Only reviews rated this high are shared to the public log (enforced again by firestore.rules)
+export const PUBLIC_MIN_RATING = 4;
+
+/**
+ * True when saving a review with `rating` should add it to the public log. An edit
+ * (with `previousRating`) shares only when it lifts the rating into the public range.
+ */
+export const shouldShareReview = (rating, previousRating = null) => {
+  if (rating < PUBLIC_MIN_RATING) return false;
+  return previousRating === null || previousRating < PUBLIC_MIN_RATING;
+};
+
+/**
+ * The public `popular_strains` entry for a review; only non-identifying fields are shared.
+ */
+export const buildPublicEntry = (review, userId, timestamp) => ({
+  strain: review.strain,
+  rating: review.rating,
+  type: review.type,
+  productType: review.productType,
+  potency: review.potency,
+  brand: review.brand,
+  terpenes: review.terpenes,
+  addedBy: userId,
+  timestamp,
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENCY_HALF_LIFE_DAYS = 30;
+
+const normalizeKey = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Returns the most frequent value in a list (first seen wins ties).
+ */
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  let bestCount = 0;
+  counts.forEach((count, value) => {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+/**
+ * Ranking score for an aggregated strain.
+ * Average rating is scaled by log2(1 + distinct raters) so breadth of agreement matters,
+ * then by a recency factor that halves the bonus every 30 days but never drops below 0.5.
+ */
+const rankScore = ({ averageRating, raterCount, lastRatedAt }, now) => {
+  const ageDays = lastRatedAt ? Math.max(0, (now - lastRatedAt) / DAY_MS) : Infinity;
+  const recency = 0.5 + 0.5 * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+  return averageRating * Math.log2(1 + raterCount) * recency;
+};
+
+/**
+ * The brand an entry was shared under; "Blue Dream (Cookies)" without a brand counts as Cookies.
+ */
+const entryBrand = (entry) => (entry.brand || '').trim() || splitStrainName(entry.strain).variant;
+
+/**
+ * Aggregates entries grouped by `keyOf(entry)` into ranked strain summaries (see aggregatePopularStrains).
+ */
+const aggregateGroups = (entries, catalog, keyOf, now) => {
+  const groups = new Map();
+
+  entries.forEach(entry => {
+    if (!entry.strain || !canonicalStrainId(catalog, entry.strain)) return;
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+
+  const aggregated = Array.from(groups.entries()).map(([key, group]) => {
+    const byRater = new Map();
+    group.forEach(entry => {
+      const rater = entry.addedBy || 'anonymous';
+      if (!byRater.has(rater)) byRater.set(rater, []);
+      byRater.get(rater).push(entry);
+    });
+
+    const raterAverages = Array.from(byRater.values()).map(raterEntries =>
+      raterEntries.reduce((sum, e) => sum + (e.rating || 0), 0) / raterEntries.length
+    );
+    const averageRating = raterAverages.reduce((sum, avg) => sum + avg, 0) / raterAverages.length;
+
+    // One terpene vote per rater, even if they reported it on several entries
+    const terpeneVotes = new Map();
+    byRater.forEach(raterEntries => {
+      const raterTerpenes = new Set(raterEntries.flatMap(e => e.terpenes || []));
+      raterTerpenes.forEach(t => terpeneVotes.set(t, (terpeneVotes.get(t) || 0) + 1));
+    });
+    const terpenes = Array.from(terpeneVotes.entries())
+      .filter(([, votes]) => votes >= byRater.size / 2)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([terpene]) => terpene);
+
+    const timestamps = group.map(e => e.timestamp).filter(Boolean);
+    const lastRatedAt = timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null;
+
+    const catalogStrain = findStrain(catalog, group[0].strain);
+    const strainSummary = {
+      id: key,
+      strainId: canonicalStrainId(catalog, group[0].strain),
+      strain: catalogStrain ? catalogStrain.name : mostCommon(group.map(e => splitStrainName(e.strain).name)),
+      brand: mostCommon(group.map(entryBrand)) || '',
+      type: mostCommon(group.map(e => e.type)),
+      productType: mostCommon(group.map(e => e.productType)),
+      terpenes,
+      averageRating,
+      ratingCount: group.length,
+      raterCount: byRater.size,
+      lastRatedAt,
+    };
+    return { ...strainSummary, score: rankScore(strainSummary, now) };
+  });
+
+  return aggregated.sort((a, b) => b.score - a.score || b.raterCount - a.raterCount);
+};
+
+/**
+ * Groups public `popular_strains` entries by strain + brand and ranks them. Strains are matched
+ * through the catalog (see canonicalStrainId), so spellings and aliases of one strain merge;
+ * each group carries its `strainId`.
+ *
+ * Each user's ratings for a strain are averaged first, so one person logging the
+ * same strain repeatedly counts as a single rater. Terpene consensus keeps the
+ * terpenes reported by at least half of the raters (at most three).
+ */
+export const aggregatePopularStrains = (entries, now = new Date(), catalog = null) => aggregateGroups(
+  entries, catalog, (entry) => `${canonicalStrainId(catalog, entry.strain)}|${normalizeKey(entryBrand(entry))}`, now
+);
+
+/**
+ * Community ratings of one strain id, every brand together, or null when nobody shared it.
+ */
+export const summarizeCommunityStrain = (entries, strainId, catalog = null, now = new Date()) => {
+  const matching = entries.filter(entry => entry.strain && canonicalStrainId(catalog, entry.strain) === strainId);
+  return aggregateGroups(matching, catalog, () => strainId, now)[0] || null;
+};
@@ -0,0 +1,68 @@
+import { PUBLIC_MIN_RATING, shouldShareReview, buildPublicEntry, aggregatePopularStrains, summarizeCommunityStrain } from './community';
+import { buildStrainCatalog } from './strainCatalog';
+
+describe('shouldShareReview', () => {
+  test(`shares new reviews rated ${PUBLIC_MIN_RATING} or higher`, () => {
+    expect(shouldShareReview(5)).toBe(true);
+    expect(shouldShareReview(4)).toBe(true);
+    expect(shouldShareReview(3)).toBe(false);
+  });
+
+  test('shares an edit only when it lifts the rating into the public range', () => {
+    expect(shouldShareReview(4, 3)).toBe(true);
+    expect(shouldShareReview(5, 4)).toBe(false);
+    expect(shouldShareReview(2, 5)).toBe(false);
+  });
+});
+
+describe('buildPublicEntry', () => {
+  test('shares only non-identifying fields', () => {
+    const timestamp = new Date('2025-06-01');
+    const entry = buildPublicEntry({
+      strain: 'Blue Dream', rating: 5, type: 'Hybrid', productType: 'Flower', brand: 'Cookies',
+      potency: { thc: 22, cbd: null, cbg: null, cbn: null, unit: '%' }, terpenes: ['Myrcene'],
+      location: 'Green Leaf, Denver', cost: 40, effects: 'Private notes',
+    }, 'alice', timestamp);
+
+    expect(Object.keys(entry).sort()).toEqual(['addedBy', 'brand', 'potency', 'productType', 'rating', 'strain', 'terpenes', 'timestamp', 'type']);
+    expect(entry).toMatchObject({ addedBy: 'alice', timestamp, strain: 'Blue Dream' });
+  });
+});
+
+describe('aggregatePopularStrains', () => {
+  test('counts one rater once no matter how often they log a strain', () => {
+    const now = new Date('2025-06-01');
+    const entry = (addedBy, rating, strain = 'Blue Dream') => ({ strain, brand: 'Cookies', rating, addedBy, timestamp: now, terpenes: [] });
+    const [top] = aggregatePopularStrains([entry('alice', 5), entry('alice', 5), entry('alice', 5), entry('bob', 4)], now);
+
+    expect(top.strain).toBe('Blue Dream');
+    expect(top.raterCount).toBe(2);
+  });
+});
+
+describe('catalog matching', () => {
+  const now = new Date('2025-06-01');
+  const catalog = buildStrainCatalog();
+  const entry = (addedBy, strain, brand = '') => ({ strain, brand, rating: 5, addedBy, timestamp: now, terpenes: [] });
+  const entries = [
+    entry('alice', 'Blue Dream', 'Cookies'),
+    entry('bob', 'blue dream ', 'cookies'),
+    entry('carol', 'Blue Dream (Cookies)'),
+    entry('dave', 'GSC'),
+    entry('erin', 'Blue Dream', 'Jungle Boys'),
+  ];
+
+  test('merges spellings of a strain per brand, counting a parenthetical as the brand', () => {
+    const strains = aggregatePopularStrains(entries, now, catalog);
+    const cookies = strains.find(s => s.id === 'blue-dream|cookies');
+
+    expect(cookies).toMatchObject({ strainId: 'blue-dream', strain: 'Blue Dream', brand: 'Cookies', raterCount: 3 });
+    expect(strains.find(s => s.strainId === 'girl-scout-cookies').strain).toBe('Girl Scout Cookies');
+    expect(strains).toHaveLength(3);
+  });
+
+  test('summarizeCommunityStrain combines every brand of one strain', () => {
+    expect(summarizeCommunityStrain(entries, 'blue-dream', catalog, now)).toMatchObject({ raterCount: 4, ratingCount: 4, averageRating: 5 });
+    expect(summarizeCommunityStrain(entries, 'sour-diesel', catalog, now)).toBeNull();
+  });
+});
@@ -0,0 +1,309 @@
+import {
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  collection,
+  doc,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  endAt,
+  onSnapshot,
+  getDocs,
+  setDoc,
+  updateDoc,
+  writeBatch,
+  deleteField,
+  Timestamp,
+  setLogLevel
+} from 'firebase/firestore';
+import { pickReviewFields } from '../reviewModel';
+import { buildPublicEntry } from '../community';
+import { LOG_SORTS, DEFAULT_LOG_SORT } from '../reviewFilters';
+import { resolveDateRange } from '../analytics';
+import { reviewsPath, revisionsPath, profilePath, dispensariesPath, popularStrainsPath, strainCatalogPath } from './paths';
+import { toReview, toRevision, toPublicEntry, toDispensary, toStrain, toQueryKey, withQueryKeys, queryKeysOf } from './models';
+
+// --- Firestore Repositories: reviews, profile and community backed by Cloud Firestore ---
+
+// Set the log level for detailed Firestore debugging
+setLogLevel('debug');
+
+const MAX_BATCH_WRITES = 400; // Firestore allows 500 writes per batch
+const IMPORT_BATCH_SIZE = 200; // Up to 2 writes per review keeps each batch under the limit
+
+// --- Timestamp Converters ---
+
+const mapValues = (data, convert) => Object.fromEntries(Object.entries(data).map(([key, value]) => [key, convert(value)]));
+const datesToTimestamps = (data) => mapValues(data, value => (value instanceof Date ? Timestamp.fromDate(value) : value));
+const timestampsToDates = (data) => mapValues(data, value => (value instanceof Timestamp ? value.toDate() : value));
+
+/**
+ * A Firestore data converter that stores top-level Date fields as Timestamps and
+ * reads documents back through `toModel(id, data, metadata)` with Dates restored.
+ */
+const modelConverter = (toModel) => ({
+  toFirestore: (data) => datesToTimestamps(data),
+  fromFirestore: (snapshot, options) => toModel(snapshot.id, timestampsToDates(snapshot.data(options)), snapshot.metadata),
+});
+
+const reviewConverter = modelConverter((id, data, metadata) => toReview(id, data, { hasPendingWrites: metadata.hasPendingWrites }));
+const revisionConverter = modelConverter(toRevision);
+const publicEntryConverter = modelConverter(toPublicEntry);
+const strainConverter = modelConverter(toStrain);
+const dispensaryConverter = modelConverter(toDispensary);
+const profileConverter = modelConverter((id, data) => data);
+
+// --- Log Queries ---
+// Every combination of these constraints is served by the composite indexes in firestore.indexes.json.
+
+const RATINGS = [1, 2, 3, 4, 5];
+const MAX_DISJUNCTIONS = 30; // Firestore's limit on `in` values multiplied across a query
+
+/**
+ * Query constraints for the Log screen filters (see EMPTY_LOG_FILTERS) in a sort order. Only filters the
+ * indexes support are pushed down; the client re-applies every filter to the loaded pages (filterReviews),
+ * so terpenes, cost, potency, and whatever else is left out here still narrow the list.
+ */
+const logQueryConstraints = (filters = {}, sort = DEFAULT_LOG_SORT) => {
+  const { types = [], productTypes = [], minRating = 0, brand = '', location = '', from = '', to = '' } = filters;
+  const { orderBy: sortFields } = LOG_SORTS[sort] || LOG_SORTS[DEFAULT_LOG_SORT];
+  const firstSortField = sortFields[0][0];
+  const constraints = [];
+
+  // Each `in` multiplies the query's disjunctions; one that would pass the limit is left to the client
+  let disjunctions = 1;
+  const whereAnyOf = (field, values) => {
+    if (values.length === 1) {
+      constraints.push(where(field, '==', values[0]));
+    } else if (values.length > 1 && disjunctions * values.length <= MAX_DISJUNCTIONS) {
+      constraints.push(where(field, 'in', values));
+      disjunctions *= values.length;
+    }
+  };
+
+  whereAnyOf('type', types);
+  whereAnyOf('productType', productTypes);
+  if (minRating > 1) { // Every review has at least 1 star
+    // Sorting by rating already orders by it first, so a range works there; other sorts need `in`
+    if (firstSortField === 'rating') {
+      constraints.push(where('rating', '>=', minRating));
+    } else {
+      whereAnyOf('rating', RATINGS.filter(rating => rating >= minRating));
+    }
+  }
+  if (toQueryKey(brand)) constraints.push(where('brandKey', '==', toQueryKey(brand)));
+  if (toQueryKey(location)) constraints.push(where('locationKey', '==', toQueryKey(location)));
+  if (firstSortField === 'timestamp') {
+    const dates = resolveDateRange('custom', from, to);
+    if (dates.from) constraints.push(where('timestamp', '>=', dates.from));
+    if (dates.to) constraints.push(where('timestamp', '<=', dates.to));
+  }
+  sortFields.forEach(([field, direction]) => constraints.push(orderBy(field, direction)));
+  return constraints;
+};
+
+/**
+ * Opens Firestore with the persistent cache: the log loads and accepts writes offline,
+ * syncing on reconnect (shared across tabs).
+ */
+export const openFirestore = (app) => initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+});
+
+/**
+ * Repositories over a Firestore instance. Write methods resolve once the server acknowledges
+ * the write; offline they stay pending while the write waits in the cache (see settleWrite).
+ */
+export const createFirestoreRepositories = ({ db, appId }) => {
+  const reviewsRef = (uid) => collection(db, reviewsPath(appId, uid)).withConverter(reviewConverter);
+  const reviewRef = (uid, reviewId) => doc(db, reviewsPath(appId, uid), reviewId).withConverter(reviewConverter);
+  const revisionsRef = (uid, reviewId) => collection(db, revisionsPath(appId, uid, reviewId)).withConverter(revisionConverter);
+  const publicRef = () => collection(db, popularStrainsPath(appId)).withConverter(publicEntryConverter);
+  const profileRef = (uid) => doc(db, profilePath(appId, uid)).withConverter(profileConverter);
+  const catalogRef = () => collection(db, strainCatalogPath(appId)).withConverter(strainConverter);
+  const dispensariesRef = (uid) => collection(db, dispensariesPath(appId, uid)).withConverter(dispensaryConverter);
+  const dispensaryRef = (uid, dispensaryId) => doc(db, dispensariesPath(appId, uid), dispensaryId).withConverter(dispensaryConverter);
+
+  const stagePublicEntry = (batch, uid, review) => {
+    batch.set(doc(publicRef()), buildPublicEntry(review, uid, new Date()));
+  };
+
+  const stageNewReview = (batch, uid, { fields, share = false }) => {
+    batch.set(doc(reviewsRef(uid)), withQueryKeys({ timestamp: new Date(), ...fields, userId: uid }));
+    if (share) stagePublicEntry(batch, uid, fields);
+  };
+
+  const commitInBatches = (items, batchSize, stage) => {
+    const commits = [];
+    for (let start = 0; start < items.length; start += batchSize) {
+      const batch = writeBatch(db);
+      items.slice(start, start + batchSize).forEach(item => stage(batch, item));
+      commits.push(batch.commit());
+    }
+    return Promise.all(commits);
+  };
+
+  const reviews = {
+    /**
+     * Streams the user's reviews, newest first, including ones marked for deletion.
+     * Metadata changes re-fire the listener when queued writes reach the server, updating sync badges.
+     */
+    subscribe: (uid, onChange, onError) => onSnapshot(query(reviewsRef(uid), orderBy('timestamp', 'desc')), { includeMetadataChanges: true }, (snapshot) => {
+      onChange(snapshot.docs.map(reviewDoc => reviewDoc.data()));
+    }, onError),
+
+    /**
+     * Streams one page of the Log screen: reviews matching `filters` in `sort` order, after the `after` cursor.
+     * Without `through` the page holds up to `pageSize` reviews; with it, the page is frozen to everything up to
+     * and including that cursor, so reviews added or removed later never shift into a neighbouring page.
+     * `onChange({ reviews, endCursor, hasMore })`; `endCursor` is opaque and feeds the next page's `after`.
+     */
+    subscribePage: (uid, { filters, sort, after = null, through = null, pageSize }, onChange, onError) => {
+      const constraints = logQueryConstraints(filters, sort);
+      if (after) constraints.push(startAfter(after));
+      constraints.push(through ? endAt(through) : limit(pageSize + 1)); // One extra document tells whether more follow
+
+      return onSnapshot(query(reviewsRef(uid), ...constraints), { includeMetadataChanges: true }, (snapshot) => {
+        const pageDocs = through ? snapshot.docs : snapshot.docs.slice(0, pageSize);
+        onChange({
+          reviews: pageDocs.map(reviewDoc => reviewDoc.data()),
+          endCursor: pageDocs.length > 0 ? pageDocs[pageDocs.length - 1] : after,
+          hasMore: !through && snapshot.docs.length > pageSize,
+        });
+      }, onError);
+    },
+
+    // One-off read of the whole log (newest first) for exports and import duplicate checks
+    getAll: async (uid) => {
+      const snapshot = await getDocs(query(reviewsRef(uid), orderBy('timestamp', 'desc')));
+      return snapshot.docs.map(reviewDoc => reviewDoc.data()).filter(r => !r.deletedAt);
+    },
+
+    subscribeRevisions: (uid, reviewId, onChange, onError) => onSnapshot(query(revisionsRef(uid, reviewId), orderBy('revisedAt', 'desc')), (snapshot) => {
+      onChange(snapshot.docs.map(revisionDoc => revisionDoc.data()));
+    }, onError),
+
+    /**
+     * Adds a review; with `share` its public entry is written in the same batch.
+     */
+    create: (uid, fields, { share = false } = {}) => {
+      const batch = writeBatch(db);
+      stageNewReview(batch, uid, { fields, share });
+      return batch.commit();
+    },
+
+    /**
+     * Adds many reviews ({ fields, share } each, `fields.timestamp` optional), committing every batch
+     * without waiting on the previous one so an offline import queues completely.
+     */
+    createMany: (uid, items) => commitInBatches(items, IMPORT_BATCH_SIZE, (batch, item) => stageNewReview(batch, uid, item)),
+
+    /**
+     * Snapshots `previous` into its revision history, then updates it in place
+     * (keeping the original timestamp and AI analysis).
+     */
+    update: (uid, previous, fields, { share = false } = {}) => {
+      const batch = writeBatch(db);
+      batch.set(doc(revisionsRef(uid, previous.id)), { ...pickReviewFields(previous), revisedAt: new Date() });
+      batch.update(reviewRef(uid, previous.id), datesToTimestamps(withQueryKeys({ ...fields, updatedAt: new Date() })));
+      if (share) stagePublicEntry(batch, uid, fields);
+      return batch.commit();
+    },
+
+    // The revisions can't be listed reliably from the cache, so offline deletes only hide the review
+    markDeleted: (uid, reviewId) => updateDoc(reviewRef(uid, reviewId), { deletedAt: Timestamp.now() }),
+
+    delete: async (uid, reviewId) => {
+      // Firestore does not cascade deletes, so clear the revisions subcollection in the same batch
+      const revisionsSnapshot = await getDocs(revisionsRef(uid, reviewId));
+      const batch = writeBatch(db);
+      revisionsSnapshot.docs.forEach(revisionDoc => batch.delete(revisionDoc.ref));
+      batch.delete(reviewRef(uid, reviewId));
+      await batch.commit();
+    },
+
+    // Adds the query keys to reviews saved before they existed (see needsQueryKeys)
+    backfillQueryKeys: (uid, staleReviews) => commitInBatches(staleReviews, MAX_BATCH_WRITES, (batch, review) => {
+      batch.update(reviewRef(uid, review.id), queryKeysOf(review));
+    }),
+
+    queueAnalysis: (uid, reviewId) => updateDoc(reviewRef(uid, reviewId), { analysisQueued: true }),
+
+    // Drops a queued analysis that can never succeed (e.g. the AI service is not configured)
+    clearQueuedAnalysis: (uid, reviewId) => updateDoc(reviewRef(uid, reviewId), { analysisQueued: deleteField() }),
+
+    // `analysis` keeps the plain summary for older clients and exports
+    saveAnalysis: (uid, reviewId, aiEffects) => updateDoc(reviewRef(uid, reviewId), {
+      analysis: aiEffects.summary,
+      aiEffects,
+      analysisQueued: deleteField(),
+    }),
+  };
+
+  const profile = {
+    // `onChange(null)` means the user has no profile yet
+    subscribe: (uid, onChange, onError) => onSnapshot(profileRef(uid), (snapshot) => {
+      onChange(snapshot.exists() ? snapshot.data() : null);
+    }, onError),
+
+    create: (uid, fields) => setDoc(profileRef(uid), { ...fields, createdAt: new Date() }),
+
+    update: (uid, changes) => updateDoc(profileRef(uid), datesToTimestamps(changes)),
+  };
+
+  const community = {
+    subscribe: (onChange, onError) => onSnapshot(publicRef(), (snapshot) => {
+      onChange(snapshot.docs.map(entryDoc => entryDoc.data()));
+    }, onError),
+  };
+
+  const dispensaries = {
+    subscribe: (uid, onChange, onError) => onSnapshot(query(dispensariesRef(uid), orderBy('name')), (snapshot) => {
+      onChange(snapshot.docs.map(dispensaryDoc => dispensaryDoc.data()));
+    }, onError),
+
+    // The caller picks the id (see newDispensaryId), so a review can link a dispensary saved offline
+    create: (uid, dispensaryId, fields) => setDoc(dispensaryRef(uid, dispensaryId), { ...fields, createdAt: new Date() }),
+
+    update: (uid, dispensaryId, changes) => updateDoc(dispensaryRef(uid, dispensaryId), datesToTimestamps({ ...changes, updatedAt: new Date() })),
+  };
+
+  // Curated outside the app (firestore.rules makes it read-only); adds to BUILT_IN_STRAINS
+  const catalog = {
+    subscribe: (onChange, onError) => onSnapshot(catalogRef(), (snapshot) => {
+      onChange(snapshot.docs.map(strainDoc => strainDoc.data()));
+    }, onError),
+  };
+
+  /**
+   * Deletes every document the user owns: reviews with their revisions, dispensaries, community contributions and the profile.
+   */
+  const deleteUserData = async (uid) => {
+    const [reviewsSnapshot, dispensariesSnapshot, contributionsSnapshot] = await Promise.all([
+      getDocs(reviewsRef(uid)),
+      getDocs(dispensariesRef(uid)),
+      getDocs(query(publicRef(), where('addedBy', '==', uid))),
+    ]);
+    const revisionSnapshots = await Promise.all(
+      reviewsSnapshot.docs.map(reviewDoc => getDocs(revisionsRef(uid, reviewDoc.id)))
+    );
+    const refs = [
+      ...revisionSnapshots.flatMap(snapshot => snapshot.docs.map(d => d.ref)),
+      ...reviewsSnapshot.docs.map(d => d.ref),
+      ...dispensariesSnapshot.docs.map(d => d.ref),
+      ...contributionsSnapshot.docs.map(d => d.ref),
+      profileRef(uid),
+    ];
+
+    for (let start = 0; start < refs.length; start += MAX_BATCH_WRITES) {
+      const batch = writeBatch(db);
+      refs.slice(start, start + MAX_BATCH_WRITES).forEach(ref => batch.delete(ref));
+      await batch.commit();
+    }
+  };
+
+  return { name: 'firestore', reviews, profile, dispensaries, community, catalog, deleteUserData };
+};
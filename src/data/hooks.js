@@ -0,0 +1,198 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { BUILT_IN_STRAINS, buildStrainCatalog } from '../strainCatalog';
+
+// --- Data Hooks: subscribe components to a repositories object (Firestore or in-memory) ---
+// Each hook resets to its empty state while `repositories` or the user is missing.
+
+const EMPTY_REVIEWS = { reviews: [], pendingDeletionIds: [], hasLoaded: false };
+
+/**
+ * The user's reviews, newest first. Reviews deleted offline are left out of `reviews` and
+ * listed in `pendingDeletionIds` until the cascade runs. `hasLoaded` turns true with the first snapshot.
+ */
+export const useReviews = (repositories, uid) => {
+  const [state, setState] = useState(EMPTY_REVIEWS);
+
+  useEffect(() => {
+    setState(EMPTY_REVIEWS);
+    if (!repositories || !uid) return;
+
+    return repositories.reviews.subscribe(uid, (allReviews) => {
+      setState({
+        reviews: allReviews.filter(r => !r.deletedAt),
+        pendingDeletionIds: allReviews.filter(r => r.deletedAt).map(r => r.id),
+        hasLoaded: true,
+      });
+    }, (e) => {
+      console.error('Reviews listener error:', e);
+    });
+  }, [repositories, uid]);
+
+  return state;
+};
+
+export const LOG_PAGE_SIZE = 25;
+
+const FIRST_PAGES = [{ after: null, through: null }];
+
+/**
+ * The Log screen's reviews, filtered and sorted by the backend (`{ filters, sort }`, see subscribePage)
+ * and loaded a page at a time. `loadMore()` freezes the last page at its final review and opens the
+ * next one after it, so each page keeps its own live listener without overlapping its neighbours.
+ * Returns { reviews, pendingDeletionIds, hasLoaded, hasMore, isLoadingMore, loadMore }.
+ */
+export const usePagedReviews = (repositories, uid, { filters, sort }, pageSize = LOG_PAGE_SIZE) => {
+  // Changing the user, backend or query starts again from the first page
+  const queryKey = JSON.stringify({ uid, backend: repositories && repositories.name, filters, sort });
+  const [paging, setPaging] = useState({ queryKey, pages: FIRST_PAGES });
+  const [results, setResults] = useState({ queryKey, pages: [] });
+  const pages = paging.queryKey === queryKey ? paging.pages : FIRST_PAGES;
+  const pageResults = useMemo(() => (results.queryKey === queryKey ? results.pages : []), [results, queryKey]);
+
+  useEffect(() => {
+    if (!repositories || !uid) return;
+    const query = JSON.parse(queryKey);
+
+    const unsubscribes = pages.map((page, index) => repositories.reviews.subscribePage(
+      uid,
+      { filters: query.filters, sort: query.sort, after: page.after, through: page.through, pageSize },
+      (result) => setResults(previous => {
+        const next = previous.queryKey === queryKey ? [...previous.pages] : [];
+        next[index] = result;
+        return { queryKey, pages: next };
+      }),
+      (e) => {
+        console.error('Log page listener error:', e);
+      }
+    ));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [repositories, uid, queryKey, pages, pageSize]);
+
+  const lastResult = pageResults[pages.length - 1];
+  const hasMore = Boolean(lastResult && lastResult.hasMore);
+
+  const loadMore = useCallback(() => {
+    if (!hasMore) return;
+    const lastPage = pages[pages.length - 1];
+    setPaging({
+      queryKey,
+      pages: [
+        ...pages.slice(0, -1),
+        { ...lastPage, through: lastResult.endCursor },
+        { after: lastResult.endCursor, through: null },
+      ],
+    });
+  }, [hasMore, pages, lastResult, queryKey]);
+
+  return useMemo(() => {
+    // A page can briefly repeat its neighbour's reviews while a frozen page's listener takes over
+    const byId = new Map();
+    pageResults.filter(Boolean).forEach(result => result.reviews.forEach(review => byId.set(review.id, review)));
+    const loaded = Array.from(byId.values());
+
+    return {
+      reviews: loaded.filter(r => !r.deletedAt),
+      pendingDeletionIds: loaded.filter(r => r.deletedAt).map(r => r.id),
+      hasLoaded: Boolean(repositories && uid && pageResults[0]),
+      hasMore,
+      isLoadingMore: pages.length > 1 && !lastResult,
+      loadMore,
+    };
+  }, [repositories, uid, pageResults, pages, lastResult, hasMore, loadMore]);
+};
+
+/**
+ * Revision history of one review, newest first; empty when `reviewId` is null.
+ */
+export const useRevisions = (repositories, uid, reviewId) => {
+  const [revisions, setRevisions] = useState([]);
+
+  useEffect(() => {
+    setRevisions([]);
+    if (!repositories || !uid || !reviewId) return;
+
+    return repositories.reviews.subscribeRevisions(uid, reviewId, setRevisions, (e) => {
+      console.error('Revisions listener error:', e);
+    });
+  }, [repositories, uid, reviewId]);
+
+  return revisions;
+};
+
+/**
+ * The user's profile. `profile` is null both before the first snapshot and when the
+ * user has none yet; `hasLoaded` tells the two apart.
+ */
+export const useProfile = (repositories, uid) => {
+  const [state, setState] = useState({ profile: null, hasLoaded: false });
+
+  useEffect(() => {
+    setState({ profile: null, hasLoaded: false });
+    if (!repositories || !uid) return;
+
+    return repositories.profile.subscribe(uid, (profile) => {
+      setState({ profile, hasLoaded: true });
+    }, (e) => {
+      console.error('Profile listener error:', e);
+    });
+  }, [repositories, uid]);
+
+  return state;
+};
+
+/**
+ * The user's saved dispensaries, sorted by name. `hasLoaded` turns true with the first snapshot.
+ */
+export const useDispensaries = (repositories, uid) => {
+  const [state, setState] = useState({ dispensaries: [], hasLoaded: false });
+
+  useEffect(() => {
+    setState({ dispensaries: [], hasLoaded: false });
+    if (!repositories || !uid) return;
+
+    return repositories.dispensaries.subscribe(uid, (dispensaries) => {
+      setState({ dispensaries, hasLoaded: true });
+    }, (e) => {
+      console.error('Dispensaries listener error:', e);
+    });
+  }, [repositories, uid]);
+
+  return state;
+};
+
+/**
+ * Public community entries, unaggregated (see aggregatePopularStrains). Only read while signed in.
+ */
+export const useCommunityEntries = (repositories, uid) => {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    setEntries([]);
+    if (!repositories || !uid) return;
+
+    return repositories.community.subscribe(setEntries, (e) => {
+      console.error('Community listener error:', e);
+    });
+  }, [repositories, uid]);
+
+  return entries;
+};
+
+/**
+ * The strain catalog (see buildStrainCatalog): the built-in strains plus the catalog collection,
+ * whose entries replace built-in ones with the same id. Only read while signed in.
+ */
+export const useStrainCatalog = (repositories, uid) => {
+  const [strains, setStrains] = useState([]);
+
+  useEffect(() => {
+    setStrains([]);
+    if (!repositories || !uid) return;
+
+    return repositories.catalog.subscribe(setStrains, (e) => {
+      console.error('Strain catalog listener error:', e);
+    });
+  }, [repositories, uid]);
+
+  return useMemo(() => buildStrainCatalog([...BUILT_IN_STRAINS, ...strains]), [strains]);
+};
@@ -0,0 +1,60 @@
+import { renderHook, act } from '@testing-library/react';
+import { createMemoryRepositories } from './memoryRepositories';
+import { usePagedReviews } from './hooks';
+
+const REVIEW = { rating: 3, type: 'Hybrid', productType: 'Flower', terpenes: [] };
+
+const seededRepositories = (count) => createMemoryRepositories({
+  reviews: {
+    alice: Array.from({ length: count }, (_, i) => ({ ...REVIEW, id: `r${i + 1}`, strain: `Strain ${i + 1}`, timestamp: new Date(2025, 0, i + 1) })),
+  },
+});
+
+const strains = (result) => result.current.reviews.map(r => r.strain);
+
+describe('usePagedReviews', () => {
+  const newest = { filters: {}, sort: 'newest' };
+
+  test('loads a page at a time until the log runs out', () => {
+    const repositories = seededRepositories(5);
+    const { result } = renderHook(() => usePagedReviews(repositories, 'alice', newest, 2));
+
+    expect(strains(result)).toEqual(['Strain 5', 'Strain 4']);
+    expect(result.current).toMatchObject({ hasLoaded: true, hasMore: true });
+
+    act(() => result.current.loadMore());
+    act(() => result.current.loadMore());
+
+    expect(strains(result)).toEqual(['Strain 5', 'Strain 4', 'Strain 3', 'Strain 2', 'Strain 1']);
+    expect(result.current.hasMore).toBe(false);
+  });
+
+  test('loaded pages stay live', async () => {
+    const repositories = seededRepositories(3);
+    const { result } = renderHook(() => usePagedReviews(repositories, 'alice', newest, 2));
+    act(() => result.current.loadMore());
+
+    await act(() => repositories.reviews.create('alice', { ...REVIEW, strain: 'Newest' }));
+
+    expect(strains(result)).toEqual(['Newest', 'Strain 3', 'Strain 2', 'Strain 1']);
+  });
+
+  test('a new query starts again from the first page', () => {
+    const repositories = seededRepositories(5);
+    const { result, rerender } = renderHook(({ query }) => usePagedReviews(repositories, 'alice', query, 2), {
+      initialProps: { query: newest },
+    });
+    act(() => result.current.loadMore());
+
+    rerender({ query: { filters: {}, sort: 'oldest' } });
+
+    expect(strains(result)).toEqual(['Strain 1', 'Strain 2']);
+    expect(result.current.hasMore).toBe(true);
+  });
+
+  test('stays empty without a user', () => {
+    const { result } = renderHook(() => usePagedReviews(seededRepositories(2), null, newest, 2));
+
+    expect(result.current).toMatchObject({ reviews: [], hasLoaded: false, hasMore: false });
+  });
+});
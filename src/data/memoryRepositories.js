@@ -0,0 +1,231 @@
+import { pickReviewFields } from '../reviewModel';
+import { buildPublicEntry } from '../community';
+import { filterReviews, compareReviews, LOG_SORTS, DEFAULT_LOG_SORT } from '../reviewFilters';
+import { toReview, toRevision, toPublicEntry, toDispensary, toStrain, byNewest, withQueryKeys, queryKeysOf, toQueryKey } from './models';
+
+// --- In-Memory Repositories: the same interface as the Firestore ones, for running without Firebase ---
+// Nothing is persisted; a reload starts from the seed again. Listeners fire synchronously on every change.
+
+const notFound = (what) => Promise.reject(new Error(`${what} not found.`));
+
+/**
+ * Whether a Log query in Firestore would see a review at all: documents missing a field the query
+ * orders by or matches exactly are left out, which is what a review without query keys runs into.
+ */
+const hasLogQueryFields = (review, filters = {}, sort = DEFAULT_LOG_SORT) => {
+  const { orderBy } = LOG_SORTS[sort] || LOG_SORTS[DEFAULT_LOG_SORT];
+  const fields = [
+    ...orderBy.map(([field]) => field),
+    ...(toQueryKey(filters.brand) ? ['brandKey'] : []),
+    ...(toQueryKey(filters.location) ? ['locationKey'] : []),
+  ];
+  return fields.every(field => review[field] !== undefined);
+};
+
+/**
+ * Creates in-memory repositories, optionally seeded with
+ * `{ profiles: { [uid]: profile }, reviews: { [uid]: [review data] }, dispensaries: { [uid]: [dispensary data with id] },
+ * publicEntries: [entry data], strains: [strain data with id] }`. Seeded reviews are stored as given, so ones
+ * without strainKey/brandKey/locationKey stand in for reviews saved before the query keys existed.
+ */
+export const createMemoryRepositories = (seed = {}) => {
+  let nextId = 1;
+  const newId = () => `memory-${nextId++}`;
+
+  const profiles = new Map(Object.entries(seed.profiles || {}));
+  const reviewsByUser = new Map(); // uid -> Map(reviewId -> review data)
+  const revisionsByReview = new Map(); // reviewId -> [revision data]
+  const publicEntries = new Map((seed.publicEntries || []).map(entry => [newId(), { ...entry }]));
+  const strains = (seed.strains || []).map(({ id, ...data }) => toStrain(id, data));
+  const dispensariesByUser = new Map(Object.entries(seed.dispensaries || {}).map(([uid, list]) => [
+    uid, new Map(list.map(({ id, ...data }) => [id, data])),
+  ])); // uid -> Map(dispensaryId -> dispensary data)
+
+  const userReviews = (uid) => {
+    if (!reviewsByUser.has(uid)) reviewsByUser.set(uid, new Map());
+    return reviewsByUser.get(uid);
+  };
+  Object.entries(seed.reviews || {}).forEach(([uid, list]) => {
+    list.forEach(review => userReviews(uid).set(review.id || newId(), { timestamp: new Date(), ...review }));
+  });
+
+  // Every change re-emits to every listener; the data set is small enough that this stays cheap
+  const listeners = new Set();
+  const listen = (emit) => {
+    listeners.add(emit);
+    emit();
+    return () => listeners.delete(emit);
+  };
+  const changed = () => {
+    listeners.forEach(emit => emit());
+    return Promise.resolve();
+  };
+
+  const addPublicEntry = (uid, fields) => publicEntries.set(newId(), buildPublicEntry(fields, uid, new Date()));
+
+  const addReview = (uid, { fields, share = false }) => {
+    userReviews(uid).set(newId(), withQueryKeys({ timestamp: new Date(), ...fields, userId: uid }));
+    if (share) addPublicEntry(uid, fields);
+  };
+
+  const deleteReview = (uid, reviewId) => {
+    userReviews(uid).delete(reviewId);
+    revisionsByReview.delete(reviewId);
+  };
+
+  const allReviews = (uid) => Array.from(userReviews(uid), ([id, data]) => toReview(id, data)).sort(byNewest);
+
+  const reviews = {
+    subscribe: (uid, onChange) => listen(() => {
+      onChange(allReviews(uid));
+    }),
+
+    // Cursors are the reviews themselves
+    subscribePage: (uid, { filters, sort, after = null, through = null, pageSize }, onChange) => listen(() => {
+      const compare = compareReviews(sort);
+      const inRange = filterReviews(allReviews(uid).filter(review => hasLogQueryFields(review, filters, sort)), filters)
+        .sort(compare)
+        .filter(review => (!after || compare(review, after) > 0) && (!through || compare(review, through) <= 0));
+      const page = through ? inRange : inRange.slice(0, pageSize);
+      onChange({
+        reviews: page,
+        endCursor: page.length > 0 ? page[page.length - 1] : after,
+        hasMore: !through && inRange.length > pageSize,
+      });
+    }),
+
+    getAll: (uid) => Promise.resolve(allReviews(uid)),
+
+    subscribeRevisions: (uid, reviewId, onChange) => listen(() => {
+      onChange((revisionsByReview.get(reviewId) || []).map(({ id, ...data }) => toRevision(id, data)).sort((a, b) => b.revisedAt - a.revisedAt));
+    }),
+
+    create: (uid, fields, { share = false } = {}) => {
+      addReview(uid, { fields, share });
+      return changed();
+    },
+
+    createMany: (uid, items) => {
+      items.forEach(item => addReview(uid, item));
+      return changed();
+    },
+
+    update: (uid, previous, fields, { share = false } = {}) => {
+      const current = userReviews(uid).get(previous.id);
+      if (!current) return notFound('Review');
+      revisionsByReview.set(previous.id, [
+        ...(revisionsByReview.get(previous.id) || []),
+        { id: newId(), ...pickReviewFields(previous), revisedAt: new Date() },
+      ]);
+      userReviews(uid).set(previous.id, withQueryKeys({ ...current, ...fields, updatedAt: new Date() }));
+      if (share) addPublicEntry(uid, fields);
+      return changed();
+    },
+
+    // Nothing is ever offline here, so deletes cascade immediately
+    markDeleted: (uid, reviewId) => {
+      deleteReview(uid, reviewId);
+      return changed();
+    },
+
+    delete: (uid, reviewId) => {
+      deleteReview(uid, reviewId);
+      return changed();
+    },
+
+    backfillQueryKeys: (uid, staleReviews) => {
+      staleReviews.forEach(review => {
+        const current = userReviews(uid).get(review.id);
+        if (current) userReviews(uid).set(review.id, { ...current, ...queryKeysOf(current) });
+      });
+      return changed();
+    },
+
+    queueAnalysis: (uid, reviewId) => {
+      const current = userReviews(uid).get(reviewId);
+      if (!current) return notFound('Review');
+      userReviews(uid).set(reviewId, { ...current, analysisQueued: true });
+      return changed();
+    },
+
+    clearQueuedAnalysis: (uid, reviewId) => {
+      const current = userReviews(uid).get(reviewId);
+      if (!current) return notFound('Review');
+      const { analysisQueued, ...rest } = current;
+      userReviews(uid).set(reviewId, rest);
+      return changed();
+    },
+
+    saveAnalysis: (uid, reviewId, aiEffects) => {
+      const current = userReviews(uid).get(reviewId);
+      if (!current) return notFound('Review');
+      const { analysisQueued, ...rest } = current;
+      userReviews(uid).set(reviewId, { ...rest, analysis: aiEffects.summary, aiEffects });
+      return changed();
+    },
+  };
+
+  const profile = {
+    subscribe: (uid, onChange) => listen(() => {
+      onChange(profiles.has(uid) ? { ...profiles.get(uid) } : null);
+    }),
+
+    create: (uid, fields) => {
+      profiles.set(uid, { ...fields, createdAt: new Date() });
+      return changed();
+    },
+
+    update: (uid, changes) => {
+      if (!profiles.has(uid)) return notFound('Profile');
+      profiles.set(uid, { ...profiles.get(uid), ...changes });
+      return changed();
+    },
+  };
+
+  const userDispensaries = (uid) => {
+    if (!dispensariesByUser.has(uid)) dispensariesByUser.set(uid, new Map());
+    return dispensariesByUser.get(uid);
+  };
+
+  const dispensaries = {
+    subscribe: (uid, onChange) => listen(() => {
+      onChange(Array.from(userDispensaries(uid), ([id, data]) => toDispensary(id, data)).sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0)));
+    }),
+
+    create: (uid, dispensaryId, fields) => {
+      userDispensaries(uid).set(dispensaryId, { ...fields, createdAt: new Date() });
+      return changed();
+    },
+
+    update: (uid, dispensaryId, changes) => {
+      const current = userDispensaries(uid).get(dispensaryId);
+      if (!current) return notFound('Dispensary');
+      userDispensaries(uid).set(dispensaryId, { ...current, ...changes, updatedAt: new Date() });
+      return changed();
+    },
+  };
+
+  const community = {
+    subscribe: (onChange) => listen(() => {
+      onChange(Array.from(publicEntries, ([id, data]) => toPublicEntry(id, data)));
+    }),
+  };
+
+  const catalog = {
+    subscribe: (onChange) => listen(() => {
+      onChange(strains);
+    }),
+  };
+
+  const deleteUserData = (uid) => {
+    Array.from(userReviews(uid).keys()).forEach(reviewId => deleteReview(uid, reviewId));
+    dispensariesByUser.delete(uid);
+    Array.from(publicEntries).forEach(([id, entry]) => {
+      if (entry.addedBy === uid) publicEntries.delete(id);
+    });
+    profiles.delete(uid);
+    return changed();
+  };
+
+  return { name: 'memory', reviews, profile, dispensaries, community, catalog, deleteUserData };
+};
@@ -0,0 +1,199 @@
+import { createMemoryRepositories } from './memoryRepositories';
+import { revisionToReviewFields } from '../reviewModel';
+
+const REVIEW = { strain: 'Blue Dream', rating: 3, type: 'Hybrid', productType: 'Flower', terpenes: [] };
+
+// Subscribes and returns a function reading the latest emitted value
+const latest = (subscribe) => {
+  let value;
+  subscribe(next => { value = next; });
+  return () => value;
+};
+
+describe('createMemoryRepositories', () => {
+  let repositories;
+  let reviews;
+  let publicEntries;
+
+  beforeEach(() => {
+    repositories = createMemoryRepositories({ profiles: { alice: { name: 'Alice', state: 'Colorado', dob: '1990-05-01' } } });
+    reviews = latest(onChange => repositories.reviews.subscribe('alice', onChange));
+    publicEntries = latest(onChange => repositories.community.subscribe(onChange));
+  });
+
+  test('creates normalized reviews, newest first, and shares only when asked', async () => {
+    await repositories.reviews.create('alice', { ...REVIEW, timestamp: new Date('2025-01-01') });
+    await repositories.reviews.create('alice', { ...REVIEW, strain: 'Sour Diesel', rating: 5 }, { share: true });
+
+    expect(reviews().map(r => r.strain)).toEqual(['Sour Diesel', 'Blue Dream']);
+    expect(reviews()[0]).toMatchObject({ userId: 'alice', hasPendingWrites: false, updatedAt: null, aiEffects: null });
+    expect(reviews()[0].potency).toMatchObject({ unit: '%' });
+    expect(publicEntries()).toHaveLength(1);
+    expect(publicEntries()[0]).toMatchObject({ strain: 'Sour Diesel', addedBy: 'alice' });
+  });
+
+  test('keeps users apart', async () => {
+    await repositories.reviews.create('bob', REVIEW);
+    expect(reviews()).toEqual([]);
+  });
+
+  test('update records the previous version as a revision', async () => {
+    await repositories.reviews.create('alice', REVIEW);
+    const revisions = latest(onChange => repositories.reviews.subscribeRevisions('alice', reviews()[0].id, onChange));
+
+    await repositories.reviews.update('alice', reviews()[0], { ...REVIEW, rating: 4 }, { share: true });
+
+    expect(reviews()[0].rating).toBe(4);
+    expect(reviews()[0].updatedAt).toBeInstanceOf(Date);
+    expect(revisions()).toHaveLength(1);
+    expect(revisions()[0]).toMatchObject({ rating: 3 });
+    expect(publicEntries()).toHaveLength(1);
+  });
+
+  test('restoring a revision from before the analysis removes the analysis', async () => {
+    await repositories.reviews.create('alice', REVIEW);
+    await repositories.reviews.update('alice', reviews()[0], { ...REVIEW, rating: 4 });
+    await repositories.reviews.saveAnalysis('alice', reviews()[0].id, { summary: 'Calm.', sentimentScore: 0.5, physicalEffects: [], mentalEffects: ['calm'], sideEffects: [], timeOfDay: 'evening' });
+    const revisions = latest(onChange => repositories.reviews.subscribeRevisions('alice', reviews()[0].id, onChange));
+
+    await repositories.reviews.update('alice', reviews()[0], revisionToReviewFields(revisions()[0]));
+
+    expect(reviews()[0]).toMatchObject({ rating: 3, analysis: null, aiEffects: null });
+  });
+
+  test('queued analysis is cleared when the analysis is saved', async () => {
+    await repositories.reviews.create('alice', REVIEW);
+    const { id } = reviews()[0];
+
+    await repositories.reviews.queueAnalysis('alice', id);
+    expect(reviews()[0].analysisQueued).toBe(true);
+    await repositories.reviews.clearQueuedAnalysis('alice', id);
+    expect(reviews()[0].analysisQueued).toBeUndefined();
+    await repositories.reviews.queueAnalysis('alice', id);
+
+    await repositories.reviews.saveAnalysis('alice', id, { summary: 'Calm.', sentimentScore: 0.5, physicalEffects: [], mentalEffects: ['calm'], sideEffects: [], timeOfDay: 'evening' });
+    expect(reviews()[0].analysisQueued).toBeUndefined();
+    expect(reviews()[0]).toMatchObject({ analysis: 'Calm.', aiEffects: { sentiment: 'positive', mentalEffects: ['calm'] } });
+  });
+
+  test('rejects writes to reviews that do not exist', async () => {
+    await expect(repositories.reviews.queueAnalysis('alice', 'missing')).rejects.toThrow('Review not found.');
+  });
+
+  test('deleteUserData removes reviews, contributions and the profile', async () => {
+    const profile = latest(onChange => repositories.profile.subscribe('alice', onChange));
+    await repositories.reviews.create('alice', { ...REVIEW, rating: 5 }, { share: true });
+    await repositories.reviews.create('bob', { ...REVIEW, rating: 5 }, { share: true });
+
+    await repositories.deleteUserData('alice');
+
+    expect(reviews()).toEqual([]);
+    expect(profile()).toBeNull();
+    expect(publicEntries().map(e => e.addedBy)).toEqual(['bob']);
+  });
+
+  test('stores lowercased query keys and backfills reviews saved without them', async () => {
+    repositories = createMemoryRepositories({ reviews: { alice: [{ id: 'old', ...REVIEW, brand: 'Cookies ', location: 'Denver' }] } });
+    reviews = latest(onChange => repositories.reviews.subscribe('alice', onChange));
+    await repositories.reviews.create('alice', { ...REVIEW, brand: 'Jungle Boys', location: '' });
+
+    expect(reviews().find(r => r.id !== 'old')).toMatchObject({ brandKey: 'jungle boys', locationKey: '' });
+    expect(reviews().find(r => r.id === 'old').brandKey).toBeUndefined();
+
+    await repositories.reviews.backfillQueryKeys('alice', reviews().filter(r => r.id === 'old'));
+    expect(reviews().find(r => r.id === 'old')).toMatchObject({ brand: 'Cookies ', brandKey: 'cookies', locationKey: 'denver' });
+  });
+
+  describe('subscribePage', () => {
+    const day = (n) => new Date(2025, 0, n);
+
+    beforeEach(async () => {
+      await repositories.reviews.createMany('alice', [1, 2, 3, 4, 5].map(n => ({
+        fields: { ...REVIEW, strain: `Strain ${n}`, rating: n, type: n % 2 ? 'Indica' : 'Sativa', timestamp: day(n) },
+      })));
+    });
+
+    const page = (options) => latest(onChange => repositories.reviews.subscribePage('alice', { pageSize: 2, ...options }, onChange));
+    const strains = (result) => result.reviews.map(r => r.strain);
+
+    test('returns a page of filtered, sorted reviews with a cursor to the next', () => {
+      const first = page({ filters: { types: ['Indica'] }, sort: 'newest' });
+      expect(strains(first())).toEqual(['Strain 5', 'Strain 3']);
+      expect(first().hasMore).toBe(true);
+
+      const second = page({ filters: { types: ['Indica'] }, sort: 'newest', after: first().endCursor });
+      expect(strains(second())).toEqual(['Strain 1']);
+      expect(second().hasMore).toBe(false);
+    });
+
+    test('sorts by rating and applies a minimum rating', () => {
+      expect(strains(page({ filters: { minRating: 3 }, sort: 'rating', pageSize: 5 })())).toEqual(['Strain 5', 'Strain 4', 'Strain 3']);
+    });
+
+    test('leaves out reviews missing a field the query orders by or matches, as Firestore does', async () => {
+      const legacy = createMemoryRepositories({ reviews: { alice: [{ ...REVIEW, brand: 'Cookies' }] } });
+      const legacyPage = (options) => latest(onChange => legacy.reviews.subscribePage('alice', { pageSize: 5, ...options }, onChange))();
+
+      expect(legacyPage({ sort: 'newest' }).reviews).toHaveLength(1);
+      expect(legacyPage({ sort: 'name' }).reviews).toHaveLength(0);
+      expect(legacyPage({ filters: { brand: 'cookies' }, sort: 'newest' }).reviews).toHaveLength(0);
+
+      await legacy.reviews.backfillQueryKeys('alice', await legacy.reviews.getAll('alice'));
+      expect(legacyPage({ sort: 'name' }).reviews).toHaveLength(1);
+    });
+
+    test('sorts by name and matches any of several types', () => {
+      const result = page({ filters: { types: ['Indica', 'Sativa'] }, sort: 'name', pageSize: 5 });
+      expect(strains(result())).toEqual(['Strain 1', 'Strain 2', 'Strain 3', 'Strain 4', 'Strain 5']);
+    });
+
+    test('a frozen page takes in new reviews that sort inside it instead of pushing them to the next', async () => {
+      const first = page({ sort: 'newest' });
+      const frozen = page({ sort: 'newest', through: first().endCursor });
+      const next = page({ sort: 'newest', after: first().endCursor });
+
+      await repositories.reviews.create('alice', { ...REVIEW, strain: 'Newest' });
+
+      expect(strains(frozen())).toEqual(['Newest', 'Strain 5', 'Strain 4']);
+      expect(strains(next())).toEqual(['Strain 3', 'Strain 2']);
+    });
+  });
+
+  test('getAll resolves the whole log, newest first', async () => {
+    await repositories.reviews.create('alice', { ...REVIEW, timestamp: new Date('2025-01-01') });
+    await repositories.reviews.create('alice', { ...REVIEW, strain: 'Sour Diesel' });
+
+    expect((await repositories.reviews.getAll('alice')).map(r => r.strain)).toEqual(['Sour Diesel', 'Blue Dream']);
+  });
+
+  test('serves seeded strain catalog entries as Strain models', () => {
+    const seeded = createMemoryRepositories({ strains: [{ id: 'house-kush', name: 'House Kush', type: 'Indica' }] });
+    const strains = latest(onChange => seeded.catalog.subscribe(onChange));
+
+    expect(strains()).toEqual([{ id: 'house-kush', name: 'House Kush', aliases: [], type: 'Indica', lineage: [] }]);
+    expect(latest(onChange => repositories.catalog.subscribe(onChange))()).toEqual([]);
+  });
+
+  test('keeps dispensaries per user, sorted by name, and deletes them with the user', async () => {
+    const dispensaries = latest(onChange => repositories.dispensaries.subscribe('alice', onChange));
+    await repositories.dispensaries.create('alice', 'mile-high', { name: 'Mile High', address: '', state: 'Colorado', licensed: true });
+    await repositories.dispensaries.create('alice', 'green-leaf', { name: 'Green Leaf', address: '12 Main St', state: 'Colorado', licensed: false });
+    await repositories.dispensaries.update('alice', 'green-leaf', { name: 'Green Leaf', address: '14 Main St', state: 'Colorado', licensed: true });
+
+    expect(dispensaries().map(d => d.id)).toEqual(['green-leaf', 'mile-high']);
+    expect(dispensaries()[0]).toMatchObject({ address: '14 Main St', licensed: true });
+    expect(latest(onChange => repositories.dispensaries.subscribe('bob', onChange))()).toEqual([]);
+
+    await repositories.deleteUserData('alice');
+    expect(dispensaries()).toEqual([]);
+  });
+
+  test('unsubscribing stops updates', async () => {
+    const seen = [];
+    const unsubscribe = repositories.reviews.subscribe('alice', next => seen.push(next.length));
+    unsubscribe();
+    await repositories.reviews.create('alice', REVIEW);
+
+    expect(seen).toEqual([0]);
+  });
+});
@@ -0,0 +1,154 @@
+import { normalizePotency } from '../potency';
+import { normalizeEffectsAnalysis } from '../effectsAnalysis';
+
+// --- Data Models: the shapes every repository hands to the UI ---
+// Backends store dates however they like (Firestore uses Timestamp); models always use Date.
+
+/**
+ * @typedef {Object} Review
+ * @property {string} id
+ * @property {string} strain
+ * @property {number} rating 1-5 stars
+ * @property {string} type One of strainTypes
+ * @property {string} productType One of productTypes
+ * @property {Object} potency Structured { thc, cbd, cbg, cbn, unit } (see potency.js)
+ * @property {string} [location]
+ * @property {string|null} [dispensaryId] The saved Dispensary it was bought at, if any
+ * @property {number} [cost]
+ * @property {string} [effects]
+ * @property {string} [flavor]
+ * @property {string} [brand]
+ * @property {string[]} terpenes
+ * @property {string} [strainKey] Lowercased strain name for sorting by name (see withQueryKeys)
+ * @property {string} [brandKey] Lowercased brand for exact-match queries
+ * @property {string} [locationKey] Lowercased location for exact-match queries
+ * @property {string} [analysis] Plain AI summary kept for older clients and exports
+ * @property {Object|null} aiEffects Structured AI analysis (see effectsAnalysis.js)
+ * @property {boolean} [analysisQueued] AI analysis requested while offline
+ * @property {Date} timestamp When the review was logged
+ * @property {Date|null} updatedAt Last edit
+ * @property {Date|null} deletedAt Set when deleted offline; the cascade runs once back online
+ * @property {boolean} hasPendingWrites Saved locally but not yet acknowledged by the backend
+ */
+
+/**
+ * @typedef {Object} Revision
+ * @property {string} id
+ * @property {Date} revisedAt
+ * The remaining properties are the review fields (see REVIEW_FIELDS) as they were before the edit.
+ */
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} name
+ * @property {string} state Jurisdiction name (see legality.js)
+ * @property {string} dob YYYY-MM-DD
+ * @property {string|null} [email]
+ * @property {{ name: string, query: string }[]} [filterPresets] Saved Log screen filters (see profile.js)
+ * @property {Date} [createdAt]
+ * @property {Date} [updatedAt]
+ */
+
+/**
+ * @typedef {Object} Dispensary A place the user buys from (see dispensaries.js)
+ * @property {string} id
+ * @property {string} name
+ * @property {string} address
+ * @property {string} state Jurisdiction name (see legality.js)
+ * @property {boolean} licensed Whether the user marked it as a licensed dispensary
+ * @property {Date|null} createdAt
+ * @property {Date|null} updatedAt
+ */
+
+/**
+ * @typedef {Object} Strain A strain catalog entry (see strainCatalog.js)
+ * @property {string} id Document id, also used in /strain/:id
+ * @property {string} name Canonical name
+ * @property {string[]} aliases Other names that resolve to this strain
+ * @property {string} type Default strain type, one of strainTypes
+ * @property {string[]} lineage Parent strains
+ */
+
+/**
+ * @typedef {Object} PublicEntry
+ * @property {string} id
+ * @property {string} strain
+ * @property {number} rating 4-5 stars
+ * @property {string} addedBy Contributor uid
+ * @property {Date} timestamp
+ */
+
+// --- Query Keys ---
+// Firestore equality filters and ordering are case-sensitive, so reviews also store lowercased copies
+// of the fields the Log screen matches exactly or sorts by. Reviews saved before these existed are backfilled.
+
+export const toQueryKey = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+const QUERY_KEYS = { strain: 'strainKey', brand: 'brandKey', location: 'locationKey' };
+
+/**
+ * Adds strainKey/brandKey/locationKey for whichever of strain, brand and location `fields` sets.
+ */
+export const withQueryKeys = (fields) => ({
+  ...fields,
+  ...Object.fromEntries(Object.entries(QUERY_KEYS)
+    .filter(([field]) => field in fields)
+    .map(([field, key]) => [key, toQueryKey(fields[field])])),
+});
+
+export const needsQueryKeys = (review) => Object.values(QUERY_KEYS).some(key => review[key] === undefined);
+
+/**
+ * Every query key of a stored review, for backfilling.
+ */
+export const queryKeysOf = (review) => Object.fromEntries(Object.entries(QUERY_KEYS).map(([field, key]) => [key, toQueryKey(review[field])]));
+
+const toDateOrNull = (value) => (value instanceof Date ? value : null);
+
+/**
+ * Normalizes stored review data (dates already converted) into a Review.
+ */
+export const toReview = (id, data, { hasPendingWrites = false } = {}) => ({
+  id,
+  ...data,
+  potency: normalizePotency(data.potency, data.productType), // Migrates legacy free-text potency
+  aiEffects: normalizeEffectsAnalysis(data.aiEffects),
+  timestamp: toDateOrNull(data.timestamp) || new Date(),
+  updatedAt: toDateOrNull(data.updatedAt),
+  deletedAt: toDateOrNull(data.deletedAt),
+  hasPendingWrites,
+});
+
+export const toRevision = (id, data) => ({
+  id,
+  ...data,
+  revisedAt: toDateOrNull(data.revisedAt) || new Date(),
+});
+
+export const toPublicEntry = (id, data) => ({
+  id,
+  ...data,
+  potency: normalizePotency(data.potency, data.productType),
+  timestamp: toDateOrNull(data.timestamp) || new Date(),
+});
+
+export const toDispensary = (id, data) => ({
+  id,
+  name: data.name || '',
+  address: data.address || '',
+  state: data.state || '',
+  licensed: data.licensed !== false,
+  createdAt: toDateOrNull(data.createdAt),
+  updatedAt: toDateOrNull(data.updatedAt),
+});
+
+export const toStrain = (id, data) => ({
+  id,
+  name: data.name,
+  aliases: Array.isArray(data.aliases) ? data.aliases : [],
+  type: data.type || '',
+  lineage: Array.isArray(data.lineage) ? data.lineage : [],
+});
+
+// Newest first, the order the log displays
+export const byNewest = (a, b) => b.timestamp - a.timestamp;
@@ -0,0 +1,8 @@
+// --- Firestore document paths (mirrored by firestore.rules) ---
+
+export const reviewsPath = (appId, uid) => `artifacts/${appId}/users/${uid}/strain_reviews`;
+export const revisionsPath = (appId, uid, reviewId) => `${reviewsPath(appId, uid)}/${reviewId}/revisions`;
+export const profilePath = (appId, uid) => `artifacts/${appId}/users/${uid}/profile/data`;
+export const dispensariesPath = (appId, uid) => `artifacts/${appId}/users/${uid}/dispensaries`;
+export const popularStrainsPath = (appId) => `artifacts/${appId}/public/data/popular_strains`;
+export const strainCatalogPath = (appId) => `artifacts/${appId}/public/data/strain_catalog`;
@@ -0,0 +1,126 @@
+import { getJurisdiction } from './legality';
+import { canonicalStrainId, findStrain, splitStrainName } from './strainCatalog';
+
+// --- Dispensaries: saved places to buy, visit history and price comparison ---
+// Reviews keep `location` as text (filters, analytics and the legality map still read it) and
+// link the dispensary they were bought at through `dispensaryId`.
+
+export const MAX_DISPENSARY_NAME_LENGTH = 100; // Mirrored in firestore.rules
+export const MAX_DISPENSARY_ADDRESS_LENGTH = 200;
+
+export const EMPTY_DISPENSARY_FORM = { name: '', address: '', state: '', licensed: true };
+
+const sameText = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+export const dispensaryToForm = (dispensary) => ({
+  name: dispensary.name || '',
+  address: dispensary.address || '',
+  state: getJurisdiction(dispensary.state) ? dispensary.state : '',
+  licensed: dispensary.licensed !== false,
+});
+
+export const buildDispensaryFields = (form) => ({
+  name: form.name.trim(),
+  address: form.address.trim(),
+  state: form.state,
+  licensed: Boolean(form.licensed),
+});
+
+/**
+ * Returns a list of human-readable problems with a dispensary form; empty when valid.
+ * Another saved dispensary (other than `editingId`) with the same name and address is a duplicate.
+ */
+export const validateDispensary = (form, dispensaries = [], editingId = null) => {
+  const { name, address, state } = buildDispensaryFields(form);
+  const errors = [];
+  if (!name) errors.push('Dispensary name is required.');
+  if (name.length > MAX_DISPENSARY_NAME_LENGTH) errors.push(`Dispensary names can be at most ${MAX_DISPENSARY_NAME_LENGTH} characters.`);
+  if (address.length > MAX_DISPENSARY_ADDRESS_LENGTH) errors.push(`Addresses can be at most ${MAX_DISPENSARY_ADDRESS_LENGTH} characters.`);
+  if (!getJurisdiction(state)) errors.push('Choose the state or territory the dispensary is in.');
+  if (name && dispensaries.some(d => d.id !== editingId && sameText(d.name, name) && sameText(d.address, address))) {
+    errors.push('You already saved a dispensary with this name and address.');
+  }
+  return errors;
+};
+
+/**
+ * The text stored as a linked review's `location`, e.g. "Green Leaf, 12 Main St, Colorado".
+ */
+export const dispensaryLabel = ({ name, address, state }) => [name, address, state].filter(Boolean).join(', ');
+
+/**
+ * A readable document id for a new dispensary ("green-leaf-12-main-st"), unique among `dispensaries`.
+ */
+export const newDispensaryId = ({ name, address }, dispensaries = []) => {
+  const base = `${name} ${address}`.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'dispensary';
+  const taken = new Set(dispensaries.map(d => d.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return id;
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+/**
+ * What the user bought at one dispensary: purchases newest first, average rating, and the
+ * average and total of the purchases with a cost logged.
+ */
+export const dispensaryStats = (reviews, dispensaryId) => {
+  const purchases = reviews.filter(r => r.dispensaryId === dispensaryId).sort((a, b) => b.timestamp - a.timestamp);
+  const costs = purchases.filter(r => r.cost > 0).map(r => r.cost);
+  return {
+    purchases,
+    averageRating: average(purchases.map(r => r.rating)),
+    averageCost: average(costs),
+    totalSpend: costs.reduce((sum, cost) => sum + cost, 0),
+    lastVisitAt: purchases.length > 0 ? purchases[0].timestamp : null,
+  };
+};
+
+/**
+ * Side-by-side prices for products bought at more than one dispensary. Purchases are grouped by
+ * catalog strain, brand and product type, then averaged per dispensary (cheapest first).
+ * Costs are compared as logged, so keep to one package size per product for a fair comparison.
+ * Returns [{ key, strainId, strain, brand, productType, prices: [{ dispensary, averageCost, purchaseCount, lastPurchasedAt }] }].
+ */
+export const comparePrices = (reviews, dispensaries, catalog = null) => {
+  const dispensariesById = new Map(dispensaries.map(d => [d.id, d]));
+  const groups = new Map();
+
+  reviews
+    .filter(r => r.cost > 0 && r.strain && dispensariesById.has(r.dispensaryId))
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .forEach(review => {
+      const key = `${canonicalStrainId(catalog, review.strain)}|${(review.brand || '').trim().toLowerCase()}|${review.productType || ''}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(review);
+    });
+
+  return Array.from(groups.entries())
+    .map(([key, group]) => {
+      const byDispensary = new Map();
+      group.forEach(review => {
+        if (!byDispensary.has(review.dispensaryId)) byDispensary.set(review.dispensaryId, []);
+        byDispensary.get(review.dispensaryId).push(review);
+      });
+      const newest = group[0];
+      const catalogStrain = findStrain(catalog, newest.strain);
+      return {
+        key,
+        strainId: canonicalStrainId(catalog, newest.strain),
+        strain: catalogStrain ? catalogStrain.name : splitStrainName(newest.strain).name,
+        brand: (newest.brand || '').trim(),
+        productType: newest.productType || '',
+        prices: Array.from(byDispensary.entries())
+          .map(([dispensaryId, purchases]) => ({
+            dispensary: dispensariesById.get(dispensaryId),
+            averageCost: average(purchases.map(r => r.cost)),
+            purchaseCount: purchases.length,
+            lastPurchasedAt: purchases[0].timestamp,
+          }))
+          .sort((a, b) => a.averageCost - b.averageCost),
+      };
+    })
+    .filter(row => row.prices.length > 1)
+    .sort((a, b) => a.strain.localeCompare(b.strain) || a.brand.localeCompare(b.brand));
+};
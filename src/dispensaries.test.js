@@ -0,0 +1,88 @@
+import {
+  EMPTY_DISPENSARY_FORM, validateDispensary, dispensaryLabel, newDispensaryId, dispensaryStats, comparePrices,
+} from './dispensaries';
+import { buildStrainCatalog } from './strainCatalog';
+
+const GREEN_LEAF = { id: 'green-leaf-12-main-st', name: 'Green Leaf', address: '12 Main St', state: 'Colorado', licensed: true };
+const MILE_HIGH = { id: 'mile-high', name: 'Mile High', address: '', state: 'Colorado', licensed: true };
+
+const purchase = (dispensaryId, overrides = {}) => ({
+  strain: 'Blue Dream', brand: 'Cookies', productType: 'Flower', rating: 4, cost: 40, dispensaryId, timestamp: new Date('2025-01-01'), ...overrides,
+});
+
+describe('validateDispensary', () => {
+  const form = (overrides = {}) => ({ ...EMPTY_DISPENSARY_FORM, name: 'Green Leaf', state: 'Colorado', ...overrides });
+
+  test('accepts a named dispensary in a known state', () => {
+    expect(validateDispensary(form())).toEqual([]);
+  });
+
+  test('requires a name and a state', () => {
+    expect(validateDispensary(form({ name: '  ', state: '' }))).toEqual([
+      'Dispensary name is required.',
+      'Choose the state or territory the dispensary is in.',
+    ]);
+  });
+
+  test('rejects a duplicate name and address unless it is the one being edited', () => {
+    const problem = 'You already saved a dispensary with this name and address.';
+    expect(validateDispensary(form({ name: 'green leaf ', address: '12 main st' }), [GREEN_LEAF])).toEqual([problem]);
+    expect(validateDispensary(form({ address: '12 Main St' }), [GREEN_LEAF], GREEN_LEAF.id)).toEqual([]);
+    expect(validateDispensary(form({ address: '99 Other Rd' }), [GREEN_LEAF])).toEqual([]);
+  });
+});
+
+test('dispensaryLabel skips blank parts', () => {
+  expect(dispensaryLabel(GREEN_LEAF)).toBe('Green Leaf, 12 Main St, Colorado');
+  expect(dispensaryLabel(MILE_HIGH)).toBe('Mile High, Colorado');
+});
+
+test('newDispensaryId slugs the name and address and avoids taken ids', () => {
+  expect(newDispensaryId({ name: 'Green Leaf', address: '12 Main St.' })).toBe('green-leaf-12-main-st');
+  expect(newDispensaryId({ name: 'Green Leaf', address: '12 Main St' }, [GREEN_LEAF])).toBe('green-leaf-12-main-st-2');
+  expect(newDispensaryId({ name: '!!!', address: '' })).toBe('dispensary');
+});
+
+test('dispensaryStats averages ratings over every visit and cost over priced ones', () => {
+  const stats = dispensaryStats([
+    purchase(GREEN_LEAF.id, { rating: 5, cost: 30, timestamp: new Date('2025-01-01') }),
+    purchase(GREEN_LEAF.id, { rating: 3, cost: 0, timestamp: new Date('2025-03-01') }),
+    purchase(GREEN_LEAF.id, { rating: 4, cost: 50, timestamp: new Date('2025-02-01') }),
+    purchase(MILE_HIGH.id),
+  ], GREEN_LEAF.id);
+
+  expect(stats.purchases.map(r => r.rating)).toEqual([3, 4, 5]);
+  expect(stats.averageRating).toBe(4);
+  expect(stats.averageCost).toBe(40);
+  expect(stats.totalSpend).toBe(80);
+  expect(stats.lastVisitAt).toEqual(new Date('2025-03-01'));
+  expect(dispensaryStats([], GREEN_LEAF.id)).toMatchObject({ purchases: [], averageCost: 0, lastVisitAt: null });
+});
+
+describe('comparePrices', () => {
+  const catalog = buildStrainCatalog();
+
+  test('lines up the same strain, brand and product type across dispensaries, cheapest first', () => {
+    const rows = comparePrices([
+      purchase(GREEN_LEAF.id, { cost: 45 }),
+      purchase(GREEN_LEAF.id, { strain: 'blue dream (Cookies)', brand: 'cookies', cost: 35 }),
+      purchase(MILE_HIGH.id, { cost: 38, timestamp: new Date('2025-02-01') }),
+    ], [GREEN_LEAF, MILE_HIGH], catalog);
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ strainId: 'blue-dream', strain: 'Blue Dream', brand: 'Cookies', productType: 'Flower' });
+    expect(rows[0].prices.map(p => [p.dispensary.id, p.averageCost, p.purchaseCount])).toEqual([
+      [MILE_HIGH.id, 38, 1],
+      [GREEN_LEAF.id, 40, 2],
+    ]);
+  });
+
+  test('leaves out products bought at one place, unpriced purchases and unsaved dispensaries', () => {
+    expect(comparePrices([
+      purchase(GREEN_LEAF.id),
+      purchase(MILE_HIGH.id, { productType: 'Vape' }),
+      purchase(MILE_HIGH.id, { cost: 0 }),
+      purchase('closed-store'),
+    ], [GREEN_LEAF, MILE_HIGH], catalog)).toEqual([]);
+  });
+});
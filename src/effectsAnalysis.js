@@ -0,0 +1,103 @@
+import { LlmResponseError } from './llm';
+
+// --- Structured AI Effects Analysis: schema, prompt and response validation ---
+
+export const SENTIMENTS = ['positive', 'mixed', 'neutral', 'negative'];
+export const TIMES_OF_DAY = ['morning', 'daytime', 'evening', 'night', 'any'];
+export const SIDE_EFFECTS = [
+  'anxiety', 'paranoia', 'dry mouth', 'dry eyes', 'couch-lock', 'headache',
+  'dizziness', 'munchies', 'racing heart', 'grogginess',
+];
+
+const MAX_TAGS = 6;
+
+// JSON schema sent to providers that support constrained output (Gemini's responseSchema subset)
+export const EFFECTS_ANALYSIS_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    summary: { type: 'STRING', description: 'One-sentence summary of the experience.' },
+    sentimentScore: { type: 'NUMBER', description: 'Overall sentiment from -1 (very negative) to 1 (very positive).' },
+    sentiment: { type: 'STRING', enum: SENTIMENTS },
+    physicalEffects: { type: 'ARRAY', items: { type: 'STRING' } },
+    mentalEffects: { type: 'ARRAY', items: { type: 'STRING' } },
+    sideEffects: { type: 'ARRAY', items: { type: 'STRING', enum: SIDE_EFFECTS } },
+    timeOfDay: { type: 'STRING', enum: TIMES_OF_DAY },
+  },
+  required: ['summary', 'sentimentScore', 'physicalEffects', 'mentalEffects', 'sideEffects', 'timeOfDay'],
+};
+
+export const EFFECTS_ANALYSIS_PROMPT = `Act as an expert cannabis analyst. Review the user's observed effects and respond with JSON only, matching this shape:
+{"summary": string, "sentimentScore": number, "sentiment": string, "physicalEffects": string[], "mentalEffects": string[], "sideEffects": string[], "timeOfDay": string}
+- summary: one concise sentence on the general sentiment and key outcomes. No disclaimers.
+- sentimentScore: -1 (very negative) to 1 (very positive).
+- sentiment: one of ${SENTIMENTS.join(', ')}.
+- physicalEffects / mentalEffects: short lowercase tags such as "body relaxation", "pain relief", "creativity", "focus".
+- sideEffects: only from ${SIDE_EFFECTS.join(', ')}.
+- timeOfDay: best time to use it, one of ${TIMES_OF_DAY.join(', ')}.`;
+
+const sentimentFromScore = (score) => {
+  if (score >= 0.25) return 'positive';
+  if (score <= -0.25) return 'negative';
+  return 'mixed';
+};
+
+const normalizeTags = (value, allowed) => {
+  if (!Array.isArray(value)) return [];
+  const tags = value
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(tag => tag && (!allowed || allowed.includes(tag)));
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+};
+
+/**
+ * Coerces a stored or imported analysis object into the canonical shape.
+ * Returns null when it is missing the required summary or score.
+ */
+export const normalizeEffectsAnalysis = (data) => {
+  if (!data || typeof data !== 'object') return null;
+
+  const summary = typeof data.summary === 'string' ? data.summary.trim() : '';
+  const score = Number(data.sentimentScore);
+  if (!summary || !Number.isFinite(score)) return null;
+
+  const sentimentScore = Math.max(-1, Math.min(1, score));
+  return {
+    summary,
+    sentimentScore,
+    sentiment: SENTIMENTS.includes(data.sentiment) ? data.sentiment : sentimentFromScore(sentimentScore),
+    physicalEffects: normalizeTags(data.physicalEffects),
+    mentalEffects: normalizeTags(data.mentalEffects),
+    sideEffects: normalizeTags(data.sideEffects, SIDE_EFFECTS),
+    timeOfDay: TIMES_OF_DAY.includes(data.timeOfDay) ? data.timeOfDay : 'any',
+  };
+};
+
+/**
+ * Parses and validates a model response. Tolerates Markdown code fences around the JSON.
+ * Throws an LlmResponseError when the response does not satisfy the schema.
+ */
+export const parseEffectsAnalysis = (text) => {
+  const cleaned = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  let data;
+  try {
+    data = JSON.parse(cleaned);
+  } catch (error) {
+    throw new LlmResponseError('Effects analysis was not valid JSON.');
+  }
+
+  const analysis = normalizeEffectsAnalysis(data);
+  if (!analysis) {
+    throw new LlmResponseError('Effects analysis is missing a summary or sentiment score.');
+  }
+  return analysis;
+};
+
+/**
+ * All tags of an analysis in display order, for chips and search.
+ */
+export const effectTags = (analysis) => {
+  if (!analysis) return [];
+  return [...analysis.physicalEffects, ...analysis.mentalEffects, ...analysis.sideEffects];
+};
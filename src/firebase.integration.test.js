@@ -0,0 +1,132 @@
+/**
+ * @jest-environment ./src/testing/nodeFetchEnvironment.js
+ */
+import { initializeApp, deleteApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator, signInAnonymously, createUserWithEmailAndPassword, signOut } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator, doc, collection, setDoc, getDocs } from 'firebase/firestore';
+import { buildReviewFields, EMPTY_FORM } from './reviewModel';
+import { shouldShareReview } from './community';
+import { createFirestoreRepositories } from './data/firestoreRepositories';
+import { reviewsPath as reviewsPathFor, profilePath as profilePathFor, popularStrainsPath } from './data/paths';
+
+// End-to-end writes through the real client SDK, with Auth and Firestore emulators enforcing
+// firestore.rules: `npm run test:emulators`. Skipped when the emulators are not running.
+const { FIRESTORE_EMULATOR_HOST, FIREBASE_AUTH_EMULATOR_HOST } = process.env;
+const describeWithEmulators = FIRESTORE_EMULATOR_HOST && FIREBASE_AUTH_EMULATOR_HOST ? describe : describe.skip;
+
+const PROJECT_ID = 'demo-strain-tracker';
+const APP_ID = 'integration-test';
+const ADULT_DOB = '1990-05-01';
+
+const reviewsPath = (uid) => reviewsPathFor(APP_ID, uid);
+const profilePath = (uid) => profilePathFor(APP_ID, uid);
+const publicPath = popularStrainsPath(APP_ID);
+
+describeWithEmulators('journal writes against the emulators', () => {
+  let app;
+  let auth;
+  let db;
+  let repositories;
+
+  // Same calls as handleSubmit: the private review and, for high ratings, the public entry in one batch
+  const submitReview = (uid, formOverrides) => {
+    const reviewFields = buildReviewFields({ ...EMPTY_FORM, strain: 'Blue Dream', ...formOverrides });
+    return repositories.reviews.create(uid, reviewFields, { share: shouldShareReview(reviewFields.rating) });
+  };
+
+  const signInGuestWithProfile = async () => {
+    const { user } = await signInAnonymously(auth);
+    await repositories.profile.create(user.uid, { name: 'Guest', state: 'Colorado', dob: ADULT_DOB, email: null });
+    return user.uid;
+  };
+
+  beforeAll(() => {
+    app = initializeApp({ projectId: PROJECT_ID, apiKey: 'demo-api-key' }, 'integration-test');
+    auth = getAuth(app);
+    connectAuthEmulator(auth, `http://${FIREBASE_AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+    db = getFirestore(app);
+    const [host, port] = FIRESTORE_EMULATOR_HOST.split(':');
+    connectFirestoreEmulator(db, host, Number(port));
+    repositories = createFirestoreRepositories({ db, appId: APP_ID });
+  });
+
+  afterEach(async () => {
+    await signOut(auth);
+    await fetch(`http://${FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: 'DELETE' });
+    await fetch(`http://${FIREBASE_AUTH_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+  });
+
+  afterAll(() => deleteApp(app));
+
+  test('a 4+ star review is saved privately and shared to the public log', async () => {
+    const uid = await signInGuestWithProfile();
+    await submitReview(uid, { rating: 5, brand: 'Cookies', location: 'Green Leaf, Denver' });
+
+    const privateDocs = await getDocs(collection(db, reviewsPath(uid)));
+    const publicDocs = await getDocs(collection(db, publicPath));
+    expect(privateDocs.size).toBe(1);
+    expect(publicDocs.size).toBe(1);
+    expect(publicDocs.docs[0].data()).toMatchObject({ strain: 'Blue Dream', rating: 5, addedBy: uid });
+    expect(publicDocs.docs[0].data().location).toBeUndefined();
+  });
+
+  test('a lower rating stays private', async () => {
+    const uid = await signInGuestWithProfile();
+    await submitReview(uid, { rating: 3 });
+
+    expect((await getDocs(collection(db, reviewsPath(uid)))).size).toBe(1);
+    expect((await getDocs(collection(db, publicPath))).size).toBe(0);
+  });
+
+  test('an unverified email account cannot write until it verifies', async () => {
+    const { user } = await createUserWithEmailAndPassword(auth, 'new@example.com', 'secret123');
+    await repositories.profile.create(user.uid, { name: 'New', state: 'Colorado', dob: ADULT_DOB, email: 'new@example.com' });
+
+    await expect(submitReview(user.uid, { rating: 5 })).rejects.toMatchObject({ code: 'permission-denied' });
+  });
+
+  test('edits snapshot the previous version and a deleted review takes its history with it', async () => {
+    const uid = await signInGuestWithProfile();
+    await submitReview(uid, { rating: 3 });
+    const [review] = (await getDocs(collection(db, reviewsPath(uid)))).docs.map(d => ({ id: d.id, ...d.data() }));
+
+    await repositories.reviews.update(uid, review, { rating: 4 }, { share: shouldShareReview(4, review.rating) });
+    expect((await getDocs(collection(db, `${reviewsPath(uid)}/${review.id}/revisions`))).docs[0].data().rating).toBe(3);
+    expect((await getDocs(collection(db, publicPath))).size).toBe(1);
+
+    await repositories.reviews.delete(uid, review.id);
+    expect((await getDocs(collection(db, reviewsPath(uid)))).size).toBe(0);
+    expect((await getDocs(collection(db, `${reviewsPath(uid)}/${review.id}/revisions`))).size).toBe(0);
+  });
+
+  test('log pages are filtered, sorted and paged by the query', async () => {
+    const uid = await signInGuestWithProfile();
+    await repositories.reviews.createMany(uid, [1, 2, 3, 4].map(n => ({
+      fields: { ...buildReviewFields({ ...EMPTY_FORM, strain: `Strain ${n}`, rating: n, brand: n % 2 ? 'Cookies' : 'Jungle Boys' }), timestamp: new Date(2025, 0, n) },
+    })));
+
+    const nextPage = (options) => new Promise((resolve, reject) => {
+      const unsubscribe = repositories.reviews.subscribePage(uid, { pageSize: 1, ...options }, (result) => {
+        unsubscribe();
+        resolve(result);
+      }, reject);
+    });
+    const query = { filters: { brand: ' cookies', minRating: 1 }, sort: 'rating' };
+
+    const first = await nextPage(query);
+    expect(first.reviews.map(r => r.strain)).toEqual(['Strain 3']);
+    expect(first.hasMore).toBe(true);
+
+    const second = await nextPage({ ...query, after: first.endCursor });
+    expect(second.reviews.map(r => r.strain)).toEqual(['Strain 1']);
+    expect(second.hasMore).toBe(false);
+  });
+
+  test('the server rejects a profile under 21 even if the client check is bypassed', async () => {
+    const { user } = await signInAnonymously(auth);
+    const teenDob = `${new Date().getFullYear() - 18}-01-01`;
+
+    await expect(setDoc(doc(db, profilePath(user.uid)), { name: 'Teen', state: 'Colorado', dob: teenDob }))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * @jest-environment node
+ */
+import { readFileSync } from 'fs';
+import path from 'path';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, setDoc, updateDoc, deleteDoc, getDoc, addDoc, collection, Timestamp } from 'firebase/firestore';
+
+// Runs against the Firestore emulator: `npm run test:emulators`. Skipped when no emulator is running.
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+const APP_ID = 'test-app';
+const PROFILE = { name: 'Alice', state: 'Colorado', dob: '1990-05-01', email: 'alice@example.com' };
+const REVIEW = { strain: 'Blue Dream', rating: 5, type: 'Hybrid', productType: 'Flower', userId: 'alice', timestamp: Timestamp.now() };
+
+const profilePath = (uid) => `artifacts/${APP_ID}/users/${uid}/profile/data`;
+const revisionsPath = (uid, reviewId) => `artifacts/${APP_ID}/users/${uid}/strain_reviews/${reviewId}/revisions`;
+const reviewsPath = (uid) => `artifacts/${APP_ID}/users/${uid}/strain_reviews`;
+const publicPath = `artifacts/${APP_ID}/public/data/popular_strains`;
+const catalogPath = `artifacts/${APP_ID}/public/data/strain_catalog`;
+const dispensariesPath = (uid) => `artifacts/${APP_ID}/users/${uid}/dispensaries`;
+const DISPENSARY = { name: 'Green Leaf', address: '12 Main St', state: 'Colorado', licensed: true };
+
+// A date of birth exactly `years` years before today, as YYYY-MM-DD
+const dobYearsAgo = (years, dayOffset = 0) => {
+  const date = new Date();
+  date.setUTCFullYear(date.getUTCFullYear() - years);
+  date.setUTCDate(date.getUTCDate() + dayOffset);
+  return date.toISOString().slice(0, 10);
+};
+
+const publicEntry = (addedBy, overrides = {}) => ({
+  strain: 'Blue Dream',
+  rating: 5,
+  type: 'Hybrid',
+  productType: 'Flower',
+  brand: 'Cookies',
+  terpenes: ['Myrcene'],
+  addedBy,
+  timestamp: Timestamp.now(),
+  ...overrides,
+});
+
+describeWithEmulator('firestore.rules', () => {
+  let testEnv;
+
+  // Password accounts carry email_verified; the rules exempt other providers
+  const verifiedUser = (uid) => testEnv.authenticatedContext(uid, {
+    email_verified: true,
+    firebase: { sign_in_provider: 'password' },
+  }).firestore();
+  const unverifiedUser = (uid) => testEnv.authenticatedContext(uid, {
+    email_verified: false,
+    firebase: { sign_in_provider: 'password' },
+  }).firestore();
+  const guestUser = (uid) => testEnv.authenticatedContext(uid, {
+    firebase: { sign_in_provider: 'anonymous' },
+  }).firestore();
+
+  const seed = (writes) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const [docPath, data] of writes) {
+      await setDoc(doc(db, docPath), data);
+    }
+  });
+
+  beforeAll(async () => {
+    const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(':');
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-strain-tracker',
+      firestore: {
+        rules: readFileSync(path.resolve(__dirname, '../firestore.rules'), 'utf8'),
+        host,
+        port: Number(port),
+      },
+    });
+  });
+
+  afterEach(() => testEnv.clearFirestore());
+  afterAll(() => testEnv.cleanup());
+
+  describe('profiles', () => {
+    test('owner can create a profile when 21 or older', async () => {
+      await assertSucceeds(setDoc(doc(verifiedUser('alice'), profilePath('alice')), PROFILE));
+    });
+
+    test('turning 21 today is allowed, tomorrow is not', async () => {
+      await assertSucceeds(setDoc(doc(verifiedUser('alice'), profilePath('alice')), { ...PROFILE, dob: dobYearsAgo(21) }));
+      await assertFails(setDoc(doc(verifiedUser('bob'), profilePath('bob')), { ...PROFILE, dob: dobYearsAgo(21, 1) }));
+    });
+
+    test('rejects malformed dates of birth and unknown fields', async () => {
+      await assertFails(setDoc(doc(verifiedUser('alice'), profilePath('alice')), { ...PROFILE, dob: '05/01/1990' }));
+      await assertFails(setDoc(doc(verifiedUser('alice'), profilePath('alice')), { ...PROFILE, isAdmin: true }));
+    });
+
+    test('accepts up to 20 saved filter presets', async () => {
+      const presets = (count) => Array.from({ length: count }, (_, i) => ({ name: `Preset ${i}`, query: 'minRating=4' }));
+      await seed([[profilePath('alice'), PROFILE]]);
+      await assertSucceeds(updateDoc(doc(verifiedUser('alice'), profilePath('alice')), { filterPresets: presets(20) }));
+      await assertFails(updateDoc(doc(verifiedUser('alice'), profilePath('alice')), { filterPresets: presets(21) }));
+    });
+
+    test('cannot lower a stored age below 21 on update', async () => {
+      await seed([[profilePath('alice'), PROFILE]]);
+      await assertFails(updateDoc(doc(verifiedUser('alice'), profilePath('alice')), { dob: dobYearsAgo(18) }));
+    });
+
+    test('other users cannot read or write a profile', async () => {
+      await seed([[profilePath('alice'), PROFILE]]);
+      await assertFails(getDoc(doc(verifiedUser('mallory'), profilePath('alice'))));
+      await assertFails(setDoc(doc(verifiedUser('mallory'), profilePath('alice')), PROFILE));
+    });
+  });
+
+  describe('private reviews', () => {
+    test('verified owner with an age-verified profile can write reviews', async () => {
+      await seed([[profilePath('alice'), PROFILE]]);
+      await assertSucceeds(addDoc(collection(verifiedUser('alice'), reviewsPath('alice')), REVIEW));
+    });
+
+    test('guests are exempt from email verification', async () => {
+      await seed([[profilePath('guest'), { ...PROFILE, email: null }]]);
+      await assertSucceeds(addDoc(collection(guestUser('guest'), reviewsPath('guest')), { ...REVIEW, userId: 'guest' }));
+    });
+
+    test('requires a verified email for password accounts', async () => {
+      await seed([[profilePath('alice'), PROFILE]]);
+      await assertFails(addDoc(collection(unverifiedUser('alice'), reviewsPath('alice')), REVIEW));
+    });
+
+    test('requires a profile that passes the age gate', async () => {
+      await assertFails(addDoc(collection(verifiedUser('alice'), reviewsPath('alice')), REVIEW));
+
+      await seed([[profilePath('teen'), { ...PROFILE, dob: dobYearsAgo(19) }]]);
+      await assertFails(addDoc(collection(verifiedUser('teen'), reviewsPath('teen')), REVIEW));
+    });
+
+    test('rejects out-of-range ratings', async () => {
+      await seed([[profilePath('alice'), PROFILE]]);
+      await assertFails(addDoc(collection(verifiedUser('alice'), reviewsPath('alice')), { ...REVIEW, rating: 9 }));
+    });
+
+    test('accepts every field the app writes', async () => {
+      await seed([[profilePath('alice'), PROFILE]]);
+      await assertSucceeds(addDoc(collection(verifiedUser('alice'), reviewsPath('alice')), {
+        ...REVIEW,
+        location: 'Green Leaf, 12 Main St, Colorado',
+        dispensaryId: 'green-leaf-12-main-st',
+        cost: 35,
+        effects: 'Calm.',
+        potency: { thc: 24, cbd: null, cbg: null, cbn: null, unit: '%' },
+        flavor: 'Berry',
+        brand: 'Cookies',
+        terpenes: ['Myrcene'],
+        analysis: 'Calming.',
+        aiEffects: { summary: 'Calming.', sentimentScore: 0.5, physicalEffects: [], mentalEffects: ['calm'], sideEffects: [], timeOfDay: 'evening' },
+        analysisQueued: true,
+        importedAt: Timestamp.now(),
+        strainKey: 'blue dream',
+        brandKey: 'cookies',
+        locationKey: 'green leaf, 12 main st, colorado',
+      }));
+    });
+
+    test('rejects unknown fields and fields of the wrong type or size', async () => {
+      await seed([[profilePath('alice'), PROFILE]]);
+      const add = (overrides) => addDoc(collection(verifiedUser('alice'), reviewsPath('alice')), { ...REVIEW, ...overrides });
+      await assertFails(add({ isFeatured: true }));
+      await assertFails(add({ type: 42 }));
+      await assertFails(add({ productType: 'Pill' }));
+      await assertFails(add({ terpenes: ['Myrcene', 'Limonene', 'Pinene', 'Linalool'] }));
+      await assertFails(add({ analysisQueued: 'yes' }));
+      await assertFails(add({ timestamp: '2025-01-01' }));
+      await assertFails(add({ cost: -5 }));
+      await assertFails(add({ effects: 'x'.repeat(5001) }));
+      await assertFails(add({ userId: 'mallory' }));
+    });
+
+    test('revisions must be snapshots of review fields with a revisedAt timestamp', async () => {
+      await seed([[profilePath('alice'), PROFILE], [`${reviewsPath('alice')}/r1`, REVIEW]]);
+      const addRevision = (data) => addDoc(collection(verifiedUser('alice'), revisionsPath('alice', 'r1')), data);
+      const { userId, timestamp, ...fields } = REVIEW;
+      await assertSucceeds(addRevision({ ...fields, revisedAt: Timestamp.now() }));
+      await assertFails(addRevision({ ...fields }));
+      await assertFails(addRevision({ ...fields, revisedAt: 'yesterday' }));
+      await assertFails(addRevision({ ...fields, revisedAt: Timestamp.now(), payload: 'x'.repeat(10000) }));
+      await assertFails(addRevision({ ...fields, revisedAt: Timestamp.now(), rating: 9 }));
+    });
+
+    test('other users cannot read, write or delete reviews', async () => {
+      await seed([[profilePath('alice'), PROFILE], [`${reviewsPath('alice')}/r1`, REVIEW]]);
+      await assertFails(getDoc(doc(verifiedUser('mallory'), `${reviewsPath('alice')}/r1`)));
+      await assertFails(setDoc(doc(verifiedUser('mallory'), `${reviewsPath('alice')}/r2`), REVIEW));
+      await assertFails(deleteDoc(doc(verifiedUser('mallory'), `${reviewsPath('alice')}/r1`)));
+    });
+
+    test('owner can always delete, even before verifying', async () => {
+      await seed([[`${reviewsPath('alice')}/r1`, REVIEW]]);
+      await assertSucceeds(deleteDoc(doc(unverifiedUser('alice'), `${reviewsPath('alice')}/r1`)));
+    });
+  });
+
+  describe('popular_strains', () => {
+    test('signed-in users can read, signed-out visitors cannot', async () => {
+      await seed([[`${publicPath}/e1`, publicEntry('alice')]]);
+      await assertSucceeds(getDoc(doc(verifiedUser('bob'), `${publicPath}/e1`)));
+      await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), `${publicPath}/e1`)));
+    });
+
+    test('accepts a valid entry whose addedBy is the writer', async () => {
+      await seed([[profilePath('alice'), PROFILE]]);
+      await assertSucceeds(addDoc(collection(verifiedUser('alice'), publicPath), publicEntry('alice')));
+    });
+
+    test('rejects entries attributed to someone else', async () => {
+      await seed([[profilePath('alice'), PROFILE]]);
+      await assertFails(addDoc(collection(verifiedUser('alice'), publicPath), publicEntry('bob')));
+    });
+
+    test('rejects entries that break the schema', async () => {
+      await seed([[profilePath('alice'), PROFILE]]);
+      const db = verifiedUser('alice');
+      await assertFails(addDoc(collection(db, publicPath), publicEntry('alice', { rating: 3 })));
+      await assertFails(addDoc(collection(db, publicPath), publicEntry('alice', { terpenes: ['A', 'B', 'C', 'D'] })));
+      await assertFails(addDoc(collection(db, publicPath), publicEntry('alice', { notes: 'extra field' })));
+    });
+
+    test('entries are immutable and only their contributor can delete them', async () => {
+      await seed([[profilePath('alice'), PROFILE], [`${publicPath}/e1`, publicEntry('alice')]]);
+      await assertFails(updateDoc(doc(verifiedUser('alice'), `${publicPath}/e1`), { rating: 4 }));
+      await assertFails(deleteDoc(doc(verifiedUser('bob'), `${publicPath}/e1`)));
+      await assertSucceeds(deleteDoc(doc(verifiedUser('alice'), `${publicPath}/e1`)));
+    });
+  });
+
+  describe('dispensaries', () => {
+    test('verified owner with a profile can save and edit dispensaries', async () => {
+      await seed([[profilePath('alice'), PROFILE]]);
+      await assertSucceeds(setDoc(doc(verifiedUser('alice'), `${dispensariesPath('alice')}/green-leaf`), DISPENSARY));
+      await assertSucceeds(updateDoc(doc(verifiedUser('alice'), `${dispensariesPath('alice')}/green-leaf`), { licensed: false }));
+    });
+
+    test('rejects dispensaries that break the schema', async () => {
+      await seed([[profilePath('alice'), PROFILE]]);
+      const ref = doc(verifiedUser('alice'), `${dispensariesPath('alice')}/green-leaf`);
+      await assertFails(setDoc(ref, { ...DISPENSARY, name: '' }));
+      await assertFails(setDoc(ref, { ...DISPENSARY, name: 'x'.repeat(101) }));
+      await assertFails(setDoc(ref, { ...DISPENSARY, licensed: 'yes' }));
+      await assertFails(setDoc(ref, { ...DISPENSARY, rating: 5 }));
+    });
+
+    test('other users cannot read or write dispensaries', async () => {
+      await seed([[profilePath('alice'), PROFILE], [`${dispensariesPath('alice')}/green-leaf`, DISPENSARY]]);
+      await assertFails(getDoc(doc(verifiedUser('mallory'), `${dispensariesPath('alice')}/green-leaf`)));
+      await assertFails(deleteDoc(doc(verifiedUser('mallory'), `${dispensariesPath('alice')}/green-leaf`)));
+      await assertSucceeds(deleteDoc(doc(verifiedUser('alice'), `${dispensariesPath('alice')}/green-leaf`)));
+    });
+  });
+
+  describe('strain_catalog', () => {
+    test('signed-in users can read the catalog but nobody can change it', async () => {
+      await seed([[profilePath('alice'), PROFILE], [`${catalogPath}/blue-dream`, { name: 'Blue Dream', aliases: [], type: 'Hybrid', lineage: ['Blueberry', 'Haze'] }]]);
+      await assertSucceeds(getDoc(doc(verifiedUser('alice'), `${catalogPath}/blue-dream`)));
+      await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), `${catalogPath}/blue-dream`)));
+      await assertFails(setDoc(doc(verifiedUser('alice'), `${catalogPath}/my-strain`), { name: 'My Strain', aliases: [], type: 'Hybrid', lineage: [] }));
+      await assertFails(updateDoc(doc(verifiedUser('alice'), `${catalogPath}/blue-dream`), { type: 'Sativa' }));
+    });
+  });
+});
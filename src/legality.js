@@ -0,0 +1,185 @@
+// --- US Cannabis Legality: versioned dataset for states, DC and territories ---
+// Informational only, not legal advice. Bump LEGALITY_DATA_VERSION and the
+// affected `lastReviewed` dates whenever entries are re-checked or changed.
+
+export const LEGALITY_DATA_VERSION = '2025.06';
+export const LEGALITY_LAST_REVIEWED = '2025-06-01';
+
+// Cross-checked summaries used when compiling the dataset
+export const LEGALITY_SOURCES = [
+  { label: 'NCSL: State Medical Cannabis Laws', url: 'https://www.ncsl.org/health/state-medical-cannabis-laws' },
+  { label: 'NCSL: Cannabis Overview', url: 'https://www.ncsl.org/civil-and-criminal-justice/cannabis-overview' },
+  { label: 'Marijuana Policy Project: State Policy', url: 'https://www.mpp.org/states/' },
+];
+
+export const LEGAL_STATUSES = ['Recreational', 'Medicinal', 'Medicinal (Low THC)', 'Illegal'];
+export const JURISDICTION_KINDS = ['state', 'district', 'territory'];
+
+// Medical card reciprocity: visiting patients' out-of-state cards
+export const RECIPROCITY_LABELS = {
+  'not-needed': 'Not needed: adult-use purchases open to anyone 21+',
+  yes: 'Out-of-state cards accepted',
+  limited: 'Limited: temporary registration or possession only',
+  no: 'Out-of-state cards not accepted',
+};
+
+const REVIEWED = LEGALITY_LAST_REVIEWED;
+const NO_HOME_GROW = 'Not allowed';
+
+/**
+ * Dates are ISO strings; year-only values ("2014") mean the exact effective day
+ * was not verified. `possession`/`homeGrow` of null means there is no rule worth
+ * summarizing (e.g. no legal possession at all). Optional `allowedProductTypes`
+ * and `maxThcPercent` describe restricted medical programs.
+ */
+export const JURISDICTIONS = [
+  { name: 'Alabama', code: 'AL', kind: 'state', status: 'Medicinal', medicalSince: '2021', recreationalSince: null, decriminalized: false, possession: '70 daily doses (no smokable or raw flower)', homeGrow: NO_HOME_GROW, allowedProductTypes: ['Edible', 'Tincture', 'Topical'], reciprocity: 'no', notes: 'Dispensary licensing has been delayed by litigation.', source: 'SB 46, Darren Wesley "Ato" Hall Compassion Act (2021)', lastReviewed: REVIEWED },
+  { name: 'Alaska', code: 'AK', kind: 'state', status: 'Recreational', medicalSince: '1999', recreationalSince: '2015-02-24', decriminalized: false, possession: '1 oz', homeGrow: '6 plants (3 mature)', reciprocity: 'not-needed', source: 'Ballot Measure 2 (2014)', lastReviewed: REVIEWED },
+  { name: 'Arizona', code: 'AZ', kind: 'state', status: 'Recreational', medicalSince: '2010', recreationalSince: '2020-11-30', decriminalized: false, possession: '1 oz (up to 5 g concentrate)', homeGrow: '6 plants (12 per household)', reciprocity: 'not-needed', source: 'Proposition 207, Smart and Safe Arizona Act (2020)', lastReviewed: REVIEWED },
+  { name: 'Arkansas', code: 'AR', kind: 'state', status: 'Medicinal', medicalSince: '2016', recreationalSince: null, decriminalized: false, possession: 'Patients: 2.5 oz per 14 days', homeGrow: NO_HOME_GROW, reciprocity: 'yes', notes: 'Visiting patients register with the state before purchasing.', source: 'Amendment 98 (2016)', lastReviewed: REVIEWED },
+  { name: 'California', code: 'CA', kind: 'state', status: 'Recreational', medicalSince: '1996', recreationalSince: '2016-11-09', decriminalized: false, possession: '28.5 g (up to 8 g concentrate)', homeGrow: '6 plants per residence', reciprocity: 'not-needed', source: 'Proposition 64, Adult Use of Marijuana Act (2016)', lastReviewed: REVIEWED },
+  { name: 'Colorado', code: 'CO', kind: 'state', status: 'Recreational', medicalSince: '2000', recreationalSince: '2012-12-10', decriminalized: false, possession: '2 oz', homeGrow: '6 plants (12 per household)', reciprocity: 'not-needed', source: 'Amendment 64 (2012)', lastReviewed: REVIEWED },
+  { name: 'Connecticut', code: 'CT', kind: 'state', status: 'Recreational', medicalSince: '2012', recreationalSince: '2021-07-01', decriminalized: false, possession: '1.5 oz on person, 5 oz locked at home or in a vehicle', homeGrow: '6 plants (3 mature), 12 per household', reciprocity: 'not-needed', source: 'SB 1201 (2021)', lastReviewed: REVIEWED },
+  { name: 'Delaware', code: 'DE', kind: 'state', status: 'Recreational', medicalSince: '2011', recreationalSince: '2023-04-23', decriminalized: false, possession: '1 oz (up to 12 g concentrate)', homeGrow: NO_HOME_GROW, reciprocity: 'not-needed', source: 'HB 1 and HB 2 (2023)', lastReviewed: REVIEWED },
+  { name: 'Florida', code: 'FL', kind: 'state', status: 'Medicinal', medicalSince: '2017-01-03', recreationalSince: null, decriminalized: false, possession: 'Patients: 2.5 oz smokable flower per 35 days', homeGrow: NO_HOME_GROW, reciprocity: 'no', notes: 'Seasonal residents may apply for a Florida card.', source: 'Amendment 2 (2016)', lastReviewed: REVIEWED },
+  { name: 'Georgia', code: 'GA', kind: 'state', status: 'Medicinal (Low THC)', medicalSince: '2015', recreationalSince: null, decriminalized: false, possession: 'Registered patients: 20 fl oz of low-THC oil (5% THC max)', homeGrow: NO_HOME_GROW, maxThcPercent: 5, allowedProductTypes: ['Tincture', 'Topical'], reciprocity: 'no', notes: 'Some cities, including Atlanta, have reduced local penalties.', source: "Haleigh's Hope Act (2015)", lastReviewed: REVIEWED },
+  { name: 'Hawaii', code: 'HI', kind: 'state', status: 'Medicinal', medicalSince: '2000', recreationalSince: null, decriminalized: true, possession: 'Patients: 4 oz; 3 g or less is a civil fine for everyone else', homeGrow: 'Patients: 10 plants', reciprocity: 'yes', notes: 'Visitors register through the state out-of-state patient program.', source: 'Act 228 (2000)', lastReviewed: REVIEWED },
+  { name: 'Idaho', code: 'ID', kind: 'state', status: 'Illegal', medicalSince: null, recreationalSince: null, decriminalized: false, possession: null, homeGrow: NO_HOME_GROW, reciprocity: 'no', notes: 'Products containing any THC are prohibited.', source: 'Idaho Code Title 37, Chapter 27', lastReviewed: REVIEWED },
+  { name: 'Illinois', code: 'IL', kind: 'state', status: 'Recreational', medicalSince: '2014', recreationalSince: '2020-01-01', decriminalized: false, possession: 'Residents 30 g, non-residents 15 g', homeGrow: 'Medical patients only: 5 plants', reciprocity: 'not-needed', source: 'Cannabis Regulation and Tax Act (2019)', lastReviewed: REVIEWED },
+  { name: 'Indiana', code: 'IN', kind: 'state', status: 'Illegal', medicalSince: null, recreationalSince: null, decriminalized: false, possession: null, homeGrow: NO_HOME_GROW, reciprocity: 'no', notes: 'Only hemp-derived CBD (0.3% THC or less) is legal.', source: 'SEA 52 (2018)', lastReviewed: REVIEWED },
+  { name: 'Iowa', code: 'IA', kind: 'state', status: 'Medicinal (Low THC)', medicalSince: '2014', recreationalSince: null, decriminalized: false, possession: 'Patients: 4.5 g THC per 90 days', homeGrow: NO_HOME_GROW, allowedProductTypes: ['Edible', 'Tincture', 'Topical'], reciprocity: 'no', notes: 'No smokable flower; cannabidiol products only.', source: 'Medical Cannabidiol Act (2017)', lastReviewed: REVIEWED },
+  { name: 'Kansas', code: 'KS', kind: 'state', status: 'Illegal', medicalSince: null, recreationalSince: null, decriminalized: false, possession: null, homeGrow: NO_HOME_GROW, reciprocity: 'no', notes: 'CBD with no THC is allowed as a defense for certain conditions.', source: "SB 28, Claire and Lola's Law (2019)", lastReviewed: REVIEWED },
+  { name: 'Kentucky', code: 'KY', kind: 'state', status: 'Medicinal', medicalSince: '2025-01-01', recreationalSince: null, decriminalized: false, possession: 'Patients: 30-day supply', homeGrow: NO_HOME_GROW, reciprocity: 'limited', notes: 'Program launched January 2025; dispensaries are still opening.', source: 'SB 47 (2023)', lastReviewed: REVIEWED },
+  { name: 'Louisiana', code: 'LA', kind: 'state', status: 'Medicinal', medicalSince: '2016', recreationalSince: null, decriminalized: true, possession: 'Patients: 2.5 oz raw flower per 14 days; 14 g or less is a fine for everyone else', homeGrow: NO_HOME_GROW, reciprocity: 'limited', source: 'Act 96 (2016)', lastReviewed: REVIEWED },
+  { name: 'Maine', code: 'ME', kind: 'state', status: 'Recreational', medicalSince: '1999', recreationalSince: '2017-01-30', decriminalized: false, possession: '2.5 oz', homeGrow: '3 mature, 12 immature, unlimited seedlings', reciprocity: 'not-needed', source: 'Question 1, Marijuana Legalization Act (2016)', lastReviewed: REVIEWED },
+  { name: 'Maryland', code: 'MD', kind: 'state', status: 'Recreational', medicalSince: '2014', recreationalSince: '2023-07-01', decriminalized: false, possession: '1.5 oz (up to 12 g concentrate)', homeGrow: '2 plants per household', reciprocity: 'not-needed', source: 'Question 4 (2022) and Cannabis Reform Act (2023)', lastReviewed: REVIEWED },
+  { name: 'Massachusetts', code: 'MA', kind: 'state', status: 'Recreational', medicalSince: '2013', recreationalSince: '2016-12-15', decriminalized: false, possession: '1 oz in public, 10 oz at home', homeGrow: '6 plants (12 per household)', reciprocity: 'not-needed', source: 'Question 4 (2016)', lastReviewed: REVIEWED },
+  { name: 'Michigan', code: 'MI', kind: 'state', status: 'Recreational', medicalSince: '2008', recreationalSince: '2018-12-06', decriminalized: false, possession: '2.5 oz in public, 10 oz at home', homeGrow: '12 plants per household', reciprocity: 'not-needed', source: 'Proposal 1 (2018)', lastReviewed: REVIEWED },
+  { name: 'Minnesota', code: 'MN', kind: 'state', status: 'Recreational', medicalSince: '2014', recreationalSince: '2023-08-01', decriminalized: false, possession: '2 oz in public, 2 lb at home', homeGrow: '8 plants (4 mature) per household', reciprocity: 'not-needed', notes: 'Licensed retail sales are still rolling out.', source: 'HF 100 (2023)', lastReviewed: REVIEWED },
+  { name: 'Mississippi', code: 'MS', kind: 'state', status: 'Medicinal', medicalSince: '2022-02-02', recreationalSince: null, decriminalized: true, possession: 'Patients: monthly allotment set by the state; 30 g or less is a fine for a first offense', homeGrow: NO_HOME_GROW, reciprocity: 'yes', notes: 'Visiting patients can register for a temporary card.', source: 'SB 2095, Mississippi Medical Cannabis Act (2022)', lastReviewed: REVIEWED },
+  { name: 'Missouri', code: 'MO', kind: 'state', status: 'Recreational', medicalSince: '2018', recreationalSince: '2022-12-08', decriminalized: false, possession: '3 oz', homeGrow: '6 flowering, 6 non-flowering and 6 clones with a cultivation card', reciprocity: 'not-needed', source: 'Amendment 3 (2022)', lastReviewed: REVIEWED },
+  { name: 'Montana', code: 'MT', kind: 'state', status: 'Recreational', medicalSince: '2004', recreationalSince: '2021-01-01', decriminalized: false, possession: '1 oz (up to 8 g concentrate)', homeGrow: '2 mature and 2 seedlings (4 and 4 per household)', reciprocity: 'not-needed', source: 'Initiative 190 (2020)', lastReviewed: REVIEWED },
+  { name: 'Nebraska', code: 'NE', kind: 'state', status: 'Medicinal', medicalSince: '2024-12-12', recreationalSince: null, decriminalized: true, possession: 'Patients: 5 oz; 1 oz or less is a civil fine for a first offense', homeGrow: NO_HOME_GROW, reciprocity: 'no', notes: 'Voters approved medical cannabis in 2024; regulations and licensing are still being set up.', source: 'Initiatives 437 and 438 (2024)', lastReviewed: REVIEWED },
+  { name: 'Nevada', code: 'NV', kind: 'state', status: 'Recreational', medicalSince: '2001', recreationalSince: '2017-01-01', decriminalized: false, possession: '2.5 oz (up to 1/4 oz concentrate)', homeGrow: 'Only if 25+ miles from a dispensary: 6 plants (12 per household)', reciprocity: 'not-needed', source: 'Question 2 (2016)', lastReviewed: REVIEWED },
+  { name: 'New Hampshire', code: 'NH', kind: 'state', status: 'Medicinal', medicalSince: '2013', recreationalSince: null, decriminalized: true, possession: 'Patients: 2 oz per 10 days; 3/4 oz or less is a civil fine for everyone else', homeGrow: NO_HOME_GROW, reciprocity: 'limited', notes: 'Visiting patients may possess but not purchase.', source: 'HB 573 (2013)', lastReviewed: REVIEWED },
+  { name: 'New Jersey', code: 'NJ', kind: 'state', status: 'Recreational', medicalSince: '2010', recreationalSince: '2021-02-22', decriminalized: false, possession: '6 oz', homeGrow: NO_HOME_GROW, reciprocity: 'not-needed', source: 'Public Question 1 (2020) and CREAMMA (2021)', lastReviewed: REVIEWED },
+  { name: 'New Mexico', code: 'NM', kind: 'state', status: 'Recreational', medicalSince: '2007', recreationalSince: '2021-06-29', decriminalized: false, possession: '2 oz (up to 16 g concentrate)', homeGrow: '6 mature plants (12 per household)', reciprocity: 'not-needed', source: 'Cannabis Regulation Act (2021)', lastReviewed: REVIEWED },
+  { name: 'New York', code: 'NY', kind: 'state', status: 'Recreational', medicalSince: '2014', recreationalSince: '2021-03-31', decriminalized: false, possession: '3 oz (up to 24 g concentrate)', homeGrow: '3 mature and 3 immature (6 and 6 per household)', reciprocity: 'not-needed', source: 'Marihuana Regulation and Taxation Act (2021)', lastReviewed: REVIEWED },
+  { name: 'North Carolina', code: 'NC', kind: 'state', status: 'Medicinal (Low THC)', medicalSince: '2014', recreationalSince: null, decriminalized: true, possession: '0.5 oz or less is a misdemeanor with a fine', homeGrow: NO_HOME_GROW, maxThcPercent: 0.9, allowedProductTypes: ['Tincture'], reciprocity: 'no', notes: 'Low-THC hemp extract for intractable epilepsy only. The Eastern Band of Cherokee Indians runs adult-use sales on tribal land.', source: 'HB 1220, Hope 4 Haley and Friends Act (2014)', lastReviewed: REVIEWED },
+  { name: 'North Dakota', code: 'ND', kind: 'state', status: 'Medicinal', medicalSince: '2016', recreationalSince: null, decriminalized: true, possession: 'Patients: 3 oz per 30 days; 0.5 oz or less is an infraction for everyone else', homeGrow: NO_HOME_GROW, reciprocity: 'no', source: 'Measure 5 (2016)', lastReviewed: REVIEWED },
+  { name: 'Ohio', code: 'OH', kind: 'state', status: 'Recreational', medicalSince: '2016', recreationalSince: '2023-12-07', decriminalized: false, possession: '2.5 oz (up to 15 g concentrate)', homeGrow: '6 plants (12 per household)', reciprocity: 'not-needed', source: 'Issue 2 (2023)', lastReviewed: REVIEWED },
+  { name: 'Oklahoma', code: 'OK', kind: 'state', status: 'Medicinal', medicalSince: '2018', recreationalSince: null, decriminalized: false, possession: 'Patients: 3 oz on person, 8 oz at home', homeGrow: 'Patients: 6 mature and 6 seedlings', reciprocity: 'limited', notes: 'Visiting patients can get a 30-day temporary license.', source: 'State Question 788 (2018)', lastReviewed: REVIEWED },
+  { name: 'Oregon', code: 'OR', kind: 'state', status: 'Recreational', medicalSince: '1998', recreationalSince: '2015-07-01', decriminalized: false, possession: '2 oz in public, 8 oz at home', homeGrow: '4 plants per household', reciprocity: 'not-needed', source: 'Measure 91 (2014)', lastReviewed: REVIEWED },
+  { name: 'Pennsylvania', code: 'PA', kind: 'state', status: 'Medicinal', medicalSince: '2016', recreationalSince: null, decriminalized: false, possession: 'Patients: 90-day supply', homeGrow: NO_HOME_GROW, reciprocity: 'no', notes: 'Philadelphia and Pittsburgh have reduced local penalties.', source: 'Act 16, Medical Marijuana Act (2016)', lastReviewed: REVIEWED },
+  { name: 'Rhode Island', code: 'RI', kind: 'state', status: 'Recreational', medicalSince: '2006', recreationalSince: '2022-05-25', decriminalized: false, possession: '1 oz in public, 10 oz at home', homeGrow: '3 mature and 3 immature plants', reciprocity: 'not-needed', source: 'Rhode Island Cannabis Act (2022)', lastReviewed: REVIEWED },
+  { name: 'South Carolina', code: 'SC', kind: 'state', status: 'Illegal', medicalSince: null, recreationalSince: null, decriminalized: false, possession: null, homeGrow: NO_HOME_GROW, reciprocity: 'no', notes: 'CBD oil with 0.9% THC or less is allowed for severe epilepsy.', source: "SB 1035, Julian's Law (2014)", lastReviewed: REVIEWED },
+  { name: 'South Dakota', code: 'SD', kind: 'state', status: 'Medicinal', medicalSince: '2021-07-01', recreationalSince: null, decriminalized: false, possession: 'Patients: 3 oz', homeGrow: 'Patients: 3 plants (2 flowering) if approved', reciprocity: 'yes', notes: 'Visiting patients may possess and purchase with a valid home-state card.', source: 'Initiated Measure 26 (2020)', lastReviewed: REVIEWED },
+  { name: 'Tennessee', code: 'TN', kind: 'state', status: 'Illegal', medicalSince: null, recreationalSince: null, decriminalized: false, possession: null, homeGrow: NO_HOME_GROW, reciprocity: 'no', notes: 'CBD oil with 0.9% THC or less is a defense for qualifying conditions.', source: 'Tenn. Code Ann. 39-17-402', lastReviewed: REVIEWED },
+  { name: 'Texas', code: 'TX', kind: 'state', status: 'Medicinal (Low THC)', medicalSince: '2015', recreationalSince: null, decriminalized: false, possession: 'Registered patients: low-THC products (1% THC by weight)', homeGrow: NO_HOME_GROW, maxThcPercent: 1, allowedProductTypes: ['Edible', 'Tincture', 'Topical'], reciprocity: 'no', notes: 'Several cities have local decriminalization ordinances that the state contests.', source: 'SB 339, Texas Compassionate Use Act (2015)', lastReviewed: REVIEWED },
+  { name: 'Utah', code: 'UT', kind: 'state', status: 'Medicinal', medicalSince: '2018-12-03', recreationalSince: null, decriminalized: false, possession: 'Patients: 4 oz unprocessed flower per 30 days', homeGrow: NO_HOME_GROW, reciprocity: 'limited', notes: 'Visiting patients can get a 21-day temporary card up to twice a year.', source: 'Proposition 2 and the Utah Medical Cannabis Act (2018)', lastReviewed: REVIEWED },
+  { name: 'Vermont', code: 'VT', kind: 'state', status: 'Recreational', medicalSince: '2004', recreationalSince: '2018-07-01', decriminalized: false, possession: '1 oz (up to 5 g concentrate)', homeGrow: '2 mature and 4 immature per household', reciprocity: 'not-needed', source: 'Act 86 (2018)', lastReviewed: REVIEWED },
+  { name: 'Virginia', code: 'VA', kind: 'state', status: 'Recreational', medicalSince: '2020', recreationalSince: '2021-07-01', decriminalized: false, possession: '1 oz', homeGrow: '4 plants per household', reciprocity: 'not-needed', notes: 'Possession is legal but adult-use retail sales are not yet licensed.', source: 'HB 2312 and SB 1406 (2021)', lastReviewed: REVIEWED },
+  { name: 'Washington', code: 'WA', kind: 'state', status: 'Recreational', medicalSince: '1998', recreationalSince: '2012-12-06', decriminalized: false, possession: '1 oz (up to 7 g concentrate)', homeGrow: 'Medical patients only', reciprocity: 'not-needed', source: 'Initiative 502 (2012)', lastReviewed: REVIEWED },
+  { name: 'West Virginia', code: 'WV', kind: 'state', status: 'Medicinal', medicalSince: '2017', recreationalSince: null, decriminalized: false, possession: 'Patients: 30-day supply', homeGrow: NO_HOME_GROW, reciprocity: 'limited', source: 'SB 386, Medical Cannabis Act (2017)', lastReviewed: REVIEWED },
+  { name: 'Wisconsin', code: 'WI', kind: 'state', status: 'Illegal', medicalSince: null, recreationalSince: null, decriminalized: false, possession: null, homeGrow: NO_HOME_GROW, reciprocity: 'no', notes: 'CBD oil is allowed with a physician certification. Madison and Milwaukee have reduced local penalties.', source: "Lydia's Law (2014)", lastReviewed: REVIEWED },
+  { name: 'Wyoming', code: 'WY', kind: 'state', status: 'Illegal', medicalSince: null, recreationalSince: null, decriminalized: false, possession: null, homeGrow: NO_HOME_GROW, reciprocity: 'no', notes: 'CBD oil is allowed for intractable epilepsy.', source: 'HB 32 (2015)', lastReviewed: REVIEWED },
+
+  { name: 'District of Columbia', code: 'DC', kind: 'district', status: 'Recreational', medicalSince: '2010', recreationalSince: '2015-02-26', decriminalized: false, possession: '2 oz', homeGrow: '6 plants (3 mature), 12 per household', reciprocity: 'yes', notes: 'Possession and gifting are legal, but adult-use sales are not; adults can self-certify at medical dispensaries.', source: 'Initiative 71 (2014)', lastReviewed: REVIEWED },
+
+  { name: 'American Samoa', code: 'AS', kind: 'territory', status: 'Illegal', medicalSince: null, recreationalSince: null, decriminalized: false, possession: null, homeGrow: NO_HOME_GROW, reciprocity: 'no', source: 'American Samoa Code Annotated, Title 13', lastReviewed: REVIEWED },
+  { name: 'Guam', code: 'GU', kind: 'territory', status: 'Recreational', medicalSince: '2014', recreationalSince: '2019-04-04', decriminalized: false, possession: '1 oz (up to 5 g concentrate)', homeGrow: '6 plants (3 mature)', reciprocity: 'not-needed', notes: 'Licensed retail sales have been slow to start.', source: 'Public Law 35-5, Guam Cannabis Industry Act (2019)', lastReviewed: REVIEWED },
+  { name: 'Northern Mariana Islands', code: 'MP', kind: 'territory', status: 'Recreational', medicalSince: '2018', recreationalSince: '2018-09-21', decriminalized: false, possession: '1 oz (up to 5 g concentrate)', homeGrow: '6 mature and 12 immature plants', reciprocity: 'not-needed', source: 'Public Law 20-66, Taulamwaar Sensible Cannabis Initiative Act (2018)', lastReviewed: REVIEWED },
+  { name: 'Puerto Rico', code: 'PR', kind: 'territory', status: 'Medicinal', medicalSince: '2017', recreationalSince: null, decriminalized: false, possession: 'Patients: 30-day supply', homeGrow: NO_HOME_GROW, reciprocity: 'yes', notes: 'Visiting patients can register online for a temporary license.', source: 'Act 42 (2017)', lastReviewed: REVIEWED },
+  { name: 'U.S. Virgin Islands', code: 'VI', kind: 'territory', status: 'Recreational', medicalSince: '2019', recreationalSince: '2023-01-18', decriminalized: false, possession: '2 oz (up to 14 g concentrate)', homeGrow: 'Licensed home cultivation only', reciprocity: 'not-needed', notes: 'Licensed retail sales are still being set up.', source: 'Act 8680, Cannabis Use Act (2023)', lastReviewed: REVIEWED },
+];
+
+const JURISDICTIONS_BY_NAME = new Map(JURISDICTIONS.map(j => [j.name, j]));
+
+/**
+ * Looks up a jurisdiction by its display name. Returns null when unknown.
+ */
+export const getJurisdiction = (name) => JURISDICTIONS_BY_NAME.get(name) || null;
+
+/**
+ * Jurisdiction names grouped by kind and sorted, for a grouped <select>.
+ */
+export const jurisdictionGroups = () => JURISDICTION_KINDS.map(kind => ({
+  kind,
+  names: JURISDICTIONS.filter(j => j.kind === kind).map(j => j.name).sort(),
+}));
+
+/**
+ * Formats an effective date, which may be year-only, for display.
+ */
+export const formatEffectiveDate = (value) => {
+  if (!value) return null;
+  if (/^\d{4}$/.test(value)) return value;
+  return new Date(`${value}T00:00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+/**
+ * Warnings for logging a product in a jurisdiction, most severe first.
+ * Each warning is { level: 'danger' | 'caution', message }. Unknown jurisdictions
+ * and unrestricted adult-use ones produce none.
+ */
+export const assessLegality = (jurisdiction, { productType, potency } = {}) => {
+  if (!jurisdiction) return [];
+  const { name, status, allowedProductTypes, maxThcPercent } = jurisdiction;
+  const warnings = [];
+
+  if (status === 'Illegal') {
+    warnings.push({ level: 'danger', message: `Cannabis is not legal in ${name}.` });
+    return warnings;
+  }
+  if (allowedProductTypes && productType && !allowedProductTypes.includes(productType)) {
+    warnings.push({ level: 'danger', message: `${productType} products are not allowed in ${name} (allowed: ${allowedProductTypes.join(', ')}).` });
+  }
+  if (maxThcPercent && potency && potency.unit === '%' && potency.thc > maxThcPercent) {
+    warnings.push({ level: 'danger', message: `${potency.thc}% THC is over ${name}'s ${maxThcPercent}% low-THC limit.` });
+  }
+  if (status === 'Medicinal') {
+    warnings.push({ level: 'caution', message: `${name} allows cannabis for registered medical patients only.` });
+  } else if (status === 'Medicinal (Low THC)') {
+    warnings.push({ level: 'caution', message: `${name} allows only low-THC products for registered patients.` });
+  }
+  return warnings;
+};
+
+const JURISDICTIONS_BY_CODE = new Map(JURISDICTIONS.map(j => [j.code, j]));
+const NAMES_LONGEST_FIRST = JURISDICTIONS.map(j => j.name).sort((a, b) => b.length - a.length);
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A postal code that is the whole last comma-separated part ("Tampa, FL"), or that comes before a ZIP code ("Tampa FL 33602")
+const CODE_AFTER_COMMA = /,\s*([A-Z]{2})\s*$/;
+const CODE_BEFORE_ZIP = /\b([A-Z]{2})\s+\d{5}(?:-\d{4})?\s*$/;
+// Codes people also use for a city ("Dispensary, LA" is more often Los Angeles); these need a ZIP code
+const CITY_LIKE_CODES = new Set(['LA']);
+
+/**
+ * Best-effort match of a free-text review location ("Trulieve, Tampa, FL") to a jurisdiction.
+ * A postal code wins over names so "Washington, DC" maps to DC, but only after a comma or before
+ * a ZIP code; elsewhere two capitals are as likely a name ("LA Kush Co"). Null when unsure.
+ */
+export const jurisdictionFromLocation = (location) => {
+  const text = String(location || '');
+  const zipMatch = text.match(CODE_BEFORE_ZIP);
+  const commaMatch = text.match(CODE_AFTER_COMMA);
+  const code = (zipMatch && zipMatch[1]) || (commaMatch && !CITY_LIKE_CODES.has(commaMatch[1]) && commaMatch[1]);
+  if (code && JURISDICTIONS_BY_CODE.has(code)) return JURISDICTIONS_BY_CODE.get(code);
+
+  const name = NAMES_LONGEST_FIRST.find(n => new RegExp(`\\b${escapeRegExp(n)}\\b`, 'i').test(text));
+  return name ? getJurisdiction(name) : null;
+};
+
+/**
+ * Number of reviews per jurisdiction code. A review linked to a saved dispensary counts in
+ * that dispensary's state; otherwise its location text is matched.
+ */
+export const purchaseCountsByJurisdiction = (reviews, dispensariesById = new Map()) => {
+  return reviews.reduce((acc, review) => {
+    const dispensary = dispensariesById.get(review.dispensaryId);
+    const jurisdiction = (dispensary && getJurisdiction(dispensary.state)) || jurisdictionFromLocation(review.location);
+    if (jurisdiction) acc[jurisdiction.code] = (acc[jurisdiction.code] || 0) + 1;
+    return acc;
+  }, {});
+};
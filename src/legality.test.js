@@ -0,0 +1,31 @@
+import { jurisdictionFromLocation, purchaseCountsByJurisdiction } from './legality';
+
+describe('jurisdictionFromLocation', () => {
+  test('reads a postal code after a comma or before a ZIP code', () => {
+    expect(jurisdictionFromLocation('Trulieve, Tampa, FL').code).toBe('FL');
+    expect(jurisdictionFromLocation('Trulieve, Tampa FL 33602').code).toBe('FL');
+    expect(jurisdictionFromLocation('Washington, DC').code).toBe('DC');
+  });
+
+  test('ignores two capitals anywhere else and falls back to state names', () => {
+    expect(jurisdictionFromLocation('LA Kush Co, Denver, Colorado').code).toBe('CO');
+    expect(jurisdictionFromLocation('Trulieve, Tampa FL')).toBeNull();
+    expect(jurisdictionFromLocation('The CO Shop, downtown')).toBeNull();
+  });
+
+  test('reads a trailing LA as Louisiana only with a ZIP code or the state name', () => {
+    expect(jurisdictionFromLocation('Dispensary, LA')).toBeNull();
+    expect(jurisdictionFromLocation('Dispensary, New Orleans LA 70112').code).toBe('LA');
+    expect(jurisdictionFromLocation('Dispensary, New Orleans, Louisiana').code).toBe('LA');
+  });
+});
+
+test('purchaseCountsByJurisdiction counts linked reviews in their dispensary\'s state', () => {
+  const dispensariesById = new Map([['green-leaf', { id: 'green-leaf', name: 'Green Leaf', state: 'California' }]]);
+
+  expect(purchaseCountsByJurisdiction([
+    { location: 'Green Leaf, LA', dispensaryId: 'green-leaf' },
+    { location: 'Trulieve, Tampa, FL' },
+    { location: 'Somewhere' },
+  ], dispensariesById)).toEqual({ CA: 1, FL: 1 });
+});
@@ -0,0 +1,295 @@
+// --- LLM Provider Layer: Gemini, OpenAI-compatible endpoints and an offline stub ---
+
+/* global __llm_config */
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash-preview-09-2025';
+const DEFAULT_GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_MAX_RETRIES = 5;
+
+// --- Error Types ---
+
+/**
+ * Base class for every failure coming out of the provider layer.
+ * `code` is stable and safe to branch on; `message` is for logs.
+ */
+export class LlmError extends Error {
+  constructor(message, code = 'llm/unknown', options = {}) {
+    super(message);
+    this.name = 'LlmError';
+    this.code = code;
+    if (options.cause) this.cause = options.cause;
+  }
+}
+
+export class LlmConfigError extends LlmError {
+  constructor(message, options = {}) {
+    super(message, 'llm/config', options);
+    this.name = 'LlmConfigError';
+  }
+}
+
+export class LlmTimeoutError extends LlmError {
+  constructor(timeoutMs) {
+    super(`Request timed out after ${timeoutMs}ms`, 'llm/timeout');
+    this.name = 'LlmTimeoutError';
+  }
+}
+
+export class LlmHttpError extends LlmError {
+  constructor(status) {
+    super(`HTTP error! status: ${status}`, status === 429 ? 'llm/rate-limited' : 'llm/http');
+    this.name = 'LlmHttpError';
+    this.status = status;
+  }
+}
+
+export class LlmResponseError extends LlmError {
+  constructor(message) {
+    super(message, 'llm/bad-response');
+    this.name = 'LlmResponseError';
+  }
+}
+
+/**
+ * Maps a provider error to a short message suitable for the UI.
+ */
+export const describeLlmError = (error) => {
+  switch (error && error.code) {
+    case 'llm/empty-input': return error.message;
+    case 'llm/config': return 'The AI service is not configured.';
+    case 'llm/timeout': return 'The AI service took too long to respond. Try again.';
+    case 'llm/rate-limited': return 'The AI service is busy. Try again in a minute.';
+    case 'llm/http':
+    case 'llm/network': return 'The AI service is unavailable right now.';
+    case 'llm/bad-response': return 'The AI service returned an unexpected response.';
+    default: return 'Something went wrong with the AI service.';
+  }
+};
+
+// --- Transport ---
+
+/**
+ * True for failures that may succeed when repeated: timeouts, network errors, rate limits and 5xx responses.
+ */
+export const isRetryableLlmError = (error) => {
+  if (error instanceof LlmHttpError) return error.status === 429 || error.status >= 500;
+  return error instanceof LlmTimeoutError || (error instanceof LlmError && error.code === 'llm/network');
+};
+
+const fetchWithTimeout = async (url, options, timeoutMs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') throw new LlmTimeoutError(timeoutMs);
+    throw new LlmError(error.message, 'llm/network', { cause: error });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Executes a fetch request with exponential backoff for resilience.
+ * Each attempt is bounded by `timeoutMs`. Client errors (4xx other than 429)
+ * are not retried since repeating them cannot succeed.
+ */
+export const fetchWithBackoff = async (url, options, { maxRetries = DEFAULT_MAX_RETRIES, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      const response = await fetchWithTimeout(url, options, timeoutMs);
+      if (response.ok) {
+        return response;
+      }
+      throw new LlmHttpError(response.status);
+    } catch (error) {
+      if (attempt < maxRetries - 1 && isRetryableLlmError(error)) {
+        const delay = Math.pow(2, attempt) * 1000 + Math.random() * 1000;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      } else {
+        throw error;
+      }
+    }
+  }
+};
+
+const postJson = async (url, headers, payload, transport) => {
+  const response = await fetchWithBackoff(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload),
+  }, transport);
+
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new LlmResponseError('Response body was not valid JSON.');
+  }
+};
+
+const requireText = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new LlmResponseError('Response contained no text.');
+  }
+  return text.trim();
+};
+
+// --- Providers ---
+// Every provider exposes `name` and `generate({ task, system, prompt, input, useSearch, responseSchema })`,
+// resolving to the model's text or rejecting with an LlmError. Passing `responseSchema`
+// asks for JSON output; the caller still validates it.
+
+// `baseUrl` points at a Gemini-compatible endpoint, e.g. a local stand-in during tests
+export const createGeminiProvider = ({ apiKey = '', model = DEFAULT_GEMINI_MODEL, baseUrl = DEFAULT_GEMINI_BASE_URL, timeoutMs, maxRetries } = {}) => ({
+  name: 'gemini',
+  generate: async ({ system, prompt, useSearch = false, responseSchema }) => {
+    const apiUrl = `${baseUrl.replace(/\/$/, '')}/models/${model}:generateContent?key=${apiKey}`;
+    // Gemini rejects search grounding combined with a response schema, so structured output wins
+    const payload = {
+      contents: [{ parts: [{ text: prompt }] }],
+      systemInstruction: { parts: [{ text: system }] },
+      ...(responseSchema
+        ? { generationConfig: { responseMimeType: 'application/json', responseSchema } }
+        : useSearch ? { tools: [{ "google_search": {} }] } : {}),
+    };
+
+    const result = await postJson(apiUrl, {}, payload, { timeoutMs, maxRetries });
+    return requireText(result.candidates?.[0]?.content?.parts?.[0]?.text);
+  },
+});
+
+export const createOpenAiCompatibleProvider = ({ baseUrl, apiKey = '', model = DEFAULT_OPENAI_MODEL, timeoutMs, maxRetries } = {}) => {
+  if (!baseUrl) {
+    throw new LlmConfigError('The OpenAI-compatible provider needs a baseUrl.');
+  }
+
+  return {
+    name: 'openai',
+    generate: async ({ system, prompt, responseSchema }) => {
+      const payload = {
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt },
+        ],
+        ...(responseSchema ? { response_format: { type: 'json_object' } } : {}),
+      };
+      const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+      const result = await postJson(`${baseUrl.replace(/\/$/, '')}/chat/completions`, headers, payload, { timeoutMs, maxRetries });
+      return requireText(result.choices?.[0]?.message?.content);
+    },
+  };
+};
+
+// [keyword, tag, category] used by the stub to fake an effects analysis
+const MOCK_EFFECT_KEYWORDS = [
+  ['relax', 'body relaxation', 'physical'], ['sleep', 'sleepiness', 'physical'], ['pain', 'pain relief', 'physical'],
+  ['calm', 'calm', 'mental'], ['creativ', 'creativity', 'mental'], ['energ', 'energy', 'mental'], ['focus', 'focus', 'mental'],
+  ['happy', 'euphoria', 'mental'], ['euphori', 'euphoria', 'mental'],
+  ['anxi', 'anxiety', 'side'], ['paranoi', 'paranoia', 'side'], ['dry mouth', 'dry mouth', 'side'],
+  ['couch', 'couch-lock', 'side'], ['headache', 'headache', 'side'],
+];
+const MOCK_NAME_PARTS = [
+  ['Midnight', 'Velvet', 'Golden', 'Electric', 'Sunset', 'Royal', 'Cosmic', 'Southern'],
+  ['Kush', 'Haze', 'Dream', 'Cookies', 'Runtz', 'Glue', 'Cake', 'Diesel'],
+];
+
+// Small deterministic string hash so the stub gives the same answer for the same input
+const hashString = (text) => Array.from(text).reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+
+/**
+ * Deterministic local stand-in used for development and tests. Never touches the network.
+ */
+export const createMockProvider = () => ({
+  name: 'mock',
+  generate: async ({ task, input = {} }) => {
+    if (task === 'analyzeEffects') {
+      const text = String(input.effects || '').toLowerCase();
+      const found = MOCK_EFFECT_KEYWORDS.filter(([keyword]) => text.includes(keyword));
+      const tagsFor = (category) => [...new Set(found.filter(([, , c]) => c === category).map(([, tag]) => tag))];
+      const sideEffects = tagsFor('side');
+      const positives = found.length - found.filter(([, , c]) => c === 'side').length;
+      const sentimentScore = found.length > 0 ? (positives - (found.length - positives)) / found.length : 0;
+      const allTags = [...new Set(found.map(([, tag]) => tag))];
+
+      let timeOfDay = 'any';
+      if (/sleep|couch/.test(text)) timeOfDay = 'night';
+      else if (/energ|focus|creativ/.test(text)) timeOfDay = 'daytime';
+      else if (/relax|calm/.test(text)) timeOfDay = 'evening';
+
+      return JSON.stringify({
+        summary: `Overall ${sentimentScore > 0 ? 'positive' : sentimentScore < 0 ? 'negative' : 'mixed'} experience${allTags.length > 0 ? ` with ${allTags.join(', ')}` : ''}.`,
+        sentimentScore,
+        physicalEffects: tagsFor('physical'),
+        mentalEffects: tagsFor('mental'),
+        sideEffects,
+        timeOfDay,
+      });
+    }
+
+    if (task === 'strainNames') {
+      const seed = hashString(`${input.flavor || ''}|${input.effects || ''}`);
+      return [0, 1, 2].map(offset => {
+        const first = MOCK_NAME_PARTS[0][(seed + offset * 3) % MOCK_NAME_PARTS[0].length];
+        const second = MOCK_NAME_PARTS[1][(seed + offset * 5) % MOCK_NAME_PARTS[1].length];
+        return `${first} ${second}`;
+      }).join(', ');
+    }
+
+    return `Mock response for ${task || 'request'}.`;
+  },
+});
+
+// --- Configuration ---
+
+/**
+ * Reads provider settings from the canvas global `__llm_config` (a JSON string),
+ * falling back to REACT_APP_LLM_* environment variables. Defaults to Gemini.
+ */
+export const readLlmConfig = () => {
+  if (typeof __llm_config !== 'undefined') {
+    try {
+      return JSON.parse(__llm_config);
+    } catch (e) {
+      throw new LlmConfigError('__llm_config is not valid JSON.', { cause: e });
+    }
+  }
+  return {
+    provider: process.env.REACT_APP_LLM_PROVIDER || 'gemini',
+    apiKey: process.env.REACT_APP_LLM_API_KEY || '',
+    baseUrl: process.env.REACT_APP_LLM_BASE_URL,
+    model: process.env.REACT_APP_LLM_MODEL,
+  };
+};
+
+export const createLlmProvider = ({ provider = 'gemini', model, ...options } = {}) => {
+  const settings = { ...options, ...(model ? { model } : {}) };
+  switch (provider) {
+    case 'gemini': return createGeminiProvider(settings);
+    case 'openai': return createOpenAiCompatibleProvider(settings);
+    case 'mock': return createMockProvider();
+    default: throw new LlmConfigError(`Unknown LLM provider "${provider}".`);
+  }
+};
+
+let activeProvider = null;
+
+/**
+ * Returns the configured provider, creating it on first use.
+ */
+export const getLlmProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createLlmProvider(readLlmConfig());
+  }
+  return activeProvider;
+};
+
+/**
+ * Overrides the active provider (e.g. with the mock in tests). Pass null to reset.
+ */
+export const setLlmProvider = (provider) => {
+  activeProvider = provider;
+};
@@ -0,0 +1,116 @@
+/**
+ * @jest-environment ./src/testing/nodeFetchEnvironment.js
+ */
+import { createGeminiProvider, createMockProvider, createLlmProvider, readLlmConfig, describeLlmError, LlmConfigError, LlmHttpError, LlmResponseError } from './llm';
+import { EFFECTS_ANALYSIS_SCHEMA } from './effectsAnalysis';
+import { startGeminiStandIn } from './testing/geminiStandIn';
+
+describe('Gemini provider against a local stand-in', () => {
+  let standIn;
+
+  beforeAll(async () => {
+    standIn = await startGeminiStandIn();
+  });
+
+  afterEach(() => {
+    standIn.requests = [];
+    standIn.failures = [];
+    standIn.reply = null;
+  });
+
+  afterAll(() => standIn.close());
+
+  const provider = (options = {}) => createGeminiProvider({ baseUrl: standIn.baseUrl, apiKey: 'test-key', maxRetries: 1, ...options });
+
+  test('sends the model, key, prompts and response schema', async () => {
+    await provider({ model: 'gemini-test' }).generate({
+      system: 'You are a tester.',
+      prompt: 'Analyze the following effects notes: "relaxed"',
+      responseSchema: EFFECTS_ANALYSIS_SCHEMA,
+    });
+
+    const [{ model, apiKey, payload }] = standIn.requests;
+    expect(model).toBe('gemini-test');
+    expect(apiKey).toBe('test-key');
+    expect(payload.systemInstruction.parts[0].text).toBe('You are a tester.');
+    expect(payload.generationConfig).toEqual({ responseMimeType: 'application/json', responseSchema: EFFECTS_ANALYSIS_SCHEMA });
+    expect(payload.tools).toBeUndefined();
+  });
+
+  test('enables search grounding when no response schema is given', async () => {
+    await provider().generate({ system: 's', prompt: 'p', useSearch: true });
+    expect(standIn.requests[0].payload.tools).toEqual([{ google_search: {} }]);
+  });
+
+  test('returns the trimmed model text', async () => {
+    standIn.reply = '  Midnight Kush, Velvet Haze  ';
+    await expect(provider().generate({ system: 's', prompt: 'p' })).resolves.toBe('Midnight Kush, Velvet Haze');
+  });
+
+  test('retries server errors and then succeeds', async () => {
+    standIn.failures = [503];
+    standIn.reply = 'ok';
+    const result = await provider({ maxRetries: 2 }).generate({ system: 's', prompt: 'p' });
+
+    expect(result).toBe('ok');
+    expect(standIn.requests).toHaveLength(2);
+  });
+
+  test('does not retry client errors', async () => {
+    standIn.failures = [400];
+    await expect(provider({ maxRetries: 3 }).generate({ system: 's', prompt: 'p' })).rejects.toBeInstanceOf(LlmHttpError);
+    expect(standIn.requests).toHaveLength(1);
+  });
+
+  test('reports rate limiting with a stable code', async () => {
+    standIn.failures = [429];
+    const error = await provider().generate({ system: 's', prompt: 'p' }).catch(e => e);
+    expect(error.code).toBe('llm/rate-limited');
+    expect(describeLlmError(error)).toBe('The AI service is busy. Try again in a minute.');
+  });
+
+  test('rejects empty model output', async () => {
+    standIn.reply = '   ';
+    await expect(provider().generate({ system: 's', prompt: 'p' })).rejects.toBeInstanceOf(LlmResponseError);
+  });
+});
+
+describe('mock provider', () => {
+  test('is deterministic for strain names', async () => {
+    const mock = createMockProvider();
+    const input = { flavor: 'grape', effects: 'sleepy' };
+    const first = await mock.generate({ task: 'strainNames', input });
+
+    expect(first.split(', ')).toHaveLength(3);
+    await expect(mock.generate({ task: 'strainNames', input })).resolves.toBe(first);
+  });
+
+  test('tags effects from keywords', async () => {
+    const text = await createMockProvider().generate({ task: 'analyzeEffects', input: { effects: 'Relaxed, helped my pain, some dry mouth' } });
+    expect(JSON.parse(text)).toMatchObject({
+      physicalEffects: ['body relaxation', 'pain relief'],
+      sideEffects: ['dry mouth'],
+      timeOfDay: 'evening',
+    });
+  });
+});
+
+describe('createLlmProvider', () => {
+  test('rejects unknown providers and an OpenAI provider without a baseUrl', () => {
+    expect(() => createLlmProvider({ provider: 'nope' })).toThrow(LlmConfigError);
+    expect(() => createLlmProvider({ provider: 'openai' })).toThrow(LlmConfigError);
+    expect(createLlmProvider({ provider: 'mock' }).name).toBe('mock');
+  });
+});
+
+describe('readLlmConfig', () => {
+  afterEach(() => { delete global.__llm_config; });
+
+  test('reads the __llm_config global and reports malformed JSON as a config error', () => {
+    global.__llm_config = '{"provider": "mock"}';
+    expect(readLlmConfig()).toEqual({ provider: 'mock' });
+
+    global.__llm_config = '{provider: mock';
+    expect(() => readLlmConfig()).toThrow(LlmConfigError);
+  });
+});
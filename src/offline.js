@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+
+// --- Offline Support: connectivity tracking and queued Firestore writes ---
+
+const isBrowserOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * Tracks browser connectivity through the `online`/`offline` events.
+ */
+export const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(isBrowserOnline);
+
+  useEffect(() => {
+    const update = () => setIsOnline(isBrowserOnline());
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+/**
+ * Firestore write promises resolve only once the server acknowledges them, so
+ * awaiting one offline would hang the UI even though the write is already in the
+ * persistent cache and will sync on reconnect. Offline, this resolves right away
+ * and reports a later rejection (e.g. a security rules denial) through `onError`.
+ */
+export const settleWrite = (writePromise, onError) => {
+  if (isBrowserOnline()) return writePromise;
+  writePromise.catch(error => {
+    console.error('Queued write failed to sync:', error);
+    if (onError) onError(error);
+  });
+  return Promise.resolve();
+};
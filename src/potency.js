@@ -0,0 +1,142 @@
+// --- Structured Potency: cannabinoid values, units and free-text migration ---
+
+// THC and CBD are shown on every form; the rest are optional extras.
+export const CANNABINOIDS = ['thc', 'cbd', 'cbg', 'cbn'];
+export const PRIMARY_CANNABINOIDS = ['thc', 'cbd'];
+
+// Inhaled products are labeled by percentage; ingestibles and topicals by total milligrams.
+export const POTENCY_UNITS = {
+  Flower: '%',
+  Concentrate: '%',
+  Vape: '%',
+  Edible: 'mg',
+  Tincture: 'mg',
+  Topical: 'mg',
+};
+
+export const unitForProductType = (productType) => POTENCY_UNITS[productType] || '%';
+
+// `unit` and `note` carry a stored review's own unit and legacy text through an edit; a blank unit means the product type's
+export const EMPTY_POTENCY_FORM = { thc: '', cbd: '', cbg: '', cbn: '', unit: '', note: '' };
+
+/**
+ * The unit the potency form is in: the edited review's stored unit, else the product type's.
+ */
+export const potencyFormUnit = (potencyForm, productType) => (potencyForm && potencyForm.unit) || unitForProductType(productType);
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const emptyPotency = (unit) => ({ thc: null, cbd: null, cbg: null, cbn: null, unit });
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+const UNIT = '\\s*(%|mg)?';
+const NAME = '(thc|cbd|cbg|cbn)';
+const VALUE_THEN_NAME = new RegExp(`${NUMBER}${UNIT}\\s*${NAME}`, 'gi');
+const NAME_THEN_VALUE = new RegExp(`${NAME}\\s*[:=-]?\\s*${NUMBER}${UNIT}`, 'gi');
+const LEADING_NAME = new RegExp(`^\\s*${NAME}`, 'i');
+const BARE_VALUE = new RegExp(`^\\s*${NUMBER}${UNIT}\\s*$`, 'i');
+
+/**
+ * Parses free-text potency such as "24% THC", "THC 22.5%, CBD 1%" or "10mg".
+ * A bare number is read as THC. The unit comes from the text when present,
+ * otherwise from the product type. Unparseable text is kept as `note`.
+ */
+export const parsePotency = (text, productType) => {
+  const raw = String(text || '').trim();
+  const potency = emptyPotency(unitForProductType(productType));
+  if (!raw) return potency;
+
+  let matched = false;
+  let textUnit = null;
+  const assign = (name, value, unit) => {
+    const key = name.toLowerCase();
+    if (potency[key] === null) potency[key] = parseFloat(value);
+    if (unit && !textUnit) textUnit = unit.toLowerCase();
+    matched = true;
+  };
+
+  // Pick one style by how the text starts: "THC: 18 CBD: 0.3" would also match value-then-name as "18 CBD"
+  if (LEADING_NAME.test(raw)) {
+    for (const match of raw.matchAll(NAME_THEN_VALUE)) assign(match[1], match[2], match[3]);
+  } else {
+    for (const match of raw.matchAll(VALUE_THEN_NAME)) assign(match[3], match[1], match[2]);
+  }
+
+  if (!matched) {
+    const bare = raw.match(BARE_VALUE);
+    if (bare) assign('thc', bare[1], bare[2]);
+  }
+
+  if (!matched) return { ...potency, note: raw };
+  if (textUnit) potency.unit = textUnit;
+  return potency;
+};
+
+/**
+ * Reads a stored potency value, migrating legacy free-text strings on the fly.
+ */
+export const normalizePotency = (value, productType) => {
+  if (!value) return emptyPotency(unitForProductType(productType));
+  if (typeof value === 'string') return parsePotency(value, productType);
+
+  const potency = emptyPotency(value.unit || unitForProductType(productType));
+  CANNABINOIDS.forEach(key => { potency[key] = toNumberOrNull(value[key]); });
+  if (value.note) potency.note = value.note;
+  return potency;
+};
+
+export const hasPotency = (potency) => Boolean(potency) && CANNABINOIDS.some(key => potency[key] !== null && potency[key] !== undefined);
+
+/**
+ * Converts the potency form inputs into the stored structure for a product type.
+ * Unparsed legacy text (`note`) is kept until a cannabinoid value replaces it.
+ */
+export const buildPotency = (potencyForm, productType) => {
+  const potency = emptyPotency(potencyFormUnit(potencyForm, productType));
+  CANNABINOIDS.forEach(key => { potency[key] = toNumberOrNull(potencyForm[key]); });
+  if (potencyForm.note && !hasPotency(potency)) potency.note = potencyForm.note;
+  return potency;
+};
+
+/**
+ * Converts a stored potency back into form input strings, keeping its unit and note.
+ */
+export const potencyToForm = (potency) => {
+  return CANNABINOIDS.reduce((acc, key) => {
+    acc[key] = potency && potency[key] !== null && potency[key] !== undefined ? String(potency[key]) : '';
+    return acc;
+  }, { unit: (potency && potency.unit) || '', note: (potency && potency.note) || '' });
+};
+
+/**
+ * Formats potency for display, e.g. "24% THC · 1% CBD" or "10mg THC".
+ */
+export const formatPotency = (potency) => {
+  if (!hasPotency(potency)) return (potency && potency.note) || 'N/A';
+  return CANNABINOIDS
+    .filter(key => potency[key] !== null && potency[key] !== undefined)
+    .map(key => `${potency[key]}${potency.unit} ${key.toUpperCase()}`)
+    .join(' · ');
+};
+
+/**
+ * Returns validation errors for potency values (negative amounts, percentages over 100).
+ */
+export const validatePotency = (potency) => {
+  if (!potency) return [];
+  const errors = [];
+  CANNABINOIDS.forEach(key => {
+    const value = potency[key];
+    if (value === null || value === undefined) return;
+    if (value < 0) {
+      errors.push(`${key.toUpperCase()} cannot be negative.`);
+    } else if (potency.unit === '%' && value > 100) {
+      errors.push(`${key.toUpperCase()} cannot be more than 100%.`);
+    }
+  });
+  return errors;
+};
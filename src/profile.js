@@ -0,0 +1,73 @@
+import { getJurisdiction } from './legality';
+import { MIN_PASSWORD_LENGTH } from './authErrors';
+
+// --- User Profile: age check and profile validation ---
+
+export const MIN_AGE = 21;
+
+export const EMPTY_PROFILE_FORM = { name: '', state: 'Florida', dob: '' };
+
+/**
+ * True when a YYYY-MM-DD date of birth is at least MIN_AGE years before `now`.
+ */
+export const isOfLegalAge = (dob, now = new Date()) => {
+  const dobDate = new Date(`${dob}T00:00:00`);
+  if (!dob || Number.isNaN(dobDate.getTime())) return false;
+  const minAgeDate = new Date(now);
+  minAgeDate.setFullYear(minAgeDate.getFullYear() - MIN_AGE);
+  return dobDate <= minAgeDate;
+};
+
+export const profileToForm = (profile) => ({
+  name: (profile && profile.name) || '',
+  state: (profile && getJurisdiction(profile.state) && profile.state) || EMPTY_PROFILE_FORM.state,
+  dob: (profile && profile.dob) || '',
+});
+
+/**
+ * Returns a list of human-readable problems with editable profile fields; empty when valid.
+ */
+export const validateProfile = ({ name, state, dob }) => {
+  const errors = [];
+  if (!name || !name.trim()) errors.push('Name is required.');
+  if (!getJurisdiction(state)) errors.push('Choose a state or territory.');
+  if (!isOfLegalAge(dob)) errors.push(`You must be ${MIN_AGE} years or older to use this application.`);
+  return errors;
+};
+
+/**
+ * Validates a new password and its confirmation; returns an error message or null.
+ */
+export const validateNewPassword = (password, confirmation) => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  if (password !== confirmation) return 'Passwords do not match.';
+  return null;
+};
+
+// --- Saved Log Filter Presets: { name, query } where query is the /log query string ---
+
+export const MAX_FILTER_PRESETS = 20; // Mirrored in firestore.rules
+export const MAX_PRESET_NAME_LENGTH = 40;
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Checks a preset name before saving; returns an error message or null. Reusing a name replaces that preset.
+ */
+export const validateFilterPreset = (name, presets = []) => {
+  if (!name || !name.trim()) return 'Name your filters to save them.';
+  if (name.trim().length > MAX_PRESET_NAME_LENGTH) return `Preset names can be at most ${MAX_PRESET_NAME_LENGTH} characters.`;
+  if (!presets.some(preset => sameName(preset.name, name)) && presets.length >= MAX_FILTER_PRESETS) {
+    return `You can save up to ${MAX_FILTER_PRESETS} filter presets. Delete one first.`;
+  }
+  return null;
+};
+
+/**
+ * Adds a preset, or replaces the one with the same name (ignoring case) in place.
+ */
+export const upsertFilterPreset = (presets = [], name, query) => {
+  const preset = { name: name.trim(), query };
+  const index = presets.findIndex(existing => sameName(existing.name, name));
+  return index === -1 ? [...presets, preset] : presets.map((existing, i) => (i === index ? preset : existing));
+};
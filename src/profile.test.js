@@ -0,0 +1,72 @@
+import { MIN_AGE, isOfLegalAge, validateProfile, validateNewPassword, profileToForm, EMPTY_PROFILE_FORM, MAX_FILTER_PRESETS, MAX_PRESET_NAME_LENGTH, validateFilterPreset, upsertFilterPreset } from './profile';
+
+describe('isOfLegalAge', () => {
+  const now = new Date('2025-06-15T12:00:00');
+
+  test('accepts someone who turns 21 today', () => {
+    expect(isOfLegalAge('2004-06-15', now)).toBe(true);
+  });
+
+  test('rejects someone who turns 21 tomorrow', () => {
+    expect(isOfLegalAge('2004-06-16', now)).toBe(false);
+  });
+
+  test('rejects missing and malformed dates', () => {
+    expect(isOfLegalAge('', now)).toBe(false);
+    expect(isOfLegalAge(undefined, now)).toBe(false);
+    expect(isOfLegalAge('not-a-date', now)).toBe(false);
+  });
+});
+
+describe('validateProfile', () => {
+  const adultDob = '1990-05-01';
+
+  test('accepts a complete adult profile', () => {
+    expect(validateProfile({ name: 'Alice', state: 'Colorado', dob: adultDob })).toEqual([]);
+  });
+
+  test('reports every problem at once', () => {
+    const errors = validateProfile({ name: '  ', state: 'Atlantis', dob: '2015-01-01' });
+    expect(errors).toEqual([
+      'Name is required.',
+      'Choose a state or territory.',
+      `You must be ${MIN_AGE} years or older to use this application.`,
+    ]);
+  });
+});
+
+describe('validateNewPassword', () => {
+  test('requires the minimum length and a matching confirmation', () => {
+    expect(validateNewPassword('abc', 'abc')).toMatch(/at least/);
+    expect(validateNewPassword('secret123', 'secret124')).toBe('Passwords do not match.');
+    expect(validateNewPassword('secret123', 'secret123')).toBeNull();
+  });
+});
+
+describe('profileToForm', () => {
+  test('falls back to the default state for unknown jurisdictions', () => {
+    expect(profileToForm({ name: 'Alice', state: 'Atlantis', dob: '1990-05-01' }).state).toBe(EMPTY_PROFILE_FORM.state);
+    expect(profileToForm(null)).toEqual(EMPTY_PROFILE_FORM);
+  });
+});
+
+describe('filter presets', () => {
+  const presets = [{ name: 'Evening Indicas', query: 'type=Indica' }];
+
+  test('validateFilterPreset requires a short name and a free slot unless replacing', () => {
+    expect(validateFilterPreset('  ', presets)).toMatch(/Name your filters/);
+    expect(validateFilterPreset('x'.repeat(MAX_PRESET_NAME_LENGTH + 1), presets)).toMatch(/at most/);
+    const full = Array.from({ length: MAX_FILTER_PRESETS }, (_, i) => ({ name: `Preset ${i}`, query: '' }));
+    expect(validateFilterPreset('Another', full)).toMatch(/up to/);
+    expect(validateFilterPreset('preset 3', full)).toBeNull();
+  });
+
+  test('upsertFilterPreset appends new names and replaces a same-name preset in place', () => {
+    expect(upsertFilterPreset(presets, ' Cheap Flower ', 'product=Flower&maxCost=30')).toEqual([
+      ...presets, { name: 'Cheap Flower', query: 'product=Flower&maxCost=30' },
+    ]);
+    expect(upsertFilterPreset(presets, 'evening indicas', 'type=Indica&minRating=4')).toEqual([
+      { name: 'evening indicas', query: 'type=Indica&minRating=4' },
+    ]);
+  });
+});
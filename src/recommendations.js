@@ -0,0 +1,151 @@
+import { canonicalStrainId } from './strainCatalog';
+
+// --- Recommendations: learn rating preferences from the log and rank suggestions ---
+
+export const MIN_REVIEWS_FOR_RECOMMENDATIONS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REVISIT_AFTER_DAYS = 90;
+const SHRINKAGE = 2; // Pulls features seen only once or twice toward neutral
+
+/**
+ * Features a review or community entry can share with the log: terpenes, strain type and product type.
+ */
+const featuresOf = (item) => [
+  ...(item.terpenes || []).map(t => ({ key: `terpene:${t}`, label: t })),
+  ...(item.type ? [{ key: `type:${item.type}`, label: item.type }] : []),
+  ...(item.productType ? [{ key: `productType:${item.productType}`, label: item.productType }] : []),
+];
+
+/**
+ * Learns how each feature relates to the user's ratings.
+ *
+ * A feature's score is its shrunken average deviation from the user's overall
+ * mean rating: sum(rating - mean) / (count + SHRINKAGE). Positive means the user
+ * tends to rate things with that feature higher than usual.
+ */
+export const buildPreferenceProfile = (reviews) => {
+  const rated = reviews.filter(r => r.rating > 0);
+  if (rated.length === 0) return { meanRating: 0, features: {} };
+
+  const meanRating = rated.reduce((sum, r) => sum + r.rating, 0) / rated.length;
+  const features = {};
+
+  rated.forEach(review => {
+    featuresOf(review).forEach(({ key, label }) => {
+      const feature = features[key] || (features[key] = { label, count: 0, ratingSum: 0, deviationSum: 0 });
+      feature.count += 1;
+      feature.ratingSum += review.rating;
+      feature.deviationSum += review.rating - meanRating;
+    });
+  });
+
+  Object.values(features).forEach(feature => {
+    feature.averageRating = feature.ratingSum / feature.count;
+    feature.score = feature.deviationSum / (feature.count + SHRINKAGE);
+  });
+
+  return { meanRating, features };
+};
+
+/**
+ * Scores an item against the profile. Terpene contributions are averaged so
+ * entries listing three terpenes are not favored over ones listing one.
+ */
+const scoreAgainstProfile = (item, profile) => {
+  const matches = featuresOf(item)
+    .map(({ key }) => ({ key, feature: profile.features[key] }))
+    .filter(match => match.feature);
+
+  const terpeneMatches = matches.filter(m => m.key.startsWith('terpene:'));
+  const otherMatches = matches.filter(m => !m.key.startsWith('terpene:'));
+  const terpeneScore = terpeneMatches.length > 0
+    ? terpeneMatches.reduce((sum, m) => sum + m.feature.score, 0) / terpeneMatches.length
+    : 0;
+  const score = terpeneScore + otherMatches.reduce((sum, m) => sum + m.feature.score, 0);
+
+  const reasons = matches
+    .filter(m => m.feature.score > 0)
+    .sort((a, b) => b.feature.score - a.feature.score)
+    .slice(0, 2)
+    .map(({ feature }) =>
+      `Your ${feature.label} picks average ${feature.averageRating.toFixed(1)}★ (${feature.count} review${feature.count === 1 ? '' : 's'})`
+    );
+
+  return { score, reasons };
+};
+
+/**
+ * Ranks aggregated community strains the user has not logged yet.
+ * Community average rating is added on top of the preference score as a tie-breaker.
+ * Strains are matched through the catalog, so any spelling of a logged strain counts as tried.
+ */
+export const recommendCommunityStrains = (popularStrains, reviews, { limit = 3, catalog = null } = {}) => {
+  if (reviews.length < MIN_REVIEWS_FOR_RECOMMENDATIONS) return [];
+
+  const profile = buildPreferenceProfile(reviews);
+  const loggedStrains = new Set(reviews.map(r => canonicalStrainId(catalog, r.strain)));
+
+  return popularStrains
+    .filter(s => !loggedStrains.has(s.strainId || canonicalStrainId(catalog, s.strain)))
+    .map(s => {
+      const { score, reasons } = scoreAgainstProfile(s, profile);
+      return {
+        id: `community:${s.id}`,
+        source: 'community',
+        strain: s.strain,
+        brand: s.brand,
+        type: s.type,
+        productType: s.productType,
+        rating: s.averageRating,
+        score: score + (s.averageRating - profile.meanRating) * 0.25,
+        reasons: [
+          ...reasons,
+          `Community average ${s.averageRating.toFixed(1)}★ from ${s.raterCount} rater${s.raterCount === 1 ? '' : 's'}`,
+        ],
+      };
+    })
+    .filter(s => s.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * Finds strains the user rated 4+ but has not logged in a while, ranked by how
+ * well they fit the user's current preferences.
+ */
+export const recommendRevisits = (reviews, { limit = 2, now = new Date(), catalog = null } = {}) => {
+  if (reviews.length < MIN_REVIEWS_FOR_RECOMMENDATIONS) return [];
+
+  const profile = buildPreferenceProfile(reviews);
+  const latestByStrain = new Map();
+  reviews.forEach(review => {
+    const key = canonicalStrainId(catalog, review.strain);
+    const latest = latestByStrain.get(key);
+    if (!latest || review.timestamp > latest.timestamp) latestByStrain.set(key, review);
+  });
+
+  return Array.from(latestByStrain.values())
+    .filter(review => review.rating >= 4)
+    .map(review => ({ review, daysSince: Math.floor((now - review.timestamp) / DAY_MS) }))
+    .filter(({ daysSince }) => daysSince >= REVISIT_AFTER_DAYS)
+    .map(({ review, daysSince }) => {
+      const { score, reasons } = scoreAgainstProfile(review, profile);
+      return {
+        id: `revisit:${review.id}`,
+        source: 'revisit',
+        strain: review.strain,
+        brand: review.brand,
+        type: review.type,
+        productType: review.productType,
+        rating: review.rating,
+        score: score + (review.rating - profile.meanRating),
+        reasons: [
+          `You rated it ${review.rating}★ and haven't logged it in ${daysSince} days`,
+          ...reasons,
+        ],
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
@@ -0,0 +1,118 @@
+import { resolveDateRange } from './analytics';
+
+// --- Review Filtering: log filters and sort orders (free-text search lives in search.js) ---
+
+const TOP_STRAINS_MIN_RATING = 4;
+const TOP_STRAINS_LIMIT = 5;
+
+// Log screen sort orders. `orderBy` mirrors the Firestore query; ties fall back to the document id
+export const LOG_SORTS = {
+  newest: { label: 'Newest First', orderBy: [['timestamp', 'desc']] },
+  oldest: { label: 'Oldest First', orderBy: [['timestamp', 'asc']] },
+  rating: { label: 'Highest Rated', orderBy: [['rating', 'desc'], ['timestamp', 'desc']] },
+  costHigh: { label: 'Most Expensive', orderBy: [['cost', 'desc'], ['timestamp', 'desc']] },
+  costLow: { label: 'Least Expensive', orderBy: [['cost', 'asc'], ['timestamp', 'desc']] },
+  name: { label: 'Name (A-Z)', orderBy: [['strainKey', 'asc'], ['timestamp', 'desc']] },
+};
+export const DEFAULT_LOG_SORT = 'newest';
+
+// Every Log screen filter at its "show everything" value. Lists match any of their values;
+// dates are YYYY-MM-DD and numeric bounds are strings as typed, blank meaning unbounded.
+export const EMPTY_LOG_FILTERS = {
+  types: [],
+  productTypes: [],
+  terpenes: [],
+  minRating: 0,
+  brand: '',
+  location: '',
+  from: '',
+  to: '',
+  minCost: '',
+  maxCost: '',
+  cannabinoid: 'thc',
+  minPotency: '',
+  maxPotency: '',
+};
+
+const equalsText = (value, lowerTerm) => Boolean(value) && value.toLowerCase() === lowerTerm;
+const toBound = (value) => (value === '' || value === null || value === undefined ? null : parseFloat(value));
+const isWithin = (value, min, max) => (min === null || (value !== null && value >= min)) && (max === null || (value !== null && value <= max));
+const numberOrNull = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+/**
+ * True when any Log screen filter (see EMPTY_LOG_FILTERS) narrows the list.
+ */
+export const hasActiveFilters = (filters) => Object.entries(EMPTY_LOG_FILTERS).some(([key, empty]) => {
+  const value = filters[key];
+  if (Array.isArray(empty)) return Boolean(value) && value.length > 0;
+  if (key === 'cannabinoid') return false; // Only picks which potency the range applies to
+  return value !== undefined && value !== empty;
+});
+
+/**
+ * Applies the log page filters (see EMPTY_LOG_FILTERS): strain types, product types and terpenes (any of),
+ * minimum rating, exact (case-insensitive) brand and location, a date range, and cost and potency ranges.
+ */
+export const filterReviews = (reviews, filters = {}) => {
+  const { types, productTypes, terpenes, minRating, brand, location, from, to, minCost, maxCost, cannabinoid, minPotency, maxPotency } = { ...EMPTY_LOG_FILTERS, ...filters };
+  const lowerBrand = brand.trim().toLowerCase();
+  const lowerLocation = location.trim().toLowerCase();
+  const dates = resolveDateRange('custom', from, to);
+  const [costMin, costMax, potencyMin, potencyMax] = [minCost, maxCost, minPotency, maxPotency].map(toBound);
+
+  return reviews.filter(review =>
+    (types.length === 0 || types.includes(review.type)) &&
+    (productTypes.length === 0 || productTypes.includes(review.productType)) &&
+    (terpenes.length === 0 || (review.terpenes || []).some(t => terpenes.includes(t))) &&
+    (!(minRating > 0) || review.rating >= minRating) &&
+    (!lowerBrand || equalsText(review.brand, lowerBrand)) &&
+    (!lowerLocation || equalsText(review.location, lowerLocation)) &&
+    (!dates.from || review.timestamp >= dates.from) &&
+    (!dates.to || review.timestamp <= dates.to) &&
+    isWithin(numberOrNull(review.cost), costMin, costMax) &&
+    isWithin(numberOrNull(review.potency && review.potency[cannabinoid]), potencyMin, potencyMax)
+  );
+};
+
+/**
+ * Distinct non-blank values of a text field across reviews, added to `known` and sorted for autocomplete.
+ * Values differing only in case count once, keeping the first spelling seen.
+ */
+export const distinctValues = (reviews, field, known = []) => {
+  const byKey = new Map(known.map(value => [value.toLowerCase(), value]));
+  reviews.forEach(review => {
+    const value = typeof review[field] === 'string' ? review[field].trim() : '';
+    if (value && !byKey.has(value.toLowerCase())) byKey.set(value.toLowerCase(), value);
+  });
+  return Array.from(byKey.values()).sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * The dashboard's Top Strains: high ratings only, best and then newest first.
+ */
+export const topRatedReviews = (reviews, limit = TOP_STRAINS_LIMIT) => {
+  return reviews
+    .filter(r => r.rating >= TOP_STRAINS_MIN_RATING)
+    .sort((a, b) => b.rating - a.rating || b.timestamp - a.timestamp)
+    .slice(0, limit);
+};
+
+/**
+ * A comparator for one of LOG_SORTS, ordering reviews the way the Firestore query does
+ * (equal sort values are ordered by id in the direction of the last sort field).
+ */
+export const compareReviews = (sort = DEFAULT_LOG_SORT) => {
+  const { orderBy } = LOG_SORTS[sort] || LOG_SORTS[DEFAULT_LOG_SORT];
+  const [, lastDirection] = orderBy[orderBy.length - 1];
+  const directed = (difference, direction) => (direction === 'desc' ? -difference : difference);
+
+  const compareValues = (x, y) => (x < y ? -1 : x > y ? 1 : 0);
+
+  return (a, b) => {
+    for (const [field, direction] of orderBy) {
+      const difference = compareValues(a[field], b[field]);
+      if (difference) return directed(difference, direction);
+    }
+    return directed(compareValues(a.id, b.id), lastDirection);
+  };
+};
@@ -0,0 +1,130 @@
+import { filterReviews, hasActiveFilters, distinctValues, topRatedReviews, compareReviews, EMPTY_LOG_FILTERS } from './reviewFilters';
+
+const review = (overrides) => ({
+  strain: 'Blue Dream',
+  type: 'Hybrid',
+  productType: 'Flower',
+  rating: 3,
+  cost: 30,
+  potency: { thc: 20, cbd: 0.5, unit: '%' },
+  brand: 'Cookies',
+  location: 'Green Leaf, Denver',
+  effects: 'Relaxed and happy',
+  terpenes: ['Myrcene'],
+  timestamp: new Date('2025-01-01'),
+  ...overrides,
+});
+
+const REVIEWS = [
+  review({ id: 'a', strain: 'Blue Dream', rating: 5 }),
+  review({ id: 'b', strain: 'Sour Diesel', type: 'Sativa', rating: 4, brand: 'Jungle Boys', terpenes: ['Limonene'], cost: 45, timestamp: new Date('2025-02-10T18:00:00') }),
+  review({ id: 'c', strain: 'Granddaddy Purple', type: 'Indica', productType: 'Edible', rating: 2, location: 'Trulieve, Miami', effects: 'Sleepy', potency: { thc: 10, cbd: 0, unit: 'mg' } }),
+  review({
+    id: 'd', strain: 'Wedding Cake', rating: 4, effects: '',
+    aiEffects: { summary: 'Calm.', sentimentScore: 0.5, sentiment: 'positive', physicalEffects: ['pain relief'], mentalEffects: [], sideEffects: ['dry mouth'], timeOfDay: 'evening' },
+  }),
+];
+
+const ids = (reviews) => reviews.map(r => r.id);
+
+describe('filterReviews', () => {
+  test('combines type, minimum rating, brand and location filters', () => {
+    expect(ids(filterReviews(REVIEWS, { types: ['Hybrid'] }))).toEqual(['a', 'd']);
+    expect(ids(filterReviews(REVIEWS, { minRating: 4 }))).toEqual(['a', 'b', 'd']);
+    expect(ids(filterReviews(REVIEWS, { brand: 'jungle boys' }))).toEqual(['b']);
+    expect(ids(filterReviews(REVIEWS, { location: 'trulieve, miami', minRating: 1 }))).toEqual(['c']);
+    expect(ids(filterReviews(REVIEWS, { types: ['Hybrid'], minRating: 5 }))).toEqual(['a']);
+  });
+
+  test('list filters match any of their values', () => {
+    expect(ids(filterReviews(REVIEWS, { types: ['Sativa', 'Indica'] }))).toEqual(['b', 'c']);
+    expect(ids(filterReviews(REVIEWS, { productTypes: ['Edible'] }))).toEqual(['c']);
+    expect(ids(filterReviews(REVIEWS, { terpenes: ['Limonene', 'Pinene'] }))).toEqual(['b']);
+  });
+
+  test('date range includes both whole days', () => {
+    expect(ids(filterReviews(REVIEWS, { from: '2025-02-10' }))).toEqual(['b']);
+    expect(ids(filterReviews(REVIEWS, { to: '2025-02-10' }))).toEqual(['a', 'b', 'c', 'd']);
+    expect(ids(filterReviews(REVIEWS, { from: '2025-02-01', to: '2025-02-09' }))).toEqual([]);
+  });
+
+  test('cost and potency ranges are inclusive and use the chosen cannabinoid', () => {
+    expect(ids(filterReviews(REVIEWS, { minCost: '31' }))).toEqual(['b']);
+    expect(ids(filterReviews(REVIEWS, { maxCost: '30' }))).toEqual(['a', 'c', 'd']);
+    expect(ids(filterReviews(REVIEWS, { minPotency: '15' }))).toEqual(['a', 'b', 'd']);
+    expect(ids(filterReviews(REVIEWS, { cannabinoid: 'cbd', minPotency: '0.5' }))).toEqual(['a', 'b', 'd']);
+    expect(ids(filterReviews(REVIEWS, { cannabinoid: 'cbn', minPotency: '0' }))).toEqual([]);
+  });
+
+  test('brand and location must match exactly, not partially', () => {
+    expect(filterReviews(REVIEWS, { brand: 'jungle' })).toEqual([]);
+  });
+
+  test('no filters returns every review', () => {
+    expect(filterReviews(REVIEWS)).toHaveLength(REVIEWS.length);
+  });
+});
+
+describe('hasActiveFilters', () => {
+  test('is false for the empty filters, even with another cannabinoid picked', () => {
+    expect(hasActiveFilters(EMPTY_LOG_FILTERS)).toBe(false);
+    expect(hasActiveFilters({ ...EMPTY_LOG_FILTERS, cannabinoid: 'cbd' })).toBe(false);
+  });
+
+  test('is true once any filter narrows the list', () => {
+    expect(hasActiveFilters({ ...EMPTY_LOG_FILTERS, terpenes: ['Myrcene'] })).toBe(true);
+    expect(hasActiveFilters({ ...EMPTY_LOG_FILTERS, maxCost: '20' })).toBe(true);
+    expect(hasActiveFilters({ ...EMPTY_LOG_FILTERS, minRating: 3 })).toBe(true);
+  });
+});
+
+describe('distinctValues', () => {
+  test('merges known values with the log, once per spelling regardless of case, sorted', () => {
+    const reviews = [review({ brand: 'jungle boys' }), review({ brand: ' Cookies ' }), review({ brand: '' }), review({ brand: 'Alien Labs' })];
+    expect(distinctValues(reviews, 'brand', ['Jungle Boys'])).toEqual(['Alien Labs', 'Cookies', 'Jungle Boys']);
+  });
+});
+
+describe('topRatedReviews', () => {
+  test('keeps 4+ ratings, best first and newest first within a rating', () => {
+    const newer = review({ id: 'e', rating: 4, timestamp: new Date('2025-03-01') });
+    expect(ids(topRatedReviews([...REVIEWS, newer]))).toEqual(['a', 'e', 'b', 'd']);
+  });
+
+  test('limits the list', () => {
+    expect(topRatedReviews(REVIEWS, 1)).toHaveLength(1);
+  });
+});
+
+describe('compareReviews', () => {
+  const dated = [
+    review({ id: 'a', rating: 3, timestamp: new Date('2025-01-02') }),
+    review({ id: 'b', rating: 5, timestamp: new Date('2025-01-01') }),
+    review({ id: 'c', rating: 5, timestamp: new Date('2025-01-03') }),
+    review({ id: 'd', rating: 3, timestamp: new Date('2025-01-02') }),
+  ];
+
+  test('sorts newest or oldest first, breaking ties by id in the same direction', () => {
+    expect(ids([...dated].sort(compareReviews('newest')))).toEqual(['c', 'd', 'a', 'b']);
+    expect(ids([...dated].sort(compareReviews('oldest')))).toEqual(['b', 'a', 'd', 'c']);
+  });
+
+  test('sorts by rating, then newest first', () => {
+    expect(ids([...dated].sort(compareReviews('rating')))).toEqual(['c', 'b', 'd', 'a']);
+  });
+
+  test('sorts by cost either way and by name, then newest first', () => {
+    const priced = [
+      review({ id: 'a', cost: 20, strainKey: 'wedding cake', timestamp: new Date('2025-01-01') }),
+      review({ id: 'b', cost: 50, strainKey: 'blue dream', timestamp: new Date('2025-01-02') }),
+      review({ id: 'c', cost: 20, strainKey: 'blue dream', timestamp: new Date('2025-01-03') }),
+    ];
+    expect(ids([...priced].sort(compareReviews('costHigh')))).toEqual(['b', 'c', 'a']);
+    expect(ids([...priced].sort(compareReviews('costLow')))).toEqual(['c', 'a', 'b']);
+    expect(ids([...priced].sort(compareReviews('name')))).toEqual(['c', 'b', 'a']);
+  });
+
+  test('unknown sorts fall back to newest first', () => {
+    expect(ids([...dated].sort(compareReviews('bogus')))).toEqual(['c', 'd', 'a', 'b']);
+  });
+});
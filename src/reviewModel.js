@@ -0,0 +1,98 @@
+import { EMPTY_POTENCY_FORM, buildPotency, validatePotency } from './potency';
+
+// --- Review Model: shared constants, form mapping and validation ---
+
+export const TOP_TERPENES = [
+  'Beta-Caryophyllene', 'Caryophyllene Oxide', 'Eucalyptol', 'Fenchol', 'Humulene',
+  'Limonene', 'Linalool', 'Myrcene', 'Ocimene', 'Pinene', 'Terpineol', 'Terpinolene'
+].sort();
+
+export const strainTypes = ['Hybrid', 'Indica', 'Sativa'];
+export const productTypes = ['Flower', 'Edible', 'Concentrate', 'Vape', 'Tincture', 'Topical'];
+
+export const MAX_TERPENES = 3;
+
+// Longest text each review field may hold; mirrored in firestore.rules
+export const REVIEW_TEXT_LIMITS = { strain: 200, brand: 200, location: 400, flavor: 500, effects: 5000 };
+const REVIEW_FIELD_LABELS = { strain: 'Strain Name', brand: 'Brand', location: 'Location', flavor: 'Flavor', effects: 'Effects' };
+
+// User-editable review fields, snapshotted into the revisions subcollection on every edit
+export const REVIEW_FIELDS = ['strain', 'location', 'dispensaryId', 'cost', 'effects', 'rating', 'potency', 'flavor', 'brand', 'type', 'productType', 'terpenes', 'analysis', 'aiEffects'];
+
+export const EMPTY_FORM = { strain: '', location: '', dispensaryId: '', cost: '', effects: '', rating: 0, potency: EMPTY_POTENCY_FORM, flavor: '', brand: '', type: 'Hybrid', productType: 'Flower', terpenes: [] };
+
+/**
+ * Picks the user-editable fields off a review (or revision) for snapshotting and restoring.
+ */
+export const pickReviewFields = (review) => {
+  return REVIEW_FIELDS.reduce((acc, field) => {
+    if (review[field] !== undefined) acc[field] = review[field];
+    return acc;
+  }, {});
+};
+
+/**
+ * The fields that put a review back to a revision. Fields the revision lacks (it predates them,
+ * e.g. `analysis` or `dispensaryId`) are cleared rather than left at their current values.
+ */
+export const revisionToReviewFields = (revision) => ({
+  ...Object.fromEntries(REVIEW_FIELDS.map(field => [field, null])),
+  ...pickReviewFields(revision),
+});
+
+/**
+ * Converts the log form state into the fields stored on a review document.
+ */
+export const buildReviewFields = (form) => ({
+  strain: form.strain.trim(),
+  location: form.location.trim(),
+  dispensaryId: form.dispensaryId || null, // A saved dispensary; `location` then holds its label
+  cost: parseFloat(form.cost) || 0,
+  effects: form.effects.trim(),
+  rating: form.rating,
+  potency: buildPotency(form.potency, form.productType), // Structured { thc, cbd, cbg, cbn, unit }
+  flavor: form.flavor.trim(),
+  brand: form.brand.trim(),
+  type: form.type,
+  productType: form.productType,
+  terpenes: form.terpenes, // Array of selected terpenes
+});
+
+/**
+ * Validates review fields against the rules the log form enforces.
+ * Returns a list of error messages; an empty list means the review can be saved.
+ */
+export const validateReview = (fields) => {
+  const errors = [];
+
+  if (!fields.strain) {
+    errors.push('Strain Name is required.');
+  }
+  if (!Number.isInteger(fields.rating) || fields.rating < 1 || fields.rating > 5) {
+    errors.push('A rating from 1 to 5 stars is required.');
+  }
+  if (!strainTypes.includes(fields.type)) {
+    errors.push(`Unknown strain type "${fields.type}".`);
+  }
+  if (!productTypes.includes(fields.productType)) {
+    errors.push(`Unknown product type "${fields.productType}".`);
+  }
+  Object.entries(REVIEW_TEXT_LIMITS).forEach(([field, limit]) => {
+    if ((fields[field] || '').length > limit) errors.push(`${REVIEW_FIELD_LABELS[field]} can be at most ${limit} characters.`);
+  });
+  if (fields.cost < 0) {
+    errors.push('Cost cannot be negative.');
+  }
+
+  errors.push(...validatePotency(fields.potency));
+
+  const terpenes = fields.terpenes || [];
+  if (terpenes.length > MAX_TERPENES) {
+    errors.push(`Cannot log more than ${MAX_TERPENES} terpenes.`);
+  }
+  terpenes.filter(t => !TOP_TERPENES.includes(t)).forEach(t => {
+    errors.push(`Unknown terpene "${t}".`);
+  });
+
+  return errors;
+};
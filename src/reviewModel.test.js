@@ -0,0 +1,92 @@
+import { normalizePotency, potencyToForm } from './potency';
+import { EMPTY_FORM, buildReviewFields, validateReview, pickReviewFields, revisionToReviewFields } from './reviewModel';
+
+const form = (overrides = {}) => ({ ...EMPTY_FORM, strain: 'Blue Dream', rating: 4, ...overrides });
+
+describe('buildReviewFields', () => {
+  test('trims text, parses cost and structures potency for the product type', () => {
+    const fields = buildReviewFields(form({
+      strain: '  Blue Dream ',
+      cost: '35.50',
+      brand: ' Cookies ',
+      productType: 'Edible',
+      potency: { thc: '10', cbd: '', cbg: '', cbn: '' },
+    }));
+
+    expect(fields.strain).toBe('Blue Dream');
+    expect(fields.brand).toBe('Cookies');
+    expect(fields.cost).toBe(35.5);
+    expect(fields.potency).toMatchObject({ thc: 10, cbd: null, unit: 'mg' });
+  });
+
+  test('treats a blank cost as zero', () => {
+    expect(buildReviewFields(form({ cost: '' })).cost).toBe(0);
+  });
+
+  test('editing a review keeps unparsed legacy potency text until values are entered', () => {
+    const potency = potencyToForm(normalizePotency('about a quarter', 'Flower'));
+
+    expect(buildReviewFields(form({ potency })).potency).toMatchObject({ thc: null, unit: '%', note: 'about a quarter' });
+    expect(buildReviewFields(form({ potency: { ...potency, thc: '24' } })).potency).not.toHaveProperty('note');
+  });
+
+  test('editing a review keeps its stored unit unless the product type changes', () => {
+    const potency = potencyToForm(normalizePotency('10mg', 'Flower'));
+
+    expect(buildReviewFields(form({ potency, productType: 'Flower' })).potency).toMatchObject({ thc: 10, unit: 'mg' });
+    expect(buildReviewFields(form({ potency: { ...potency, unit: '' }, productType: 'Flower' })).potency.unit).toBe('%');
+  });
+
+  test('links a saved dispensary, or none', () => {
+    expect(buildReviewFields(form({ dispensaryId: 'green-leaf' })).dispensaryId).toBe('green-leaf');
+    expect(buildReviewFields(form()).dispensaryId).toBeNull();
+  });
+});
+
+describe('validateReview (log form submit)', () => {
+  test('accepts a minimal valid review', () => {
+    expect(validateReview(buildReviewFields(form()))).toEqual([]);
+  });
+
+  test('requires a strain name and a 1-5 star rating', () => {
+    const errors = validateReview(buildReviewFields(form({ strain: '   ', rating: 0 })));
+    expect(errors).toEqual(['Strain Name is required.', 'A rating from 1 to 5 stars is required.']);
+  });
+
+  test('rejects overlong text and a negative cost, as firestore.rules does', () => {
+    expect(validateReview(buildReviewFields(form({ strain: 'x'.repeat(201), cost: '-5' })))).toEqual([
+      'Strain Name can be at most 200 characters.',
+      'Cost cannot be negative.',
+    ]);
+  });
+
+  test('rejects unknown types, too many terpenes and impossible potency', () => {
+    const errors = validateReview(buildReviewFields(form({
+      type: 'Ruderalis',
+      terpenes: ['Myrcene', 'Limonene', 'Pinene', 'Linalool'],
+      potency: { thc: '120', cbd: '-1', cbg: '', cbn: '' },
+    })));
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'Unknown strain type "Ruderalis".',
+      'THC cannot be more than 100%.',
+      'CBD cannot be negative.',
+      'Cannot log more than 3 terpenes.',
+    ]));
+  });
+});
+
+describe('pickReviewFields', () => {
+  test('keeps only editable fields that are present', () => {
+    expect(pickReviewFields({ strain: 'Blue Dream', rating: 5, userId: 'alice', timestamp: 1 })).toEqual({ strain: 'Blue Dream', rating: 5 });
+  });
+});
+
+describe('revisionToReviewFields', () => {
+  test('clears fields an older revision did not have', () => {
+    const fields = revisionToReviewFields({ id: 'r1', strain: 'Blue Dream', rating: 3, revisedAt: new Date() });
+
+    expect(fields).toMatchObject({ strain: 'Blue Dream', rating: 3, analysis: null, aiEffects: null, dispensaryId: null });
+    expect(fields).not.toHaveProperty('revisedAt');
+  });
+});
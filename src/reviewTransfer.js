@@ -0,0 +1,332 @@
+import { TOP_TERPENES, strainTypes, productTypes, validateReview } from './reviewModel';
+import { CANNABINOIDS, normalizePotency, unitForProductType } from './potency';
+import { normalizeEffectsAnalysis } from './effectsAnalysis';
+
+// --- Review Import/Export Helpers ---
+
+// Column order for CSV files. JSON exports use the same keys plus the review `id`.
+export const EXPORT_COLUMNS = [
+  'strain', 'type', 'productType', 'brand', 'thc', 'cbd', 'cbg', 'cbn', 'potencyUnit', 'rating', 'cost', 'location',
+  'dispensaryId', 'flavor', 'terpenes', 'effects', 'analysis', 'sentimentScore', 'physicalEffects', 'mentalEffects',
+  'sideEffects', 'timeOfDay', 'timestamp', 'updatedAt'
+];
+
+const toIsoString = (date) => (date instanceof Date && !isNaN(date) ? date.toISOString() : '');
+
+/**
+ * Flattens a review from app state into plain, serializable values.
+ * Potency is split into one column per cannabinoid plus its unit.
+ */
+const serializeReview = (review) => ({
+  id: review.id,
+  strain: review.strain || '',
+  type: review.type || '',
+  productType: review.productType || '',
+  brand: review.brand || '',
+  ...CANNABINOIDS.reduce((acc, key) => {
+    acc[key] = review.potency && review.potency[key] !== null && review.potency[key] !== undefined ? review.potency[key] : '';
+    return acc;
+  }, {}),
+  potencyUnit: (review.potency && review.potency.unit) || '',
+  rating: review.rating || 0,
+  cost: review.cost || 0,
+  location: review.location || '',
+  dispensaryId: review.dispensaryId || '',
+  flavor: review.flavor || '',
+  terpenes: review.terpenes || [],
+  effects: review.effects || '',
+  analysis: review.analysis || '',
+  sentimentScore: review.aiEffects ? review.aiEffects.sentimentScore : '',
+  physicalEffects: review.aiEffects ? review.aiEffects.physicalEffects : [],
+  mentalEffects: review.aiEffects ? review.aiEffects.mentalEffects : [],
+  sideEffects: review.aiEffects ? review.aiEffects.sideEffects : [],
+  timeOfDay: review.aiEffects ? review.aiEffects.timeOfDay : '',
+  timestamp: toIsoString(review.timestamp),
+  updatedAt: toIsoString(review.updatedAt),
+});
+
+// Text starting with one of these runs as a formula when the CSV is opened in a spreadsheet
+const FORMULA_PREFIX = /^[=+\-@]/;
+const NEUTRALIZED_FORMULA = /^'[=+\-@]/;
+
+/**
+ * Quotes a CSV cell when it contains a delimiter, quote or line break. Text that would start a
+ * formula gets a leading apostrophe; numbers (e.g. a negative sentiment score) are left alone.
+ */
+const escapeCsvValue = (value) => {
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value ?? '');
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Serializes reviews to CSV. List values (terpenes, effect tags) are joined with "; " so they stay in one column.
+ */
+export const reviewsToCsv = (reviews) => {
+  const header = EXPORT_COLUMNS.join(',');
+  const rows = reviews.map(review => {
+    const flat = serializeReview(review);
+    return EXPORT_COLUMNS.map(column => {
+      const value = Array.isArray(flat[column]) ? flat[column].join('; ') : flat[column];
+      return escapeCsvValue(value);
+    }).join(',');
+  });
+  return [header, ...rows].join('\r\n');
+};
+
+/**
+ * Serializes reviews to a pretty-printed JSON document with export metadata.
+ */
+export const reviewsToJson = (reviews) => {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    count: reviews.length,
+    reviews: reviews.map(serializeReview),
+  }, null, 2);
+};
+
+/**
+ * Triggers a browser download of the given text content.
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// --- Import ---
+
+// Header spellings accepted on import, normalized to lowercase letters and digits only.
+const IMPORT_HEADER_ALIASES = {
+  id: ['id'],
+  strain: ['strain', 'strainname', 'name'],
+  type: ['type', 'straintype'],
+  productType: ['producttype', 'product'],
+  brand: ['brand', 'cultivator', 'grower'],
+  potency: ['potency', 'strength'],
+  thc: ['thc'],
+  cbd: ['cbd'],
+  cbg: ['cbg'],
+  cbn: ['cbn'],
+  potencyUnit: ['potencyunit', 'unit'],
+  rating: ['rating', 'stars', 'score'],
+  cost: ['cost', 'price', 'paid'],
+  location: ['location', 'dispensary', 'store', 'purchasedfrom'],
+  dispensaryId: ['dispensaryid'],
+  flavor: ['flavor', 'flavour', 'taste'],
+  terpenes: ['terpenes', 'terpene', 'terps'],
+  effects: ['effects', 'notes', 'effectsnotes'],
+  analysis: ['analysis', 'aisummary'],
+  sentimentScore: ['sentimentscore'],
+  physicalEffects: ['physicaleffects'],
+  mentalEffects: ['mentaleffects'],
+  sideEffects: ['sideeffects'],
+  timeOfDay: ['timeofday'],
+  timestamp: ['timestamp', 'date', 'loggedon', 'logged'],
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const HEADER_TO_FIELD = Object.entries(IMPORT_HEADER_ALIASES).reduce((acc, [field, aliases]) => {
+  aliases.forEach(alias => { acc[alias] = field; });
+  return acc;
+}, {});
+
+/**
+ * Parses CSV text (RFC 4180 quoting, CRLF or LF line endings) into an array of rows.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines (a single empty cell)
+  return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+};
+
+/**
+ * Reads an uploaded CSV or JSON file's text into raw row objects keyed by review field.
+ * JSON may be an array of reviews or an export document with a `reviews` array.
+ */
+export const parseImportFile = (text, fileName) => {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+
+  if (isJson) {
+    const parsed = JSON.parse(text);
+    const items = Array.isArray(parsed) ? parsed : parsed.reviews;
+    if (!Array.isArray(items)) {
+      throw new Error('JSON must be an array of reviews or contain a "reviews" array.');
+    }
+    return items.map(item => Object.entries(item || {}).reduce((acc, [key, value]) => {
+      const field = HEADER_TO_FIELD[normalizeHeader(key)];
+      if (field) acc[field] = value;
+      return acc;
+    }, {}));
+  }
+
+  const [headerRow, ...dataRows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!headerRow) {
+    throw new Error('The file is empty.');
+  }
+  const fields = headerRow.map(header => HEADER_TO_FIELD[normalizeHeader(header)]);
+  if (!fields.includes('strain')) {
+    throw new Error('CSV must have a "strain" column.');
+  }
+
+  return dataRows.map(cells => fields.reduce((acc, field, index) => {
+    // Undo the apostrophe escapeCsvValue puts in front of formula-like text
+    if (field && cells[index] !== undefined) acc[field] = NEUTRALIZED_FORMULA.test(cells[index]) ? cells[index].slice(1) : cells[index];
+    return acc;
+  }, {}));
+};
+
+/**
+ * Matches a value case-insensitively against a list of allowed values, keeping it as-is if unknown.
+ */
+const matchOption = (value, options, fallback) => {
+  const text = String(value ?? '').trim();
+  if (!text) return fallback;
+  return options.find(option => option.toLowerCase() === text.toLowerCase()) || text;
+};
+
+const parseImportDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+/**
+ * Maps a raw import row onto the same review fields `buildReviewFields` produces.
+ */
+const mapImportRow = (raw) => {
+  const productType = matchOption(raw.productType, productTypes, 'Flower');
+
+  // Per-cannabinoid columns win over a free-text (or structured JSON) potency value
+  const hasCannabinoidColumns = CANNABINOIDS.some(key => raw[key] !== undefined && String(raw[key]).trim() !== '');
+  const potency = hasCannabinoidColumns
+    ? normalizePotency({
+        ...CANNABINOIDS.reduce((acc, key) => ({ ...acc, [key]: raw[key] }), {}),
+        unit: ['%', 'mg'].includes(String(raw.potencyUnit).trim().toLowerCase())
+          ? String(raw.potencyUnit).trim().toLowerCase()
+          : unitForProductType(productType),
+      }, productType)
+    : normalizePotency(raw.potency, productType);
+
+  const toList = (value) => (Array.isArray(value) ? value : String(value ?? '').split(/[;,]/))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  const analysis = String(raw.analysis ?? '').trim();
+
+  // Structured AI effects only come back when the export carried a sentiment score
+  const hasSentiment = raw.sentimentScore !== undefined && String(raw.sentimentScore).trim() !== '';
+  const aiEffects = hasSentiment
+    ? normalizeEffectsAnalysis({
+        summary: analysis,
+        sentimentScore: raw.sentimentScore,
+        physicalEffects: toList(raw.physicalEffects),
+        mentalEffects: toList(raw.mentalEffects),
+        sideEffects: toList(raw.sideEffects),
+        timeOfDay: String(raw.timeOfDay ?? '').trim(),
+      })
+    : null;
+
+  return {
+    strain: String(raw.strain ?? '').trim(),
+    location: String(raw.location ?? '').trim(),
+    dispensaryId: String(raw.dispensaryId ?? '').trim() || null,
+    cost: parseFloat(String(raw.cost ?? '').replace(/[$,]/g, '')) || 0,
+    effects: String(raw.effects ?? '').trim(),
+    rating: Number(raw.rating) || 0,
+    potency,
+    flavor: String(raw.flavor ?? '').trim(),
+    brand: String(raw.brand ?? '').trim(),
+    type: matchOption(raw.type, strainTypes, 'Hybrid'),
+    productType,
+    terpenes: toList(raw.terpenes).map(t => matchOption(t, TOP_TERPENES, t)),
+    analysis,
+    aiEffects,
+  };
+};
+
+const dayKey = (date) => (date ? date.toISOString().slice(0, 10) : '');
+
+/**
+ * Identity used to spot duplicates. Rows without a date match on content alone.
+ */
+const duplicateKey = (fields, date) => [
+  fields.strain.toLowerCase(),
+  (fields.brand || '').toLowerCase(),
+  fields.productType,
+  fields.rating,
+  (fields.location || '').toLowerCase(),
+  dayKey(date),
+].join('|');
+
+/**
+ * Maps, validates and de-duplicates raw import rows against the existing log.
+ * Each entry reports its 1-based row number, mapped fields, errors and whether it is a duplicate.
+ */
+export const prepareImport = (rawRows, existingReviews) => {
+  const existingIds = new Set(existingReviews.map(r => r.id));
+  const seenKeys = new Set();
+  existingReviews.forEach(review => {
+    const fields = { ...review, strain: review.strain || '' };
+    seenKeys.add(duplicateKey(fields, review.timestamp));
+    seenKeys.add(duplicateKey(fields, null));
+  });
+
+  return rawRows.map((raw, index) => {
+    const fields = mapImportRow(raw);
+    const timestamp = parseImportDate(raw.timestamp);
+    const errors = validateReview(fields);
+    if (raw.timestamp && !timestamp) {
+      errors.push(`Unreadable date "${raw.timestamp}".`);
+    }
+
+    const key = duplicateKey(fields, timestamp);
+    const duplicate = (raw.id && existingIds.has(raw.id)) || seenKeys.has(key);
+    seenKeys.add(key);
+
+    return { rowNumber: index + 1, fields, timestamp, errors, duplicate };
+  });
+};
@@ -0,0 +1,49 @@
+import { reviewsToCsv, reviewsToJson, parseImportFile, prepareImport } from './reviewTransfer';
+
+const REVIEW = {
+  id: 'r1',
+  strain: 'Blue Dream',
+  type: 'Hybrid',
+  productType: 'Flower',
+  brand: 'Cookies',
+  potency: { thc: 24, cbd: null, cbg: null, cbn: null, unit: '%' },
+  rating: 4,
+  cost: 35,
+  location: 'Green Leaf, 12 Main St, Colorado',
+  dispensaryId: 'green-leaf-12-main-st',
+  flavor: 'Berry',
+  terpenes: ['Myrcene'],
+  effects: 'Calm and happy.',
+  analysis: '',
+  aiEffects: null,
+  timestamp: new Date('2025-01-01T12:00:00Z'),
+};
+
+const importedFields = (text, fileName) => prepareImport(parseImportFile(text, fileName), [])[0].fields;
+
+describe('export and import round trip', () => {
+  test('CSV keeps the dispensary link', () => {
+    expect(importedFields(reviewsToCsv([REVIEW]), 'log.csv')).toMatchObject({
+      strain: 'Blue Dream', location: REVIEW.location, dispensaryId: REVIEW.dispensaryId, cost: 35, terpenes: ['Myrcene'],
+    });
+  });
+
+  test('JSON keeps the dispensary link', () => {
+    expect(importedFields(reviewsToJson([REVIEW]), 'log.json')).toMatchObject({ strain: 'Blue Dream', dispensaryId: REVIEW.dispensaryId });
+  });
+
+  test('reviews without a dispensary import without one', () => {
+    expect(importedFields(reviewsToCsv([{ ...REVIEW, dispensaryId: null }]), 'log.csv').dispensaryId).toBeNull();
+  });
+});
+
+test('CSV export neutralizes text that a spreadsheet would run as a formula, and import restores it', () => {
+  const review = { ...REVIEW, strain: '=HYPERLINK("http://example.com")', effects: '-calm', flavor: '@sum', brand: '+1', aiEffects: { sentimentScore: -0.5, physicalEffects: [], mentalEffects: [], sideEffects: [], timeOfDay: 'any' } };
+  const csv = reviewsToCsv([review]);
+
+  expect(csv).toContain('"\'=HYPERLINK(""http://example.com"")"');
+  expect(csv).toContain("'-calm");
+  expect(csv).toContain("'@sum");
+  expect(csv).toContain(',-0.5,');
+  expect(importedFields(csv, 'log.csv')).toMatchObject({ strain: review.strain, effects: '-calm', flavor: '@sum', brand: '+1' });
+});
@@ -0,0 +1,154 @@
+import { useState, useEffect, useCallback } from 'react';
+import { strainTypes, productTypes, TOP_TERPENES } from './reviewModel';
+import { LOG_SORTS, DEFAULT_LOG_SORT, EMPTY_LOG_FILTERS } from './reviewFilters';
+import { CANNABINOIDS } from './potency';
+
+// --- Client-Side Routing (History API, no router dependency) ---
+
+// Pages reachable without signing in. Everything else requires auth.
+export const PUBLIC_PAGES = ['login', 'signup'];
+
+const SIMPLE_PAGES = ['login', 'signup', 'home', 'log', 'community', 'analytics', 'settings'];
+
+// Log screen filter state <-> query parameter names, e.g. /log?type=Indica,Sativa&minRating=4&sort=rating
+// Lists are comma-separated; see EMPTY_LOG_FILTERS for the filters themselves.
+export const LOG_FILTER_PARAMS = {
+  searchTerm: 'q',
+  types: 'type',
+  productTypes: 'product',
+  terpenes: 'terp',
+  minRating: 'minRating',
+  brand: 'brand',
+  location: 'location',
+  from: 'from',
+  to: 'to',
+  minCost: 'minCost',
+  maxCost: 'maxCost',
+  cannabinoid: 'cannabinoid',
+  minPotency: 'minPotency',
+  maxPotency: 'maxPotency',
+  logSort: 'sort',
+};
+
+/**
+ * Parses a pathname and query string into { page, params, query }.
+ * Unknown paths resolve to the dashboard.
+ */
+export const parseRoute = (pathname, search) => {
+  const query = Object.fromEntries(new URLSearchParams(search));
+  const segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+  if (segments[0] === 'review' && segments[1]) {
+    return { page: 'review', params: { id: segments[1] }, query };
+  }
+  if (segments[0] === 'strain' && segments[1]) {
+    return { page: 'strain', params: { id: segments[1] }, query };
+  }
+  if (segments[0] === 'dispensary' && segments[1]) {
+    return { page: 'dispensary', params: { id: segments[1] }, query };
+  }
+  if (segments.length === 1 && SIMPLE_PAGES.includes(segments[0])) {
+    return { page: segments[0], params: {}, query };
+  }
+  return { page: 'home', params: {}, query };
+};
+
+/**
+ * Builds a path with a query string, dropping empty values.
+ */
+export const buildPath = (pathname, query = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '' && value !== 0) params.set(key, value);
+  });
+  const search = params.toString();
+  return search ? `${pathname}?${search}` : pathname;
+};
+
+export const reviewPath = (reviewId) => `/review/${encodeURIComponent(reviewId)}`;
+
+export const strainPath = (strainId) => `/strain/${encodeURIComponent(strainId)}`;
+
+export const dispensaryPath = (dispensaryId) => `/dispensary/${encodeURIComponent(dispensaryId)}`;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const NUMBER_PATTERN = /^\d*\.?\d*$/;
+
+const readList = (value, allowed) => (value ? value.split(',').filter(item => allowed.includes(item)) : []);
+const readPattern = (value, pattern) => (value && pattern.test(value) ? value : '');
+
+/**
+ * Reads Log screen filters from route query parameters, ignoring invalid values.
+ * Returns { searchTerm, logSort } plus every filter in EMPTY_LOG_FILTERS.
+ */
+export const readLogFilters = (query) => {
+  const param = (stateKey) => query[LOG_FILTER_PARAMS[stateKey]];
+  const rating = parseInt(param('minRating'), 10);
+  return {
+    searchTerm: param('searchTerm') || '',
+    types: readList(param('types'), strainTypes),
+    productTypes: readList(param('productTypes'), productTypes),
+    terpenes: readList(param('terpenes'), TOP_TERPENES),
+    minRating: rating >= 1 && rating <= 5 ? rating : 0,
+    brand: param('brand') || '',
+    location: param('location') || '',
+    from: readPattern(param('from'), DATE_PATTERN),
+    to: readPattern(param('to'), DATE_PATTERN),
+    minCost: readPattern(param('minCost'), NUMBER_PATTERN),
+    maxCost: readPattern(param('maxCost'), NUMBER_PATTERN),
+    cannabinoid: CANNABINOIDS.includes(param('cannabinoid')) ? param('cannabinoid') : EMPTY_LOG_FILTERS.cannabinoid,
+    minPotency: readPattern(param('minPotency'), NUMBER_PATTERN),
+    maxPotency: readPattern(param('maxPotency'), NUMBER_PATTERN),
+    logSort: Object.keys(LOG_SORTS).includes(param('logSort')) ? param('logSort') : DEFAULT_LOG_SORT,
+  };
+};
+
+/**
+ * Builds the /log path for a set of filters. Defaults (newest first, THC potency) are left out of the URL.
+ */
+export const buildLogPath = (filters) => {
+  const defaults = { logSort: DEFAULT_LOG_SORT, cannabinoid: EMPTY_LOG_FILTERS.cannabinoid };
+  const query = Object.entries(LOG_FILTER_PARAMS).reduce((acc, [stateKey, param]) => {
+    const value = filters[stateKey];
+    acc[param] = Array.isArray(value) ? value.join(',') : value === defaults[stateKey] ? '' : value;
+    return acc;
+  }, {});
+  return buildPath('/log', query);
+};
+
+/**
+ * Only same-origin absolute paths are allowed as post-login redirects.
+ */
+export const safeRedirectPath = (path) => {
+  if (typeof path !== 'string' || !path.startsWith('/') || path.startsWith('//')) return '/home';
+  const { page } = parseRoute(path.split('?')[0], '');
+  return PUBLIC_PAGES.includes(page) ? '/home' : path;
+};
+
+const currentLocation = () => parseRoute(window.location.pathname, window.location.search);
+
+/**
+ * Tracks the browser location. `navigate(path, { replace })` updates history and
+ * re-renders; back/forward buttons are picked up through `popstate`.
+ */
+export const useRoute = () => {
+  const [route, setRoute] = useState(currentLocation);
+
+  useEffect(() => {
+    const handlePopState = () => setRoute(currentLocation());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = useCallback((path, { replace = false } = {}) => {
+    if (path === `${window.location.pathname}${window.location.search}`) return;
+    if (replace) {
+      window.history.replaceState(null, '', path);
+    } else {
+      window.history.pushState(null, '', path);
+    }
+    setRoute(currentLocation());
+  }, []);
+
+  return { route, navigate };
+};
@@ -0,0 +1,254 @@
+import { effectTags } from './effectsAnalysis';
+
+// --- Log Search: a local index with fuzzy matching, ranking, highlights and field qualifiers ---
+// e.g. `gsc brand:cookies terp:limonene rating:>=4 type:sativa`
+
+// Searchable text fields, their ranking weight and how to read them off a review (always a list of strings)
+const SEARCH_FIELDS = {
+  strain: { weight: 5, read: (review) => [review.strain] },
+  brand: { weight: 3, read: (review) => [review.brand] },
+  terpenes: { weight: 3, read: (review) => review.terpenes || [] },
+  tags: { weight: 2, read: (review) => (review.aiEffects ? [...effectTags(review.aiEffects), review.aiEffects.sentiment, review.aiEffects.timeOfDay] : []) },
+  effects: { weight: 2, read: (review) => [review.effects] },
+  location: { weight: 2, read: (review) => [review.location] },
+  flavor: { weight: 1, read: (review) => [review.flavor] },
+  analysis: { weight: 1, read: (review) => [review.analysis] },
+};
+
+// Qualifier names (and aliases) that restrict a search word to one text field
+const TEXT_QUALIFIERS = {
+  strain: 'strain', name: 'strain',
+  brand: 'brand',
+  terp: 'terpenes', terpene: 'terpenes', terpenes: 'terpenes',
+  tag: 'tags', tags: 'tags',
+  effect: 'effects', effects: 'effects', notes: 'effects',
+  location: 'location', loc: 'location', store: 'location',
+  flavor: 'flavor',
+};
+
+// Qualifiers compared against a single review property: numbers take an operator, choices match a prefix
+const NUMBER_QUALIFIERS = { rating: 'rating', stars: 'rating', cost: 'cost', price: 'cost' };
+const CHOICE_QUALIFIERS = { type: 'type', product: 'productType' };
+
+const COMPARATORS = {
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '<': (a, b) => a < b,
+  '=': (a, b) => a === b,
+};
+
+// How well a word matched a token, multiplied by the field weight
+const MATCH_QUALITY = { exact: 1, acronym: 0.9, prefix: 0.8, fuzzy: 0.6, substring: 0.5 };
+const MIN_SUBSTRING_LENGTH = 3;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+const QUERY_PATTERN = /([a-z]+):(?:"([^"]*)"|(\S*))|"([^"]*)"|(\S+)/gi;
+
+/**
+ * Splits lowercased text into word tokens with their positions in the original string.
+ */
+const tokenize = (text) => Array.from(text.toLowerCase().matchAll(TOKEN_PATTERN), (match) => ({
+  value: match[0],
+  start: match.index,
+  end: match.index + match[0].length,
+}));
+
+const words = (text) => tokenize(text).map(token => token.value);
+
+// Typos allowed for a word: none for short words, one from 4 letters, two from 8
+const maxEdits = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps), giving up past `limit`.
+ */
+export const editDistance = (a, b, limit = Infinity) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Parses a search box query into free-text `words` and field `qualifiers`:
+ * text ({ kind: 'text', field, words }), number ({ kind: 'number', field, operator, value })
+ * and choice ({ kind: 'choice', field, value }). Unknown or malformed qualifiers count as free text.
+ */
+export const parseSearchQuery = (queryText = '') => {
+  const parsed = { words: [], qualifiers: [] };
+
+  for (const match of queryText.matchAll(QUERY_PATTERN)) {
+    const [raw, name, quotedValue, plainValue, quotedPhrase, plainWord] = match;
+    if (name) {
+      const key = name.toLowerCase();
+      const value = (quotedValue !== undefined ? quotedValue : plainValue).trim();
+      const numberMatch = value.match(/^(>=|<=|>|<|=)?\s*(\d+(?:\.\d+)?)$/);
+
+      if (TEXT_QUALIFIERS[key] && words(value).length > 0) {
+        parsed.qualifiers.push({ kind: 'text', field: TEXT_QUALIFIERS[key], words: words(value) });
+        continue;
+      }
+      if (NUMBER_QUALIFIERS[key] && numberMatch) {
+        parsed.qualifiers.push({ kind: 'number', field: NUMBER_QUALIFIERS[key], operator: numberMatch[1] || '=', value: parseFloat(numberMatch[2]) });
+        continue;
+      }
+      if (CHOICE_QUALIFIERS[key] && value) {
+        parsed.qualifiers.push({ kind: 'choice', field: CHOICE_QUALIFIERS[key], value: value.toLowerCase() });
+        continue;
+      }
+      parsed.words.push(...words(raw));
+      continue;
+    }
+    parsed.words.push(...words(quotedPhrase !== undefined ? quotedPhrase : plainWord));
+  }
+  return parsed;
+};
+
+/**
+ * Indexes reviews for searchReviews: every text field is tokenized once up front.
+ */
+export const buildSearchIndex = (reviews) => reviews.map(review => ({
+  review,
+  fields: Object.fromEntries(Object.entries(SEARCH_FIELDS).map(([field, { read }]) => [
+    field,
+    read(review).map(text => (typeof text === 'string' ? tokenize(text) : [])),
+  ])),
+}));
+
+/**
+ * The best match of a lowercase word in one text's tokens: { quality, ranges } or null.
+ * Acronyms match the initials of consecutive tokens ("gsc" finds "Girl Scout Cookies").
+ */
+const matchWord = (word, tokens) => {
+  let best = null;
+  const consider = (quality, ranges) => {
+    if (!best || quality > best.quality) best = { quality, ranges };
+  };
+
+  tokens.forEach((token, index) => {
+    if (token.value === word) {
+      consider(MATCH_QUALITY.exact, [[token.start, token.end]]);
+    } else if (token.value.startsWith(word)) {
+      consider(MATCH_QUALITY.prefix, [[token.start, token.start + word.length]]);
+    } else if (word.length >= MIN_SUBSTRING_LENGTH && token.value.includes(word)) {
+      const offset = token.value.indexOf(word);
+      consider(MATCH_QUALITY.substring, [[token.start + offset, token.start + offset + word.length]]);
+    } else if (maxEdits(word) > 0) {
+      const distance = editDistance(word, token.value, maxEdits(word));
+      if (distance <= maxEdits(word)) consider(MATCH_QUALITY.fuzzy / distance, [[token.start, token.end]]);
+    }
+
+    const run = tokens.slice(index, index + word.length);
+    if (word.length >= 2 && run.length === word.length && run.every((t, i) => t.value[0] === word[i])) {
+      consider(MATCH_QUALITY.acronym, run.map(t => [t.start, t.start + 1]));
+    }
+  });
+  return best;
+};
+
+/**
+ * Scores a word against the given fields of an indexed review, recording highlight ranges
+ * in `matches`. Returns 0 when no field matches.
+ */
+const scoreWord = (entry, word, fieldNames, matches) => {
+  let best = null;
+  fieldNames.forEach(field => {
+    entry.fields[field].forEach((tokens, textIndex) => {
+      const match = matchWord(word, tokens);
+      if (!match) return;
+      const score = match.quality * SEARCH_FIELDS[field].weight;
+      if (!best || score > best.score) best = { score, field, textIndex, ranges: match.ranges };
+    });
+  });
+  if (!best) return 0;
+
+  const fieldMatches = matches[best.field] || (matches[best.field] = {});
+  fieldMatches[best.textIndex] = [...(fieldMatches[best.textIndex] || []), ...best.ranges];
+  return best.score;
+};
+
+const matchesQualifier = (review, qualifier) => {
+  if (qualifier.kind === 'number') {
+    const value = Number(review[qualifier.field]);
+    return Number.isFinite(value) && COMPARATORS[qualifier.operator](value, qualifier.value);
+  }
+  return typeof review[qualifier.field] === 'string' && review[qualifier.field].toLowerCase().startsWith(qualifier.value);
+};
+
+/**
+ * Searches an index from buildSearchIndex. Every word and qualifier must match. Results are
+ * `{ review, score, matches }`, best first (ties keep index order); `matches` maps a field to
+ * `{ [textIndex]: [[start, end], ...] }` highlight ranges (see highlightSegments).
+ * A blank query returns every review in index order.
+ */
+export const searchReviews = (index, queryText) => {
+  const { words: freeWords, qualifiers } = parseSearchQuery(queryText);
+  const allFields = Object.keys(SEARCH_FIELDS);
+
+  const results = [];
+  index.forEach(entry => {
+    if (!qualifiers.every(q => q.kind === 'text' || matchesQualifier(entry.review, q))) return;
+
+    const matches = {};
+    const wordFields = [
+      ...freeWords.map(word => [word, allFields]),
+      ...qualifiers.filter(q => q.kind === 'text').flatMap(q => q.words.map(word => [word, [q.field]])),
+    ];
+    let score = 0;
+    for (const [word, fieldNames] of wordFields) {
+      const wordScore = scoreWord(entry, word, fieldNames, matches);
+      if (wordScore === 0) return;
+      score += wordScore;
+    }
+    results.push({ review: entry.review, score, matches });
+  });
+
+  return results.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Highlight ranges recorded for one text of a field (e.g. `matchRanges(matches, 'terpenes', 1)`).
+ */
+export const matchRanges = (matches, field, textIndex = 0) => (matches && matches[field] && matches[field][textIndex]) || [];
+
+/**
+ * Splits text into [{ text, highlighted }] segments for rendering, merging overlapping ranges.
+ */
+export const highlightSegments = (text, ranges = []) => {
+  if (!text) return [];
+  const merged = [...ranges].sort((a, b) => a[0] - b[0]).reduce((acc, [start, end]) => {
+    const last = acc[acc.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      acc.push([start, end]);
+    }
+    return acc;
+  }, []);
+
+  const segments = [];
+  let position = 0;
+  merged.forEach(([start, end]) => {
+    if (start > position) segments.push({ text: text.slice(position, start), highlighted: false });
+    segments.push({ text: text.slice(start, end), highlighted: true });
+    position = end;
+  });
+  if (position < text.length) segments.push({ text: text.slice(position), highlighted: false });
+  return segments;
+};
@@ -0,0 +1,125 @@
+import { parseSearchQuery, buildSearchIndex, searchReviews, highlightSegments, matchRanges, editDistance } from './search';
+
+const review = (overrides) => ({
+  strain: 'Blue Dream',
+  type: 'Hybrid',
+  productType: 'Flower',
+  rating: 3,
+  cost: 40,
+  brand: 'Cookies',
+  location: 'Green Leaf, Denver',
+  effects: 'Relaxed and happy',
+  terpenes: ['Myrcene'],
+  ...overrides,
+});
+
+const REVIEWS = [
+  review({ id: 'a', strain: 'Blue Dream', rating: 5 }),
+  review({ id: 'b', strain: 'Sour Diesel', type: 'Sativa', rating: 4, brand: 'Jungle Boys', terpenes: ['Limonene', 'Pinene'] }),
+  review({ id: 'c', strain: 'Granddaddy Purple', type: 'Indica', rating: 2, location: 'Trulieve, Miami', effects: 'Sleepy' }),
+  review({
+    id: 'd', strain: 'Wedding Cake', rating: 4, effects: '',
+    aiEffects: { summary: 'Calm.', sentimentScore: 0.5, sentiment: 'positive', physicalEffects: ['pain relief'], mentalEffects: [], sideEffects: ['dry mouth'], timeOfDay: 'evening' },
+  }),
+  review({ id: 'e', strain: 'Girl Scout Cookies', brand: 'Cookies', type: 'Sativa', rating: 4, terpenes: ['Limonene'] }),
+];
+
+const INDEX = buildSearchIndex(REVIEWS);
+const ids = (queryText) => searchReviews(INDEX, queryText).map(result => result.review.id);
+
+describe('parseSearchQuery', () => {
+  test('separates free words from qualifiers', () => {
+    expect(parseSearchQuery('Sour brand:"Jungle Boys" terp:limonene rating:>=4 type:sativa')).toEqual({
+      words: ['sour'],
+      qualifiers: [
+        { kind: 'text', field: 'brand', words: ['jungle', 'boys'] },
+        { kind: 'text', field: 'terpenes', words: ['limonene'] },
+        { kind: 'number', field: 'rating', operator: '>=', value: 4 },
+        { kind: 'choice', field: 'type', value: 'sativa' },
+      ],
+    });
+  });
+
+  test('treats unknown or malformed qualifiers as free text', () => {
+    expect(parseSearchQuery('color:green rating:lots')).toEqual({ words: ['color', 'green', 'rating', 'lots'], qualifiers: [] });
+  });
+
+  test('a bare number compares for equality', () => {
+    expect(parseSearchQuery('stars:5').qualifiers).toEqual([{ kind: 'number', field: 'rating', operator: '=', value: 5 }]);
+  });
+});
+
+describe('searchReviews', () => {
+  test('matches strain, notes, terpenes, brand and location case-insensitively', () => {
+    expect(ids('SLEEPY')).toEqual(['c']);
+    expect(ids('miami')).toEqual(['c']);
+    expect(ids('limon')).toEqual(['b', 'e']);
+    expect(ids('jungle')).toEqual(['b']);
+  });
+
+  test('searches AI effect tags, sentiment and time of day', () => {
+    expect(ids('Pain Relief')).toEqual(['d']);
+    expect(ids('evening')).toEqual(['d']);
+  });
+
+  test('tolerates typos and finds acronyms', () => {
+    expect(ids('wedidng')).toEqual(['d']);
+    expect(ids('granddady purpel')).toEqual(['c']);
+    expect(ids('gsc')).toEqual(['e']);
+  });
+
+  test('every word must match', () => {
+    expect(ids('sour dream')).toEqual([]);
+  });
+
+  test('ranks strain matches above matches in other fields', () => {
+    expect(ids('cookies')).toEqual(['e', 'a', 'c', 'd']);
+  });
+
+  test('applies field qualifiers', () => {
+    expect(ids('brand:cookies terp:limonene rating:>=4 type:sativa')).toEqual(['e']);
+    expect(ids('rating:<3')).toEqual(['c']);
+    expect(ids('brand:jungle cost:40')).toEqual(['b']);
+    expect(ids('terp:myrcene type:ind')).toEqual(['c']);
+  });
+
+  test('records highlight ranges per field and text', () => {
+    const [result] = searchReviews(INDEX, 'sour terp:pinene');
+    expect(matchRanges(result.matches, 'strain')).toEqual([[0, 4]]);
+    expect(matchRanges(result.matches, 'terpenes', 1)).toEqual([[0, 6]]);
+    expect(matchRanges(result.matches, 'terpenes', 0)).toEqual([]);
+  });
+
+  test('a blank query returns everything in index order', () => {
+    expect(ids('   ')).toEqual(['a', 'b', 'c', 'd', 'e']);
+  });
+});
+
+describe('editDistance', () => {
+  test('counts insertions, deletions, substitutions and swaps', () => {
+    expect(editDistance('kush', 'kush')).toBe(0);
+    expect(editDistance('kush', 'kusch')).toBe(1);
+    expect(editDistance('wedidng', 'wedding')).toBe(1);
+    expect(editDistance('haze', 'daze')).toBe(1);
+  });
+
+  test('gives up past the limit', () => {
+    expect(editDistance('limonene', 'pinene', 1)).toBe(2);
+  });
+});
+
+describe('highlightSegments', () => {
+  test('splits text around merged ranges', () => {
+    expect(highlightSegments('Girl Scout Cookies', [[0, 1], [5, 6], [11, 18], [12, 14]])).toEqual([
+      { text: 'G', highlighted: true },
+      { text: 'irl ', highlighted: false },
+      { text: 'S', highlighted: true },
+      { text: 'cout ', highlighted: false },
+      { text: 'Cookies', highlighted: true },
+    ]);
+  });
+
+  test('returns the whole text unhighlighted without ranges', () => {
+    expect(highlightSegments('Blue Dream')).toEqual([{ text: 'Blue Dream', highlighted: false }]);
+  });
+});
@@ -0,0 +1,15 @@
+// --- Service worker registration (production builds only; see public/service-worker.js) ---
+
+/**
+ * Registers the shell-caching service worker once the page has loaded. Skipped in
+ * development so the dev server's hot reloading is never served from a stale cache.
+ */
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+};
@@ -0,0 +1,2 @@
+// Loaded by react-scripts before every test file
+import '@testing-library/jest-dom';
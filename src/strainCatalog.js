@@ -0,0 +1,125 @@
+// --- Strain Catalog: canonical strain names, aliases, lineage and default type ---
+// Reviews keep the strain name as typed. The catalog resolves spellings like "blue dream ",
+// "GSC" or "Blue Dream (Cookies)" to one canonical strain, so history and community ratings merge.
+
+// Shipped with the app; entries in the strain_catalog collection add to these or replace them by id
+export const BUILT_IN_STRAINS = [
+  { id: 'ak-47', name: 'AK-47', aliases: ['AK47'], type: 'Hybrid', lineage: ['Colombian', 'Mexican', 'Thai', 'Afghani'] },
+  { id: 'blue-dream', name: 'Blue Dream', aliases: [], type: 'Hybrid', lineage: ['Blueberry', 'Haze'] },
+  { id: 'blueberry', name: 'Blueberry', aliases: ['DJ Short Blueberry'], type: 'Indica', lineage: ['Afghani', 'Thai'] },
+  { id: 'bubba-kush', name: 'Bubba Kush', aliases: [], type: 'Indica', lineage: ['OG Kush'] },
+  { id: 'chemdawg', name: 'Chemdawg', aliases: ['Chem Dawg', 'Chem Dog'], type: 'Hybrid', lineage: [] },
+  { id: 'durban-poison', name: 'Durban Poison', aliases: ['Durban'], type: 'Sativa', lineage: [] },
+  { id: 'gelato', name: 'Gelato', aliases: ['Larry Bird'], type: 'Hybrid', lineage: ['Sunset Sherbet', 'Thin Mint Girl Scout Cookies'] },
+  { id: 'girl-scout-cookies', name: 'Girl Scout Cookies', aliases: ['GSC'], type: 'Hybrid', lineage: ['OG Kush', 'Durban Poison'] },
+  { id: 'gorilla-glue-4', name: 'Gorilla Glue #4', aliases: ['GG4', 'GG #4', 'Gorilla Glue', 'Original Glue'], type: 'Hybrid', lineage: ["Chem's Sister", 'Sour Dubb', 'Chocolate Diesel'] },
+  { id: 'granddaddy-purple', name: 'Granddaddy Purple', aliases: ['GDP', 'Grand Daddy Purple', 'Granddaddy Purp'], type: 'Indica', lineage: ['Purple Urkle', 'Big Bud'] },
+  { id: 'green-crack', name: 'Green Crack', aliases: ['Green Cush', 'Mango Crack'], type: 'Sativa', lineage: ['Skunk #1'] },
+  { id: 'haze', name: 'Haze', aliases: [], type: 'Sativa', lineage: [] },
+  { id: 'ice-cream-cake', name: 'Ice Cream Cake', aliases: ['ICC'], type: 'Indica', lineage: ['Wedding Cake', 'Gelato'] },
+  { id: 'jack-herer', name: 'Jack Herer', aliases: [], type: 'Sativa', lineage: ['Haze', 'Northern Lights', 'Shiva Skunk'] },
+  { id: 'mimosa', name: 'Mimosa', aliases: [], type: 'Hybrid', lineage: ['Clementine', 'Purple Punch'] },
+  { id: 'northern-lights', name: 'Northern Lights', aliases: ['NL'], type: 'Indica', lineage: ['Afghani', 'Thai'] },
+  { id: 'og-kush', name: 'OG Kush', aliases: [], type: 'Hybrid', lineage: ['Chemdawg', 'Hindu Kush'] },
+  { id: 'pineapple-express', name: 'Pineapple Express', aliases: [], type: 'Hybrid', lineage: ['Trainwreck', 'Hawaiian'] },
+  { id: 'purple-punch', name: 'Purple Punch', aliases: [], type: 'Indica', lineage: ['Larry OG', 'Granddaddy Purple'] },
+  { id: 'runtz', name: 'Runtz', aliases: [], type: 'Hybrid', lineage: ['Zkittlez', 'Gelato'] },
+  { id: 'sour-diesel', name: 'Sour Diesel', aliases: ['Sour D', 'Sour Deez'], type: 'Sativa', lineage: ['Chemdawg', 'Super Skunk'] },
+  { id: 'super-lemon-haze', name: 'Super Lemon Haze', aliases: ['SLH'], type: 'Sativa', lineage: ['Lemon Skunk', 'Super Silver Haze'] },
+  { id: 'trainwreck', name: 'Trainwreck', aliases: ['Train Wreck'], type: 'Hybrid', lineage: ['Mexican', 'Thai', 'Afghani'] },
+  { id: 'wedding-cake', name: 'Wedding Cake', aliases: ['Pink Cookies'], type: 'Hybrid', lineage: ['Triangle Kush', 'Animal Mints'] },
+  { id: 'white-widow', name: 'White Widow', aliases: [], type: 'Hybrid', lineage: ['Brazilian Sativa', 'South Indian Indica'] },
+  { id: 'zkittlez', name: 'Zkittlez', aliases: ['Skittlez', 'Zkittles'], type: 'Indica', lineage: ['Grape Ape', 'Grapefruit'] },
+];
+
+const TRAILING_VARIANT = /\s*\(([^()]*)\)\s*$/;
+
+/**
+ * Splits a typed strain name into the strain and a trailing parenthetical such as a brand or cut:
+ * "Blue Dream (Cookies)" -> { name: 'Blue Dream', variant: 'Cookies' }.
+ */
+export const splitStrainName = (text) => {
+  const value = String(text || '').trim();
+  const match = value.match(TRAILING_VARIANT);
+  if (!match || match.index === 0) return { name: value, variant: '' };
+  return { name: value.slice(0, match.index).trim(), variant: match[1].trim() };
+};
+
+/**
+ * The comparable form of a strain name: no trailing parenthetical, lowercase, punctuation
+ * dropped and whitespace collapsed ("Gorilla Glue #4 (Cut A)" -> "gorilla glue 4").
+ */
+export const normalizeStrainName = (text) => splitStrainName(text).name
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * URL-safe id for a strain name, used for strains the catalog does not know.
+ */
+export const strainSlug = (text) => normalizeStrainName(text).replace(/ /g, '-');
+
+/**
+ * Indexes catalog entries by id and by every normalized name and alias. Later entries replace
+ * earlier ones with the same id, so the collection can correct the built-in list.
+ * Returns { strains (sorted by name), byId, byName }.
+ */
+export const buildStrainCatalog = (entries = BUILT_IN_STRAINS) => {
+  const byId = new Map();
+  entries.forEach(entry => {
+    if (entry && entry.id && entry.name) byId.set(entry.id, { aliases: [], lineage: [], type: '', ...entry });
+  });
+
+  const strains = Array.from(byId.values()).sort((a, b) => a.name.localeCompare(b.name));
+  const byName = new Map();
+  // Canonical names win over aliases when the two collide
+  strains.forEach(strain => strain.aliases.forEach(alias => byName.set(normalizeStrainName(alias), strain)));
+  strains.forEach(strain => byName.set(normalizeStrainName(strain.name), strain));
+  return { strains, byId, byName };
+};
+
+/**
+ * The catalog entry a typed strain name refers to, or null. Works without a catalog.
+ */
+export const findStrain = (catalog, text) => (catalog && catalog.byName.get(normalizeStrainName(text))) || null;
+
+/**
+ * The id that groups every spelling of a strain: the catalog id when known, otherwise the slug.
+ */
+export const canonicalStrainId = (catalog, text) => {
+  const strain = findStrain(catalog, text);
+  return strain ? strain.id : strainSlug(text);
+};
+
+/**
+ * Strain names for the log form's autocomplete: every catalog name, plus logged names the
+ * catalog does not cover (one spelling each), sorted.
+ */
+export const strainSuggestions = (catalog, loggedNames = []) => {
+  const byId = new Map(catalog.strains.map(strain => [strain.id, strain.name]));
+  loggedNames.forEach(text => {
+    const { name } = splitStrainName(text);
+    const id = canonicalStrainId(catalog, name);
+    if (name && id && !byId.has(id)) byId.set(id, name);
+  });
+  return Array.from(byId.values()).sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Everything the user logged for one strain id: sessions newest first, the spellings used, and
+ * the average rating with the first and last session dates.
+ */
+export const strainHistory = (catalog, strainId, reviews) => {
+  const sessions = reviews
+    .filter(review => canonicalStrainId(catalog, review.strain) === strainId)
+    .sort((a, b) => b.timestamp - a.timestamp);
+  const spellings = Array.from(new Set(sessions.map(review => review.strain.trim())));
+
+  return {
+    sessions,
+    spellings,
+    averageRating: sessions.length > 0 ? sessions.reduce((sum, review) => sum + review.rating, 0) / sessions.length : 0,
+    firstLoggedAt: sessions.length > 0 ? sessions[sessions.length - 1].timestamp : null,
+    lastLoggedAt: sessions.length > 0 ? sessions[0].timestamp : null,
+  };
+};
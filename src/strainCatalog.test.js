@@ -0,0 +1,77 @@
+import {
+  BUILT_IN_STRAINS, splitStrainName, normalizeStrainName, strainSlug, buildStrainCatalog,
+  findStrain, canonicalStrainId, strainSuggestions, strainHistory,
+} from './strainCatalog';
+
+const catalog = buildStrainCatalog();
+
+describe('strain names', () => {
+  test('splitStrainName separates a trailing parenthetical', () => {
+    expect(splitStrainName(' Blue Dream (Cookies) ')).toEqual({ name: 'Blue Dream', variant: 'Cookies' });
+    expect(splitStrainName('Blue Dream')).toEqual({ name: 'Blue Dream', variant: '' });
+    expect(splitStrainName('(Cookies)')).toEqual({ name: '(Cookies)', variant: '' });
+  });
+
+  test('normalizeStrainName ignores case, spacing, punctuation and the parenthetical', () => {
+    expect(normalizeStrainName('blue  dream ')).toBe('blue dream');
+    expect(normalizeStrainName('Gorilla Glue #4 (Cut A)')).toBe('gorilla glue 4');
+    expect(strainSlug('Gorilla Glue #4')).toBe('gorilla-glue-4');
+  });
+});
+
+describe('buildStrainCatalog', () => {
+  test('every built-in id is unique and matches its name', () => {
+    expect(new Set(BUILT_IN_STRAINS.map(s => s.id)).size).toBe(BUILT_IN_STRAINS.length);
+    BUILT_IN_STRAINS.forEach(strain => expect(strain.id).toBe(strainSlug(strain.name)));
+  });
+
+  test('resolves spellings and aliases to the canonical entry', () => {
+    expect(findStrain(catalog, 'blue dream ').name).toBe('Blue Dream');
+    expect(findStrain(catalog, 'Blue Dream (Cookies)').name).toBe('Blue Dream');
+    expect(findStrain(catalog, 'gsc').name).toBe('Girl Scout Cookies');
+    expect(findStrain(catalog, 'GG #4').name).toBe('Gorilla Glue #4');
+    expect(findStrain(catalog, 'Mystery Kush')).toBeNull();
+    expect(findStrain(null, 'Blue Dream')).toBeNull();
+  });
+
+  test('one-word names shared by many strains are not treated as aliases', () => {
+    ['og', 'Jack', 'AK', 'Bubba', 'Chem', 'JH'].forEach(name => expect(findStrain(catalog, name)).toBeNull());
+    expect(canonicalStrainId(catalog, 'OG')).toBe('og');
+    expect(findStrain(catalog, 'AK47').name).toBe('AK-47');
+  });
+
+  test('later entries replace earlier ones with the same id', () => {
+    const corrected = buildStrainCatalog([...BUILT_IN_STRAINS, { id: 'blue-dream', name: 'Blue Dream', aliases: ['Azure Haze'], type: 'Sativa', lineage: [] }]);
+    expect(findStrain(corrected, 'azure haze')).toMatchObject({ id: 'blue-dream', type: 'Sativa' });
+    expect(corrected.strains.filter(s => s.id === 'blue-dream')).toHaveLength(1);
+  });
+
+  test('canonicalStrainId falls back to the slug for unknown strains', () => {
+    expect(canonicalStrainId(catalog, 'GDP')).toBe('granddaddy-purple');
+    expect(canonicalStrainId(catalog, 'Mystery  Kush (House)')).toBe('mystery-kush');
+  });
+});
+
+describe('strainSuggestions', () => {
+  test('adds one spelling of each logged strain the catalog lacks', () => {
+    const small = buildStrainCatalog([{ id: 'blue-dream', name: 'Blue Dream' }]);
+    expect(strainSuggestions(small, ['blue dream', 'Mystery Kush (House)', 'mystery kush'])).toEqual(['Blue Dream', 'Mystery Kush']);
+  });
+});
+
+describe('strainHistory', () => {
+  test('merges every spelling of a strain, newest first', () => {
+    const reviews = [
+      { id: 'a', strain: 'Blue Dream', rating: 5, timestamp: new Date('2025-01-01') },
+      { id: 'b', strain: 'blue dream ', rating: 3, timestamp: new Date('2025-03-01') },
+      { id: 'c', strain: 'Blue Dream (Cookies)', rating: 4, timestamp: new Date('2025-02-01') },
+      { id: 'd', strain: 'Sour Diesel', rating: 2, timestamp: new Date('2025-04-01') },
+    ];
+    const history = strainHistory(catalog, 'blue-dream', reviews);
+
+    expect(history.sessions.map(r => r.id)).toEqual(['b', 'c', 'a']);
+    expect(history.spellings).toEqual(['blue dream', 'Blue Dream (Cookies)', 'Blue Dream']);
+    expect(history.averageRating).toBe(4);
+    expect(history).toMatchObject({ firstLoggedAt: new Date('2025-01-01'), lastLoggedAt: new Date('2025-03-01') });
+  });
+});
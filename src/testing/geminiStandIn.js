@@ -0,0 +1,65 @@
+import http from 'http';
+import { createMockProvider } from '../llm';
+
+// --- Local stand-in for the Gemini generateContent endpoint ---
+// Answers with the mock provider's deterministic output wrapped in Gemini's response shape,
+// so tests exercise the real HTTP provider without a network connection or an API key.
+
+const GENERATE_CONTENT_PATH = /^\/models\/([^/:]+):generateContent$/;
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  let body = '';
+  request.on('data', chunk => { body += chunk; });
+  request.on('end', () => resolve(body));
+  request.on('error', reject);
+});
+
+// The real endpoint doesn't know the app's task names, so infer the task from the request
+const taskForPayload = (payload) => (payload.generationConfig && payload.generationConfig.responseSchema ? 'analyzeEffects' : 'strainNames');
+
+const inputFromPrompt = (prompt) => {
+  const quoted = prompt.match(/"([\s\S]*)"/);
+  if (quoted) return { effects: quoted[1] };
+  const flavor = prompt.match(/Flavor profile: (.*?)\. Observed effects: (.*?)\. Generate/);
+  return flavor ? { flavor: flavor[1], effects: flavor[2] } : {};
+};
+
+/**
+ * Starts the stand-in on a random local port. `failures` queues HTTP statuses to return
+ * before answering normally, and `reply` overrides the model text for the next requests.
+ * Every parsed request is recorded in `requests`.
+ */
+export const startGeminiStandIn = async () => {
+  const mock = createMockProvider();
+  const standIn = { requests: [], failures: [], reply: null, baseUrl: null };
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const match = url.pathname.match(GENERATE_CONTENT_PATH);
+    if (request.method !== 'POST' || !match) {
+      response.writeHead(404).end();
+      return;
+    }
+
+    const payload = JSON.parse(await readBody(request));
+    standIn.requests.push({ model: match[1], apiKey: url.searchParams.get('key'), payload });
+
+    if (standIn.failures.length > 0) {
+      response.writeHead(standIn.failures.shift(), { 'Content-Type': 'application/json' }).end('{}');
+      return;
+    }
+
+    const prompt = payload.contents[0].parts[0].text;
+    const text = standIn.reply !== null
+      ? standIn.reply
+      : await mock.generate({ task: taskForPayload(payload), input: inputFromPrompt(prompt) });
+
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] }));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  standIn.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  standIn.close = () => new Promise(resolve => server.close(resolve));
+  return standIn;
+};
@@ -0,0 +1,12 @@
+// Jest's node environment hides Node's built-in fetch; the LLM providers and Firebase Auth need it.
+// Use with `@jest-environment ./src/testing/nodeFetchEnvironment.js`.
+const NodeEnvironment = require('jest-environment-node');
+
+class NodeFetchEnvironment extends NodeEnvironment {
+  constructor(config, context) {
+    super(config, context);
+    Object.assign(this.global, { fetch, Headers, Request, Response, AbortController });
+  }
+}
+
+module.exports = NodeFetchEnvironment;
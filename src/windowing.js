@@ -0,0 +1,85 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// --- List Windowing: render only the items near the viewport, and load more near the end ---
+
+const DEFAULT_ITEM_HEIGHT = 240; // Rough height of a review card before it has been measured
+const DEFAULT_OVERSCAN = 800; // Pixels rendered above and below the viewport
+const SCROLL_STEP = 100; // Scroll positions are rounded so small scrolls don't re-render
+
+/**
+ * Windows a vertical list scrolled with the page. Items are identified by `keys`; each rendered item
+ * reports its height through `measure(key)` (a ref callback) and unmeasured items use an estimate.
+ * Returns { containerRef, start, end, paddingTop, paddingBottom, measure }: render keys[start..end)
+ * inside the container, with the two paddings standing in for the items left out.
+ */
+export const useWindowedList = (keys, { estimatedItemHeight = DEFAULT_ITEM_HEIGHT, overscan = DEFAULT_OVERSCAN } = {}) => {
+  const containerRef = useRef(null);
+  const heights = useRef(new Map());
+  const [viewport, setViewport] = useState({ top: 0, height: typeof window === 'undefined' ? 0 : window.innerHeight });
+
+  useEffect(() => {
+    const update = () => {
+      if (!containerRef.current) return;
+      const top = Math.floor(-containerRef.current.getBoundingClientRect().top / SCROLL_STEP) * SCROLL_STEP;
+      const height = window.innerHeight;
+      setViewport(previous => (previous.top === top && previous.height === height ? previous : { top, height }));
+    };
+    update();
+    window.addEventListener('scroll', update, { passive: true });
+    window.addEventListener('resize', update);
+    return () => {
+      window.removeEventListener('scroll', update);
+      window.removeEventListener('resize', update);
+    };
+  }, []);
+
+  const measure = useCallback((key) => (node) => {
+    // Zero means not laid out (e.g. jsdom); keep the estimate
+    if (node && node.offsetHeight > 0) heights.current.set(key, node.offsetHeight);
+  }, []);
+
+  const heightOf = (key) => heights.current.get(key) || estimatedItemHeight;
+  const windowTop = viewport.top - overscan;
+  const windowBottom = viewport.top + viewport.height + overscan;
+
+  let offset = 0;
+  let start = 0;
+  while (start < keys.length && offset + heightOf(keys[start]) < windowTop) {
+    offset += heightOf(keys[start]);
+    start += 1;
+  }
+  const paddingTop = offset;
+
+  let end = start;
+  while (end < keys.length && offset < windowBottom) {
+    offset += heightOf(keys[end]);
+    end += 1;
+  }
+  const paddingBottom = keys.slice(end).reduce((sum, key) => sum + heightOf(key), 0);
+
+  return { containerRef, start, end, paddingTop, paddingBottom, measure };
+};
+
+/**
+ * Calls `onLoadMore` whenever the returned sentinel ref's element comes within `rootMargin` of the
+ * viewport while `enabled`. The observer is rebuilt when `enabled` or `itemCount` changes, so a
+ * sentinel that stays visible after a short page loads keeps triggering. No-op without IntersectionObserver.
+ */
+export const useInfiniteScroll = (onLoadMore, { enabled, itemCount, rootMargin = '600px' }) => {
+  const sentinelRef = useRef(null);
+  const latestOnLoadMore = useRef(onLoadMore);
+  latestOnLoadMore.current = onLoadMore;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!enabled || !sentinel || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) latestOnLoadMore.current();
+    }, { rootMargin });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [enabled, itemCount, rootMargin]);
+
+  return sentinelRef;
+};